@@ -6,18 +6,68 @@
  * Installs the platform prototyping skill to your Claude Code environment.
  *
  * Usage:
- *   npx real-prototypes-skill          # Install the skill
- *   npx real-prototypes-skill --help   # Show help
+ *   npx real-prototypes-skill                              # Install the skill
+ *   npx real-prototypes-skill --offline --from <path|.tgz> # Install without network
+ *   npx real-prototypes-skill upgrade                      # Upgrade, keeping local edits
+ *   npx real-prototypes-skill doctor                       # Check installation health
+ *   npx real-prototypes-skill new <name>                   # Create a prototype project
+ *   npx real-prototypes-skill capture <name> --from <path> # Capture from saved HAR/MHTML/HTML, no browser
+ *   npx real-prototypes-skill capture <name> --live        # Snapshot before a live agent-browser capture
+ *   npx real-prototypes-skill validate <name>              # Check a project's references
+ *   npx real-prototypes-skill tokens export <name>         # Design tokens → Tailwind, CSS, DTCG
+ *   npx real-prototypes-skill tokens import <name> --figma <file>  # Figma / Style Dictionary → design tokens
+ *   npx real-prototypes-skill diff <name>                  # What changed since the last capture
+ *   npx real-prototypes-skill a11y <name>                  # WCAG 2.1 AA audit of the prototype
+ *   npx real-prototypes-skill tokenize <name> --dry-run    # Hard-coded colors and sizes → tokens
+ *   npx real-prototypes-skill mock <name>                  # Typed fixtures, mock API and local images
+ *   npx real-prototypes-skill export <name> --zip          # Static build + reference review viewer
+ *   npx real-prototypes-skill comments import <name> <file> # Reviewer comments back into the project
+ *   npx real-prototypes-skill credentials set <platform>   # Store login details outside CLAUDE.md
+ *   npx real-prototypes-skill config show                  # Effective capture settings and their sources
+ *   npx real-prototypes-skill --help                       # Show help
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const https = require('https');
+const {
+  hashFile,
+  buildManifest,
+  readManifest,
+  writeManifest,
+  classifyFiles,
+  hashDependencies
+} = require('./lib/install-manifest');
+const { log } = require('./lib/log');
+const projects = require('./lib/projects');
+const { validateProject } = require('./lib/validate');
+const { exportTokens } = require('./lib/tokens');
+const { importTokens, DEFAULT_PRECEDENCE } = require('./lib/token-import');
+const credentials = require('./lib/credentials');
+const { loadConfig } = require('./lib/config');
+const { captureOffline, inferProjectTokens } = require('./lib/offline-capture');
+const snapshots = require('./lib/snapshots');
+const { diffCaptures, writeDiffReport } = require('./lib/snapshot-diff');
+const { SEVERITIES, DEFAULT_FAIL_ON, auditProject, writeA11yReport } = require('./lib/a11y');
+const { tokenizeProject } = require('./lib/tokenize');
+const { generateMocks, DEFAULT_COUNT } = require('./lib/mock-data');
+const review = require('./lib/review');
 
 const VERSION = require('../package.json').version;
 const SKILL_NAME = 'real-prototypes-skill';
 
+// Runtime dependencies written to the installed skill's package.json
+const SKILL_DEPENDENCIES = {
+  "jsdom": "^27.4.0",
+  "@babel/parser": "^7.29.0",
+  "@babel/traverse": "^7.29.0",
+  "@babel/generator": "^7.29.0",
+  "class-variance-authority": "^0.7.1",
+  "clsx": "^2.1.1",
+  "tailwind-merge": "^3.4.0"
+};
+
 /**
  * Check for newer version on npm and notify user
  */
@@ -61,17 +111,6 @@ function checkForUpdates() {
   });
 }
 
-function log(message, type = 'info') {
-  const styles = {
-    info: '\x1b[36m→\x1b[0m',
-    success: '\x1b[32m✓\x1b[0m',
-    warning: '\x1b[33m⚠\x1b[0m',
-    error: '\x1b[31m✗\x1b[0m',
-    title: '\x1b[1m\x1b[35m'
-  };
-  console.log(`${styles[type] || ''} ${message}${type === 'title' ? '\x1b[0m' : ''}`);
-}
-
 function showBanner() {
   console.log(`
 \x1b[35m╔═══════════════════════════════════════════════════════════╗
@@ -94,12 +133,135 @@ function showHelp() {
 \x1b[1mCOMMANDS\x1b[0m
   install     Install the skill to your Claude Code environment (default)
   uninstall   Remove the skill from your Claude Code environment
+  upgrade     Upgrade an installation, keeping files you have edited
+  doctor      Check local and global installations for problems
   help        Show this help message
 
+\x1b[1mPROJECT COMMANDS\x1b[0m
+  new <name>      Create projects/<name>/ with references/ and prototype/
+  list            List projects with platform, capture date, pages and screenshots
+  info <name>     Show details for one project
+  remove <name>   Delete projects/<name>/
+  capture <name>  Capture from pages saved by a browser (--from <path>): a
+                  .har, .mhtml/.mht or .html file, or a folder of them.
+                  Renders them with jsdom and writes references/manifest.json,
+                  design-tokens.json and html/ with no network access
+                  With --live: run before a live agent-browser capture;
+                  keeps the current capture as a snapshot first
+  validate <name> Check project.json, manifest and design tokens against
+                  their schemas and against the files on disk
+  a11y <name>     Render each prototype route in jsdom and audit it against
+                  WCAG 2.1 AA: contrast using the design tokens, labels on
+                  icon-only buttons and fields, focus order, dialog and
+                  live-region ARIA. Also flags token pairs that can never
+                  meet AA. Writes a11y/index.html and report.json
+  mock <name>     Turn the prototype's hard-coded arrays and the entities in
+                  its types.ts into typed fixtures (src/mock/fixtures.ts), add
+                  a read/write mock API under /api/mock backed by
+                  mock/state.json, and download remote images to
+                  public/mock/images/ (SVG placeholders when offline).
+                  Keeps an existing fixtures.ts unless --force
+
+\x1b[1mREVIEW COMMANDS\x1b[0m
+  export <name>             Build the prototype as static files (with its own
+                            next.config.js) and bundle it with the reference
+                            screenshots and a review viewer: each captured page
+                            beside, or under a slider over, its prototype route,
+                            with comments pinned to the page. Writes
+                            review-export/ in the project, or a zip with --zip
+                            or --output <file.zip>
+  comments import <name> <file>  Merge a comments file saved from the review
+                            viewer into review/comments.json
+  comments list <name>      Show review comments by page (--all for resolved)
+
+\x1b[1mDESIGN TOKEN COMMANDS\x1b[0m
+  tokens export <name>  Write references/design-tokens.json to prototype/tokens/
+                        as a Tailwind theme, :root CSS variables and W3C DTCG JSON
+  tokens import <name>  Merge a Figma variables export (--figma <file>) and/or a
+                        Style Dictionary tree (--style-dictionary <path>) into
+                        references/design-tokens.json
+  tokens infer <name>   Re-infer design tokens from references/html/: colors
+                        clustered into roles, type, spacing, radii and shadows,
+                        each with a confidence score. Only values an earlier
+                        inference wrote are replaced; imported and hand-edited
+                        values are kept (--force replaces hand-edited ones)
+  tokenize <name>       Replace colors, fonts and spacing hard-coded in
+                        prototype/src/**/*.tsx (style objects, Tailwind arbitrary
+                        values like bg-[#131921], constant maps) with the token
+                        class or CSS variable holding the same value. Lists the
+                        values with no exact token, with the closest one
+                        --dry-run prints the diff instead of writing
+
+\x1b[1mSNAPSHOT COMMANDS\x1b[0m
+  snapshot save <name>    Keep the current capture as snapshots/<timestamp>/
+                          (--label to name it)
+  snapshot list <name>    List saved snapshots, oldest first
+  diff <name> [from] [to] Compare two captures: pages and tabs added or removed,
+                          design token changes and a pixel diff of each
+                          screenshot, with an HTML report. Saves the current
+                          capture first; defaults to previous → latest.
+                          Use a snapshot id (or prefix), latest, previous or current
+
+\x1b[1mCREDENTIAL COMMANDS\x1b[0m
+  credentials set <platform>     Store login details for a platform (hostname or
+                                 URL) in an encrypted file under ~/.real-prototypes/.
+                                 Prompts for the password unless a source is given
+  credentials get [platform]     Show where a platform's credentials come from
+                                 (passwords are always masked); lists stored
+                                 platforms when no platform is given
+  credentials exec <platform> -- <command> [args...]
+                                 Run a command (e.g. the agent-browser login)
+                                 with the login in PLATFORM_EMAIL,
+                                 PLATFORM_PASSWORD and PLATFORM_STORAGE_STATE,
+                                 without printing it
+  credentials remove <platform>  Delete a platform's stored credentials
+
+\x1b[1mCONFIGURATION COMMANDS\x1b[0m
+  config show   Merge capture settings from CLAUDE.md, capture-config.json,
+                .env and the environment (later ones win), check them, and
+                print each effective value with the file and line it came from
+
 \x1b[1mOPTIONS\x1b[0m
   --global    Install to global Claude Code skills (~/.claude/skills/)
   --local     Install to current project (.claude/skills/)
-  --force     Overwrite existing installation
+  --force     Overwrite existing installation. tokens infer: replace
+              hand-edited tokens too
+  --offline   Install without any network access (no update check,
+              no npm registry, no agent-browser download)
+  --from      Local skill source for --offline: a package directory,
+              the skill directory itself, or an npm pack .tgz.
+              For capture: the saved archive, page or folder to read
+  --cache     Dependency source for --offline: a directory holding a
+              vendored node_modules/, or a pre-filled npm cache
+  --json      Print machine-readable output (doctor)
+  --diff      Show a diff for each edited file kept during upgrade
+  --rollback  Restore the install that the last upgrade replaced
+  --url       Platform base URL for a new project, or for pages captured
+              from files that don't record where they were saved from
+  --output    Write a JSON report to this file (validate), or where to
+              write the bundle: a folder or a .zip file (export)
+  --no-wire   Don't update tailwind.config.js / globals.css (tokens export)
+  --figma             Figma variables JSON export (tokens import)
+  --style-dictionary  Style Dictionary / DTCG token file or directory (tokens import)
+  --precedence        Comma-separated source order, first wins (tokens import)
+                      Default: ${DEFAULT_PRECEDENCE.join(',')}
+  --dry-run   Show what would change without writing files
+  --email           Login email (credentials set)
+  --password-env    Read the password from this environment variable at capture time
+  --password-file   Read the password from this file at capture time
+  --password-stdin  Read the password from stdin instead of prompting
+  --storage-state   Saved Playwright storage state or cookies file; used
+                    instead of logging in (credentials set)
+  --label       Name for a saved snapshot (snapshot save)
+  --threshold   Percent of differing pixels before a screenshot counts as
+                changed (diff, default 0.5)
+  --fail-on     Lowest severity that fails the audit: critical, serious,
+                moderate, minor or none (a11y, default ${DEFAULT_FAIL_ON})
+  --count       Records to generate per entity without sample data
+                (mock, default ${DEFAULT_COUNT})
+  --reset       Discard saved mock API changes in mock/state.json (mock)
+  --zip         Write the export as one .zip file (export)
+  --all         Include resolved comments (comments list)
 
 \x1b[1mEXAMPLES\x1b[0m
   # Install to current project
@@ -111,17 +273,69 @@ function showHelp() {
   # Force reinstall
   npx real-prototypes-skill --force
 
+  # Upgrade without losing local edits to SKILL.md, templates or scripts
+  npx real-prototypes-skill@latest upgrade --diff
+
+  # Check that the installation is healthy
+  npx real-prototypes-skill doctor
+
+  # Start a new prototype project
+  npx real-prototypes-skill new my-app --url https://app.example.com
+
+  # No browser available: capture from a HAR exported in DevTools
+  npx real-prototypes-skill capture my-app --from ./app.example.com.har
+
+  # Preview inferred tokens and how sure each one is
+  npx real-prototypes-skill tokens infer my-app --dry-run
+
+  # Use captured colors as Tailwind classes and CSS variables
+  npx real-prototypes-skill tokens export my-app
+
+  # Prefer scraped values over Figma where both define a token
+  npx real-prototypes-skill tokens import my-app --figma ./variables.json --precedence scraped,figma
+
+  # Preview which hard-coded values in the prototype would become tokens
+  npx real-prototypes-skill tokenize my-app --dry-run
+
+  # Give the prototype fixtures and a mock API, leaving components unchanged
+  npx real-prototypes-skill mock my-app --count 20 --no-wire
+
+  # Share the prototype for review, then bring the comments back
+  npx real-prototypes-skill export my-app --output ./my-app-review.zip
+  npx real-prototypes-skill comments import my-app ./my-app-review-comments.json
+
+  # Validate a project in CI
+  npx real-prototypes-skill validate my-app --json
+
+  # Fail CI on any accessibility issue of moderate severity or worse
+  npx real-prototypes-skill a11y my-app --fail-on moderate
+
+  # After re-capturing, see which prototypes need regenerating
+  npx real-prototypes-skill diff my-app
+
+  # See which file each capture setting comes from
+  npx real-prototypes-skill config show
+
+  # Log in with a saved session instead of a password
+  npx real-prototypes-skill credentials set app.example.com --storage-state ./auth.json
+
+  # Air-gapped install from a packed tarball and a vendored cache
+  npx real-prototypes-skill --offline --from ./real-prototypes-skill-${VERSION}.tgz --cache ./vendor
+
 \x1b[1mAFTER INSTALLATION\x1b[0m
-  1. Add platform credentials to your CLAUDE.md:
+  1. Add the platform URL to your CLAUDE.md:
 
-     ## Platform Credentials
+     ## Platform
      \`\`\`
      PLATFORM_URL=https://your-platform.com
-     PLATFORM_EMAIL=your@email.com
-     PLATFORM_PASSWORD=your-password
      \`\`\`
 
-  2. Use the /real-prototypes-skill skill in Claude Code to capture and prototype
+  2. If it needs a login, store it outside CLAUDE.md (CLAUDE.md is committed
+     and sent to the model):
+
+     npx real-prototypes-skill credentials set your-platform.com --email your@email.com
+
+  3. Use the /real-prototypes-skill skill in Claude Code to capture and prototype
 
 \x1b[1mLEARN MORE\x1b[0m
   https://github.com/kaidhar/real-prototypes-skill
@@ -168,10 +382,107 @@ function getSkillSource() {
   return null;
 }
 
-function install(options) {
-  showBanner();
+/**
+ * Resolve a skill source from a local path for offline installs.
+ * Accepts a package directory, the skill directory itself, or an npm pack .tgz.
+ * Returns { skillDir, tempDir } or null if no skill could be found.
+ */
+function resolveLocalSource(from) {
+  const resolved = path.resolve(from);
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  let root = resolved;
+  let tempDir = null;
+
+  if (fs.statSync(resolved).isFile()) {
+    if (!/\.(tgz|tar\.gz)$/.test(resolved)) {
+      return null;
+    }
+    const { execFileSync } = require('child_process');
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `${SKILL_NAME}-`));
+    execFileSync('tar', ['-xzf', resolved, '-C', tempDir], { stdio: 'pipe' });
+    // npm pack puts everything under package/
+    const packed = path.join(tempDir, 'package');
+    root = fs.existsSync(packed) ? packed : tempDir;
+  }
+
+  const packagedSkill = path.join(root, '.claude', 'skills', SKILL_NAME);
+  if (fs.existsSync(packagedSkill)) {
+    return { skillDir: packagedSkill, tempDir };
+  }
+  if (fs.existsSync(path.join(root, 'SKILL.md'))) {
+    return { skillDir: root, tempDir };
+  }
+
+  if (tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+  return null;
+}
+
+/**
+ * Install skill dependencies without touching the network.
+ * A cache directory containing node_modules/ is copied as-is (vendored);
+ * any other cache directory is used as a pre-filled npm cache.
+ */
+function installDependenciesOffline(targetDir, cacheDir) {
+  const vendored = cacheDir ? path.join(path.resolve(cacheDir), 'node_modules') : null;
+
+  if (vendored && fs.existsSync(vendored)) {
+    fs.cpSync(vendored, path.join(targetDir, 'node_modules'), { recursive: true });
+    return 'vendored node_modules';
+  }
+
+  const { execFileSync } = require('child_process');
+  const cacheArgs = cacheDir ? ['--cache', path.resolve(cacheDir)] : [];
+  execFileSync('npm', ['install', '--production', '--offline', '--no-audit', '--no-fund', ...cacheArgs], {
+    cwd: targetDir,
+    stdio: 'pipe'
+  });
+  return cacheDir ? 'npm cache' : 'default npm cache';
+}
+
+function findMissingDependencies(targetDir) {
+  return Object.keys(SKILL_DEPENDENCIES).filter(name =>
+    !fs.existsSync(path.join(targetDir, 'node_modules', name, 'package.json'))
+  );
+}
+
+function printInstallReport(report) {
+  const marks = {
+    installed: '\x1b[32m✓\x1b[0m',
+    skipped: '\x1b[90m-\x1b[0m',
+    failed: '\x1b[31m✗\x1b[0m'
+  };
+
+  console.log('\n\x1b[1mInstall Report\x1b[0m\n');
+  for (const entry of report) {
+    console.log(`  ${marks[entry.status]} ${entry.item.padEnd(22)} ${entry.status.padEnd(10)} ${entry.detail}`);
+  }
+}
+
+/**
+ * Locate the skill to install: --from when given, otherwise the packaged copy.
+ * Exits with an error if neither can be found.
+ */
+function findSkillSource(options) {
+  let localSource = null;
+  let skillSource;
+
+  if (options.from) {
+    localSource = resolveLocalSource(options.from);
+    if (!localSource) {
+      log(`Could not find skill files in ${options.from}`, 'error');
+      log('Expected a package directory, the skill directory, or an npm pack .tgz', 'info');
+      process.exit(1);
+    }
+    skillSource = localSource.skillDir;
+  } else {
+    skillSource = getSkillSource();
+  }
 
-  const skillSource = getSkillSource();
   if (!skillSource) {
     log('Could not find skill source files', 'error');
     log('This might be a packaging issue. Please report at:', 'info');
@@ -179,6 +490,14 @@ function install(options) {
     process.exit(1);
   }
 
+  return { skillSource, localSource };
+}
+
+function install(options) {
+  showBanner();
+
+  const report = [];
+
   // Determine target directory
   let targetBase;
   if (options.global) {
@@ -189,105 +508,36 @@ function install(options) {
     log('Installing to current project .claude/skills/', 'info');
   }
 
+  if (options.offline) {
+    log('Offline mode: no network access will be attempted', 'info');
+    report.push({ item: 'Update check', status: 'skipped', detail: 'offline mode' });
+  }
+
   const targetDir = path.join(targetBase, SKILL_NAME);
 
   // Check if already installed
   if (fs.existsSync(targetDir) && !options.force) {
     log(`Skill already installed at ${targetDir}`, 'warning');
-    log('Use --force to overwrite', 'info');
+    log('Use upgrade to keep your local edits, or --force to overwrite', 'info');
     process.exit(1);
   }
 
-  // Create target directory
-  if (!fs.existsSync(targetBase)) {
-    fs.mkdirSync(targetBase, { recursive: true });
-  }
-
-  // Remove existing if force
-  if (fs.existsSync(targetDir) && options.force) {
-    log('Removing existing installation...', 'info');
-    fs.rmSync(targetDir, { recursive: true, force: true });
-  }
-
-  // Copy skill files
-  log('Copying skill files...', 'info');
-  copyRecursive(skillSource, targetDir);
-
-  log(`Skill installed to ${targetDir}`, 'success');
-
-  // Install dependencies in the skill directory
-  const skillPackageJson = {
-    "name": "real-prototypes-skill-deps",
-    "private": true,
-    "dependencies": {
-      "jsdom": "^27.4.0",
-      "@babel/parser": "^7.29.0",
-      "@babel/traverse": "^7.29.0",
-      "@babel/generator": "^7.29.0",
-      "class-variance-authority": "^0.7.1",
-      "clsx": "^2.1.1",
-      "tailwind-merge": "^3.4.0"
-    }
-  };
-
-  const skillPkgPath = path.join(targetDir, 'package.json');
-  fs.writeFileSync(skillPkgPath, JSON.stringify(skillPackageJson, null, 2));
-  log('Installing skill dependencies...', 'info');
-
-  try {
-    const { execSync } = require('child_process');
-    execSync('npm install --production', {
-      cwd: targetDir,
-      stdio: 'pipe'
-    });
-    log('Dependencies installed', 'success');
-  } catch (e) {
-    log('Warning: Could not auto-install dependencies', 'warning');
-    log(`Run manually: cd ${targetDir} && npm install`, 'info');
-  }
-
-  // Install agent-browser globally (required for browser automation)
-  log('Installing agent-browser (Vercel Labs browser automation)...', 'info');
+  // Only extract a --from archive once nothing can stop the install
+  const { skillSource, localSource } = findSkillSource(options);
   try {
-    const { execSync } = require('child_process');
-    // Check if already installed
-    try {
-      execSync('agent-browser --version', { stdio: 'pipe' });
-      log('agent-browser already installed', 'success');
-    } catch {
-      // Not installed, install it
-      execSync('npm install -g agent-browser', { stdio: 'pipe' });
-      log('agent-browser installed globally', 'success');
-
-      // Download Chromium browser
-      log('Downloading Chromium for agent-browser...', 'info');
-      execSync('agent-browser install', { stdio: 'pipe' });
-      log('Chromium downloaded', 'success');
-    }
-  } catch (e) {
-    log('Warning: Could not install agent-browser automatically', 'warning');
-    log('Install manually: npm install -g agent-browser && agent-browser install', 'info');
-    log('Without agent-browser, you can still use manual capture mode', 'info');
-  }
-
-  // Copy CLAUDE.md.example to current directory if local install
-  if (!options.global) {
-    const exampleSource = path.join(path.dirname(__dirname), 'CLAUDE.md.example');
-    const exampleTarget = path.join(process.cwd(), 'CLAUDE.md.example');
-    if (fs.existsSync(exampleSource) && !fs.existsSync(exampleTarget)) {
-      fs.copyFileSync(exampleSource, exampleTarget);
-      log('CLAUDE.md.example copied to project root', 'success');
+    installSkill(options, { skillSource, targetBase, targetDir, report });
+  } finally {
+    if (localSource && localSource.tempDir) {
+      fs.rmSync(localSource.tempDir, { recursive: true, force: true });
     }
   }
 
-  // Also copy the agent-browser-skill if it exists and not already present
-  const agentBrowserSource = path.join(path.dirname(skillSource), 'agent-browser-skill');
-  const agentBrowserTarget = path.join(targetBase, 'agent-browser-skill');
-
-  if (fs.existsSync(agentBrowserSource) && !fs.existsSync(agentBrowserTarget)) {
-    log('Installing dependency: agent-browser-skill...', 'info');
-    copyRecursive(agentBrowserSource, agentBrowserTarget);
-    log('agent-browser-skill installed', 'success');
+  const failed = report.filter(entry => entry.status === 'failed');
+  if (failed.length > 0) {
+    printInstallReport(report);
+    log(`Installation incomplete: ${failed.map(entry => entry.item).join(', ')} failed`, 'error');
+    process.exitCode = 1;
+    return;
   }
 
   console.log(`
@@ -295,15 +545,20 @@ function install(options) {
 
 \x1b[1mNext Steps:\x1b[0m
 
-1. Add platform credentials to your CLAUDE.md (or copy .env.example):
+1. Add the platform URL to your CLAUDE.md (or copy .env.example):
 
-   \x1b[36m## Platform Credentials
+   \x1b[36m## Platform
    \`\`\`
    PLATFORM_URL=https://your-platform.com
-   PLATFORM_EMAIL=your@email.com
-   PLATFORM_PASSWORD=your-password
    \`\`\`\x1b[0m
 
+   If the platform needs a login, don't put the password in CLAUDE.md (it is
+   committed and sent to the model). Store it encrypted instead:
+
+   \x1b[36mnpx ${SKILL_NAME} credentials set your-platform.com --email your@email.com\x1b[0m
+
+   or point at a saved login session: \x1b[36m--storage-state ./auth.json\x1b[0m
+
 2. \x1b[1m(Optional)\x1b[0m Configure capture settings in CLAUDE.md:
 
    \x1b[36m## Capture Settings
@@ -342,6 +597,156 @@ function install(options) {
 \x1b[1mNeed Help?\x1b[0m
   https://github.com/kaidhar/real-prototypes-skill
   `);
+
+  warnLiteralCredentials(path.join(process.cwd(), 'CLAUDE.md'));
+
+  // Offline installs end with a summary of what was and wasn't set up
+  if (options.offline) {
+    printInstallReport(report);
+  }
+}
+
+/**
+ * Copy the skill into targetDir and set up its dependencies, recording each
+ * step in report
+ */
+function installSkill(options, { skillSource, targetBase, targetDir, report }) {
+  // Create target directory
+  if (!fs.existsSync(targetBase)) {
+    fs.mkdirSync(targetBase, { recursive: true });
+  }
+
+  // Remove existing if force
+  if (fs.existsSync(targetDir) && options.force) {
+    log('Removing existing installation...', 'info');
+    fs.rmSync(targetDir, { recursive: true, force: true });
+  }
+
+  // Copy skill files
+  log('Copying skill files...', 'info');
+  copyRecursive(skillSource, targetDir);
+
+  log(`Skill installed to ${targetDir}`, 'success');
+  report.push({ item: 'Skill files', status: 'installed', detail: targetDir });
+
+  // Install dependencies in the skill directory
+  const skillPackageJson = {
+    "name": "real-prototypes-skill-deps",
+    "version": VERSION,
+    "private": true,
+    "dependencies": SKILL_DEPENDENCIES
+  };
+
+  const skillPkgPath = path.join(targetDir, 'package.json');
+  fs.writeFileSync(skillPkgPath, JSON.stringify(skillPackageJson, null, 2));
+
+  // Record checksums so upgrades can detect local edits
+  writeManifest(targetDir, buildManifest(targetDir, VERSION, SKILL_DEPENDENCIES));
+
+  log('Installing skill dependencies...', 'info');
+
+  if (options.offline) {
+    try {
+      const source = installDependenciesOffline(targetDir, options.cache);
+      const missing = findMissingDependencies(targetDir);
+      if (missing.length === 0) {
+        log(`Dependencies installed from ${source}`, 'success');
+        report.push({ item: 'Dependencies', status: 'installed', detail: `from ${source}` });
+      } else {
+        log(`Dependencies incomplete in ${source}: ${missing.join(', ')}`, 'warning');
+        report.push({ item: 'Dependencies', status: 'failed', detail: `missing ${missing.join(', ')}` });
+      }
+    } catch (e) {
+      log('Could not install dependencies from the offline cache', 'warning');
+      log('Pass --cache <dir> with a vendored node_modules/ or a pre-filled npm cache', 'info');
+      report.push({ item: 'Dependencies', status: 'failed', detail: 'not found in offline cache' });
+    }
+  } else {
+    try {
+      const { execSync } = require('child_process');
+      execSync('npm install --production', {
+        cwd: targetDir,
+        stdio: 'pipe'
+      });
+      log('Dependencies installed', 'success');
+      report.push({ item: 'Dependencies', status: 'installed', detail: 'from npm' });
+    } catch (e) {
+      log('Could not auto-install dependencies', 'warning');
+      log(`Run manually: cd ${targetDir} && npm install`, 'info');
+      report.push({ item: 'Dependencies', status: 'failed', detail: 'npm install failed' });
+    }
+  }
+
+  // Install agent-browser globally (required for browser automation)
+  if (options.offline) {
+    report.push({ item: 'agent-browser', status: 'skipped', detail: 'offline mode (capture --from saved pages still works)' });
+  } else {
+    log('Installing agent-browser (Vercel Labs browser automation)...', 'info');
+    try {
+      const { execSync } = require('child_process');
+      // Check if already installed
+      try {
+        execSync('agent-browser --version', { stdio: 'pipe' });
+        log('agent-browser already installed', 'success');
+      } catch {
+        // Not installed, install it
+        execSync('npm install -g agent-browser', { stdio: 'pipe' });
+        log('agent-browser installed globally', 'success');
+
+        // Download Chromium browser
+        log('Downloading Chromium for agent-browser...', 'info');
+        execSync('agent-browser install', { stdio: 'pipe' });
+        log('Chromium downloaded', 'success');
+      }
+    } catch (e) {
+      log('Warning: Could not install agent-browser automatically', 'warning');
+      log('Install manually: npm install -g agent-browser && agent-browser install', 'info');
+      log(`Without agent-browser, capture from saved pages: npx ${SKILL_NAME} capture <name> --from <file.har|folder>`, 'info');
+    }
+  }
+
+  // Copy CLAUDE.md.example to current directory if local install
+  if (!options.global) {
+    const exampleSource = path.join(path.dirname(__dirname), 'CLAUDE.md.example');
+    const exampleTarget = path.join(process.cwd(), 'CLAUDE.md.example');
+    if (fs.existsSync(exampleSource) && !fs.existsSync(exampleTarget)) {
+      fs.copyFileSync(exampleSource, exampleTarget);
+      log('CLAUDE.md.example copied to project root', 'success');
+    }
+  }
+
+  // Also copy the agent-browser-skill if it exists and not already present
+  const agentBrowserSource = path.join(path.dirname(skillSource), 'agent-browser-skill');
+  const agentBrowserTarget = path.join(targetBase, 'agent-browser-skill');
+
+  if (fs.existsSync(agentBrowserSource) && !fs.existsSync(agentBrowserTarget)) {
+    log('Installing dependency: agent-browser-skill...', 'info');
+    copyRecursive(agentBrowserSource, agentBrowserTarget);
+    log('agent-browser-skill installed', 'success');
+    report.push({ item: 'agent-browser-skill', status: 'installed', detail: agentBrowserTarget });
+  } else if (fs.existsSync(agentBrowserTarget)) {
+    report.push({ item: 'agent-browser-skill', status: 'skipped', detail: 'already present' });
+  } else {
+    report.push({ item: 'agent-browser-skill', status: 'skipped', detail: 'not found in skill source' });
+  }
+}
+
+/**
+ * Warn when a CLAUDE.md holds passwords or tokens in plain text
+ */
+function warnLiteralCredentials(file) {
+  const found = credentials.findLiteralCredentials(file);
+  if (found.length === 0) {
+    return;
+  }
+  log(`${path.relative(process.cwd(), file) || file} contains credentials in plain text:`, 'warning');
+  for (const { line, key } of found) {
+    console.log(`    line ${line}: ${key}`);
+  }
+  console.log(`  CLAUDE.md is committed and sent to the model. Move them with:
+    npx ${SKILL_NAME} credentials set <platform> --email <email>
+  then delete those lines.
+`);
 }
 
 function uninstall(options) {
@@ -366,66 +771,1589 @@ function uninstall(options) {
   log('Skill uninstalled successfully', 'success');
 }
 
-function parseArgs(args) {
-  const options = {
-    command: 'install',
-    global: false,
-    local: true,
-    force: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
+function getSkillsBase(global) {
+  return global
+    ? path.join(os.homedir(), '.claude', 'skills')
+    : path.join(process.cwd(), '.claude', 'skills');
+}
 
-    switch (arg) {
-      case 'install':
-      case 'uninstall':
-      case 'help':
-        options.command = arg;
-        break;
-      case '--global':
-      case '-g':
-        options.global = true;
-        options.local = false;
-        break;
-      case '--local':
-      case '-l':
-        options.local = true;
-        options.global = false;
-        break;
-      case '--force':
-      case '-f':
-        options.force = true;
-        break;
-      case '--help':
-      case '-h':
-        options.command = 'help';
-        break;
-      case '--version':
-      case '-v':
-        console.log(VERSION);
-        process.exit(0);
-    }
+function resolvesFrom(name, dir) {
+  try {
+    require.resolve(name, { paths: [dir] });
+    return true;
+  } catch {
+    // ESM-only packages don't resolve through require; fall back to the package folder
+    return fs.existsSync(path.join(dir, 'node_modules', name, 'package.json'));
   }
-
-  return options;
 }
 
-// Main
-async function main() {
-  const args = process.argv.slice(2);
-  const options = parseArgs(args);
+/**
+ * Inspect one skill installation (local or global) and return check results
+ */
+function checkInstallation(scope, skillsBase) {
+  const targetDir = path.join(skillsBase, SKILL_NAME);
+  const checks = [];
+  const add = (name, ok, detail) => checks.push({ scope, check: name, status: ok ? 'pass' : 'fail', detail });
 
-  // Check for updates (non-blocking, 3s timeout)
-  await checkForUpdates();
+  if (!fs.existsSync(targetDir)) {
+    checks.push({ scope, check: 'Installed', status: 'skip', detail: `not installed at ${targetDir}` });
+    return checks;
+  }
 
-  switch (options.command) {
-    case 'install':
-      install(options);
-      break;
+  add('Installed', fs.existsSync(path.join(targetDir, 'SKILL.md')),
+    fs.existsSync(path.join(targetDir, 'SKILL.md')) ? targetDir : `SKILL.md missing in ${targetDir}`);
+
+  const skillPkgPath = path.join(targetDir, 'package.json');
+  let skillPkg = null;
+  try {
+    skillPkg = JSON.parse(fs.readFileSync(skillPkgPath, 'utf-8'));
+  } catch {
+    add('Skill package.json', false, `missing or unreadable: ${skillPkgPath}`);
+  }
+
+  if (skillPkg) {
+    if (!skillPkg.version) {
+      add('Version', false, `no version recorded, expected ${VERSION} (reinstall with --force)`);
+    } else {
+      add('Version', skillPkg.version === VERSION,
+        skillPkg.version === VERSION ? VERSION : `installed ${skillPkg.version}, expected ${VERSION}`);
+    }
+
+    for (const name of Object.keys(skillPkg.dependencies || {})) {
+      const ok = resolvesFrom(name, targetDir);
+      add(`Dependency ${name}`, ok, ok ? 'resolves' : `not found (cd ${targetDir} && npm install)`);
+    }
+  }
+
+  const agentBrowserSkill = path.join(skillsBase, 'agent-browser-skill');
+  add('agent-browser-skill', fs.existsSync(agentBrowserSkill),
+    fs.existsSync(agentBrowserSkill) ? agentBrowserSkill : `missing at ${agentBrowserSkill}`);
+
+  return checks;
+}
+
+/**
+ * Check that the agent-browser CLI is on PATH and can launch its Chromium
+ */
+function checkAgentBrowser() {
+  const { execSync } = require('child_process');
+  const checks = [];
+
+  let version;
+  try {
+    version = execSync('agent-browser --version', { stdio: 'pipe', timeout: 10000 }).toString().trim();
+    checks.push({ scope: 'system', check: 'agent-browser', status: 'pass', detail: version });
+  } catch {
+    checks.push({
+      scope: 'system',
+      check: 'agent-browser',
+      status: 'fail',
+      detail: 'not on PATH (npm install -g agent-browser)'
+    });
+    checks.push({ scope: 'system', check: 'Chromium', status: 'skip', detail: 'agent-browser not installed' });
+    return checks;
+  }
+
+  try {
+    execSync('agent-browser open about:blank', { stdio: 'pipe', timeout: 30000 });
+    checks.push({ scope: 'system', check: 'Chromium', status: 'pass', detail: 'launched about:blank' });
+  } catch {
+    checks.push({ scope: 'system', check: 'Chromium', status: 'fail', detail: 'could not launch (agent-browser install)' });
+  } finally {
+    try {
+      execSync('agent-browser close', { stdio: 'pipe', timeout: 10000 });
+    } catch { /* browser may not have started */ }
+  }
+
+  return checks;
+}
+
+function doctor(options) {
+  const checks = [
+    ...checkInstallation('local', getSkillsBase(false)),
+    ...checkInstallation('global', getSkillsBase(true)),
+    ...checkAgentBrowser()
+  ];
+
+  const installed = checks.some(c => c.check === 'Installed' && c.status !== 'skip');
+  if (!installed) {
+    checks.push({ scope: 'system', check: 'Installation', status: 'fail', detail: 'no local or global installation found' });
+  }
+
+  const healthy = checks.every(c => c.status !== 'fail');
+
+  if (options.json) {
+    console.log(JSON.stringify({ version: VERSION, healthy, checks }, null, 2));
+  } else {
+    showBanner();
+    const marks = {
+      pass: '\x1b[32mPASS\x1b[0m',
+      fail: '\x1b[31mFAIL\x1b[0m',
+      skip: '\x1b[90mSKIP\x1b[0m'
+    };
+    console.log(`  ${'SCOPE'.padEnd(8)} ${'CHECK'.padEnd(36)} STATUS  DETAIL`);
+    for (const c of checks) {
+      console.log(`  ${c.scope.padEnd(8)} ${c.check.padEnd(36)} ${marks[c.status]}    ${c.detail}`);
+    }
+    console.log('');
+    log(healthy ? 'Installation is healthy' : 'Problems found', healthy ? 'success' : 'error');
+  }
+
+  process.exit(healthy ? 0 : 1);
+}
+
+/**
+ * Move a kept-aside previous install back into place
+ */
+function restorePrevious(targetDir, backupDir) {
+  const reusedModules = path.join(targetDir, 'node_modules');
+  if (fs.existsSync(reusedModules) && !fs.existsSync(path.join(backupDir, 'node_modules'))) {
+    fs.renameSync(reusedModules, path.join(backupDir, 'node_modules'));
+  }
+  fs.rmSync(targetDir, { recursive: true, force: true });
+  fs.renameSync(backupDir, targetDir);
+}
+
+async function confirm(question, fallback = true) {
+  // Non-interactive runs (CI) take the safe answer for the caller
+  if (!process.stdin.isTTY) {
+    return fallback;
+  }
+  const readline = require('readline/promises');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(`${question} [Y/n] `);
+  rl.close();
+  return !/^n/i.test(answer.trim());
+}
+
+function showDiff(current, incoming) {
+  const { execFileSync } = require('child_process');
+  try {
+    execFileSync('diff', ['-u', current, incoming], { stdio: 'pipe' });
+  } catch (e) {
+    // diff exits 1 when files differ
+    const output = e.stdout && e.stdout.toString();
+    console.log(output || `  (no diff tool available; compare ${current} with ${incoming})`);
+  }
+}
+
+/**
+ * Upgrade an installed skill in place.
+ *
+ * Files the user edited since install are kept, with the incoming version
+ * written next to them as <file>.new. node_modules is reused when the
+ * dependency set is unchanged. The previous install is kept aside so it can
+ * be restored if the upgrade fails, or later with --rollback.
+ */
+async function upgrade(options) {
+  showBanner();
+
+  const skillsBase = getSkillsBase(options.global);
+  const targetDir = path.join(skillsBase, SKILL_NAME);
+  const backupDir = path.join(skillsBase, `.${SKILL_NAME}.previous`);
+
+  if (options.rollback) {
+    if (!fs.existsSync(backupDir)) {
+      log(`No previous install found at ${backupDir}`, 'error');
+      process.exit(1);
+    }
+    restorePrevious(targetDir, backupDir);
+    log(`Previous install restored to ${targetDir}`, 'success');
+    return;
+  }
+
+  if (!fs.existsSync(targetDir)) {
+    log(`Skill not installed at ${targetDir}`, 'error');
+    log('Run: npx real-prototypes-skill', 'info');
+    process.exit(1);
+  }
+
+  const { skillSource, localSource } = findSkillSource(options);
+
+  const manifest = readManifest(targetDir);
+  if (!manifest) {
+    log('No install manifest found; files that differ from the new version are treated as edited', 'warning');
+  }
+
+  let previousDependencies = null;
+  try {
+    previousDependencies = JSON.parse(fs.readFileSync(path.join(targetDir, 'package.json'), 'utf-8')).dependencies;
+  } catch { /* older or damaged install: reinstall dependencies */ }
+
+  const reuseModules = previousDependencies &&
+    hashDependencies(previousDependencies) === hashDependencies(SKILL_DEPENDENCIES) &&
+    fs.existsSync(path.join(targetDir, 'node_modules'));
+
+  log('Comparing installed files with the new version...', 'info');
+  const changes = classifyFiles(targetDir, skillSource, manifest);
+
+  fs.rmSync(backupDir, { recursive: true, force: true });
+  fs.renameSync(targetDir, backupDir);
+
+  try {
+    copyRecursive(skillSource, targetDir);
+
+    for (const rel of changes.modified) {
+      fs.renameSync(path.join(targetDir, rel), path.join(targetDir, `${rel}.new`));
+      fs.copyFileSync(path.join(backupDir, rel), path.join(targetDir, rel));
+    }
+    for (const rel of [...changes.edited, ...changes.kept, ...changes.added]) {
+      fs.mkdirSync(path.dirname(path.join(targetDir, rel)), { recursive: true });
+      fs.copyFileSync(path.join(backupDir, rel), path.join(targetDir, rel));
+    }
+
+    const skillPackageJson = {
+      "name": "real-prototypes-skill-deps",
+      "version": VERSION,
+      "private": true,
+      "dependencies": SKILL_DEPENDENCIES
+    };
+    fs.writeFileSync(path.join(targetDir, 'package.json'), JSON.stringify(skillPackageJson, null, 2));
+
+    if (reuseModules) {
+      fs.renameSync(path.join(backupDir, 'node_modules'), path.join(targetDir, 'node_modules'));
+      log('Dependencies unchanged, reusing node_modules', 'success');
+    } else {
+      log('Dependencies changed, installing...', 'info');
+      if (options.offline) {
+        installDependenciesOffline(targetDir, options.cache);
+      } else {
+        const { execSync } = require('child_process');
+        execSync('npm install --production', { cwd: targetDir, stdio: 'pipe' });
+      }
+      const missing = findMissingDependencies(targetDir);
+      if (missing.length > 0) {
+        throw new Error(`dependencies did not install: ${missing.join(', ')}`);
+      }
+      log('Dependencies installed', 'success');
+    }
+
+    // The manifest records the incoming files, so kept edits are still detected next time
+    const newManifest = buildManifest(targetDir, VERSION, SKILL_DEPENDENCIES);
+    for (const rel of changes.modified) {
+      newManifest.files[rel] = hashFile(path.join(targetDir, `${rel}.new`));
+    }
+    for (const rel of changes.edited) {
+      newManifest.files[rel] = manifest.files[rel];
+    }
+    for (const rel of [...changes.kept, ...changes.added]) {
+      delete newManifest.files[rel];
+    }
+    writeManifest(targetDir, newManifest);
+  } catch (e) {
+    log(`Upgrade failed: ${e.message.split('\n')[0]}`, 'error');
+    if (await confirm('Roll back to the previous install?')) {
+      restorePrevious(targetDir, backupDir);
+      log('Previous install restored', 'success');
+    } else {
+      log(`Previous install kept at ${backupDir}`, 'info');
+      log('Restore it later with: npx real-prototypes-skill upgrade --rollback', 'info');
+    }
+    process.exitCode = 1;
+    return;
+  } finally {
+    if (localSource && localSource.tempDir) {
+      fs.rmSync(localSource.tempDir, { recursive: true, force: true });
+    }
+  }
+
+  const fromVersion = manifest ? manifest.version : 'unknown';
+  log(`Upgraded ${fromVersion} → ${VERSION} at ${targetDir}`, 'success');
+  log(`${changes.unchanged.length} unmodified files replaced`, 'info');
+
+  if (changes.modified.length > 0) {
+    log(`Kept ${changes.modified.length} edited files; new versions written alongside as .new:`, 'warning');
+    for (const rel of changes.modified) {
+      console.log(`    ${rel}`);
+      if (options.diff) {
+        showDiff(path.join(targetDir, rel), path.join(targetDir, `${rel}.new`));
+      }
+    }
+  }
+  if (changes.edited.length > 0) {
+    log(`Kept ${changes.edited.length} edited files the new version does not change`, 'info');
+  }
+  if (changes.kept.length > 0) {
+    log(`Kept ${changes.kept.length} edited files that the new version removed:`, 'warning');
+    changes.kept.forEach(rel => console.log(`    ${rel}`));
+  }
+  if (changes.added.length > 0) {
+    log(`Kept ${changes.added.length} files you added`, 'info');
+  }
+
+  log(`Previous install saved to ${backupDir}`, 'info');
+  log('Undo with: npx real-prototypes-skill upgrade --rollback', 'info');
+}
+
+function getProjectName(options) {
+  const name = options.project || options.args[0];
+  if (!name) {
+    log(`Missing project name. Usage: npx ${SKILL_NAME} ${options.command} <name>`, 'error');
+    process.exit(1);
+  }
+  return name;
+}
+
+function newProject(options) {
+  const name = getProjectName(options);
+
+  try {
+    const projectDir = projects.createProject(name, { url: options.url || '' });
+    log(`Project created at ${projectDir}`, 'success');
+    console.log(`
+  ${path.relative(process.cwd(), projectDir)}/
+  ├── project.json
+  ├── references/
+  │   ├── manifest.json
+  │   ├── design-tokens.json
+  │   └── screenshots/
+  └── prototype/
+`);
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+}
+
+function showProjects(options) {
+  const list = projects.listProjects();
+
+  if (options.json) {
+    console.log(JSON.stringify(list, null, 2));
+    return;
+  }
+
+  if (list.length === 0) {
+    log(`No projects found in ${projects.getProjectsDir()}`, 'info');
+    log(`Create one with: npx ${SKILL_NAME} new <name>`, 'info');
+    return;
+  }
+
+  console.log(`  ${'NAME'.padEnd(24)} ${'BASE URL'.padEnd(36)} ${'CAPTURED'.padEnd(12)} PAGES  SCREENSHOTS`);
+  for (const p of list) {
+    const captured = p.capturedAt ? p.capturedAt.slice(0, 10) : '-';
+    console.log(`  ${p.name.padEnd(24)} ${(p.platform.baseUrl || '-').padEnd(36)} ${captured.padEnd(12)} ${String(p.pages).padEnd(6)} ${p.screenshots}`);
+  }
+}
+
+function showProjectInfo(options) {
+  const name = getProjectName(options);
+
+  let info;
+  try {
+    info = projects.getProjectInfo(name);
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  const yesNo = value => (value ? 'yes' : 'no');
+  console.log(`
+\x1b[1m${info.name}\x1b[0m
+  Path:          ${info.path}
+  Created:       ${info.created || '-'}
+  Platform:      ${info.platform.name || '-'}
+  Base URL:      ${info.platform.baseUrl || '-'}
+  Captured:      ${info.capturedAt || 'not captured yet'}
+  Pages:         ${info.pages}
+  Screenshots:   ${info.screenshots}
+  Manifest:      ${yesNo(info.hasManifest)}
+  Design tokens: ${yesNo(info.hasDesignTokens)}
+  Prototype:     ${yesNo(info.hasPrototype)}
+`);
+}
+
+async function deleteProject(options) {
+  const name = getProjectName(options);
+
+  let projectDir;
+  try {
+    projectDir = projects.getProjectInfo(name).path;
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (!options.force && !(await confirm(`Delete ${projectDir} and all its captures?`, false))) {
+    log('Nothing removed (use --force to remove without asking)', 'info');
+    return;
+  }
+
+  projects.removeProject(name);
+  log(`Project ${name} removed`, 'success');
+}
+
+/**
+ * Keep the current capture as a snapshot before something replaces
+ * references/, so diff can compare the two. Returns the snapshot or null.
+ */
+function savePreviousCapture(projectDir, options) {
+  if (!fs.existsSync(path.join(projectDir, 'references', 'manifest.json'))) {
+    return null;
+  }
+  try {
+    const { snapshot, created } = snapshots.saveSnapshot(projectDir);
+    if (created && !options.json) {
+      log(`Saved previous capture as snapshot ${snapshot.id}`, 'info');
+    }
+    return snapshot;
+  } catch {
+    // Nothing captured yet
+    return null;
+  }
+}
+
+function captureCommand(options) {
+  const name = getProjectName(options);
+  if (options.live) {
+    captureLive(name, options);
+    return;
+  }
+  if (!options.from) {
+    log(`Missing capture source. Usage: npx ${SKILL_NAME} capture <name> --from <file.har|file.mhtml|page.html|folder>`, 'error');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+    // The capture replaces references/; keep the previous one for diff
+    savePreviousCapture(projectDir, options);
+    result = captureOffline(projectDir, options.from, { url: options.url || '' });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { manifest, tokens } = result;
+  log(`Captured ${manifest.pages.length} page${manifest.pages.length === 1 ? '' : 's'} from ${manifest.platform.source.path} (${manifest.platform.source.type})`, 'success');
+  for (const page of manifest.pages) {
+    console.log(`  ${page.name.padEnd(24)} ${page.url}`);
+  }
+  console.log(`\n  ${tokens.totalColorsFound} colors, ${tokens.fonts.families.length} font families, ` +
+    `${Object.keys(tokens.typography.fontSize).length} font sizes, ${Object.keys(tokens.spacing).length} spacing values ` +
+    `from ${result.elements} elements`);
+
+  for (const href of result.missingStyles) {
+    log(`Stylesheet not in the archive: ${href}`, 'warning');
+  }
+  for (const error of result.errors) {
+    log(`${path.relative(process.cwd(), error.file)}${error.url ? ` (${error.url})` : ''}: ${error.message}`, 'warning');
+  }
+  if (!manifest.platform.baseUrl) {
+    log('The saved pages don\'t record their address; pass --url to set the platform base URL', 'warning');
+  }
+  log('Archives have no screenshots: add them to references/screenshots/ and reference them from manifest.json pages', 'info');
+}
+
+/**
+ * Pre-step of a live capture with agent-browser, which writes references/
+ * itself: keeps the current capture as a snapshot and makes sure the
+ * folders exist
+ */
+function captureLive(name, options) {
+  let snapshot;
+  let referencesDir;
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+    referencesDir = path.join(projectDir, 'references');
+    snapshot = savePreviousCapture(projectDir, { ...options, json: true });
+    fs.mkdirSync(path.join(referencesDir, 'screenshots'), { recursive: true });
+    fs.mkdirSync(path.join(referencesDir, 'html'), { recursive: true });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ references: referencesDir, snapshot }, null, 2));
+    return;
+  }
+  log(snapshot ? `Previous capture kept as snapshot ${snapshot.id}` : 'No previous capture to keep', 'info');
+  log(`Ready for a live capture into ${path.relative(process.cwd(), referencesDir) || referencesDir}`, 'success');
+}
+
+function validateCommand(options) {
+  const name = getProjectName(options);
+
+  let report;
+  try {
+    report = validateProject(projects.resolveProjectDir(name));
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    log(`Validating ${report.project}`, 'info');
+    for (const issue of report.issues) {
+      log(`${issue.file}${issue.path === '/' ? '' : ` ${issue.path}`}: ${issue.message}`,
+        issue.severity === 'error' ? 'error' : 'warning');
+    }
+    console.log('');
+    log(`${report.errors} errors, ${report.warnings} warnings`, report.valid ? 'success' : 'error');
+    if (options.output) {
+      log(`Report written to ${options.output}`, 'info');
+    }
+  }
+
+  process.exit(report.valid ? 0 : 1);
+}
+
+function tokensCommand(options) {
+  const subcommand = options.args.shift();
+  if (subcommand === 'export') {
+    tokensExport(options);
+  } else if (subcommand === 'import') {
+    tokensImport(options);
+  } else if (subcommand === 'infer') {
+    tokensInfer(options);
+  } else {
+    log(`Unknown tokens command "${subcommand || ''}". Usage: npx ${SKILL_NAME} tokens <export|import|infer> <name>`, 'error');
+    process.exit(1);
+  }
+}
+
+function tokensExport(options) {
+  const name = getProjectName(options);
+  let result;
+  try {
+    result = exportTokens(projects.resolveProjectDir(name), { wire: options.wire });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const summary = Object.entries(result.counts)
+    .filter(([, count]) => count > 0)
+    .map(([category, count]) => `${count} ${category}`)
+    .join(', ');
+  log(`Exported ${summary}`, 'success');
+  for (const file of Object.values(result.files)) {
+    log(path.relative(process.cwd(), file), 'info');
+  }
+  for (const { file, status } of result.wiring) {
+    log(`${path.relative(process.cwd(), file)}: ${status}`, status.startsWith('manual') ? 'warning' : 'success');
+  }
+}
+
+function tokensImport(options) {
+  const name = getProjectName(options);
+  const precedence = options.precedence
+    ? options.precedence.split(',').map(s => s.trim()).filter(Boolean)
+    : DEFAULT_PRECEDENCE;
+
+  let result;
+  try {
+    result = importTokens(projects.resolveProjectDir(name), {
+      figma: options.figma,
+      'style-dictionary': options.styleDictionary
+    }, { precedence, dryRun: options.dryRun });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  log(`Precedence: ${precedence.join(' > ')}`, 'info');
+  for (const [source, count] of Object.entries(result.imported)) {
+    log(`${count} tokens mapped from ${source}`, 'success');
+    if (result.skipped[source].length > 0) {
+      log(`${result.skipped[source].length} ${source} tokens had no design-tokens.json equivalent: ${result.skipped[source].slice(0, 5).join(', ')}${result.skipped[source].length > 5 ? ', ...' : ''}`, 'warning');
+    }
+  }
+  if (result.overridden.length > 0) {
+    log(`${result.overridden.length} values lost to a higher-precedence source`, 'info');
+  }
+
+  const bySource = {};
+  for (const origin of Object.values(result.tokens.sources)) {
+    bySource[origin.source] = (bySource[origin.source] || 0) + 1;
+  }
+  log(`Result: ${Object.entries(bySource).map(([source, count]) => `${count} from ${source}`).join(', ')}`, 'info');
+  log(options.dryRun ? 'Dry run: nothing written' : `Updated ${path.relative(process.cwd(), result.file)}`,
+    options.dryRun ? 'info' : 'success');
+}
+
+function tokensInfer(options) {
+  const name = getProjectName(options);
+  let result;
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+    // Inference rewrites design-tokens.json; keep the current capture for diff
+    if (!options.dryRun) {
+      savePreviousCapture(projectDir, options);
+    }
+    result = inferProjectTokens(projectDir, { dryRun: options.dryRun, force: options.force });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { tokens } = result;
+  log(`Inferred from ${result.elements} elements on ${result.pages} page${result.pages === 1 ? '' : 's'}`, 'success');
+  const merged = tokens.rawColors.filter(c => c.merged).reduce((sum, c) => sum + c.merged.length, 0);
+  console.log(`  ${tokens.rawColors.length} distinct colors${merged ? ` (${merged} near-duplicates merged)` : ''}` +
+    `${tokens.inference.spacingGrid ? `, ${tokens.inference.spacingGrid}px spacing grid` : ''}\n`);
+
+  const entries = Object.entries(tokens.confidence);
+  const width = Math.max(...entries.map(([key]) => key.length), 0) + 2;
+  for (const [key, confidence] of entries) {
+    const value = key.split('.').reduce((node, k) => (node ? node[k] : undefined), tokens);
+    const shade = confidence < 0.5 ? '\x1b[2m' : '';
+    console.log(`  ${shade}${key.padEnd(width)}${String(value).padEnd(34)} ${confidence.toFixed(2)}\x1b[0m`);
+  }
+  console.log('');
+
+  if (result.kept) {
+    log(`Kept ${result.kept} imported or hand-edited values over inferred ones (--force replaces the hand-edited ones)`, 'info');
+  }
+  if (result.dropped.length) {
+    log(`Replaced ${result.dropped.length} hand-edited values: ${result.dropped.join(', ')}`, 'warning');
+  }
+  log(options.dryRun ? 'Dry run: nothing written' : `Updated ${path.relative(process.cwd(), result.file)}`,
+    options.dryRun ? 'info' : 'success');
+}
+
+/**
+ * Read a password without echoing it, or from stdin when it isn't a terminal
+ */
+async function readPassword(prompt, fromStdin) {
+  if (fromStdin || !process.stdin.isTTY) {
+    let input = '';
+    for await (const chunk of process.stdin) {
+      input += chunk;
+    }
+    return input.replace(/\r?\n$/, '');
+  }
+
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = text => {
+    if (text.startsWith(prompt)) {
+      process.stdout.write(prompt);
+    }
+  };
+  const answer = await new Promise(resolve => rl.question(prompt, resolve));
+  rl.close();
+  process.stdout.write('\n');
+  return answer;
+}
+
+async function credentialsCommand(options) {
+  const subcommand = options.args.shift();
+  const platform = options.args[0];
+
+  try {
+    if (subcommand === 'set') {
+      await credentialsSet(platform, options);
+    } else if (subcommand === 'get') {
+      credentialsGet(platform, options);
+    } else if (subcommand === 'exec') {
+      credentialsExec(platform, options);
+    } else if (subcommand === 'remove') {
+      const name = credentials.toPlatformName(platform);
+      if (credentials.removeCredentials(name)) {
+        log(`Credentials for ${name} removed`, 'success');
+      } else {
+        log(`No stored credentials for ${name}`, 'info');
+      }
+    } else {
+      log(`Unknown credentials command "${subcommand || ''}". Usage: npx ${SKILL_NAME} credentials <set|get|exec|remove> <platform>`, 'error');
+      process.exit(1);
+    }
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+}
+
+async function credentialsSet(platform, options) {
+  const name = credentials.toPlatformName(platform);
+  const fields = {
+    email: options.email,
+    passwordEnv: options.passwordEnv,
+    passwordFile: options.passwordFile,
+    storageState: options.storageState
+  };
+
+  // Prompt only when no other way to log in was given
+  const hasSource = options.passwordEnv || options.passwordFile || options.storageState;
+  if (options.passwordStdin || (!hasSource && process.stdin.isTTY)) {
+    fields.password = await readPassword(`Password for ${name}: `, options.passwordStdin);
+    if (!fields.password) {
+      throw new Error('Empty password; nothing stored');
+    }
+  }
+
+  const result = credentials.setCredentials(name, fields);
+  log(`Credentials for ${result.platform} saved to ${result.file}`, 'success');
+  if (options.storageState) {
+    const state = credentials.inspectStorageState(path.resolve(options.storageState));
+    log(`Storage state: ${state.cookies} cookies (${state.format})`, state.expired ? 'warning' : 'info');
+    if (state.expired) {
+      log('Every cookie in it has expired; log in again and re-save it', 'warning');
+    }
+  }
+}
+
+/**
+ * Run a command with a platform's login in its environment, so the skill can
+ * log agent-browser in without the password appearing in the conversation
+ */
+function credentialsExec(platform, options) {
+  const [command, ...commandArgs] = options.exec;
+  if (!platform || !command) {
+    throw new Error(`Usage: npx ${SKILL_NAME} credentials exec <platform> -- <command> [args...]`);
+  }
+
+  const resolved = credentials.resolveCredentials(platform);
+  const env = credentials.credentialsEnv(resolved);
+  if (Object.keys(env).length === 0) {
+    throw new Error(`No credentials for ${resolved.platform} (stored, or in ${Object.values(credentials.ENV).join(', ')})`);
+  }
+
+  const { spawnSync } = require('child_process');
+  const result = spawnSync(command, commandArgs, { stdio: 'inherit', env: { ...process.env, ...env } });
+  if (result.error) {
+    throw new Error(`Could not run ${command}: ${result.error.message}`);
+  }
+  process.exitCode = result.status === null ? 1 : result.status;
+}
+
+function credentialsGet(platform, options) {
+  if (!platform) {
+    const stored = credentials.listPlatforms();
+    if (options.json) {
+      console.log(JSON.stringify(stored, null, 2));
+    } else if (stored.length === 0) {
+      log(`No stored credentials (${credentials.storePath()})`, 'info');
+    } else {
+      stored.forEach(name => console.log(`  ${name}`));
+    }
+    return;
+  }
+
+  const resolved = credentials.resolveCredentials(platform);
+  const output = {
+    ...resolved,
+    password: resolved.password ? '********' : null
+  };
+  if (resolved.storageState) {
+    try {
+      output.storageStateInfo = credentials.inspectStorageState(resolved.storageState);
+    } catch (e) {
+      output.storageStateInfo = { error: e.message };
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+
+  if (!resolved.email && !resolved.password && !resolved.storageState) {
+    log(`No credentials for ${resolved.platform} (stored, or in ${Object.values(credentials.ENV).join(', ')})`, 'warning');
+    process.exit(1);
+  }
+
+  log(`Credentials for ${resolved.platform}`, 'info');
+  const row = (label, value, source) => console.log(`  ${label.padEnd(14)}${value || '-'}${source ? `  \x1b[2m(${source})\x1b[0m` : ''}`);
+  row('Email', output.email, resolved.sources.email);
+  row('Password', output.password, resolved.sources.password);
+  row('Storage state', output.storageState, resolved.sources.storageState);
+  if (output.storageStateInfo) {
+    const info = output.storageStateInfo;
+    if (info.error) {
+      log(info.error, 'error');
+    } else if (info.expired) {
+      log(`Storage state cookies have all expired (${info.cookies} cookies)`, 'warning');
+    }
+  }
+}
+
+function formatConfigValue(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]' : value
+      .map(v => (v && typeof v === 'object' ? `${v.name} ${v.width}x${v.height}` : v))
+      .join(', ');
+  }
+  return String(value);
+}
+
+function configCommand(options) {
+  const subcommand = options.args.shift();
+  if (subcommand !== 'show') {
+    log(`Unknown config command "${subcommand || ''}". Usage: npx ${SKILL_NAME} config show`, 'error');
+    process.exit(1);
+  }
+
+  const result = loadConfig();
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.errors.length ? 1 : 0);
+  }
+
+  const read = Object.values(result.files).map(file => path.relative(process.cwd(), file));
+  log(`Capture configuration (${read.length ? `read ${read.join(', ')}` : 'no config files found'})`, 'info');
+  console.log('  Precedence: defaults < CLAUDE.md < capture-config.json < .env < environment\n');
+
+  const entries = Object.entries(result.settings);
+  const width = Math.max(...entries.map(([key]) => key.length)) + 2;
+  const valueWidth = Math.min(48, Math.max(...entries.map(([, s]) => formatConfigValue(s.value).length))) + 2;
+  for (const [key, setting] of entries) {
+    const source = setting.source === 'default' ? '\x1b[2mdefault\x1b[0m' : `\x1b[36m${setting.source}\x1b[0m`;
+    console.log(`  ${key.padEnd(width)}${formatConfigValue(setting.value).padEnd(valueWidth)}${source}`);
+    for (const previous of setting.overridden) {
+      console.log(`  ${''.padEnd(width)}\x1b[2moverrides ${formatConfigValue(previous.value)} from ${previous.source}\x1b[0m`);
+    }
+  }
+
+  if (result.warnings.length || result.errors.length) {
+    console.log('');
+  }
+  for (const warning of result.warnings) {
+    log(`${warning.source} ${warning.key}: ${warning.message}`, 'warning');
+  }
+  for (const error of result.errors) {
+    log(`${error.source} ${error.key}: ${error.message}`, 'error');
+  }
+
+  if (result.errors.length) {
+    console.log('');
+    log(`${result.errors.length} configuration error${result.errors.length === 1 ? '' : 's'}`, 'error');
+    process.exit(1);
+  }
+}
+
+function snapshotCommand(options) {
+  const subcommand = options.args.shift();
+  const name = getProjectName(options);
+
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+
+    if (subcommand === 'save') {
+      const { snapshot, created } = snapshots.saveSnapshot(projectDir, { label: options.label });
+      if (options.json) {
+        console.log(JSON.stringify({ ...snapshot, created }, null, 2));
+      } else if (created) {
+        log(`Saved snapshot ${snapshot.id} (${snapshot.pages} pages, ${snapshot.tabs} tabs)`, 'success');
+      } else {
+        log(`This capture is already saved as ${snapshot.id}`, 'info');
+      }
+    } else if (subcommand === 'list') {
+      const list = snapshots.listSnapshots(projectDir);
+      if (options.json) {
+        console.log(JSON.stringify(list, null, 2));
+      } else if (list.length === 0) {
+        log(`No snapshots yet. Save one with: npx ${SKILL_NAME} snapshot save ${name}`, 'info');
+      } else {
+        console.log(`  ${'ID'.padEnd(24)} ${'PAGES'.padEnd(6)} ${'TABS'.padEnd(6)} LABEL`);
+        for (const s of list) {
+          console.log(`  ${s.id.padEnd(24)} ${String(s.pages).padEnd(6)} ${String(s.tabs).padEnd(6)} ${s.label || ''}`);
+        }
+      }
+    } else {
+      log(`Unknown snapshot command "${subcommand || ''}". Usage: npx ${SKILL_NAME} snapshot <save|list> <name>`, 'error');
+      process.exit(1);
+    }
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+}
+
+async function diffCommand(options) {
+  const name = options.project || options.args.shift();
+  if (!name) {
+    log(`Missing project name. Usage: npx ${SKILL_NAME} diff <name> [from] [to]`, 'error');
+    process.exit(1);
+  }
+
+  const threshold = options.threshold === null ? 0.5 : Number(options.threshold);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    log(`--threshold must be a percentage between 0 and 100, got "${options.threshold}"`, 'error');
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+
+    // Keep the capture in references/ so it can be diffed again later
+    try {
+      const { snapshot, created } = snapshots.saveSnapshot(projectDir);
+      if (created && !options.json) {
+        log(`Saved current capture as snapshot ${snapshot.id}`, 'info');
+      }
+    } catch (e) {
+      if (!options.json) {
+        log(`Current capture not saved: ${e.message}`, 'warning');
+      }
+    }
+
+    const from = snapshots.resolveSnapshot(projectDir, options.args[0] || 'previous');
+    const to = snapshots.resolveSnapshot(projectDir, options.args[1] || 'latest');
+    if (from.path === to.path) {
+      throw new Error(`Nothing to compare: "${from.id}" and "${to.id}" are the same capture`);
+    }
+
+    const outDir = path.join(snapshots.getSnapshotsDir(projectDir), 'diffs', `${from.id}_${to.id}`);
+    report = await diffCaptures(from.path, to.path, outDir, { threshold });
+    Object.assign(report, { project: name, fromId: from.id, toId: to.id });
+    report.report = writeDiffReport(outDir, report);
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  log(`${name}: ${report.fromId} → ${report.toId}`, 'info');
+  const lines = [];
+  report.pages.added.forEach(p => lines.push(`\x1b[32m+ page\x1b[0m   ${p.name}`));
+  report.pages.removed.forEach(p => lines.push(`\x1b[31m- page\x1b[0m   ${p.name}`));
+  report.tabs.added.forEach(t => lines.push(`\x1b[32m+ tab\x1b[0m    ${t.page} › ${t.tab}`));
+  report.tabs.removed.forEach(t => lines.push(`\x1b[31m- tab\x1b[0m    ${t.page} › ${t.tab}`));
+
+  const groups = {};
+  for (const change of report.tokens) {
+    groups[change.group] = (groups[change.group] || 0) + 1;
+  }
+  for (const [group, count] of Object.entries(groups)) {
+    lines.push(`\x1b[33m~ tokens\x1b[0m ${count} ${group} change${count === 1 ? '' : 's'}`);
+  }
+  for (const shot of report.screenshots.filter(s => s.changed || s.mismatch === null)) {
+    const what = `${shot.page} (${shot.kind === 'tab' ? `tab ${shot.name}` : shot.name})`;
+    const detail = shot.mismatch === null ? shot.message : `${shot.mismatch}% pixels differ${shot.message ? `, ${shot.message}` : ''}`;
+    lines.push(`\x1b[33m~ image\x1b[0m  ${what}: ${detail}`);
+  }
+  lines.forEach(line => console.log(`  ${line}`));
+
+  const same = report.screenshots.filter(s => !s.changed && s.mismatch !== null).length;
+  console.log(`\n  ${report.pages.matched} pages matched, ${same}/${report.screenshots.length} screenshots within ${report.threshold}%`);
+  log(`Report: ${path.relative(process.cwd(), report.report)}`, 'info');
+
+  if (report.changed) {
+    log(`The platform changed: the ${name} prototype needs regenerating`, 'warning');
+  } else {
+    log('No changes between the two captures', 'success');
+  }
+}
+
+function a11yCommand(options) {
+  const name = getProjectName(options);
+
+  let report;
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+    if (!options.json) {
+      log(`Auditing ${name} against WCAG 2.1 AA...`, 'info');
+    }
+    report = auditProject(projectDir, { failOn: options.failOn });
+    report.report = writeA11yReport(projectDir, report);
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.failed ? 1 : 0);
+  }
+
+  const colors = { critical: '\x1b[31m', serious: '\x1b[33m', moderate: '\x1b[36m', minor: '\x1b[2m' };
+  for (const route of report.routes) {
+    const issues = report.issues.filter(issue => issue.route === route.route);
+    console.log(`\n  \x1b[1m${route.route}\x1b[0m \x1b[2m${route.file}, ${route.states.length || 0} state${route.states.length === 1 ? '' : 's'}\x1b[0m`);
+    for (const issue of issues) {
+      const where = `${issue.element}${issue.text ? ` "${issue.text}"` : ''}${issue.count > 1 ? ` ×${issue.count}` : ''}`;
+      console.log(`    ${colors[issue.severity]}${issue.severity.padEnd(8)}\x1b[0m ${issue.message}`);
+      console.log(`             \x1b[2m${where}${issue.states[0] === 'initial' ? '' : `, ${issue.states.join(', ')}`}\x1b[0m`);
+    }
+    if (issues.length === 0) {
+      console.log('    No issues');
+    }
+    if (route.unresolved) {
+      console.log(`    \x1b[2m${route.unresolved} text elements use Tailwind's default palette; contrast not checked\x1b[0m`);
+    }
+  }
+
+  const never = report.tokenPairs.filter(pair => pair.level === 'never');
+  if (report.tokenPairs.length) {
+    console.log('\n  \x1b[1mDesign token pairs\x1b[0m');
+    for (const pair of never) {
+      console.log(`    ${colors[pair.severity]}${pair.severity.padEnd(8)}\x1b[0m ${pair.foreground} on ${pair.background} is ${pair.ratio}:1 and can never meet AA`);
+    }
+    const largeOnly = report.tokenPairs.length - never.length;
+    if (largeOnly) {
+      console.log(`    ${colors.minor}minor   \x1b[0m ${largeOnly} pair${largeOnly === 1 ? '' : 's'} only meet AA as large text (18.66px bold or 24px)`);
+    }
+  }
+
+  console.log(`\n  ${[...SEVERITIES].reverse().map(s => `${report.counts[s]} ${s}`).join(', ')}`);
+  log(`Report: ${path.relative(process.cwd(), report.report)}`, 'info');
+  if (report.failed) {
+    log(`Accessibility issues at ${report.failOn} severity or above`, 'error');
+    process.exit(1);
+  }
+  log(report.failOn === 'none' ? 'Audit complete' : `No issues at ${report.failOn} severity or above`, 'success');
+}
+
+function tokenizeCommand(options) {
+  const name = getProjectName(options);
+
+  let result;
+  try {
+    result = tokenizeProject(projects.resolveProjectDir(name), { dryRun: options.dryRun });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  for (const file of result.files) {
+    if (file.error) {
+      log(`${file.file}: could not parse (${file.error})`, 'warning');
+      continue;
+    }
+    if (file.hunks.length === 0) {
+      continue;
+    }
+    console.log(`\n  \x1b[1m${file.file}\x1b[0m \x1b[2m${file.replaced.length} value${file.replaced.length === 1 ? '' : 's'}\x1b[0m`);
+    if (options.dryRun) {
+      for (const hunk of file.hunks) {
+        console.log(`\x1b[36m@@ line ${hunk.start} @@\x1b[0m`);
+        for (const line of hunk.lines) {
+          const color = line[0] === '-' ? '\x1b[31m' : line[0] === '+' ? '\x1b[32m' : '';
+          console.log(color ? `${color}${line}\x1b[0m` : line);
+        }
+      }
+    }
+  }
+
+  if (result.kept.length) {
+    console.log('\n  \x1b[1mKept\x1b[0m \x1b[2mmatch a token but are used where var() would break\x1b[0m');
+    for (const item of result.kept) {
+      console.log(`    ${item.name} ${item.value} → ${item.token} \x1b[2m${item.file}: ${item.reason}\x1b[0m`);
+    }
+  }
+
+  if (result.unmatched.length) {
+    console.log('\n  \x1b[1mNo matching token\x1b[0m');
+    for (const item of result.unmatched) {
+      const closest = item.closest ? ` \x1b[2mclosest ${item.closest} (${item.kind === 'color' ? 'ΔE ' : ''}${item.distance}${item.kind === 'color' ? '' : 'px'})\x1b[0m` : '';
+      console.log(`    ${item.kind.padEnd(12)} ${item.value}${item.count > 1 ? ` ×${item.count}` : ''}${closest}`);
+    }
+  }
+
+  console.log('');
+  const summary = `${result.replaced} value${result.replaced === 1 ? '' : 's'} in ${result.changedFiles} file${result.changedFiles === 1 ? '' : 's'}`;
+  if (options.dryRun) {
+    log(`Would replace ${summary} (dry run, nothing written)`, 'info');
+  } else {
+    log(`Replaced ${summary}`, result.replaced ? 'success' : 'info');
+    if (result.exported) {
+      log(`Tokens exported to ${path.relative(process.cwd(), path.dirname(result.exported.files.css))}`, 'info');
+    }
+  }
+  if (result.unmatched.length) {
+    log(`${result.unmatched.length} value${result.unmatched.length === 1 ? '' : 's'} had no matching token`, 'warning');
+  }
+}
+
+async function mockCommand(options) {
+  const name = getProjectName(options);
+
+  const count = options.count === null ? DEFAULT_COUNT : Number(options.count);
+  if (!Number.isInteger(count) || count < 1) {
+    log(`--count must be a whole number of at least 1, got "${options.count}"`, 'error');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = await generateMocks(projects.resolveProjectDir(name), {
+      count,
+      force: options.force,
+      wire: options.wire,
+      offline: options.offline,
+      reset: options.reset,
+      dryRun: options.dryRun
+    });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log('\n  \x1b[1mCollections\x1b[0m');
+  for (const collection of result.collections) {
+    console.log(`    ${collection.name.padEnd(16)} ${String(collection.count).padStart(3)} ${collection.entity} \x1b[2m${collection.source}\x1b[0m`);
+  }
+  if (result.collections.length === 0) {
+    console.log('    \x1b[2mnone found\x1b[0m');
+  }
+
+  if (result.skipped.length) {
+    console.log('\n  \x1b[1mSkipped\x1b[0m');
+    for (const item of result.skipped) {
+      console.log(`    ${item.name ? `${item.name} ` : ''}\x1b[2m${item.file}: ${item.reason}\x1b[0m`);
+    }
+  }
+
+  if (result.files.length) {
+    console.log('\n  \x1b[1mFiles\x1b[0m');
+    for (const file of result.files) {
+      console.log(`    ${file.status.padEnd(8)} ${file.file}`);
+    }
+  }
+
+  if (result.wired.length) {
+    console.log('\n  \x1b[1mWired\x1b[0m');
+    for (const item of result.wired) {
+      console.log(`    ${item.file}:${item.line} ${item.name} → ${item.to}`);
+    }
+  }
+
+  const byStatus = {};
+  for (const image of result.images) {
+    byStatus[image.status] = (byStatus[image.status] || 0) + 1;
+  }
+  if (result.images.length) {
+    console.log('\n  \x1b[1mImages\x1b[0m');
+    console.log(`    ${Object.entries(byStatus).map(([status, n]) => `${n} ${status}`).join(', ')}`);
+    for (const image of result.images.filter(i => i.status === 'placeholder' && i.reason && i.reason !== 'offline')) {
+      console.log(`    \x1b[2m${image.url}: ${image.reason}\x1b[0m`);
+    }
+  }
+
+  console.log('');
+  const total = result.collections.reduce((sum, c) => sum + c.count, 0);
+  const summary = `${result.collections.length} collection${result.collections.length === 1 ? '' : 's'} (${total} record${total === 1 ? '' : 's'})`;
+  if (options.dryRun) {
+    log(`Would write ${summary} (dry run, nothing written)`, 'info');
+  } else {
+    log(`Mock data ready: ${summary}`, 'success');
+    if (result.reset) {
+      log('Saved mock API changes discarded', 'info');
+    }
+  }
+  if (byStatus.placeholder) {
+    log(`${byStatus.placeholder} image${byStatus.placeholder === 1 ? '' : 's'} replaced by placeholders; run mock again online to download them`, 'warning');
+  }
+}
+
+function exportCommand(options) {
+  const name = getProjectName(options);
+
+  let result;
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+    if (!options.json) {
+      log(`Building ${name} as static files...`, 'info');
+    }
+    result = review.exportReview(projectDir, {
+      output: options.output,
+      zip: options.zip,
+      force: options.force,
+      quiet: options.json
+    });
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log('\n  \x1b[1mPages\x1b[0m');
+  for (const page of result.pages) {
+    const shots = `${page.screenshots} screenshot${page.screenshots === 1 ? '' : 's'}`;
+    console.log(`    ${page.found ? '\x1b[32m✓\x1b[0m' : '\x1b[33m⚠\x1b[0m'} ${page.name.padEnd(28)} ${page.route.padEnd(20)} \x1b[2m${page.found ? shots : 'no such route in the prototype'}\x1b[0m`);
+  }
+  console.log('');
+
+  const output = path.relative(process.cwd(), result.output) || '.';
+  log(`Exported ${result.pages.length} page${result.pages.length === 1 ? '' : 's'} and ${result.routes.length} route${result.routes.length === 1 ? '' : 's'} to ${output}`, 'success');
+  if (result.comments) {
+    log(`Includes ${result.comments} earlier comment${result.comments === 1 ? '' : 's'}`, 'info');
+  }
+  if (result.apiRoutes.length) {
+    log(`Left out API routes (${result.apiRoutes.join(', ')}): a static export has no server. The mock API client keeps changes in localStorage instead`, 'warning');
+  }
+  const missing = result.pages.filter(p => !p.found).length;
+  if (missing) {
+    log(`${missing} page${missing === 1 ? ' has' : 's have'} no matching route; set "routes" in visual-regression.json or pick one in the viewer`, 'warning');
+  }
+  log(result.zip
+    ? 'Unzip it and serve the folder from the root of any static host (for example npx serve <folder>), then open /__review/'
+    : `Serve it with: npx serve ${output}, then open /__review/`, 'info');
+}
+
+function commentsCommand(options) {
+  const subcommand = options.args.shift();
+  const name = getProjectName(options);
+
+  try {
+    const projectDir = projects.resolveProjectDir(name);
+
+    if (subcommand === 'import') {
+      const file = options.args[1] || options.from;
+      if (!file) {
+        log(`Missing comments file. Usage: npx ${SKILL_NAME} comments import <name> <file>`, 'error');
+        process.exit(1);
+      }
+      const result = review.importComments(projectDir, path.resolve(file));
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+      log(`${result.added} added, ${result.updated} updated, ${result.removed} removed, ${result.unchanged} unchanged`, 'success');
+      log(`${result.total} comment${result.total === 1 ? '' : 's'} in ${path.relative(process.cwd(), result.file)}`, 'info');
+    } else if (subcommand === 'list') {
+      const comments = review.readComments(projectDir).filter(c => options.all || !c.resolved);
+      if (options.json) {
+        console.log(JSON.stringify(comments, null, 2));
+        return;
+      }
+      if (comments.length === 0) {
+        log(`No ${options.all ? '' : 'open '}comments. Import a reviewer's file with: npx ${SKILL_NAME} comments import ${name} <file>`, 'info');
+        return;
+      }
+      const pages = [...new Set(comments.map(c => c.page))];
+      for (const page of pages) {
+        console.log(`\n  \x1b[1m${page}\x1b[0m`);
+        for (const c of comments.filter(comment => comment.page === page)) {
+          const where = [c.author || 'Anonymous', `${c.shot || 'page'} at ${c.x}, ${c.y}`, c.on && `on the ${c.on}`, c.route].filter(Boolean).join(' · ');
+          const text = c.resolved ? `\x1b[2m${c.text} (resolved)\x1b[0m` : c.text;
+          console.log(`    ${text}\n      \x1b[2m${where}\x1b[0m`);
+        }
+      }
+      console.log('');
+    } else {
+      log(`Unknown comments command "${subcommand || ''}". Usage: npx ${SKILL_NAME} comments <import|list> <name>`, 'error');
+      process.exit(1);
+    }
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+}
+
+function parseArgs(args) {
+  const options = {
+    command: 'install',
+    global: false,
+    local: true,
+    force: false,
+    offline: false,
+    from: null,
+    live: false,
+    cache: null,
+    json: false,
+    rollback: false,
+    diff: false,
+    url: null,
+    project: null,
+    output: null,
+    wire: true,
+    figma: null,
+    styleDictionary: null,
+    precedence: null,
+    dryRun: false,
+    email: null,
+    passwordEnv: null,
+    passwordFile: null,
+    passwordStdin: false,
+    storageState: null,
+    exec: [],
+    label: null,
+    threshold: null,
+    failOn: DEFAULT_FAIL_ON,
+    count: null,
+    reset: false,
+    zip: false,
+    all: false,
+    args: []
+  };
+  let commandSeen = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    // Everything after -- is a command to run (credentials exec)
+    if (arg === '--') {
+      options.exec = args.slice(i + 1);
+      break;
+    }
+
+    switch (arg) {
+      case 'install':
+      case 'uninstall':
+      case 'upgrade':
+      case 'doctor':
+      case 'new':
+      case 'list':
+      case 'info':
+      case 'remove':
+      case 'capture':
+      case 'validate':
+      case 'tokens':
+      case 'credentials':
+      case 'config':
+      case 'snapshot':
+      case 'diff':
+      case 'a11y':
+      case 'tokenize':
+      case 'mock':
+      case 'export':
+      case 'comments':
+      case 'help':
+        // Only the first command word selects the command; later ones are arguments
+        if (!commandSeen) {
+          options.command = arg;
+          commandSeen = true;
+        } else {
+          options.args.push(arg);
+        }
+        break;
+      case '--global':
+      case '-g':
+        options.global = true;
+        options.local = false;
+        break;
+      case '--local':
+      case '-l':
+        options.local = true;
+        options.global = false;
+        break;
+      case '--force':
+      case '-f':
+        options.force = true;
+        break;
+      case '--offline':
+        options.offline = true;
+        break;
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--live':
+        options.live = true;
+        break;
+      case '--cache':
+        options.cache = args[++i];
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--rollback':
+        options.rollback = true;
+        break;
+      case '--diff':
+        options.diff = true;
+        break;
+      case '--url':
+        options.url = args[++i];
+        break;
+      case '--project':
+      case '-p':
+        options.project = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        options.output = args[++i];
+        break;
+      case '--no-wire':
+        options.wire = false;
+        break;
+      case '--figma':
+        options.figma = args[++i];
+        break;
+      case '--style-dictionary':
+        options.styleDictionary = args[++i];
+        break;
+      case '--precedence':
+        options.precedence = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--email':
+        options.email = args[++i];
+        break;
+      case '--password-env':
+        options.passwordEnv = args[++i];
+        break;
+      case '--password-file':
+        options.passwordFile = args[++i];
+        break;
+      case '--password-stdin':
+        options.passwordStdin = true;
+        break;
+      case '--storage-state':
+        options.storageState = args[++i];
+        break;
+      case '--label':
+        options.label = args[++i];
+        break;
+      case '--threshold':
+        options.threshold = args[++i];
+        break;
+      case '--fail-on':
+        options.failOn = args[++i];
+        break;
+      case '--count':
+        options.count = args[++i];
+        break;
+      case '--reset':
+        options.reset = true;
+        break;
+      case '--zip':
+        options.zip = true;
+        break;
+      case '--all':
+        options.all = true;
+        break;
+      case '--help':
+      case '-h':
+        options.command = 'help';
+        break;
+      case '--version':
+      case '-v':
+        console.log(VERSION);
+        process.exit(0);
+        break;
+      default:
+        if (!arg.startsWith('-')) {
+          options.args.push(arg);
+        }
+    }
+  }
+
+  return options;
+}
+
+// Main
+async function main() {
+  const args = process.argv.slice(2);
+  const options = parseArgs(args);
+
+  // Check for updates (non-blocking, 3s timeout). capture reads saved
+  // archives precisely because there is no network, so it never checks.
+  if (!options.offline && !options.json && options.command !== 'capture') {
+    await checkForUpdates();
+  }
+
+  switch (options.command) {
+    case 'install':
+      install(options);
+      break;
     case 'uninstall':
       uninstall(options);
       break;
+    case 'upgrade':
+      await upgrade(options);
+      break;
+    case 'doctor':
+      doctor(options);
+      break;
+    case 'new':
+      newProject(options);
+      break;
+    case 'list':
+      showProjects(options);
+      break;
+    case 'info':
+      showProjectInfo(options);
+      break;
+    case 'remove':
+      await deleteProject(options);
+      break;
+    case 'capture':
+      captureCommand(options);
+      break;
+    case 'validate':
+      validateCommand(options);
+      break;
+    case 'tokens':
+      tokensCommand(options);
+      break;
+    case 'credentials':
+      await credentialsCommand(options);
+      break;
+    case 'config':
+      configCommand(options);
+      break;
+    case 'snapshot':
+      snapshotCommand(options);
+      break;
+    case 'diff':
+      await diffCommand(options);
+      break;
+    case 'a11y':
+      a11yCommand(options);
+      break;
+    case 'tokenize':
+      tokenizeCommand(options);
+      break;
+    case 'mock':
+      await mockCommand(options);
+      break;
+    case 'export':
+      exportCommand(options);
+      break;
+    case 'comments':
+      commentsCommand(options);
+      break;
     case 'help':
     default:
       showHelp();
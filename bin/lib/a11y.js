@@ -0,0 +1,1018 @@
+/**
+ * Accessibility audit
+ *
+ * Renders every route of a prototype (each page.tsx under app/) in jsdom and
+ * checks it against WCAG 2.1 AA:
+ *
+ *   contrast  text, and icons in buttons and links, against the background
+ *             they sit on, naming the design tokens the colors come from
+ *   labels    buttons, links and form fields without an accessible name
+ *   focus     positive tabindex, click handlers the keyboard can't reach,
+ *             focusable elements inside aria-hidden, dialogs that open
+ *             without taking focus
+ *   aria      dialogs without role="dialog" or a name, and message lists
+ *             that update without a live region
+ *
+ * Buttons that open something (aria-expanded="false", aria-haspopup, or
+ * named "Open ..."/"Show ...") are clicked one at a time and the route is
+ * checked again in that state, so closed chat windows and menus are covered.
+ *
+ * jsdom has no layout or Tailwind build: colors and sizes come from inline
+ * styles, globals.css and the Tailwind classes that map to design tokens or
+ * arbitrary values. Text whose color comes from Tailwind's default palette
+ * is counted as unresolved rather than guessed.
+ *
+ * The design tokens are also checked on their own for text/background
+ * pairs that can never meet AA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseColor, normalizeColor, toHex, contrastRatio } = require('./colors');
+const { normalizeTokens, findGlobalsCss } = require('./tokens');
+const { installHooks, setupDom, mountComponent } = require('./component-renderer');
+const { escapeHtml } = require('./html');
+
+const SEVERITIES = ['minor', 'moderate', 'serious', 'critical'];
+const DEFAULT_FAIL_ON = 'serious';
+const A11Y_DIR = 'a11y';
+
+const AA_NORMAL = 4.5;
+const AA_LARGE = 3;
+const AA_NON_TEXT = 3;
+const MAX_OPENERS = 5;
+const PAGE_FILES = ['page.tsx', 'page.jsx', 'page.ts', 'page.js'];
+
+const TAILWIND_FONT_SIZES = {
+  xs: '12px', sm: '14px', base: '16px', lg: '18px', xl: '20px', '2xl': '24px', '3xl': '30px',
+  '4xl': '36px', '5xl': '48px', '6xl': '60px', '7xl': '72px', '8xl': '96px', '9xl': '128px'
+};
+const TAILWIND_FONT_WEIGHTS = {
+  thin: '100', extralight: '200', light: '300', normal: '400', medium: '500',
+  semibold: '600', bold: '700', extrabold: '800', black: '900'
+};
+const TAILWIND_COLORS = { white: '#FFFFFF', black: '#000000', transparent: 'transparent' };
+const TAILWIND_PALETTE = /^(?:text|bg)-(?:slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-\d{2,3}(?:\/\d+)?$/;
+const FONT_SIZE_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+
+const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+const CONTROL_SELECTOR = 'button, a[href], [role="button"], [role="link"], input[type="submit"], input[type="button"], input[type="image"]';
+const NATIVE_FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true"]';
+const LIVE_ROLES = ['log', 'status', 'alert', 'marquee', 'timer'];
+const LIVE_HINT = /^(messages|conversation|transcript|chatlog|feed|toasts|notifications|alerts)$/i;
+const CLOSE_NAME = /\b(close|dismiss)\b|^[×✕✖x]$/i;
+const OPENER_NAME = /^(open|show|expand)\b/i;
+
+/**
+ * Routes of a Next.js app directory: [{ route, file, params }]. Route groups
+ * are dropped, private (_folder) and parallel (@slot) folders and api/ are
+ * skipped, and dynamic segments get a placeholder value.
+ */
+function findRoutes(prototypeDir) {
+  const appDir = [path.join(prototypeDir, 'src', 'app'), path.join(prototypeDir, 'app')].find(dir => fs.existsSync(dir));
+  if (!appDir) {
+    return [];
+  }
+
+  const routes = [];
+  const walk = (dir, segments, params) => {
+    const page = PAGE_FILES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (page) {
+      routes.push({ route: `/${segments.join('/')}`, file: page, params });
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const name = entry.name;
+      if (!entry.isDirectory() || /^[_@.]/.test(name) || name === 'api' || name === 'node_modules') {
+        continue;
+      }
+      const dynamic = name.match(/^\[{1,2}(\.\.\.)?([^\]]+)\]{1,2}$/);
+      const nextParams = dynamic ? { ...params, [dynamic[2]]: dynamic[1] ? ['example'] : 'example' } : params;
+      walk(path.join(dir, name), /^\(.*\)$/.test(name) ? segments : [...segments, name], nextParams);
+    }
+  };
+  walk(appDir, [], {});
+  return routes;
+}
+
+/**
+ * Custom properties declared anywhere in the given stylesheets
+ */
+function collectVariables(cssTexts) {
+  const vars = new Map();
+  for (const css of cssTexts) {
+    for (const match of css.matchAll(/(--[\w-]+)\s*:\s*([^;}]+)/g)) {
+      vars.set(match[1], match[2].trim());
+    }
+  }
+  return vars;
+}
+
+function substituteVars(value, vars) {
+  let result = value;
+  for (let depth = 0; depth < 5 && result.includes('var('); depth++) {
+    result = result.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/g,
+      (match, name, fallback) => (vars.has(name) ? vars.get(name) : fallback !== undefined ? fallback.trim() : match));
+  }
+  return result;
+}
+
+function rgba({ r, g, b, a }) {
+  return `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+function escapeClass(cls) {
+  return cls.replace(/[^a-zA-Z0-9_-]/g, '\\$&');
+}
+
+/**
+ * The declarations a Tailwind class contributes to contrast and text size,
+ * or null. Variants (hover:, md:) don't apply to the default state.
+ */
+function tailwindDeclarations(cls, theme) {
+  if (cls.includes(':')) {
+    return null;
+  }
+  if (cls === 'hidden') return 'display: none';
+  if (cls === 'invisible') return 'visibility: hidden';
+  if (/^bg-(gradient-|\[(url|linear-gradient|radial-gradient)\()/.test(cls)) {
+    // The color under the text can't be known; mark the background as an image
+    return 'background-image: url(about:blank)';
+  }
+
+  const weight = cls.match(/^font-(?:\[(\d{3})\]|([\w-]+))$/);
+  if (weight) {
+    const value = weight[1] || theme.fontWeight[weight[2]] || TAILWIND_FONT_WEIGHTS[weight[2]];
+    return value ? `font-weight: ${value}` : null;
+  }
+
+  const match = cls.match(/^(text|bg)-(.+?)(?:\/(\d{1,3}))?$/);
+  if (!match) {
+    return null;
+  }
+  const [, kind, name, opacity] = match;
+  const arbitrary = name.match(/^\[(.+)\]$/);
+  let value;
+  if (arbitrary) {
+    value = arbitrary[1].replace(/_/g, ' ').replace(/^color:/, '');
+    if (kind === 'text' && /^\d*\.?\d+(px|rem|em)$/.test(value)) {
+      return `font-size: ${value}`;
+    }
+  } else if (kind === 'text' && (theme.fontSize[name] || TAILWIND_FONT_SIZES[name])) {
+    return `font-size: ${theme.fontSize[name] || TAILWIND_FONT_SIZES[name]}`;
+  } else {
+    value = theme.color[name] || TAILWIND_COLORS[name];
+  }
+
+  const color = value && parseColor(value);
+  if (!color) {
+    return null;
+  }
+  if (opacity) {
+    color.a = color.a * Number(opacity) / 100;
+  }
+  return `${kind === 'text' ? 'color' : 'background-color'}: ${rgba(color)}`;
+}
+
+function tailwindCss(container, theme) {
+  const rules = [];
+  const seen = new Set();
+  for (const element of [container, ...container.querySelectorAll('[class]')]) {
+    for (const cls of (element.getAttribute('class') || '').split(/\s+/).filter(Boolean)) {
+      if (seen.has(cls)) continue;
+      seen.add(cls);
+      const declarations = tailwindDeclarations(cls, theme);
+      if (declarations) {
+        rules.push(`.${escapeClass(cls)} { ${declarations}; }`);
+      }
+    }
+  }
+  return rules.join('\n');
+}
+
+/**
+ * Everything the audit needs from a project's design tokens: a Tailwind
+ * theme for class lookups, token names by color, and the CSS variables
+ * tokens export generates
+ */
+function loadTokenContext(tokens) {
+  const normalized = normalizeTokens(tokens || {});
+  const theme = { color: {}, fontSize: {}, fontWeight: {} };
+  const names = new Map();
+  const variables = [];
+
+  for (const { path: tokenPath, value } of normalized.color) {
+    theme.color[tokenPath.join('-')] = value;
+    variables.push(`--color-${tokenPath.join('-')}: ${value};`);
+    const color = normalizeColor(value);
+    if (color) {
+      names.set(color, [...(names.get(color) || []), tokenPath.join('.')]);
+    }
+  }
+  for (const { path: tokenPath, value } of normalized.fontSize) {
+    theme.fontSize[tokenPath.join('-')] = value;
+    variables.push(`--font-size-${tokenPath.join('-')}: ${value};`);
+  }
+  for (const { path: tokenPath, value } of normalized.fontWeight) {
+    theme.fontWeight[tokenPath.join('-')] = value;
+    variables.push(`--font-weight-${tokenPath.join('-')}: ${value};`);
+  }
+
+  return { normalized, theme, names, variables: variables.join('\n') };
+}
+
+function tokenLabel(value, names) {
+  const tokenNames = names.get(value);
+  return tokenNames ? `${value} (${tokenNames[0]})` : `${value} (not a design token)`;
+}
+
+/**
+ * Text/background token pairs that fall short of AA: below 3:1 they can
+ * never pass, even as large text; below 4.5:1 only large text passes.
+ * Foregrounds are text, link and status colors; backgrounds are the
+ * background/surface groups, or white when there are none.
+ */
+function checkTokenPairs(normalized) {
+  const group = token => token.path[0].toLowerCase();
+  const colors = normalized.color
+    .map(token => ({ name: token.path.join('.'), value: normalizeColor(token.value), group: group(token), path: token.path }))
+    .filter(token => token.value && parseColor(token.value).a > 0);
+
+  const isBackground = token => token.path.some(part => /^(background|bg|surface|canvas)s?$/i.test(part));
+  const isForeground = token => !isBackground(token) &&
+    /^(text|foreground|fg|link|links|status|error|success|warning|info|heading)s?$/.test(token.group);
+
+  const foregrounds = colors.filter(isForeground);
+  let backgrounds = colors.filter(isBackground);
+  if (backgrounds.length === 0) {
+    backgrounds = [{ name: 'white', value: '#FFFFFF' }];
+  }
+
+  const pairs = [];
+  for (const fg of foregrounds) {
+    for (const bg of backgrounds) {
+      const ratio = contrastRatio(parseColor(fg.value), parseColor(bg.value));
+      if (ratio >= AA_NORMAL) continue;
+      pairs.push({
+        foreground: fg.name,
+        background: bg.name,
+        colors: [fg.value, bg.value],
+        ratio: Math.round(ratio * 100) / 100,
+        level: ratio < AA_LARGE ? 'never' : 'large-only',
+        severity: ratio < AA_LARGE ? 'moderate' : 'minor'
+      });
+    }
+  }
+  return pairs.sort((a, b) => a.ratio - b.ratio);
+}
+
+function describe(element) {
+  const tag = element.tagName.toLowerCase();
+  const id = element.id ? `#${element.id}` : '';
+  const cls = !id && typeof element.className === 'string' && element.className.trim()
+    ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+    : '';
+  const label = element.getAttribute('aria-label');
+  return `<${tag}${id}${cls}${label ? ` aria-label="${label}"` : ''}>`;
+}
+
+function textOf(element) {
+  const parts = [];
+  const walker = element.ownerDocument.createTreeWalker(element, 4);
+  while (walker.nextNode()) {
+    parts.push(walker.currentNode.data);
+  }
+  return parts.join(' ');
+}
+
+function snippet(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > 40 ? `${clean.slice(0, 37)}...` : clean;
+}
+
+/**
+ * What an icon-only control shows: the icon's name from its class
+ * (lucide-x, icon-x, fa-x) or the image file name
+ */
+function iconName(control) {
+  const svg = control.querySelector('svg');
+  if (svg) {
+    const match = (svg.getAttribute('class') || '').match(/\b(?:lucide|icon|fa|bi|heroicon)-([\w-]+)/);
+    return match ? `${match[1]} icon` : 'svg icon';
+  }
+  const img = control.querySelector('img');
+  return img ? path.basename((img.getAttribute('src') || 'image').split(/[?#]/)[0]) : null;
+}
+
+function dialogTitle(dialog) {
+  const heading = dialog.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+  return snippet(textOf(heading || dialog));
+}
+
+function reactProps(element) {
+  const key = Object.keys(element).find(k => k.startsWith('__reactProps$'));
+  return key ? element[key] : null;
+}
+
+/**
+ * Checks one rendered state of a route. Computed styles are cached, so
+ * create a new auditor after the DOM changes.
+ */
+function createAuditor(window, container, context) {
+  const { document } = window;
+  const cache = new Map();
+
+  // jsdom keeps an inline `background: var(--x)` as written but leaves the
+  // longhands empty, so expand it again once the variables are substituted
+  function inlineBackground(element) {
+    const value = element.style ? element.style.getPropertyValue('background') : '';
+    if (!value.includes('var(')) {
+      return null;
+    }
+    const probe = document.createElement('div');
+    probe.style.background = substituteVars(value, context.vars);
+    return probe.style;
+  }
+
+  function style(element) {
+    if (!cache.has(element)) {
+      const cs = window.getComputedStyle(element);
+      const background = inlineBackground(element);
+      cache.set(element, {
+        display: cs.display,
+        visibility: cs.visibility,
+        position: cs.position,
+        color: substituteVars(cs.color, context.vars),
+        backgroundColor: (background && background.backgroundColor) || substituteVars(cs.backgroundColor, context.vars),
+        backgroundImage: (background && background.backgroundImage) || cs.backgroundImage,
+        fontSize: substituteVars(cs.fontSize, context.vars),
+        fontWeight: substituteVars(cs.fontWeight, context.vars)
+      });
+    }
+    return cache.get(element);
+  }
+
+  function ancestors(element) {
+    const chain = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      chain.push(node);
+    }
+    return chain;
+  }
+
+  function isHidden(element) {
+    return ancestors(element).some(node => node.hidden || style(node).display === 'none' || style(node).visibility === 'hidden');
+  }
+
+  function isVisuallyHidden(element) {
+    return ancestors(element).some(node => node.classList.contains('sr-only'));
+  }
+
+  function isDisabled(element) {
+    return ancestors(element).some(node => node.disabled === true || node.getAttribute('aria-disabled') === 'true');
+  }
+
+  function fontSize(element) {
+    const parent = element.parentElement && element !== document.documentElement ? fontSize(element.parentElement) : 16;
+    const value = style(element).fontSize;
+    const match = value.match(/^(\d*\.?\d+)(px|em|rem|%)$/);
+    if (match) {
+      const n = parseFloat(match[1]);
+      return { px: n, em: n * parent, rem: n * 16, '%': (n * parent) / 100 }[match[2]];
+    }
+    return FONT_SIZE_KEYWORDS[value] || parent;
+  }
+
+  function fontWeight(element) {
+    for (const node of ancestors(element)) {
+      const value = style(node).fontWeight;
+      if (value === 'bold' || value === 'bolder') return 700;
+      if (value === 'normal' || value === 'lighter') return 400;
+      if (/^\d+$/.test(value)) return Number(value);
+    }
+    return 400;
+  }
+
+  /**
+   * The opaque color behind an element, or null when an image or gradient
+   * is in the way
+   */
+  function background(element) {
+    const layers = [];
+    for (const node of ancestors(element)) {
+      const s = style(node);
+      if (s.backgroundImage && s.backgroundImage !== 'none') {
+        return null;
+      }
+      const color = parseColor(s.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    let result = { r: 255, g: 255, b: 255, a: 1 };
+    for (const layer of layers.reverse()) {
+      const a = layer.a;
+      result = {
+        r: Math.round(layer.r * a + result.r * (1 - a)),
+        g: Math.round(layer.g * a + result.g * (1 - a)),
+        b: Math.round(layer.b * a + result.b * (1 - a)),
+        a: 1
+      };
+    }
+    return result;
+  }
+
+  function usesPalette(element, prefix) {
+    return ancestors(element).some(node => [...node.classList].some(cls => cls.startsWith(prefix) && TAILWIND_PALETTE.test(cls)));
+  }
+
+  function textAlternative(node) {
+    if (node.nodeType === 3) {
+      return node.data;
+    }
+    if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true' || node.hidden) {
+      return '';
+    }
+    const label = node.getAttribute('aria-label');
+    if (label && label.trim()) {
+      return label;
+    }
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'img' || (tag === 'input' && node.type === 'image')) {
+      return node.getAttribute('alt') || '';
+    }
+    if (tag === 'svg') {
+      const title = node.querySelector('title');
+      return title ? title.textContent : '';
+    }
+    return [...node.childNodes].map(textAlternative).join(' ');
+  }
+
+  /**
+   * Accessible name, and whether it only comes from a placeholder
+   */
+  function accessibleName(element) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    const fromIds = labelledBy.map(id => document.getElementById(id)).filter(Boolean).map(textAlternative).join(' ').trim();
+    if (fromIds) return { name: fromIds };
+    const label = (element.getAttribute('aria-label') || '').trim();
+    if (label) return { name: label };
+
+    if (element.matches(FIELD_SELECTOR)) {
+      const fromLabels = [...(element.labels || [])].map(textAlternative).join(' ').trim();
+      if (fromLabels) return { name: fromLabels };
+    } else if (element.matches('input[type="submit"], input[type="button"]')) {
+      return { name: element.value || (element.type === 'submit' ? 'Submit' : '') };
+    } else {
+      const content = textAlternative(element).replace(/\s+/g, ' ').trim();
+      if (content) return { name: content };
+    }
+
+    const title = (element.getAttribute('title') || '').trim();
+    if (title) return { name: title };
+    const placeholder = (element.getAttribute('placeholder') || '').trim();
+    if (placeholder) return { name: placeholder, placeholderOnly: true };
+    return { name: '' };
+  }
+
+  function reachable(element) {
+    if (isDisabled(element)) {
+      return false;
+    }
+    if (element.hasAttribute('tabindex')) {
+      return Number(element.getAttribute('tabindex')) >= 0;
+    }
+    return element.matches(NATIVE_FOCUSABLE);
+  }
+
+  const elements = () => [...container.querySelectorAll('*')].filter(el => !isHidden(el));
+
+  function checkContrast(issues) {
+    let unresolved = 0;
+    for (const element of elements()) {
+      const tag = element.tagName.toLowerCase();
+      if (['script', 'style', 'noscript', 'svg', 'title'].includes(tag) || element.closest('svg')) {
+        continue;
+      }
+      const text = [...element.childNodes].filter(n => n.nodeType === 3).map(n => n.data).join('').trim();
+      if (!text || isVisuallyHidden(element) || isDisabled(element)) {
+        continue;
+      }
+
+      const fg = parseColor(style(element).color);
+      const bg = background(element);
+      if (!fg || !bg || usesPalette(element, 'text-') || usesPalette(element, 'bg-')) {
+        unresolved++;
+        continue;
+      }
+      const size = fontSize(element);
+      const large = size >= 24 || (size >= 18.66 && fontWeight(element) >= 700);
+      const required = large ? AA_LARGE : AA_NORMAL;
+      const ratio = contrastRatio(fg, bg);
+      if (ratio < required) {
+        const colors = [toHex(fg), toHex(bg)];
+        issues.push({
+          rule: 'contrast',
+          severity: 'serious',
+          wcag: '1.4.3',
+          key: `contrast|${colors.join('|')}|${required}`,
+          element: describe(element),
+          text: snippet(text),
+          colors,
+          ratio: Math.round(ratio * 100) / 100,
+          message: `${large ? 'Large text' : 'Text'} ${tokenLabel(colors[0], context.names)} on ${tokenLabel(colors[1], context.names)} is ${ratio.toFixed(2)}:1, AA needs ${required}:1`
+        });
+      }
+    }
+
+    // Icons are the only content of icon buttons, so they need 3:1 as well
+    for (const control of container.querySelectorAll(CONTROL_SELECTOR)) {
+      if (isHidden(control) || isDisabled(control) || control.textContent.trim()) {
+        continue;
+      }
+      const icon = control.querySelector('svg');
+      if (!icon) continue;
+      const paint = [icon.getAttribute('stroke'), icon.getAttribute('fill')]
+        .find(v => v && !['none', 'currentcolor'].includes(v.toLowerCase()));
+      const fg = parseColor(paint ? substituteVars(paint, context.vars) : style(icon).color);
+      const bg = background(control);
+      if (!fg || !bg) continue;
+      const ratio = contrastRatio(fg, bg);
+      if (ratio < AA_NON_TEXT) {
+        const colors = [toHex(fg), toHex(bg)];
+        issues.push({
+          rule: 'contrast',
+          severity: 'serious',
+          wcag: '1.4.11',
+          key: `icon-contrast|${colors.join('|')}`,
+          element: describe(control),
+          text: iconName(control),
+          colors,
+          ratio: Math.round(ratio * 100) / 100,
+          message: `Icon ${tokenLabel(colors[0], context.names)} on ${tokenLabel(colors[1], context.names)} is ${ratio.toFixed(2)}:1, AA needs ${AA_NON_TEXT}:1 for icons`
+        });
+      }
+    }
+    return unresolved;
+  }
+
+  function checkLabels(issues) {
+    for (const control of container.querySelectorAll(CONTROL_SELECTOR)) {
+      if (isHidden(control)) continue;
+      if (accessibleName(control).name) continue;
+      const icon = iconName(control);
+      issues.push({
+        rule: 'label',
+        severity: icon ? 'critical' : 'serious',
+        wcag: '4.1.2',
+        key: `label|${describe(control)}|${icon}`,
+        element: describe(control),
+        text: icon,
+        message: icon
+          ? `Icon-only ${control.tagName === 'A' ? 'link' : 'button'} has no accessible name: add aria-label`
+          : `${control.tagName === 'A' ? 'Link' : 'Button'} has no text or accessible name`
+      });
+    }
+
+    for (const field of container.querySelectorAll(FIELD_SELECTOR)) {
+      if (isHidden(field)) continue;
+      const { name, placeholderOnly } = accessibleName(field);
+      if (name && !placeholderOnly) continue;
+      issues.push({
+        rule: 'label',
+        severity: placeholderOnly ? 'moderate' : 'serious',
+        wcag: placeholderOnly ? '3.3.2' : '4.1.2',
+        key: `field|${describe(field)}|${field.getAttribute('placeholder') || ''}`,
+        element: describe(field),
+        message: placeholderOnly
+          ? `Form field is only labelled by its placeholder "${snippet(name)}", which disappears while typing: add a <label> or aria-label`
+          : 'Form field has no label: add a <label> or aria-label'
+      });
+    }
+  }
+
+  function checkFocus(issues) {
+    for (const element of elements()) {
+      const tabIndex = element.getAttribute('tabindex');
+      if (tabIndex !== null && Number(tabIndex) > 0) {
+        issues.push({
+          rule: 'focus-order',
+          severity: 'serious',
+          wcag: '2.4.3',
+          key: `tabindex|${describe(element)}`,
+          element: describe(element),
+          message: `tabindex="${tabIndex}" moves this element ahead of the page's reading order: use 0 and order the DOM instead`
+        });
+      }
+
+      const props = reactProps(element);
+      if (props && typeof props.onClick === 'function' && !element.matches('label, option, input, select, textarea')) {
+        const insideControl = element.parentElement && element.parentElement.closest(NATIVE_FOCUSABLE);
+        const hasControl = [...element.querySelectorAll(NATIVE_FOCUSABLE)].some(reachable);
+        if (!reachable(element) && !insideControl && !hasControl && !isDisabled(element)) {
+          issues.push({
+            rule: 'keyboard',
+            severity: 'serious',
+            wcag: '2.1.1',
+            key: `click|${describe(element)}`,
+            element: describe(element),
+            text: snippet(textOf(element)),
+            message: 'Has a click handler but can\'t be reached with the keyboard: use a <button>, or add tabIndex={0}, a role and key handlers'
+          });
+        } else if (reachable(element) && !element.matches(NATIVE_FOCUSABLE) && !props.onKeyDown && !props.onKeyUp && !props.onKeyPress) {
+          issues.push({
+            rule: 'keyboard',
+            severity: 'moderate',
+            wcag: '2.1.1',
+            key: `keys|${describe(element)}`,
+            element: describe(element),
+            message: 'Focusable but only responds to clicks: handle Enter and Space too'
+          });
+        }
+      }
+    }
+
+    for (const hidden of container.querySelectorAll('[aria-hidden="true"]')) {
+      for (const element of [hidden, ...hidden.querySelectorAll('*')]) {
+        if (reachable(element) && !isHidden(element)) {
+          issues.push({
+            rule: 'focus-order',
+            severity: 'serious',
+            wcag: '4.1.2',
+            key: `aria-hidden|${describe(element)}`,
+            element: describe(element),
+            message: 'Focusable element inside aria-hidden="true": keyboard users reach it but screen readers skip it'
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Open panels: elements with a dialog role, and fixed-position containers
+   * holding a close button that look like one
+   */
+  function findDialogs() {
+    const dialogs = new Set(
+      [...container.querySelectorAll('[role="dialog"], [role="alertdialog"], dialog[open]')].filter(el => !isHidden(el))
+    );
+    for (const control of container.querySelectorAll(CONTROL_SELECTOR)) {
+      if (isHidden(control) || !CLOSE_NAME.test(accessibleName(control).name)) continue;
+      const fixed = ancestors(control).slice(1).filter(node => container.contains(node) && style(node).position === 'fixed').pop();
+      if (fixed && ![...dialogs].some(d => d.contains(fixed) || fixed.contains(d))) {
+        dialogs.add(fixed);
+      }
+    }
+    return [...dialogs];
+  }
+
+  function checkAria(issues) {
+    for (const dialog of findDialogs()) {
+      const role = dialog.getAttribute('role');
+      if (role !== 'dialog' && role !== 'alertdialog' && dialog.tagName !== 'DIALOG') {
+        issues.push({
+          rule: 'aria',
+          severity: 'serious',
+          wcag: '4.1.2',
+          key: `dialog-role|${describe(dialog)}`,
+          element: describe(dialog),
+          text: dialogTitle(dialog),
+          message: 'Looks like a dialog (a fixed panel with a close button) but has no role="dialog": screen readers don\'t announce it opening'
+        });
+      } else if (!dialog.getAttribute('aria-label') && !dialog.getAttribute('aria-labelledby')) {
+        issues.push({
+          rule: 'aria',
+          severity: 'serious',
+          wcag: '4.1.2',
+          key: `dialog-name|${describe(dialog)}`,
+          element: describe(dialog),
+          text: dialogTitle(dialog),
+          message: 'Dialog has no name: point aria-labelledby at its heading'
+        });
+      }
+    }
+
+    const flagged = [];
+    for (const element of elements()) {
+      if (element.closest('svg')) continue;
+      const hints = `${element.getAttribute('class') || ''} ${element.id || ''}`
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .split(/[\s_-]+/);
+      if (!hints.some(hint => LIVE_HINT.test(hint))) continue;
+      if (flagged.some(outer => outer.contains(element))) continue;
+      const live = ancestors(element).some(node => LIVE_ROLES.includes(node.getAttribute('role')) || node.hasAttribute('aria-live'));
+      if (live) continue;
+      flagged.push(element);
+      issues.push({
+        rule: 'aria',
+        severity: 'serious',
+        wcag: '4.1.3',
+        key: `live|${describe(element)}`,
+        element: describe(element),
+        message: 'Looks like a message list that updates in place, but isn\'t a live region: add role="log" (or aria-live="polite") so new messages are announced'
+      });
+    }
+  }
+
+  /**
+   * Buttons that reveal something when clicked, in document order
+   */
+  function openers() {
+    return [...container.querySelectorAll(CONTROL_SELECTOR)].filter(control => !isHidden(control) && !isDisabled(control) && (
+      control.getAttribute('aria-expanded') === 'false' ||
+      (control.hasAttribute('aria-haspopup') && control.getAttribute('aria-haspopup') !== 'false') ||
+      OPENER_NAME.test(accessibleName(control).name)
+    ));
+  }
+
+  function run() {
+    const issues = [];
+    const unresolved = checkContrast(issues);
+    checkLabels(issues);
+    checkFocus(issues);
+    checkAria(issues);
+    return { issues, unresolved };
+  }
+
+  return { run, openers, findDialogs, accessibleName };
+}
+
+/**
+ * Render a route, optionally click one of its openers, and audit the result
+ */
+function auditState(route, openerIndex, { prototypeDir, window, context }) {
+  const { container, act, errors, unmount } = mountComponent(route.file, { params: route.params, searchParams: {} }, { prototypeDir, window });
+  const styleElement = window.document.createElement('style');
+  window.document.head.appendChild(styleElement);
+
+  try {
+    if (errors.length) {
+      return { errors };
+    }
+    const applyStyles = () => {
+      styleElement.textContent = substituteVars(tailwindCss(container, context.theme), context.vars);
+    };
+    applyStyles();
+
+    let state = 'initial';
+    let openerCount = 0;
+    const extra = [];
+    if (openerIndex !== null) {
+      const before = createAuditor(window, container, context);
+      const opener = before.openers()[openerIndex];
+      if (!opener) {
+        return { errors: [] };
+      }
+      state = `after clicking "${snippet(before.accessibleName(opener).name)}"`;
+      const dialogsBefore = before.findDialogs();
+      act(() => {
+        opener.focus();
+        opener.click();
+      });
+      applyStyles();
+
+      const after = createAuditor(window, container, context);
+      const opened = after.findDialogs().filter(dialog => !dialogsBefore.includes(dialog));
+      for (const dialog of opened) {
+        if (!dialog.contains(window.document.activeElement)) {
+          extra.push({
+            rule: 'focus-order',
+            severity: 'moderate',
+            wcag: '2.4.3',
+            key: `dialog-focus|${describe(dialog)}`,
+            element: describe(dialog),
+            text: dialogTitle(dialog),
+            message: 'Focus stays on the button that opened it: move focus into the dialog when it opens'
+          });
+        }
+      }
+    }
+
+    const auditor = createAuditor(window, container, context);
+    if (openerIndex === null) {
+      openerCount = Math.min(auditor.openers().length, MAX_OPENERS);
+    }
+    const { issues, unresolved } = auditor.run();
+    return { errors, state, openerCount, issues: [...issues, ...extra], unresolved };
+  } finally {
+    unmount();
+    styleElement.remove();
+  }
+}
+
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Audit every route of a project's prototype. Returns the report:
+ * { project, generatedAt, failOn, routes, issues, tokenPairs, counts, failed }
+ */
+function auditProject(projectDir, { failOn = DEFAULT_FAIL_ON } = {}) {
+  if (failOn !== 'none' && !SEVERITIES.includes(failOn)) {
+    throw new Error(`--fail-on must be one of ${[...SEVERITIES].reverse().join(', ')} or none, got "${failOn}"`);
+  }
+
+  const prototypeDir = path.join(projectDir, 'prototype');
+  const routes = findRoutes(prototypeDir);
+  if (routes.length === 0) {
+    throw new Error(`No routes found: expected prototype/src/app/**/page.tsx in ${projectDir}`);
+  }
+
+  const tokensFile = path.join(projectDir, 'references', 'design-tokens.json');
+  let tokens = null;
+  if (fs.existsSync(tokensFile)) {
+    try {
+      tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf-8'));
+    } catch (e) {
+      throw new Error(`references/design-tokens.json is not valid JSON: ${e.message}`);
+    }
+  }
+  const context = loadTokenContext(tokens);
+
+  const globalsFile = findGlobalsCss(prototypeDir);
+  const tokensCss = path.join(prototypeDir, 'tokens', 'tokens.css');
+  const cssTexts = [globalsFile, tokensCss].filter(file => file && fs.existsSync(file)).map(file => fs.readFileSync(file, 'utf-8'));
+  context.vars = collectVariables([`:root { ${context.variables} }`, ...cssTexts]);
+
+  installHooks(prototypeDir);
+  const dom = setupDom();
+  const { window } = dom;
+  const globals = window.document.createElement('style');
+  // @tailwind and @import are resolved by the build; the rest applies as is
+  globals.textContent = substituteVars(
+    (globalsFile ? fs.readFileSync(globalsFile, 'utf-8') : '').replace(/@(tailwind|import)[^;]*;/g, ''),
+    context.vars
+  );
+  window.document.head.appendChild(globals);
+
+  const issues = [];
+  const byKey = new Map();
+  const routeResults = [];
+  // The same issue on several elements is counted within a state; across
+  // states it is one issue, seen in each of them
+  const add = (stateIssues, route, state) => {
+    const counts = new Map();
+    for (const issue of stateIssues) {
+      const key = `${route.route}|${issue.key}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+      if (counts.get(key) > 1) continue;
+      if (!byKey.has(key)) {
+        const entry = { route: route.route, ...issue, states: [], count: 0 };
+        delete entry.key;
+        byKey.set(key, entry);
+        issues.push(entry);
+      }
+      byKey.get(key).states.push(state);
+    }
+    for (const [key, count] of counts) {
+      byKey.get(key).count = Math.max(byKey.get(key).count, count);
+    }
+  };
+
+  try {
+    for (const route of routes) {
+      const result = { route: route.route, file: path.relative(projectDir, route.file), states: [], unresolved: 0, errors: [] };
+      routeResults.push(result);
+
+      const initial = auditState(route, null, { prototypeDir, window, context });
+      if (initial.errors.length) {
+        result.errors.push(...initial.errors);
+        add([{ rule: 'render', severity: 'critical', wcag: null, key: 'render', element: route.route, message: `Route could not be audited: ${initial.errors[0]}` }], route, 'initial');
+        continue;
+      }
+      const states = [initial];
+      for (let i = 0; i < initial.openerCount; i++) {
+        const opened = auditState(route, i, { prototypeDir, window, context });
+        if (opened.errors.length) {
+          result.errors.push(...opened.errors);
+        } else if (opened.state) {
+          states.push(opened);
+        }
+      }
+
+      for (const state of states) {
+        result.states.push(state.state);
+        result.unresolved = Math.max(result.unresolved, state.unresolved);
+        add(state.issues, route, state.state);
+      }
+    }
+  } finally {
+    window.close();
+  }
+
+  const tokenPairs = checkTokenPairs(context.normalized);
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  issues.forEach(issue => counts[issue.severity]++);
+  tokenPairs.forEach(pair => counts[pair.severity]++);
+  issues.sort((a, b) => severityRank(b.severity) - severityRank(a.severity) || a.route.localeCompare(b.route));
+
+  const failed = failOn !== 'none' &&
+    [...issues, ...tokenPairs].some(item => severityRank(item.severity) >= severityRank(failOn));
+
+  return {
+    project: path.basename(projectDir),
+    generatedAt: new Date().toISOString(),
+    failOn,
+    routes: routeResults,
+    issues,
+    tokenPairs,
+    counts,
+    failed
+  };
+}
+
+function renderA11yReport(report) {
+  const issueRows = report.issues.map(issue => `
+      <tr class="${issue.severity}">
+        <td><span class="badge">${issue.severity}</span></td>
+        <td><code>${escapeHtml(issue.route)}</code></td>
+        <td>${escapeHtml(issue.rule)}${issue.wcag ? ` <small>${issue.wcag}</small>` : ''}</td>
+        <td>${issue.colors ? issue.colors.map(c => `<span class="swatch" style="background:${escapeHtml(c)}"></span>`).join('') : ''}${escapeHtml(issue.message)}
+          <div><code>${escapeHtml(issue.element)}</code>${issue.text ? ` “${escapeHtml(issue.text)}”` : ''}${issue.count > 1 ? ` <small>×${issue.count}</small>` : ''}</div>
+          <small>${issue.states.map(escapeHtml).join(', ')}</small></td>
+      </tr>`).join('');
+
+  const pairRows = report.tokenPairs.map(pair => `
+      <tr class="${pair.severity}">
+        <td><span class="sample" style="color:${escapeHtml(pair.colors[0])};background:${escapeHtml(pair.colors[1])}">Aa</span></td>
+        <td><code>${escapeHtml(pair.foreground)}</code> on <code>${escapeHtml(pair.background)}</code></td>
+        <td>${pair.ratio}:1</td>
+        <td>${pair.level === 'never' ? 'Never meets AA' : 'Large text only'}</td>
+      </tr>`).join('');
+
+  const routeItems = report.routes.map(r => `<li><code>${escapeHtml(r.route)}</code> <small>${escapeHtml(r.file)}</small>
+    ${r.states.length ? `<br><small>${r.states.map(escapeHtml).join(' · ')}</small>` : ''}
+    ${r.unresolved ? `<br><small>${r.unresolved} text elements use Tailwind's default palette and weren't checked for contrast</small>` : ''}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Accessibility audit · ${escapeHtml(report.project)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; padding: 24px; background: #f6f7f8; color: #1d1f21; }
+  h1 { margin: 0 0 4px; } h2 { margin-top: 32px; }
+  small, .none { color: #5f6368; font-weight: normal; }
+  .verdict { font-weight: 600; } .verdict.failed { color: #b00020; } .verdict.passed { color: #05664f; }
+  .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+  .card { background: #fff; border-radius: 8px; padding: 12px 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); min-width: 120px; }
+  .card b { display: block; font-size: 22px; }
+  table { border-collapse: collapse; background: #fff; width: 100%; }
+  th, td { padding: 6px 12px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; color: #fff; background: #5f6368; }
+  .critical .badge { background: #b00020; } .serious .badge { background: #b34700; } .moderate .badge { background: #7a5c00; }
+  .swatch { display: inline-block; width: 14px; height: 14px; border: 1px solid #d1d5db; vertical-align: middle; margin-right: 4px; }
+  .sample { display: inline-block; padding: 2px 10px; border: 1px solid #d1d5db; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>Accessibility audit · ${escapeHtml(report.project)}</h1>
+<p>${escapeHtml(report.generatedAt)} · WCAG 2.1 AA · fails on ${escapeHtml(report.failOn)}${report.failOn === 'none' ? '' : ' and above'}</p>
+<p class="verdict ${report.failed ? 'failed' : 'passed'}">${report.failed ? 'Failed' : 'Passed'}</p>
+<div class="cards">
+  ${SEVERITIES.slice().reverse().map(s => `<div class="card"><b>${report.counts[s]}</b>${s}</div>`).join('\n  ')}
+</div>
+
+<h2>Issues</h2>
+${report.issues.length ? `<table>
+  <thead><tr><th>Severity</th><th>Route</th><th>Rule</th><th>Issue</th></tr></thead>
+  <tbody>${issueRows}
+  </tbody>
+</table>` : '<p class="none">No issues found</p>'}
+
+<h2>Design token pairs below AA</h2>
+${report.tokenPairs.length ? `<table>
+  <thead><tr><th></th><th>Pair</th><th>Contrast</th><th>Verdict</th></tr></thead>
+  <tbody>${pairRows}
+  </tbody>
+</table>` : '<p class="none">Every text color meets AA on every background color</p>'}
+
+<h2>Routes</h2>
+<ul>${routeItems}</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write index.html and report.json into projects/<name>/a11y/
+ */
+function writeA11yReport(projectDir, report) {
+  const outDir = path.join(projectDir, A11Y_DIR);
+  fs.mkdirSync(outDir, { recursive: true });
+  const htmlFile = path.join(outDir, 'index.html');
+  fs.writeFileSync(htmlFile, renderA11yReport(report));
+  fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+  return htmlFile;
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_FAIL_ON,
+  findRoutes,
+  checkTokenPairs,
+  auditProject,
+  renderA11yReport,
+  writeA11yReport
+};
@@ -0,0 +1,310 @@
+/**
+ * Saved page archives
+ *
+ * Reads pages a browser has already saved to disk so they can be captured
+ * without network access:
+ *
+ *   har    HAR export from the DevTools network panel (.har)
+ *   mhtml  "Save page as: single file" (.mhtml / .mht)
+ *   html   "Save page as: complete" HTML, alone or in a folder of them,
+ *          with subresources next to it (Page_files/)
+ *
+ * Every reader returns documents ({ url, html, title, file, date }) and a
+ * resource lookup so stylesheets can be inlined from the archive itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+const TYPES = {
+  '.har': 'har',
+  '.mhtml': 'mhtml',
+  '.mht': 'mhtml',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+function stripHash(url) {
+  return url.replace(/#.*$/, '');
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * HAR: one document per page (the first HTML response of each pageref),
+ * or every HTML response when the export has no pages
+ */
+function readHar(file) {
+  let har;
+  try {
+    har = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file} is not a valid HAR file: ${e.message}`);
+  }
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`${file} is not a valid HAR file: log.entries is missing`);
+  }
+
+  const resources = new Map();
+  const htmlEntries = [];
+  for (const entry of har.log.entries) {
+    const { request = {}, response = {} } = entry;
+    const content = response.content || {};
+    if (!request.url || response.status < 200 || response.status >= 300 || typeof content.text !== 'string') {
+      continue;
+    }
+    const body = content.encoding === 'base64' ? Buffer.from(content.text, 'base64') : Buffer.from(content.text);
+    const mimeType = (content.mimeType || '').split(';')[0].trim().toLowerCase();
+    resources.set(stripHash(request.url), { mimeType, body });
+    if (mimeType === 'text/html' && (request.method || 'GET') === 'GET') {
+      htmlEntries.push(entry);
+    }
+  }
+
+  const pages = Array.isArray(har.log.pages) ? har.log.pages : [];
+  const chosen = pages.length
+    ? pages.map(page => ({ page, entry: htmlEntries.find(e => e.pageref === page.id) })).filter(p => p.entry)
+    : htmlEntries.map(entry => ({ page: null, entry }));
+
+  const documents = chosen.map(({ page, entry }) => {
+    const url = stripHash(entry.request.url);
+    const title = page && page.title && page.title !== entry.request.url ? page.title : null;
+    return {
+      url,
+      html: resources.get(url).body.toString('utf-8'),
+      title,
+      file,
+      date: toDate((page && page.startedDateTime) || entry.startedDateTime)
+    };
+  });
+
+  return { documents, resources };
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) {
+      headers[match[1].toLowerCase()] = match[2].trim();
+    }
+  }
+  return headers;
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value.
+ * Returns null when one uses a charset Node can't decode.
+ */
+function decodeHeader(value) {
+  let unsupported = false;
+  const decoded = value
+    // Whitespace between two encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?\s]+)\?([bq])\?([^?\s]*)\?=/gi, (_, charset, encoding, text) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      try {
+        return new TextDecoder(charset.split('*')[0]).decode(bytes);
+      } catch {
+        unsupported = true;
+        return '';
+      }
+    });
+  return unsupported ? null : decoded;
+}
+
+function decodePart(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+/**
+ * MHTML: a multipart/related message whose first text/html part (or the one
+ * at Snapshot-Content-Location) is the page
+ */
+function readMhtml(file) {
+  // latin1 keeps every byte as one character, whatever the parts' charsets
+  const raw = fs.readFileSync(file, 'latin1');
+  const split = raw.search(/\r?\n\r?\n/);
+  const headers = parseHeaders(split === -1 ? raw : raw.slice(0, split));
+  const boundary = ((headers['content-type'] || '').match(/boundary="?([^";]+)"?/i) || [])[1];
+  if (!boundary) {
+    throw new Error(`${file} is not an MHTML archive: no multipart boundary`);
+  }
+
+  const resources = new Map();
+  let page = null;
+  const parts = raw.split(`--${boundary}`).slice(1);
+  for (const part of parts) {
+    if (part.startsWith('--')) {
+      break;
+    }
+    const headerEnd = part.search(/\r?\n\r?\n/);
+    if (headerEnd === -1) {
+      continue;
+    }
+    const partHeaders = parseHeaders(part.slice(0, headerEnd));
+    const location = partHeaders['content-location'];
+    const mimeType = (partHeaders['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const bodyStart = headerEnd + part.slice(headerEnd).match(/^\r?\n\r?\n/)[0].length;
+    const body = decodePart(part.slice(bodyStart).replace(/\r?\n$/, ''), partHeaders['content-transfer-encoding']);
+    const resource = { mimeType, body };
+
+    if (location) {
+      resources.set(stripHash(location), resource);
+    }
+    if (mimeType === 'text/html' && (!page || (location && location === headers['snapshot-content-location']))) {
+      page = { url: location ? stripHash(location) : null, body: resource.body };
+    }
+  }
+
+  if (!page) {
+    throw new Error(`${file} has no HTML part`);
+  }
+
+  return {
+    documents: [{
+      url: page.url || headers['snapshot-content-location'] || null,
+      html: page.body.toString('utf-8'),
+      title: (headers.subject && decodeHeader(headers.subject)) || null,
+      file,
+      date: toDate(headers.date)
+    }],
+    resources
+  };
+}
+
+/**
+ * Saved HTML page. Browsers record the original address in a
+ * "saved from url" comment; canonical and og:url links are the fallback.
+ */
+function readHtml(file) {
+  const html = fs.readFileSync(file, 'utf-8');
+  const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  const canonical = html.match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i) ||
+    html.match(/<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i);
+  const url = (savedFrom && savedFrom[1]) || (canonical && canonical[1]) || null;
+
+  return {
+    documents: [{
+      url: url && /^https?:/i.test(url) ? stripHash(url) : null,
+      base: pathToFileURL(file).href,
+      html,
+      title: null,
+      file,
+      date: fs.statSync(file).mtime
+    }],
+    resources: new Map()
+  };
+}
+
+function findArchiveFiles(dir) {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      // Subresources of a saved page (frames included) live in Page_files/
+      if (!/_files$/.test(entry.name) && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        found.push(...findArchiveFiles(full));
+      }
+    } else if (TYPES[path.extname(entry.name).toLowerCase()]) {
+      found.push(full);
+    }
+  }
+  return found;
+}
+
+/**
+ * Read a .har, .mhtml/.mht or .html file, or a folder of any of them.
+ * Returns { type, files, documents, resolve(url) }, where resolve returns
+ * { mimeType, body } for a resource in the archive (or on disk next to a
+ * saved HTML page) or null.
+ */
+function readArchive(input) {
+  if (!fs.existsSync(input)) {
+    throw new Error(`Capture source not found: ${input}`);
+  }
+
+  const root = path.resolve(input);
+  const isDir = fs.statSync(root).isDirectory();
+  const files = isDir ? findArchiveFiles(root) : [root];
+  if (files.length === 0) {
+    throw new Error(`No .har, .mhtml, .mht or .html files in ${input}`);
+  }
+
+  const types = new Set();
+  const documents = [];
+  const resources = new Map();
+  for (const file of files) {
+    const type = TYPES[path.extname(file).toLowerCase()];
+    if (!type) {
+      throw new Error(`Unsupported capture source ${file}: expected .har, .mhtml, .mht or .html`);
+    }
+    const readers = { har: readHar, mhtml: readMhtml, html: readHtml };
+    const result = readers[type](file);
+    types.add(type);
+    documents.push(...result.documents);
+    for (const [url, resource] of result.resources) {
+      if (!resources.has(url)) {
+        resources.set(url, resource);
+      }
+    }
+  }
+
+  const baseDir = isDir ? root : path.dirname(root);
+  function resolve(url) {
+    const key = stripHash(url);
+    if (resources.has(key)) {
+      return resources.get(key);
+    }
+    if (key.startsWith('file:')) {
+      // Only files that were saved alongside the pages
+      const file = fileURLToPath(key.replace(/\?.*$/, ''));
+      if (file.startsWith(baseDir + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile()) {
+        return { mimeType: /\.css$/i.test(file) ? 'text/css' : '', body: fs.readFileSync(file) };
+      }
+    }
+    return null;
+  }
+
+  return {
+    type: types.size === 1 ? [...types][0] : 'mixed',
+    files,
+    documents,
+    resolve
+  };
+}
+
+module.exports = {
+  readHar,
+  readMhtml,
+  readHtml,
+  readArchive
+};
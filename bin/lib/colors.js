@@ -0,0 +1,278 @@
+/**
+ * CSS color parsing
+ *
+ * Normalizes hex, rgb(a), hsl(a) and named colors to { r, g, b, a } so colors
+ * written in different notations can be compared.
+ */
+
+// CSS Color Module Level 4 named colors
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1',
+  darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+  gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+  green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+  indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+  lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3',
+  lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa',
+  lightslategray: '778899', lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0',
+  lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000',
+  mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db',
+  mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1',
+  moccasin: 'ffe4b5', navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+  olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa',
+  palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5',
+  peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6',
+  purple: '800080', rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1',
+  saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090',
+  slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c',
+  teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee',
+  wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+// Matches color literals inside a longer CSS value, e.g. a box-shadow
+const COLOR_PATTERN = /#[0-9a-fA-F]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)/g;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function parseHex(hex) {
+  let h = hex.replace('#', '');
+  if (h.length === 3 || h.length === 4) {
+    h = h.split('').map(c => c + c).join('');
+  }
+  if (h.length !== 6 && h.length !== 8) {
+    return null;
+  }
+  return {
+    r: parseInt(h.slice(0, 2), 16),
+    g: parseInt(h.slice(2, 4), 16),
+    b: parseInt(h.slice(4, 6), 16),
+    a: h.length === 8 ? Number((parseInt(h.slice(6, 8), 16) / 255).toFixed(3)) : 1
+  };
+}
+
+function parseChannel(value, max) {
+  return value.endsWith('%') ? (parseFloat(value) / 100) * max : parseFloat(value);
+}
+
+function parseAlpha(value) {
+  if (value === undefined) return 1;
+  return clamp(value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value), 0, 1);
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+}
+
+/**
+ * Parse a CSS color into { r, g, b, a }, or null if it isn't one.
+ * transparent parses as fully transparent black.
+ */
+function parseColor(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const value = input.trim().toLowerCase();
+
+  if (value === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+  if (NAMED_COLORS[value]) {
+    return parseHex(NAMED_COLORS[value]);
+  }
+  if (value.startsWith('#')) {
+    return /^#[0-9a-f]+$/.test(value) ? parseHex(value) : null;
+  }
+
+  const fn = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!fn) {
+    return null;
+  }
+  // Accept both "255, 0, 0, 0.5" and "255 0 0 / 50%"
+  const parts = fn[2].replace(/\//g, ' ').replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+  if (parts.length < 3) {
+    return null;
+  }
+
+  if (fn[1].startsWith('rgb')) {
+    return {
+      r: Math.round(clamp(parseChannel(parts[0], 255), 0, 255)),
+      g: Math.round(clamp(parseChannel(parts[1], 255), 0, 255)),
+      b: Math.round(clamp(parseChannel(parts[2], 255), 0, 255)),
+      a: parseAlpha(parts[3])
+    };
+  }
+
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360;
+  const s = clamp(parseFloat(parts[1]) / 100, 0, 1);
+  const l = clamp(parseFloat(parts[2]) / 100, 0, 1);
+  return { ...hslToRgb(h, s, l), a: parseAlpha(parts[3]) };
+}
+
+function toHex({ r, g, b, a = 1 }) {
+  const hex = [r, g, b].map(n => n.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return a < 1 ? `#${hex}${Math.round(a * 255).toString(16).padStart(2, '0').toUpperCase()}` : `#${hex}`;
+}
+
+/**
+ * Canonical form for comparing colors: #RRGGBB, or #RRGGBBAA when translucent
+ */
+function normalizeColor(input) {
+  const color = parseColor(input);
+  return color ? toHex(color) : null;
+}
+
+/**
+ * Every color literal inside a CSS value (hex, rgb/hsl functions, or a lone named color)
+ */
+function extractColors(value) {
+  if (typeof value !== 'string') {
+    return [];
+  }
+  const found = value.match(COLOR_PATTERN) || [];
+  if (found.length === 0 && NAMED_COLORS[value.trim().toLowerCase()]) {
+    found.push(value.trim());
+  }
+  return found;
+}
+
+/**
+ * Blend a translucent color over an opaque background (white by default)
+ */
+function composite(color, background = { r: 255, g: 255, b: 255 }) {
+  const a = color.a === undefined ? 1 : color.a;
+  const mix = (fg, bg) => Math.round(fg * a + bg * (1 - a));
+  return { r: mix(color.r, background.r), g: mix(color.g, background.g), b: mix(color.b, background.b), a: 1 };
+}
+
+function toLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * CIE L*a*b* (D65) of an opaque { r, g, b }
+ */
+function toLab({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return { L: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+}
+
+/**
+ * CIEDE2000 color difference between two L*a*b* colors. About 1 is the
+ * smallest difference most people notice; under 3 reads as the same color.
+ */
+function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const pow7 = v => Math.pow(v, 7);
+  const cBar = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(pow7(cBar) / (pow7(cBar) + pow7(25))));
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => (a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const h1 = hue(lab1.b, a1);
+  const h2 = hue(lab2.b, a2);
+
+  let dh = 0;
+  if (c1 * c2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dL = lab2.L - lab1.L;
+  const dC = c2 - c1;
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin((dh * rad) / 2);
+
+  const lBar = (lab1.L + lab2.L) / 2;
+  const cBarP = (c1 + c2) / 2;
+  let hBar = h1 + h2;
+  if (c1 * c2 !== 0) {
+    hBar = Math.abs(h1 - h2) > 180 ? (hBar < 360 ? hBar + 360 : hBar - 360) / 2 : hBar / 2;
+  }
+  const t = 1 - 0.17 * Math.cos((hBar - 30) * rad) + 0.24 * Math.cos(2 * hBar * rad) +
+    0.32 * Math.cos((3 * hBar + 6) * rad) - 0.20 * Math.cos((4 * hBar - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hBar - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(pow7(cBarP) / (pow7(cBarP) + pow7(25)));
+  const sl = 1 + (0.015 * Math.pow(lBar - 50, 2)) / Math.sqrt(20 + Math.pow(lBar - 50, 2));
+  const sc = 1 + 0.045 * cBarP;
+  const sh = 1 + 0.015 * cBarP * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(Math.pow(dL / sl, 2) + Math.pow(dC / sc, 2) + Math.pow(dH / sh, 2) + rt * (dC / sc) * (dH / sh));
+}
+
+/**
+ * WCAG 2.x relative luminance of an opaque { r, g, b }
+ */
+function relativeLuminance({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * WCAG contrast ratio (1-21) of a foreground over a background. Translucent
+ * colors are blended first: the background over white, the foreground over
+ * the background.
+ */
+function contrastRatio(foreground, background) {
+  const bg = composite(background);
+  const fg = composite(foreground, bg);
+  const [light, dark] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Hue (0-360), saturation and lightness (0-1) of { r, g, b }
+ */
+function toHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+  const d = max - min;
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  return { h: (h * 60 + 360) % 360, s, l };
+}
+
+module.exports = {
+  NAMED_COLORS,
+  COLOR_PATTERN,
+  parseColor,
+  toHex,
+  normalizeColor,
+  extractColors,
+  composite,
+  toLab,
+  deltaE2000,
+  relativeLuminance,
+  contrastRatio,
+  toHsl
+};
@@ -0,0 +1,288 @@
+/**
+ * Component fixtures
+ *
+ * Reads a component's props type with @babel/parser and builds fixture props
+ * from it, following interfaces imported from sibling files such as types.ts.
+ * Values are picked from the TypeScript type and the property name so a
+ * Product gets a price, an image, a rating and so on. The mock command uses
+ * the same values for the records it seeds, varied per record.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const parser = require('@babel/parser');
+
+const SOURCE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+const MAX_DEPTH = 4;
+const ARRAY_LENGTH = 2;
+
+// Inline SVG so fixture images load without network access
+const PLACEHOLDER_IMAGE = 'data:image/svg+xml,' + encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200"><rect width="200" height="200" fill="#EAEDED"/></svg>'
+);
+// Never present in public/, for checking that components handle images that fail to load
+const MISSING_IMAGE = '/fixtures/missing-image.png';
+const FIXTURE_DATE = '2026-01-15T10:30:00.000Z';
+
+function parseFile(file) {
+  return parser.parse(fs.readFileSync(file, 'utf8'), {
+    sourceType: 'module',
+    plugins: ['typescript', 'jsx']
+  });
+}
+
+function resolveImport(fromFile, request) {
+  const base = path.resolve(path.dirname(fromFile), request);
+  const candidates = [base, ...SOURCE_EXTENSIONS.map(ext => base + ext), ...SOURCE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))];
+  return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * Interfaces and type aliases declared in a file and the relative files it
+ * imports, keyed by name
+ */
+function collectTypes(file, types = {}, visited = new Set()) {
+  if (visited.has(file)) {
+    return types;
+  }
+  visited.add(file);
+
+  const ast = parseFile(file);
+  for (let node of ast.program.body) {
+    if ((node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') && node.declaration) {
+      node = node.declaration;
+    }
+    if (node.type === 'TSInterfaceDeclaration') {
+      types[node.id.name] = { kind: 'interface', node, file };
+    } else if (node.type === 'TSTypeAliasDeclaration') {
+      types[node.id.name] = { kind: 'alias', node: node.typeAnnotation, file };
+    }
+  }
+
+  for (const node of ast.program.body) {
+    const source = (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' ||
+      node.type === 'ExportNamedDeclaration') && node.source && node.source.value;
+    if (source && source.startsWith('.')) {
+      const target = resolveImport(file, source);
+      if (target) {
+        collectTypes(target, types, visited);
+      }
+    }
+  }
+
+  return types;
+}
+
+/**
+ * The default export when it is a function component, with its props type
+ * annotation (or null when the component takes no typed props)
+ */
+function findDefaultComponent(ast) {
+  const functions = {};
+  for (let node of ast.program.body) {
+    if (node.type === 'ExportNamedDeclaration' && node.declaration) {
+      node = node.declaration;
+    }
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      functions[node.id.name] = node;
+    } else if (node.type === 'VariableDeclaration') {
+      for (const decl of node.declarations) {
+        if (decl.id.type === 'Identifier' && decl.init &&
+          ['ArrowFunctionExpression', 'FunctionExpression'].includes(decl.init.type)) {
+          functions[decl.id.name] = decl.init;
+        }
+      }
+    }
+  }
+
+  const exported = ast.program.body.find(node => node.type === 'ExportDefaultDeclaration');
+  if (!exported) {
+    return null;
+  }
+
+  let fn = exported.declaration;
+  if (fn.type === 'Identifier') {
+    fn = functions[fn.name];
+  }
+  if (!fn || !['FunctionDeclaration', 'ArrowFunctionExpression', 'FunctionExpression'].includes(fn.type)) {
+    return null;
+  }
+
+  const param = fn.params[0];
+  const annotation = param && param.typeAnnotation && param.typeAnnotation.typeAnnotation;
+  return { name: fn.id ? fn.id.name : null, propsType: annotation || null };
+}
+
+function words(name) {
+  return String(name || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+function stringFor(name, ctx) {
+  const key = words(name);
+  if (/\b(image|img|src|thumbnail|avatar|photo|logo|icon)\b/.test(key)) return ctx.image ? ctx.image(name) : PLACEHOLDER_IMAGE;
+  if (/\b(url|href|link)\b/.test(key)) return '/';
+  if (/\bid\b/.test(key)) return `fixture-${++ctx.ids}`;
+  if (/\bemail\b/.test(key)) return 'shopper@example.com';
+  if (/\b(date|time|timestamp)\b/.test(key)) return FIXTURE_DATE;
+  if (/\b(color|colour)\b/.test(key)) return ctx.color || '#000000';
+  if (/\b(title|name|label|heading)\b/.test(key)) return ctx.label || `Sample ${key}`;
+  if (/\b(content|text|description|message|body)\b/.test(key)) return 'This is sample fixture text for the component test.';
+  return `sample ${key || 'value'}`;
+}
+
+// Per-record multipliers so seeded records don't all cost the same
+const VARIATION = [1, 1.6, 0.7, 2.4, 1.2, 0.5, 3, 0.9];
+
+function numberFor(name, ctx) {
+  const key = words(name);
+  const scale = ctx.index === undefined ? 1 : VARIATION[ctx.index % VARIATION.length];
+  if (/\brating\b/.test(key)) return ctx.index === undefined ? 4.5 : Math.min(4.9, Math.round((3.5 + scale / 2) * 10) / 10);
+  if (/\boriginal price\b/.test(key)) return Math.round(49.99 * scale) - 0.01;
+  if (/\b(price|amount|total|cost)\b/.test(key)) return Math.round(34.99 * scale) - 0.01;
+  if (/\b(count|reviews?)\b/.test(key)) return Math.round(1280 * scale);
+  if (/\b(quantity|qty)\b/.test(key)) return 2;
+  if (/\b(percent|progress)\b/.test(key)) return 50;
+  return 1;
+}
+
+function callback(name, ctx) {
+  return (...args) => {
+    ctx.calls.push({ prop: name, args });
+  };
+}
+
+function membersFixture(members, types, ctx, depth) {
+  const value = {};
+  for (const member of members) {
+    if (member.type === 'TSPropertySignature' && member.key) {
+      const key = member.key.name || member.key.value;
+      const annotation = member.typeAnnotation && member.typeAnnotation.typeAnnotation;
+      value[key] = fixtureFor(annotation, types, ctx, { name: key, depth: depth + 1 });
+    } else if (member.type === 'TSMethodSignature' && member.key) {
+      value[member.key.name] = callback(member.key.name, ctx);
+    }
+  }
+  return value;
+}
+
+/**
+ * Fixture value for a TypeScript type node. Optional props are filled in so
+ * conditional branches render too.
+ */
+function fixtureFor(node, types, ctx, { name = '', depth = 0 } = {}) {
+  if (!node || depth > MAX_DEPTH) {
+    return undefined;
+  }
+
+  switch (node.type) {
+    case 'TSStringKeyword':
+      return stringFor(name, ctx);
+    case 'TSNumberKeyword':
+      return numberFor(name, ctx);
+    case 'TSBooleanKeyword':
+      return true;
+    case 'TSNullKeyword':
+    case 'TSUndefinedKeyword':
+    case 'TSVoidKeyword':
+      return undefined;
+    case 'TSAnyKeyword':
+    case 'TSUnknownKeyword':
+    case 'TSObjectKeyword':
+      return {};
+    case 'TSLiteralType':
+      return node.literal.value;
+    case 'TSUnionType': {
+      // Prefer a concrete member over null/undefined
+      const member = node.types.find(t => !['TSNullKeyword', 'TSUndefinedKeyword'].includes(t.type)) || node.types[0];
+      return fixtureFor(member, types, ctx, { name, depth });
+    }
+    case 'TSParenthesizedType':
+    case 'TSOptionalType':
+      return fixtureFor(node.typeAnnotation, types, ctx, { name, depth });
+    case 'TSArrayType':
+      return Array.from({ length: ARRAY_LENGTH }, () => fixtureFor(node.elementType, types, ctx, { name, depth: depth + 1 }));
+    case 'TSTupleType':
+      return node.elementTypes.map(t => fixtureFor(t, types, ctx, { name, depth: depth + 1 }));
+    case 'TSFunctionType':
+      return callback(name, ctx);
+    case 'TSTypeLiteral':
+      return membersFixture(node.members, types, ctx, depth);
+    case 'TSIntersectionType':
+      return Object.assign({}, ...node.types.map(t => fixtureFor(t, types, ctx, { name, depth })));
+    case 'TSTypeReference':
+      return referenceFixture(node, types, ctx, { name, depth });
+    default:
+      return undefined;
+  }
+}
+
+function referenceFixture(node, types, ctx, { name, depth }) {
+  const typeName = node.typeName.type === 'Identifier' ? node.typeName.name : node.typeName.right.name;
+  const params = (node.typeParameters && node.typeParameters.params) || [];
+
+  switch (typeName) {
+    case 'Date':
+      return new Date(FIXTURE_DATE);
+    case 'Array':
+    case 'ReadonlyArray':
+      return Array.from({ length: ARRAY_LENGTH }, () => fixtureFor(params[0], types, ctx, { name, depth: depth + 1 }));
+    case 'Partial':
+    case 'Required':
+    case 'Readonly':
+      return fixtureFor(params[0], types, ctx, { name, depth });
+    case 'Record':
+      return {};
+    case 'ReactNode':
+    case 'ReactElement':
+      return `Sample ${words(name) || 'content'}`;
+    default:
+      break;
+  }
+
+  const declared = types[typeName];
+  if (!declared) {
+    return undefined;
+  }
+  if (declared.kind === 'alias') {
+    return fixtureFor(declared.node, types, ctx, { name, depth });
+  }
+
+  const value = {};
+  for (const parent of declared.node.extends || []) {
+    Object.assign(value, fixtureFor({ type: 'TSTypeReference', typeName: parent.expression, typeParameters: parent.typeParameters }, types, ctx, { name, depth }));
+  }
+  return Object.assign(value, membersFixture(declared.node.body.body, types, ctx, depth));
+}
+
+/**
+ * Build fixture props for the default-exported component in file.
+ * Returns { component, props, calls } or null when the file has no default
+ * function component. calls collects callback invocations. color is used for
+ * color-like string props so they stay within the design tokens; with
+ * missingImages, image props point at MISSING_IMAGE instead of the placeholder.
+ */
+function buildFixture(file, { color, missingImages = false } = {}) {
+  const component = findDefaultComponent(parseFile(file));
+  if (!component) {
+    return null;
+  }
+
+  const ctx = { ids: 0, calls: [], color, ...(missingImages ? { image: () => MISSING_IMAGE } : {}) };
+  const types = collectTypes(file);
+  const props = component.propsType ? fixtureFor(component.propsType, types, ctx) || {} : {};
+
+  return {
+    component: component.name || path.basename(file, path.extname(file)),
+    props,
+    calls: ctx.calls
+  };
+}
+
+module.exports = {
+  PLACEHOLDER_IMAGE,
+  MISSING_IMAGE,
+  collectTypes,
+  findDefaultComponent,
+  fixtureFor,
+  buildFixture
+};
@@ -0,0 +1,366 @@
+/**
+ * Component renderer
+ *
+ * Renders a prototype's React components in jsdom without a Next.js build,
+ * for scripts/test-components.js and the a11y command. TypeScript and JSX
+ * are compiled on require with the prototype's own typescript package, and
+ * react/react-dom come from the prototype's node_modules so components run
+ * against the versions they ship with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const Module = require('module');
+const { JSDOM } = require('jsdom');
+const { normalizeColor, extractColors } = require('./colors');
+
+const ASSET_EXTENSIONS = ['.css', '.scss', '.sass', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico'];
+
+// Tailwind's default palette; these classes bypass the project's design tokens
+const TAILWIND_PALETTE = 'slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose';
+const PALETTE_CLASS = new RegExp(`^(?:[a-z-]+:)*(?:bg|text|border(?:-[trblxy])?|ring|outline|fill|stroke|from|via|to|divide|placeholder|accent|caret|decoration|shadow)-(?:${TAILWIND_PALETTE})-\\d{2,3}(?:\\/\\d+)?$`);
+const ARBITRARY_COLOR = /\[((?:#[0-9a-fA-F]{3,8})|(?:(?:rgba?|hsla?)\([^\]]*\)))\]/;
+const COLOR_ATTRIBUTES = ['fill', 'stroke', 'color', 'stop-color', 'flood-color', 'lighting-color'];
+const NON_COLORS = new Set(['none', 'currentcolor', 'inherit', 'initial', 'unset', 'transparent']);
+
+let hooksInstalled = false;
+const prototypeRoots = [];
+
+function resolveFromPrototype(prototypeDir, request) {
+  try {
+    return require.resolve(request, { paths: [prototypeDir] });
+  } catch {
+    throw new Error(`${request} is not installed in ${prototypeDir} (run npm install there first)`);
+  }
+}
+
+function rootFor(filename) {
+  return prototypeRoots.find(root => filename.startsWith(root.dir + path.sep));
+}
+
+/**
+ * Compile .ts/.tsx on require, resolve the @/ alias to src/ and stub
+ * stylesheet and image imports. Safe to call once per prototype.
+ */
+function installHooks(prototypeDir) {
+  const dir = path.resolve(prototypeDir);
+  if (!prototypeRoots.some(root => root.dir === dir)) {
+    const ts = require(resolveFromPrototype(dir, 'typescript'));
+    prototypeRoots.push({ dir, ts });
+  }
+  if (hooksInstalled) {
+    return;
+  }
+  hooksInstalled = true;
+
+  const compile = (module, filename) => {
+    const root = rootFor(filename);
+    if (!root) {
+      throw new Error(`Cannot compile ${filename} outside a prototype`);
+    }
+    const { ts } = root;
+    const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+      fileName: filename,
+      compilerOptions: {
+        module: ts.ModuleKind.CommonJS,
+        target: ts.ScriptTarget.ES2020,
+        jsx: ts.JsxEmit.ReactJSX,
+        esModuleInterop: true
+      }
+    });
+    module._compile(outputText, filename);
+  };
+  require.extensions['.ts'] = compile;
+  require.extensions['.tsx'] = compile;
+  for (const ext of ASSET_EXTENSIONS) {
+    require.extensions[ext] = module => {
+      module.exports = {};
+    };
+  }
+
+  const resolveFilename = Module._resolveFilename;
+  Module._resolveFilename = function (request, parent, ...rest) {
+    const root = parent && parent.filename && rootFor(parent.filename);
+    if (root && request.startsWith('@/')) {
+      request = path.join(root.dir, 'src', request.slice(2));
+    }
+    return resolveFilename.call(this, request, parent, ...rest);
+  };
+}
+
+/**
+ * Create the jsdom window and expose it as the globals React DOM expects.
+ * Browser APIs jsdom lacks are stubbed so components that call them in
+ * effects don't fail for reasons unrelated to the component.
+ */
+function setupDom() {
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+
+  window.HTMLElement.prototype.scrollIntoView = function () {};
+  window.HTMLElement.prototype.scrollTo = function () {};
+  window.scrollTo = () => {};
+  window.matchMedia = query => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener() {},
+    removeListener() {},
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent: () => false
+  });
+  class NoopObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+    takeRecords() { return []; }
+  }
+  window.ResizeObserver = window.ResizeObserver || NoopObserver;
+  window.IntersectionObserver = window.IntersectionObserver || NoopObserver;
+
+  for (const key of Object.getOwnPropertyNames(window)) {
+    if (!(key in globalThis)) {
+      Object.defineProperty(globalThis, key, {
+        configurable: true,
+        get: () => window[key]
+      });
+    }
+  }
+  for (const key of ['window', 'document', 'navigator']) {
+    Object.defineProperty(globalThis, key, { configurable: true, get: () => (key === 'window' ? window : window[key]) });
+  }
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+  return dom;
+}
+
+/**
+ * Whether an image source can load from the prototype alone: inline data, or
+ * a root-relative path that exists in public/
+ */
+function imageAvailable(src, prototypeDir) {
+  if (!src) {
+    return false;
+  }
+  if (src.startsWith('data:') || src.startsWith('blob:')) {
+    return true;
+  }
+  if (src.startsWith('/') && !src.startsWith('//')) {
+    const file = path.join(prototypeDir, 'public', decodeURIComponent(src.split(/[?#]/)[0]));
+    return fs.existsSync(file);
+  }
+  return false;
+}
+
+function colorsInElement(element) {
+  const found = [];
+  const add = (value, where) => {
+    if (!value || NON_COLORS.has(value.trim().toLowerCase())) {
+      return;
+    }
+    for (const color of extractColors(value)) {
+      found.push({ color, where });
+    }
+  };
+
+  for (let i = 0; i < element.style.length; i++) {
+    const property = element.style[i];
+    add(element.style.getPropertyValue(property), `style ${property}`);
+  }
+  for (const attribute of COLOR_ATTRIBUTES) {
+    add(element.getAttribute(attribute), `${attribute} attribute`);
+  }
+
+  const classes = typeof element.className === 'string' ? element.className : element.getAttribute('class') || '';
+  for (const cls of classes.split(/\s+/).filter(Boolean)) {
+    const arbitrary = cls.match(ARBITRARY_COLOR);
+    if (arbitrary) {
+      add(arbitrary[1].replace(/_/g, ' '), `class ${cls}`);
+    } else if (PALETTE_CLASS.test(cls)) {
+      found.push({ color: null, where: `class ${cls}` });
+    }
+  }
+
+  return found;
+}
+
+function describe(element) {
+  const tag = element.tagName.toLowerCase();
+  const cls = typeof element.className === 'string' && element.className.trim()
+    ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+    : '';
+  return `<${tag}${cls}>`;
+}
+
+/**
+ * Report colors used by the rendered tree that aren't design tokens.
+ * tokenColors is a Set of normalized colors.
+ */
+function checkColors(container, tokenColors) {
+  const issues = [];
+  const seen = new Set();
+
+  for (const element of container.querySelectorAll('*')) {
+    for (const { color, where } of colorsInElement(element)) {
+      const normalized = color && normalizeColor(color);
+      if (normalized && tokenColors.has(normalized)) {
+        continue;
+      }
+      // Shorthands expand to several properties; report each color once per element
+      const key = `${normalized || where}|${describe(element)}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      issues.push(color
+        ? `${normalized || color} (${where} on ${describe(element)}) is not a design token color`
+        : `${where.replace('class ', '')} on ${describe(element)} uses Tailwind's default palette instead of a design token`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Fire error on every image that can't load from the prototype, then report
+ * those images and whether the component swapped in a fallback. With
+ * expectFallback the images are meant to fail, and only a missing fallback
+ * is reported.
+ */
+function checkImages(container, prototypeDir, act, window, { expectFallback = false } = {}) {
+  const issues = [];
+
+  for (const img of [...container.querySelectorAll('img')]) {
+    const src = img.getAttribute('src') || '';
+    if (imageAvailable(src, prototypeDir)) {
+      continue;
+    }
+    act(() => {
+      img.dispatchEvent(new window.Event('error'));
+    });
+    const replaced = !container.contains(img) || img.style.display === 'none';
+    const label = src ? (src.length > 80 ? `${src.slice(0, 77)}...` : src) : '(empty src)';
+    if (expectFallback) {
+      if (!replaced) {
+        issues.push(`image failed to load and no failed-image fallback is shown: ${label}`);
+      }
+      continue;
+    }
+    issues.push(replaced
+      ? `image failed to load and the failed-image fallback is shown: ${label}`
+      : `image cannot load without network access: ${label}`);
+  }
+
+  return issues;
+}
+
+/**
+ * Render one component with props into a fresh container attached to the
+ * document. Returns { container, act, errors, warnings, unmount }; errors
+ * collects anything the component throws, now or after later act() calls.
+ * Call unmount() when done, even if rendering failed.
+ */
+function mountComponent(file, props, { prototypeDir, window }) {
+  const React = require(resolveFromPrototype(prototypeDir, 'react'));
+  const { createRoot } = require(resolveFromPrototype(prototypeDir, 'react-dom/client'));
+  const act = React.act || require(resolveFromPrototype(prototypeDir, 'react-dom/test-utils')).act;
+
+  const errors = [];
+  const warnings = [];
+
+  class Boundary extends React.Component {
+    componentDidCatch(error) {
+      errors.push(`threw while rendering: ${error.message}`);
+    }
+
+    static getDerivedStateFromError() {
+      return { failed: true };
+    }
+
+    render() {
+      return this.state && this.state.failed ? null : this.props.children;
+    }
+  }
+
+  const consoleError = console.error;
+  console.error = (...args) => {
+    const message = util.format(...args);
+    // React logs caught errors again; the boundary already recorded them
+    if (!/^(\w*Error: |The above error occurred|Consider adding an error boundary)/.test(message)) {
+      warnings.push(message.split('\n')[0]);
+    }
+  };
+
+  const container = window.document.createElement('div');
+  window.document.body.appendChild(container);
+  let root;
+
+  const unmount = () => {
+    if (root) {
+      try {
+        act(() => root.unmount());
+      } catch {
+        // Already reported while rendering
+      }
+      root = null;
+    }
+    container.remove();
+    console.error = consoleError;
+  };
+
+  try {
+    const exported = require(file);
+    const Component = exported && (exported.default || exported);
+    if (typeof Component !== 'function') {
+      errors.push('default export is not a component');
+    } else {
+      root = createRoot(container);
+      act(() => {
+        root.render(React.createElement(Boundary, null, React.createElement(Component, props)));
+      });
+    }
+  } catch (e) {
+    errors.push(`threw while rendering: ${e.message.split('\n')[0]}`);
+  }
+
+  return { container, act, errors, warnings, unmount };
+}
+
+/**
+ * Render one component with props into a fresh container and run the checks.
+ * With expectFallback the props carry images that fail to load, and only the
+ * failed-image fallback is checked. Returns { errors, warnings, html }.
+ */
+function renderComponent(file, props, { prototypeDir, tokenColors, window, expectFallback = false }) {
+  const { container, act, errors, warnings, unmount } = mountComponent(file, props, { prototypeDir, window });
+
+  try {
+    if (errors.length === 0) {
+      errors.push(...checkImages(container, prototypeDir, act, window, { expectFallback }));
+      if (!expectFallback) {
+        errors.push(...checkColors(container, tokenColors));
+      }
+    }
+    return { errors, warnings, html: container.innerHTML };
+  } catch (e) {
+    errors.push(`threw while rendering: ${e.message.split('\n')[0]}`);
+    return { errors, warnings, html: '' };
+  } finally {
+    unmount();
+  }
+}
+
+module.exports = {
+  installHooks,
+  setupDom,
+  imageAvailable,
+  checkColors,
+  checkImages,
+  mountComponent,
+  renderComponent
+};
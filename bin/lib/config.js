@@ -0,0 +1,544 @@
+/**
+ * Capture configuration
+ *
+ * Capture settings can come from four places, each with its own syntax:
+ *   - CLAUDE.md          YAML sections (platform:, capture:, output:) and/or
+ *                        KEY=VALUE lines, anywhere in the file
+ *   - capture-config.json
+ *   - .env               KEY=VALUE
+ *   - the environment    the same keys as .env
+ *
+ * They are merged in that order, so later sources win:
+ *
+ *   defaults < CLAUDE.md < capture-config.json < .env < environment
+ *
+ * Every value is coerced and range-checked, and remembers which source set
+ * it. Unknown keys, and keys that contradict each other within one source,
+ * are reported as errors instead of being silently ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILES = {
+  claude: 'CLAUDE.md',
+  json: 'capture-config.json',
+  env: '.env'
+};
+
+// Canonical settings. type drives coercion and validation.
+const SETTINGS = {
+  'platform.url': { type: 'url', description: 'Base URL of the platform to capture' },
+  'platform.name': { type: 'string', description: 'Display name of the platform' },
+  // "auto" is what earlier capture-config.json examples used for full
+  'capture.mode': { type: 'enum', values: ['full', 'manual'], aliases: { auto: 'full' }, default: 'full', description: 'full: every discovered page up to maxPages; manual: only capture.pages' },
+  'capture.pages': { type: 'pages', default: 'auto', description: 'Paths to capture, "auto" to discover them, or "off"' },
+  'capture.maxPages': { type: 'integer', min: 1, max: 1000, default: 50, description: 'Page limit in full mode' },
+  'capture.viewports': { type: 'viewports', default: [{ name: 'desktop', width: 1920, height: 1080 }], description: 'Viewport sizes to capture' },
+  'capture.waitAfterLoad': { type: 'integer', min: 0, max: 60000, default: 2000, description: 'Milliseconds to wait after load' },
+  'capture.excludePatterns': { type: 'list', default: [], description: 'URL patterns never captured' },
+  'capture.interactions': { type: 'boolean', default: false, description: 'Click tabs, buttons and dropdowns' },
+  'output.dir': { type: 'string', default: './references', description: 'Where captured references are written' },
+  'output.saveHtml': { type: 'boolean', default: true, description: 'Save HTML alongside screenshots' },
+  'output.extractDesignTokens': { type: 'boolean', default: true, description: 'Extract design-tokens.json' }
+};
+
+// KEY=VALUE names used by .env, the environment and CLAUDE.md
+const ENV_KEYS = {
+  PLATFORM_URL: 'platform.url',
+  PLATFORM_NAME: 'platform.name',
+  CAPTURE_MODE: 'capture.mode',
+  PAGES_TO_CAPTURE: 'capture.pages',
+  MAX_PAGES: 'capture.maxPages',
+  VIEWPORTS: 'capture.viewports',
+  VIEWPORT_WIDTH: 'capture.viewports',
+  VIEWPORT_HEIGHT: 'capture.viewports',
+  WAIT_AFTER_LOAD: 'capture.waitAfterLoad',
+  EXCLUDE_PATTERNS: 'capture.excludePatterns',
+  CAPTURE_INTERACTIONS: 'capture.interactions',
+  OUTPUT_DIR: 'output.dir',
+  SAVE_HTML: 'output.saveHtml',
+  EXTRACT_DESIGN_TOKENS: 'output.extractDesignTokens'
+};
+
+// Known keys that aren't capture settings: login details belong to `credentials`
+const CREDENTIAL_KEYS = ['PLATFORM_EMAIL', 'PLATFORM_PASSWORD', 'PLATFORM_STORAGE_STATE'];
+const CREDENTIAL_FIELDS = ['email', 'password', 'storageState'];
+
+// Prefixes that mark a KEY=VALUE line as meant for us. Together with close
+// misspellings of known keys this catches typos without rejecting unrelated
+// variables in .env
+const ENV_PREFIXES = /^(PLATFORM_|CAPTURE_|PAGES_|MAX_PAGES|VIEWPORT|WAIT_AFTER|EXCLUDE_|OUTPUT_|SAVE_|EXTRACT_)/;
+
+// Field names in capture-config.json and the CLAUDE.md YAML sections
+// (snake_case YAML keys are camelCased first)
+const FIELD_ALIASES = {
+  platform: { url: 'platform.url', baseUrl: 'platform.url', name: 'platform.name' },
+  capture: {
+    mode: 'capture.mode',
+    pages: 'capture.pages',
+    maxPages: 'capture.maxPages',
+    viewport: 'capture.viewports',
+    viewports: 'capture.viewports',
+    waitAfterLoad: 'capture.waitAfterLoad',
+    excludePatterns: 'capture.excludePatterns',
+    exclude: 'capture.excludePatterns',
+    interactions: 'capture.interactions'
+  },
+  output: { dir: 'output.dir', saveHtml: 'output.saveHtml', extractDesignTokens: 'output.extractDesignTokens' }
+};
+
+/**
+ * Levenshtein distance, for "did you mean" hints
+ */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(key, candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    const d = distance(key.toLowerCase(), candidate.toLowerCase());
+    if (d <= Math.max(2, Math.floor(candidate.length / 4)) && (!best || d < best.d)) {
+      best = { candidate, d };
+    }
+  }
+  return best ? ` (did you mean ${best.candidate}?)` : '';
+}
+
+function camelCase(key) {
+  return key.replace(/[_-]([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function stripComment(value) {
+  // Only unquoted values can carry an inline comment
+  return /^['"]/.test(value.trim()) ? value : value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse KEY=VALUE lines. Returns [{ key, value, line }].
+ */
+function parseKeyValues(content) {
+  const entries = [];
+  content.split('\n').forEach((text, i) => {
+    const match = text.match(/^\s*(?:export\s+)?([A-Z][A-Z0-9_]*)\s*=(.*)$/);
+    if (match) {
+      entries.push({ key: match[1], value: unquote(stripComment(match[2])), line: i + 1 });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Parse the platform:/capture:/output: YAML sections of a CLAUDE.md. Only
+ * these top-level keys are read so surrounding prose is left alone. Supports
+ * nested scalars, "- item" lists and [a, b] inline lists.
+ * Returns [{ section, field, value, line }].
+ */
+function parseYamlSections(content) {
+  const entries = [];
+  const lines = content.split('\n');
+  let section = null;
+  let listEntry = null;
+
+  lines.forEach((raw, i) => {
+    const text = stripComment(raw).replace(/\s+$/, '');
+    if (!text.trim() || /^\s*#/.test(raw)) {
+      return;
+    }
+
+    const top = text.match(/^([A-Za-z_]+):\s*$/);
+    if (top) {
+      section = FIELD_ALIASES[top[1]] ? top[1] : null;
+      listEntry = null;
+      return;
+    }
+    if (!/^\s/.test(text)) {
+      section = null;
+      return;
+    }
+    if (!section) {
+      return;
+    }
+
+    const item = text.match(/^\s+-\s*(.+)$/);
+    if (item && listEntry) {
+      listEntry.value.push(unquote(item[1]));
+      return;
+    }
+
+    const field = text.match(/^\s+([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!field) {
+      return;
+    }
+    let value = field[2].trim();
+    if (value === '') {
+      listEntry = { section, field: field[1], value: [], line: i + 1 };
+      entries.push(listEntry);
+      return;
+    }
+    listEntry = null;
+    if (/^\[.*\]$/.test(value)) {
+      value = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+    } else {
+      value = unquote(value);
+    }
+    entries.push({ section, field: field[1], value, line: i + 1 });
+  });
+
+  return entries;
+}
+
+function viewportName(width, used) {
+  let name = width >= 1024 ? 'desktop' : width >= 600 ? 'tablet' : 'mobile';
+  if (used.has(name)) {
+    name = `${name}-${width}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Coerce a raw value to a setting's type. Text sources (CLAUDE.md, .env, the
+ * environment) only have strings, so numbers and booleans are parsed from
+ * them; JSON values must already have the right type. Throws with a readable
+ * message when the value doesn't fit.
+ */
+function coerce(key, raw, { fromText = typeof raw === 'string' } = {}) {
+  const setting = SETTINGS[key];
+  const isText = typeof raw === 'string';
+
+  switch (setting.type) {
+    case 'string':
+      if (typeof raw !== 'string' || !raw.trim()) throw new Error('must be a non-empty string');
+      return raw.trim();
+    case 'url': {
+      if (typeof raw !== 'string') throw new Error('must be a URL');
+      let url;
+      try {
+        url = new URL(raw.trim());
+      } catch {
+        throw new Error(`"${raw}" is not a valid URL`);
+      }
+      if (!/^https?:$/.test(url.protocol)) throw new Error('must be an http(s) URL');
+      return raw.trim();
+    }
+    case 'enum': {
+      const given = String(raw).trim().toLowerCase();
+      const value = (setting.aliases && setting.aliases[given]) || given;
+      if (!setting.values.includes(value)) throw new Error(`must be one of ${setting.values.join(', ')} (got "${raw}")`);
+      return value;
+    }
+    case 'integer': {
+      const value = fromText && isText && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw;
+      if (!Number.isInteger(value)) throw new Error(`must be a whole number (got ${JSON.stringify(raw)})`);
+      if (value < setting.min || value > setting.max) throw new Error(`must be between ${setting.min} and ${setting.max} (got ${value})`);
+      return value;
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      if (!fromText) throw new Error(`must be true or false (got ${JSON.stringify(raw)})`);
+      const value = String(raw).trim().toLowerCase();
+      if (['true', 'yes', '1', 'on'].includes(value)) return true;
+      if (['false', 'no', '0', 'off'].includes(value)) return false;
+      throw new Error(`must be true or false (got "${raw}")`);
+    }
+    case 'list': {
+      const list = isText ? raw.split(',') : raw;
+      if (!Array.isArray(list) || list.some(v => typeof v !== 'string')) throw new Error('must be a list of strings');
+      return list.map(v => v.trim()).filter(Boolean);
+    }
+    case 'pages': {
+      if (isText && ['auto', 'off'].includes(raw.trim().toLowerCase())) return raw.trim().toLowerCase();
+      const list = isText ? raw.split(',') : raw;
+      if (!Array.isArray(list) || list.some(v => typeof v !== 'string')) throw new Error('must be "auto", "off" or a list of paths');
+      const pages = list.map(v => v.trim()).filter(Boolean);
+      if (pages.length === 0) throw new Error('is empty; use "auto", "off" or a list of paths');
+      const bad = pages.find(p => !p.startsWith('/'));
+      if (bad) throw new Error(`"${bad}" is not a path; pages must start with /`);
+      return pages;
+    }
+    case 'viewports':
+      return coerceViewports(raw);
+    default:
+      throw new Error(`unsupported setting type ${setting.type}`);
+  }
+}
+
+function coerceViewports(raw) {
+  const items = typeof raw === 'string' ? raw.split(',') : Array.isArray(raw) ? raw : [raw];
+  const used = new Set();
+  const viewports = items.map(item => {
+    let width;
+    let height;
+    let name;
+    if (typeof item === 'string') {
+      const match = item.trim().match(/^(?:([a-z][\w-]*)\s*[=@]\s*)?(\d+)\s*[x:×]\s*(\d+)$/i);
+      if (!match) throw new Error(`"${item.trim()}" is not a viewport; use WIDTHxHEIGHT or WIDTH:HEIGHT`);
+      [, name, width, height] = match;
+      width = Number(width);
+      height = Number(height);
+    } else if (item && typeof item === 'object') {
+      ({ name, width, height } = item);
+      const extra = Object.keys(item).filter(k => !['name', 'width', 'height'].includes(k));
+      if (extra.length) throw new Error(`unknown viewport field "${extra[0]}"`);
+    } else {
+      throw new Error('must be a list of viewports');
+    }
+    if (!Number.isInteger(width) || width < 200 || width > 7680) throw new Error(`viewport width must be 200-7680 (got ${width})`);
+    if (!Number.isInteger(height) || height < 200 || height > 4320) throw new Error(`viewport height must be 200-4320 (got ${height})`);
+    if (name) {
+      if (used.has(name)) throw new Error(`viewport name "${name}" is used twice`);
+      used.add(name);
+    }
+    return { name, width, height };
+  });
+  for (const viewport of viewports) {
+    viewport.name = viewport.name || viewportName(viewport.width, used);
+  }
+  if (viewports.length === 0) throw new Error('needs at least one viewport');
+  return viewports;
+}
+
+/**
+ * Turn KEY=VALUE entries into setting assignments for one source
+ */
+function fromKeyValues(entries, source, report, { strict }) {
+  const assigned = [];
+  const byKey = {};
+
+  for (const entry of entries) {
+    const where = entry.line ? `${source}:${entry.line}` : source;
+    if (CREDENTIAL_KEYS.includes(entry.key)) {
+      continue;
+    }
+    const first = byKey[entry.key];
+    if (first) {
+      report.error(where, entry.key, `conflicts with ${entry.key} at ${first.line ? `${source}:${first.line}` : source} in the same file; keep one`);
+      continue;
+    }
+    byKey[entry.key] = entry;
+    if (entry.key === 'VIEWPORT_WIDTH' || entry.key === 'VIEWPORT_HEIGHT') {
+      continue;
+    }
+    const key = ENV_KEYS[entry.key];
+    if (!key) {
+      const hint = suggest(entry.key, [...Object.keys(ENV_KEYS), ...CREDENTIAL_KEYS]);
+      if (strict && (hint || ENV_PREFIXES.test(entry.key))) {
+        report.error(where, entry.key, `unknown setting${hint}`);
+      }
+      continue;
+    }
+    assigned.push({ key, raw: entry.value, where, name: entry.key });
+  }
+
+  // VIEWPORT_WIDTH/HEIGHT describe a single viewport
+  const width = byKey.VIEWPORT_WIDTH;
+  const height = byKey.VIEWPORT_HEIGHT;
+  if (width || height) {
+    const where = `${source}:${(width || height).line || ''}`.replace(/:$/, '');
+    if (!width || !height) {
+      report.error(where, width ? 'VIEWPORT_WIDTH' : 'VIEWPORT_HEIGHT', 'VIEWPORT_WIDTH and VIEWPORT_HEIGHT must be set together');
+    } else if (byKey.VIEWPORTS && byKey.VIEWPORTS.value) {
+      report.error(where, 'VIEWPORT_WIDTH', `conflicts with VIEWPORTS=${byKey.VIEWPORTS.value}; set one or the other`);
+    } else {
+      assigned.push({ key: 'capture.viewports', raw: `${width.value}x${height.value}`, where, name: 'VIEWPORT_WIDTH/VIEWPORT_HEIGHT' });
+    }
+  }
+
+  return assigned;
+}
+
+/**
+ * Turn section/field entries (YAML or JSON) into setting assignments
+ */
+function fromFields(entries, source, report) {
+  const assigned = [];
+  const seen = {};
+
+  for (const entry of entries) {
+    const where = entry.line ? `${source}:${entry.line}` : source;
+    const field = camelCase(entry.field);
+    const label = `${entry.section}.${entry.field}`;
+    const aliases = FIELD_ALIASES[entry.section];
+
+    if (!aliases) {
+      report.error(where, entry.section, `unknown section${suggest(entry.section, Object.keys(FIELD_ALIASES))}`);
+      continue;
+    }
+    if (entry.section === 'platform' && CREDENTIAL_FIELDS.includes(field)) {
+      continue;
+    }
+    const key = aliases[field];
+    if (!key) {
+      report.error(where, label, `unknown setting${suggest(field, Object.keys(aliases))}`);
+      continue;
+    }
+    if (seen[key]) {
+      report.error(where, label, `conflicts with ${seen[key]} in the same file; keep one`);
+      continue;
+    }
+    seen[key] = label;
+    assigned.push({ key, raw: entry.value, where, name: label, fromText: source !== FILES.json });
+  }
+
+  return assigned;
+}
+
+function readClaudeMd(file, report) {
+  const content = fs.readFileSync(file, 'utf-8');
+  const keyValues = fromKeyValues(parseKeyValues(content), FILES.claude, report, { strict: true });
+  const fields = fromFields(parseYamlSections(content), FILES.claude, report);
+
+  // The same setting written both ways in one file is ambiguous
+  const keyed = new Map(keyValues.map(a => [a.key, a]));
+  for (const assignment of fields) {
+    const other = keyed.get(assignment.key);
+    if (other) {
+      report.error(assignment.where, assignment.name, `conflicts with ${other.name} at ${other.where}; keep one`);
+    }
+  }
+  return [...keyValues, ...fields.filter(a => !keyed.has(a.key))];
+}
+
+function readCaptureConfig(file, report) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    report.error(FILES.json, '/', `invalid JSON: ${e.message}`);
+    return [];
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    report.error(FILES.json, '/', 'must be a JSON object');
+    return [];
+  }
+
+  const entries = [];
+  for (const [section, fields] of Object.entries(data)) {
+    if (section === '$schema') {
+      continue;
+    }
+    if (!FIELD_ALIASES[section]) {
+      report.error(FILES.json, section, `unknown section${suggest(section, Object.keys(FIELD_ALIASES))}`);
+      continue;
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      report.error(FILES.json, section, 'must be an object');
+      continue;
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      entries.push({ section, field, value });
+    }
+  }
+  return fromFields(entries, FILES.json, report);
+}
+
+/**
+ * Load and merge the capture configuration for a directory.
+ * Returns { config, settings, errors, warnings, files } where settings maps
+ * each key to { value, source, overridden: [{ value, source }] }.
+ */
+function loadConfig({ cwd = process.cwd(), env = process.env } = {}) {
+  const errors = [];
+  const warnings = [];
+  const report = {
+    error: (source, key, message) => errors.push({ source, key, message }),
+    warning: (source, key, message) => warnings.push({ source, key, message })
+  };
+
+  const files = {};
+  const layers = [];
+  const claudeFile = path.join(cwd, FILES.claude);
+  const jsonFile = path.join(cwd, FILES.json);
+  const envFile = path.join(cwd, FILES.env);
+
+  if (fs.existsSync(claudeFile)) {
+    files.claude = claudeFile;
+    layers.push(readClaudeMd(claudeFile, report));
+  }
+  if (fs.existsSync(jsonFile)) {
+    files.json = jsonFile;
+    layers.push(readCaptureConfig(jsonFile, report));
+  }
+  if (fs.existsSync(envFile)) {
+    files.env = envFile;
+    layers.push(fromKeyValues(parseKeyValues(fs.readFileSync(envFile, 'utf-8')), FILES.env, report, { strict: true }));
+  }
+  const envEntries = Object.keys(ENV_KEYS)
+    .filter(key => env[key] !== undefined && env[key] !== '')
+    .map(key => ({ key, value: env[key] }));
+  layers.push(fromKeyValues(envEntries, 'environment', report, { strict: false }));
+
+  const settings = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    settings[key] = { value: setting.default === undefined ? null : setting.default, source: 'default', overridden: [] };
+  }
+
+  for (const layer of layers) {
+    for (const { key, raw, where, name, fromText = true } of layer) {
+      let value;
+      try {
+        value = coerce(key, raw, { fromText });
+      } catch (e) {
+        report.error(where, name, e.message);
+        continue;
+      }
+      const aliases = SETTINGS[key].aliases;
+      const given = typeof raw === 'string' ? raw.trim().toLowerCase() : raw;
+      if (aliases && aliases[given]) {
+        report.warning(where, name, `"${raw}" is deprecated; use "${aliases[given]}"`);
+      }
+      const current = settings[key];
+      if (current.source !== 'default') {
+        current.overridden.push({ value: current.value, source: current.source });
+      }
+      settings[key] = { value, source: where, overridden: current.overridden };
+    }
+  }
+
+  const mode = settings['capture.mode'];
+  const pages = settings['capture.pages'];
+  if (mode.value === 'manual' && !Array.isArray(pages.value)) {
+    report.error(mode.source, 'capture.mode', `is "manual" but capture.pages is "${pages.value}" (${pages.source}); list the pages to capture`);
+  }
+  if (mode.value === 'full' && Array.isArray(pages.value) && mode.source !== 'default') {
+    report.warning(pages.source, 'capture.pages', 'full mode also captures discovered pages beyond this list, up to capture.maxPages');
+  }
+  if (!settings['platform.url'].value) {
+    report.warning('default', 'platform.url', 'not set; the capture step will ask for it');
+  }
+
+  const config = {};
+  for (const [key, { value }] of Object.entries(settings)) {
+    const [section, field] = key.split('.');
+    config[section] = config[section] || {};
+    config[section][field] = value;
+  }
+
+  return { config, settings, errors, warnings, files };
+}
+
+module.exports = {
+  FILES,
+  SETTINGS,
+  ENV_KEYS,
+  parseKeyValues,
+  parseYamlSections,
+  coerce,
+  loadConfig
+};
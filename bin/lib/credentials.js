@@ -0,0 +1,351 @@
+/**
+ * Platform credentials
+ *
+ * Keeps login details for captured platforms out of CLAUDE.md. Each platform
+ * entry can hold an email and either a password, a reference to where the
+ * password lives (an environment variable or a file), or a saved
+ * authenticated storage-state/cookie file that replaces the login entirely.
+ *
+ * Entries are kept in ~/.real-prototypes/credentials.enc, encrypted with
+ * AES-256-GCM. The key is derived from REAL_PROTOTYPES_PASSPHRASE when it is
+ * set, otherwise it is a random key in credentials.key next to the store
+ * (readable only by the current user). The key file only keeps the store
+ * out of backups, sync folders and the project; anyone who can read both
+ * files can decrypt it, so it protects no more than the file permissions do.
+ *
+ * Passwords are never printed. Capture gets them as environment variables of
+ * the process that logs in (see credentialsEnv).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_FILE = 'credentials.enc';
+const KEY_FILE = 'credentials.key';
+const STORE_VERSION = 1;
+const PLATFORM_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// Environment variables used when a platform has no stored entry
+const ENV = {
+  email: 'PLATFORM_EMAIL',
+  password: 'PLATFORM_PASSWORD',
+  storageState: 'PLATFORM_STORAGE_STATE'
+};
+
+// Keys whose value is a secret when written literally in CLAUDE.md
+const SECRET_ASSIGNMENT = /^\s*(?:export\s+)?([A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|APIKEY)[A-Z0-9_]*)\s*=\s*(.*)$/i;
+const SECRET_YAML = /^\s*(password|passwd|secret|token|api_key|apikey|access_token)\s*:\s*(.*)$/i;
+
+function getCredentialsDir() {
+  return process.env.REAL_PROTOTYPES_HOME || path.join(os.homedir(), '.real-prototypes');
+}
+
+function storePath() {
+  return path.join(getCredentialsDir(), STORE_FILE);
+}
+
+/**
+ * Platform key for a name or URL. URLs map to their hostname without www.,
+ * matching the platform name `new --url` writes to project.json.
+ */
+function toPlatformName(input) {
+  let platform = input;
+  if (/^https?:\/\//i.test(input || '')) {
+    try {
+      platform = new URL(input).hostname.replace(/^www\./, '');
+    } catch {
+      throw new Error(`Invalid platform URL "${input}"`);
+    }
+  }
+  if (!platform || !PLATFORM_PATTERN.test(platform)) {
+    throw new Error(`Invalid platform name "${input || ''}". Use the site's hostname or URL.`);
+  }
+  return platform.toLowerCase();
+}
+
+function keyFromFile(create) {
+  const file = path.join(getCredentialsDir(), KEY_FILE);
+  if (!fs.existsSync(file)) {
+    if (!create) {
+      throw new Error(`Credentials key ${file} is missing; the stored credentials can't be decrypted`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+  }
+  return Buffer.from(fs.readFileSync(file, 'utf-8').trim(), 'base64');
+}
+
+function deriveKey(kdf, salt, create) {
+  if (kdf === 'scrypt') {
+    const passphrase = process.env.REAL_PROTOTYPES_PASSPHRASE;
+    if (!passphrase) {
+      throw new Error('Credentials are protected by a passphrase; set REAL_PROTOTYPES_PASSPHRASE');
+    }
+    return crypto.scryptSync(passphrase, salt, 32);
+  }
+  return keyFromFile(create);
+}
+
+/**
+ * Read and decrypt the store. Returns { platforms: { [name]: entry } }.
+ */
+function readStore() {
+  const file = storePath();
+  if (!fs.existsSync(file)) {
+    return { platforms: {} };
+  }
+
+  let sealed;
+  try {
+    sealed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file} is not a credentials store: ${e.message}`);
+  }
+
+  const key = deriveKey(sealed.kdf, Buffer.from(sealed.salt || '', 'base64'), false);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf-8'));
+  } catch {
+    throw new Error(`Could not decrypt ${file} (wrong passphrase or key?)`);
+  }
+}
+
+function writeStore(store) {
+  const file = storePath();
+  const kdf = process.env.REAL_PROTOTYPES_PASSPHRASE ? 'scrypt' : 'keyfile';
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(kdf, salt, true);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(store), 'utf-8'), cipher.final()]);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify({
+    version: STORE_VERSION,
+    kdf,
+    salt: kdf === 'scrypt' ? salt.toString('base64') : undefined,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, null, 2), { mode: 0o600 });
+  return file;
+}
+
+/**
+ * Check a saved storage-state or cookie file and summarize it.
+ * Accepts Playwright storageState JSON ({ cookies, origins }), a JSON array of
+ * cookies, or a Netscape cookies.txt. Returns { format, cookies, expired }.
+ */
+function inspectStorageState(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Storage state file not found: ${file}`);
+  }
+  const content = fs.readFileSync(file, 'utf-8');
+  const now = Date.now() / 1000;
+  let format;
+  let expiries;
+
+  try {
+    const data = JSON.parse(content);
+    const cookies = Array.isArray(data) ? data : data.cookies;
+    if (!Array.isArray(cookies)) {
+      throw new Error('no cookies array');
+    }
+    format = Array.isArray(data) ? 'cookies-json' : 'storage-state';
+    expiries = cookies.map(c => Number(c.expires !== undefined ? c.expires : c.expirationDate));
+  } catch {
+    const lines = content.split('\n').filter(line => line.trim() && (!line.startsWith('#') || line.startsWith('#HttpOnly_')));
+    if (lines.length === 0 || !lines.every(line => line.split('\t').length >= 7)) {
+      throw new Error(`${file} is not a Playwright storage state, a cookie JSON array or a Netscape cookies.txt`);
+    }
+    format = 'cookies-txt';
+    expiries = lines.map(line => Number(line.split('\t')[4]));
+  }
+
+  // Session cookies (-1 or 0) never count as expired
+  const persistent = expiries.filter(e => e > 0);
+  return {
+    format,
+    cookies: expiries.length,
+    expired: persistent.length > 0 && persistent.every(e => e < now)
+  };
+}
+
+/**
+ * Add or update a platform entry. fields may contain email, password,
+ * passwordEnv, passwordFile and storageState; password sources replace each
+ * other. Returns { platform, file }.
+ */
+function setCredentials(input, fields) {
+  const platform = toPlatformName(input);
+  const store = readStore();
+  const entry = { ...(store.platforms[platform] || {}) };
+
+  const passwordSources = ['password', 'passwordEnv', 'passwordFile'].filter(key => fields[key]);
+  if (passwordSources.length > 1) {
+    throw new Error('Use only one of a password, --password-env or --password-file');
+  }
+  if (passwordSources.length === 1) {
+    delete entry.password;
+    delete entry.passwordEnv;
+    delete entry.passwordFile;
+    entry[passwordSources[0]] = fields[passwordSources[0]];
+  }
+  if (fields.passwordFile) {
+    entry.passwordFile = path.resolve(fields.passwordFile);
+    if (!fs.existsSync(entry.passwordFile)) {
+      throw new Error(`Password file not found: ${entry.passwordFile}`);
+    }
+  }
+  if (fields.storageState) {
+    entry.storageState = path.resolve(fields.storageState);
+    inspectStorageState(entry.storageState);
+  }
+  if (fields.email) {
+    entry.email = fields.email;
+  }
+
+  if (!['email', 'password', 'passwordEnv', 'passwordFile', 'storageState'].some(key => entry[key])) {
+    throw new Error('Nothing to store: give an email, a password source or --storage-state');
+  }
+
+  entry.updatedAt = new Date().toISOString();
+  store.platforms[platform] = entry;
+  return { platform, file: writeStore(store) };
+}
+
+/**
+ * Remove a platform entry. Returns false when there was none.
+ */
+function removeCredentials(input) {
+  const platform = toPlatformName(input);
+  const store = readStore();
+  if (!store.platforms[platform]) {
+    return false;
+  }
+  delete store.platforms[platform];
+  writeStore(store);
+  return true;
+}
+
+function listPlatforms() {
+  return Object.keys(readStore().platforms).sort();
+}
+
+/**
+ * Resolve a platform's credentials from the store, falling back to the
+ * PLATFORM_EMAIL / PLATFORM_PASSWORD / PLATFORM_STORAGE_STATE environment
+ * variables. Returns { platform, email, password, storageState, sources }
+ * where sources says where each value came from.
+ */
+function resolveCredentials(input, env = process.env) {
+  const platform = toPlatformName(input);
+  const entry = readStore().platforms[platform] || {};
+  const result = { platform, email: null, password: null, storageState: null, sources: {} };
+
+  if (entry.email) {
+    result.email = entry.email;
+    result.sources.email = 'store';
+  } else if (env[ENV.email]) {
+    result.email = env[ENV.email];
+    result.sources.email = `env:${ENV.email}`;
+  }
+
+  if (entry.password) {
+    result.password = entry.password;
+    result.sources.password = 'store';
+  } else if (entry.passwordEnv) {
+    if (!env[entry.passwordEnv]) {
+      throw new Error(`Environment variable ${entry.passwordEnv} (password for ${platform}) is not set`);
+    }
+    result.password = env[entry.passwordEnv];
+    result.sources.password = `env:${entry.passwordEnv}`;
+  } else if (entry.passwordFile) {
+    if (!fs.existsSync(entry.passwordFile)) {
+      throw new Error(`Password file for ${platform} not found: ${entry.passwordFile}`);
+    }
+    result.password = fs.readFileSync(entry.passwordFile, 'utf-8').replace(/\r?\n$/, '');
+    result.sources.password = `file:${entry.passwordFile}`;
+  } else if (env[ENV.password]) {
+    result.password = env[ENV.password];
+    result.sources.password = `env:${ENV.password}`;
+  }
+
+  const storageState = entry.storageState || env[ENV.storageState];
+  if (storageState) {
+    result.storageState = path.resolve(storageState);
+    result.sources.storageState = entry.storageState ? 'store' : `env:${ENV.storageState}`;
+  }
+
+  return result;
+}
+
+/**
+ * Environment variables that hand resolved credentials to a capture process:
+ * PLATFORM_EMAIL, PLATFORM_PASSWORD and PLATFORM_STORAGE_STATE, set only for
+ * values that were found.
+ */
+function credentialsEnv(resolved) {
+  const env = {};
+  for (const [field, name] of Object.entries(ENV)) {
+    if (resolved[field]) {
+      env[name] = resolved[field];
+    }
+  }
+  return env;
+}
+
+function isReference(value) {
+  return value === '' ||
+    /^\$\{?[A-Z_][A-Z0-9_]*\}?$/i.test(value) ||
+    /^(env|file|credentials):/i.test(value) ||
+    /^<.*>$/.test(value);
+}
+
+/**
+ * Find secrets written literally in a CLAUDE.md (KEY=VALUE or YAML).
+ * References such as ${VAR}, env:VAR or file:path are allowed.
+ * Returns [{ line, key }].
+ */
+function findLiteralCredentials(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const found = [];
+  fs.readFileSync(file, 'utf-8').split('\n').forEach((text, i) => {
+    // Commented-out examples and markdown headings
+    if (/^\s*#/.test(text)) {
+      return;
+    }
+    const match = text.match(SECRET_ASSIGNMENT) || text.match(SECRET_YAML);
+    if (!match) {
+      return;
+    }
+    const value = match[2].replace(/\s+#.*$/, '').trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (!isReference(value)) {
+      found.push({ line: i + 1, key: match[1] });
+    }
+  });
+  return found;
+}
+
+module.exports = {
+  ENV,
+  getCredentialsDir,
+  storePath,
+  toPlatformName,
+  inspectStorageState,
+  setCredentials,
+  removeCredentials,
+  listPlatforms,
+  resolveCredentials,
+  credentialsEnv,
+  findLiteralCredentials
+};
@@ -0,0 +1,15 @@
+/**
+ * HTML helpers for the self-contained reports the CLI and scripts write
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  escapeHtml
+};
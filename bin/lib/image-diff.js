@@ -0,0 +1,77 @@
+/**
+ * Screenshot comparison
+ *
+ * Diffs two PNGs with pixelmatch. Images of different sizes are compared on
+ * a canvas as large as both, so missing or extra content counts as mismatch.
+ */
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+
+// pixelmatch is ESM-only
+let pixelmatchPromise = null;
+function loadPixelmatch() {
+  pixelmatchPromise = pixelmatchPromise || import('pixelmatch').then(m => m.default);
+  return pixelmatchPromise;
+}
+
+function readPng(file) {
+  return PNG.sync.read(fs.readFileSync(file));
+}
+
+/**
+ * Copy an image onto a larger canvas; uncovered area is filled opaque magenta
+ * so it never matches real content
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const padded = new PNG({ width, height });
+  for (let i = 0; i < padded.data.length; i += 4) {
+    padded.data[i] = 255;
+    padded.data[i + 1] = 0;
+    padded.data[i + 2] = 255;
+    padded.data[i + 3] = 255;
+  }
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Compare reference and actual PNGs and write a diff image.
+ * Returns { width, height, diffPixels, mismatch, sizeMatches } with mismatch in percent.
+ */
+async function compareImages(referenceFile, actualFile, diffFile, { pixelThreshold = 0.1 } = {}) {
+  const pixelmatch = await loadPixelmatch();
+  const reference = readPng(referenceFile);
+  const actual = readPng(actualFile);
+
+  const width = Math.max(reference.width, actual.width);
+  const height = Math.max(reference.height, actual.height);
+  const diff = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padImage(reference, width, height).data,
+    padImage(actual, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold: pixelThreshold }
+  );
+
+  fs.writeFileSync(diffFile, PNG.sync.write(diff));
+
+  return {
+    width,
+    height,
+    diffPixels,
+    mismatch: Number(((diffPixels / (width * height)) * 100).toFixed(2)),
+    sizeMatches: reference.width === actual.width && reference.height === actual.height
+  };
+}
+
+module.exports = {
+  readPng,
+  compareImages
+};
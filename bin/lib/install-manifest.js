@@ -0,0 +1,128 @@
+/**
+ * Install manifest
+ *
+ * Records a sha256 checksum of every file copied into an installed skill so
+ * that upgrades can tell which files the user has edited since install.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = '.install-manifest.json';
+
+// Files the installer generates itself; never tracked as skill files
+const GENERATED = new Set(['node_modules', 'package.json', 'package-lock.json', MANIFEST_FILE]);
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Hash a dependency map independent of key order
+ */
+function hashDependencies(dependencies) {
+  const sorted = Object.keys(dependencies || {}).sort().map(name => `${name}@${dependencies[name]}`);
+  return crypto.createHash('sha256').update(sorted.join('\n')).digest('hex');
+}
+
+/**
+ * List skill files under dir as forward-slash relative paths
+ */
+function listFiles(dir, base = dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (dir === base && GENERATED.has(entry.name)) {
+      continue;
+    }
+    if (entry.name === '.git' || entry.name.startsWith('.temp') || entry.name.endsWith('.new')) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      files.push(...listFiles(full, base));
+    } else {
+      files.push(path.relative(base, full).split(path.sep).join('/'));
+    }
+  }
+
+  return files.sort();
+}
+
+function buildManifest(dir, version, dependencies) {
+  const files = {};
+  for (const rel of listFiles(dir)) {
+    files[rel] = hashFile(path.join(dir, rel));
+  }
+
+  return {
+    version,
+    installedAt: new Date().toISOString(),
+    dependenciesHash: hashDependencies(dependencies),
+    files
+  };
+}
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function writeManifest(dir, manifest) {
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Compare an installed skill against its manifest and the incoming version.
+ *
+ * Each file is classified as:
+ *   unchanged  - matches what was installed; safe to replace
+ *   modified   - edited by the user and changed upstream; keep user copy, write .new
+ *   edited     - edited by the user, unchanged upstream; keep user copy
+ *   kept       - edited by the user and removed upstream; keep user copy
+ *   added      - created by the user; keep as-is
+ *
+ * Without a manifest every file that differs from the incoming version is
+ * treated as modified, since there is no way to tell edits from old versions.
+ */
+function classifyFiles(installedDir, incomingDir, manifest) {
+  const incoming = new Set(listFiles(incomingDir));
+  const result = { unchanged: [], modified: [], edited: [], kept: [], added: [] };
+
+  for (const rel of listFiles(installedDir)) {
+    const current = hashFile(path.join(installedDir, rel));
+    const original = manifest ? manifest.files[rel] : undefined;
+    const upstream = incoming.has(rel) ? hashFile(path.join(incomingDir, rel)) : null;
+
+    if (manifest && original === undefined && !incoming.has(rel)) {
+      result.added.push(rel);
+    } else if (current === original || current === upstream) {
+      result.unchanged.push(rel);
+    } else if (!manifest && !incoming.has(rel)) {
+      result.added.push(rel);
+    } else if (upstream === null) {
+      result.kept.push(rel);
+    } else if (upstream === original) {
+      result.edited.push(rel);
+    } else {
+      result.modified.push(rel);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashFile,
+  hashDependencies,
+  listFiles,
+  buildManifest,
+  readManifest,
+  writeManifest,
+  classifyFiles
+};
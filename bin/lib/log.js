@@ -0,0 +1,16 @@
+/**
+ * Console output shared by the CLI and the repo scripts
+ */
+
+function log(message, type = 'info') {
+  const styles = {
+    info: '\x1b[36m→\x1b[0m',
+    success: '\x1b[32m✓\x1b[0m',
+    warning: '\x1b[33m⚠\x1b[0m',
+    error: '\x1b[31m✗\x1b[0m',
+    title: '\x1b[1m\x1b[35m'
+  };
+  console.log(`${styles[type] || ''} ${message}${type === 'title' ? '\x1b[0m' : ''}`);
+}
+
+module.exports = { log };
@@ -0,0 +1,745 @@
+/**
+ * Mock data and assets
+ *
+ * Makes a generated prototype demo the same way offline and after a reload:
+ *
+ * - Typed fixtures in src/mock/fixtures.ts, one collection per list the
+ *   components keep: arrays typed with an interface from types.ts
+ *   (const productDatabase: Product[] = [...]), list state
+ *   (useState<CartItem[]>([])), and generated records for any other
+ *   interface with an id.
+ * - A mock API (src/app/api/mock/) serving the collections and saving
+ *   changes to mock/state.json, and a client (src/lib/mock-api.ts) whose
+ *   useState-like hook falls back to localStorage in a static export.
+ * - Remote images referenced in src/ downloaded to public/mock/images/, or
+ *   replaced by an SVG placeholder when they can't be.
+ *
+ * Components are rewired to read the fixtures and keep list state through
+ * the hook, unless wire is off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { collectTypes, fixtureFor } = require('./component-fixtures');
+const { normalizeTokens } = require('./tokens');
+const { parseColor, relativeLuminance } = require('./colors');
+const { escapeHtml } = require('./html');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'mock');
+const FIXTURES_FILE = path.join('src', 'mock', 'fixtures.ts');
+const STATE_FILE = path.join('mock', 'state.json');
+const IMAGES_DIR = path.join('public', 'mock', 'images');
+const IMAGES_URL = '/mock/images';
+const DEFAULT_COUNT = 8;
+
+// Template → where it goes in the prototype
+const TEMPLATES = {
+  'store.ts': path.join('src', 'mock', 'store.ts'),
+  'collection-route.ts': path.join('src', 'app', 'api', 'mock', '[collection]', 'route.ts'),
+  'item-route.ts': path.join('src', 'app', 'api', 'mock', '[collection]', '[id]', 'route.ts'),
+  'mock-api.ts': path.join('src', 'lib', 'mock-api.ts')
+};
+
+const SOURCE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg'];
+const CONTENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg'
+};
+// Image services whose URLs don't end in a file extension
+const IMAGE_HOSTS = /(^|\.)(picsum\.photos|images\.unsplash\.com|source\.unsplash\.com|via\.placeholder\.com|placehold\.co|placekitten\.com|loremflickr\.com|dummyimage\.com|i\.pravatar\.cc|randomuser\.me)$/;
+const IMAGE_KEY = /image|img|src|thumbnail|avatar|photo|logo|poster|picture|banner/i;
+const LABEL_KEYS = ['alt', 'title', 'name', 'label'];
+const DOWNLOAD_TIMEOUT = 10000;
+const DOWNLOAD_CONCURRENCY = 4;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+function parseSource(source) {
+  return parser.parse(source, { sourceType: 'module', plugins: ['typescript', 'jsx'] });
+}
+
+function findFiles(dir, extensions) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) files.push(...findFiles(full, extensions));
+    } else if (extensions.includes(path.extname(entry.name))) {
+      files.push(full);
+    }
+  }
+  return files.sort();
+}
+
+function kebab(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+function plural(name) {
+  const camel = name[0].toLowerCase() + name.slice(1);
+  if (/[^aeiou]y$/.test(camel)) return `${camel.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(camel)) return `${camel}es`;
+  return `${camel}s`;
+}
+
+/**
+ * Import specifier for target as seen from file: the @/ alias when the
+ * prototype's tsconfig maps it to src/, a relative path otherwise
+ */
+function importPath(prototypeDir, file, target) {
+  const withoutExt = target.replace(/\.(tsx?|jsx?)$/, '');
+  try {
+    const tsconfig = JSON.parse(fs.readFileSync(path.join(prototypeDir, 'tsconfig.json'), 'utf-8'));
+    const alias = tsconfig.compilerOptions && tsconfig.compilerOptions.paths && tsconfig.compilerOptions.paths['@/*'];
+    if (alias && alias[0].replace(/^\.\//, '') === 'src/*') {
+      return `@/${path.relative(path.join(prototypeDir, 'src'), withoutExt).split(path.sep).join('/')}`;
+    }
+  } catch (e) { /* no tsconfig or comments in it: use a relative path */ }
+  const relative = path.relative(path.dirname(file), withoutExt).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+// --- Fixtures -------------------------------------------------------------
+
+class NotStatic extends Error {}
+
+/**
+ * Value of a literal expression: objects, arrays, strings, numbers,
+ * booleans, null and new Date('...'). Throws NotStatic for anything else.
+ */
+function evaluate(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      if (node.expressions.length === 0) return node.quasis[0].value.cooked;
+      break;
+    case 'UnaryExpression':
+      if (node.operator === '-' && node.argument.type === 'NumericLiteral') return -node.argument.value;
+      break;
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+      return evaluate(node.expression);
+    case 'ArrayExpression':
+      return node.elements.map(element => {
+        if (!element || element.type === 'SpreadElement') throw new NotStatic();
+        return evaluate(element);
+      });
+    case 'ObjectExpression': {
+      const value = {};
+      for (const property of node.properties) {
+        if (property.type !== 'ObjectProperty' || property.computed) throw new NotStatic();
+        value[property.key.type === 'Identifier' ? property.key.name : String(property.key.value)] = evaluate(property.value);
+      }
+      return value;
+    }
+    case 'NewExpression':
+      if (node.callee.type === 'Identifier' && node.callee.name === 'Date' && node.arguments.length === 1) {
+        const date = new Date(evaluate(node.arguments[0]));
+        if (!Number.isNaN(date.getTime())) return date;
+      }
+      break;
+    default:
+      break;
+  }
+  throw new NotStatic();
+}
+
+/**
+ * TypeScript source for a fixture value, in the prototype's style (single
+ * quotes, no semicolons, trailing commas)
+ */
+function toTypeScript(value, indent = '') {
+  const inner = `${indent}  `;
+  if (value instanceof Date) {
+    return `new Date('${value.toISOString()}')`;
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${toTypeScript(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined && typeof v !== 'function');
+    if (entries.length === 0) return '{}';
+    const key = k => (/^[A-Za-z_$][\w$]*$/.test(k) ? k : `'${k.replace(/'/g, '\\\'')}'`);
+    return `{\n${entries.map(([k, v]) => `${inner}${key(k)}: ${toTypeScript(v, inner)},`).join('\n')}\n${indent}}`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+  }
+  return String(value);
+}
+
+/**
+ * Interfaces (and object type aliases) declared in the prototype's types
+ * files, keyed by name
+ */
+function collectEntities(srcDir) {
+  const typeFiles = findFiles(srcDir, ['.ts']).filter(file => /(^|\.)types\.ts$/.test(path.basename(file)));
+  const entities = {};
+  const types = {};
+  for (const file of typeFiles) {
+    Object.assign(types, collectTypes(file));
+  }
+  for (const [name, declared] of Object.entries(types)) {
+    if (!typeFiles.includes(declared.file)) continue;
+    const members = declared.kind === 'interface' ? declared.node.body.body
+      : declared.node.type === 'TSTypeLiteral' ? declared.node.members : null;
+    if (!members) continue;
+    entities[name] = {
+      name,
+      file: declared.file,
+      hasId: members.some(m => m.type === 'TSPropertySignature' && m.key && (m.key.name || m.key.value) === 'id')
+    };
+  }
+  return { entities, types, typeFiles };
+}
+
+// Entity name for a T[] or Array<T> annotation, if T is an entity
+function listEntity(annotation, entities) {
+  if (!annotation) return null;
+  let element = null;
+  if (annotation.type === 'TSArrayType') {
+    element = annotation.elementType;
+  } else if (annotation.type === 'TSTypeReference' && annotation.typeName.name === 'Array' && annotation.typeParameters) {
+    element = annotation.typeParameters.params[0];
+  }
+  return element && element.type === 'TSTypeReference' && element.typeName.type === 'Identifier' &&
+    entities[element.typeName.name] ? element.typeName.name : null;
+}
+
+function isUseState(callee) {
+  return (callee.type === 'Identifier' && callee.name === 'useState') ||
+    (callee.type === 'MemberExpression' && callee.property.name === 'useState');
+}
+
+/**
+ * Lists the components keep: typed constant arrays and useState lists of an
+ * entity. Returns [{ kind: 'const' | 'state', name, entity, file, line,
+ * node (what to replace when wiring), items | reason }].
+ */
+function findLists(file, source, entities) {
+  const lists = [];
+  const ast = parseSource(source);
+  traverse(ast, {
+    VariableDeclarator(declaratorPath) {
+      const { id, init } = declaratorPath.node;
+      if (!init) return;
+      if (id.type === 'Identifier' && id.typeAnnotation) {
+        const entity = listEntity(id.typeAnnotation.typeAnnotation, entities);
+        if (entity && init.type === 'ArrayExpression') {
+          lists.push(literal({ kind: 'const', name: id.name, entity, node: init }, init));
+        }
+      } else if (id.type === 'ArrayPattern' && id.elements[0] && id.elements[0].type === 'Identifier' &&
+          init.type === 'CallExpression' && isUseState(init.callee) && init.typeParameters) {
+        const entity = listEntity(init.typeParameters.params[0], entities);
+        if (entity) {
+          lists.push(literal({ kind: 'state', name: id.elements[0].name, entity, node: init }, init.arguments[0]));
+        }
+      }
+    }
+  });
+  return lists.map(list => ({ ...list, file, line: list.node.loc.start.line }));
+
+  function literal(list, valueNode) {
+    if (!valueNode) {
+      return { ...list, items: [] };
+    }
+    try {
+      return { ...list, items: evaluate(valueNode) };
+    } catch (e) {
+      if (!(e instanceof NotStatic)) throw e;
+      return { ...list, reason: 'its initial value is computed, not a literal' };
+    }
+  }
+}
+
+/**
+ * Generated records for an entity, varied per record. Image fields point at
+ * placeholders pushed onto placeholders.
+ */
+function generateRecords(entity, types, count, placeholders) {
+  const label = kebab(entity).replace(/-/g, ' ');
+  return Array.from({ length: count }, (_, index) => {
+    const name = `${label[0].toUpperCase()}${label.slice(1)} ${index + 1}`;
+    const ctx = {
+      ids: 0,
+      calls: [],
+      index,
+      label: name,
+      image: key => {
+        const file = `${kebab(entity)}-${index + 1}${/^image$/i.test(key) ? '' : `-${kebab(key)}`}.svg`;
+        if (!placeholders.some(p => p.file === file)) placeholders.push({ file, label: name });
+        return `${IMAGES_URL}/${file}`;
+      }
+    };
+    const record = fixtureFor({ type: 'TSTypeReference', typeName: { type: 'Identifier', name: entity } }, types, ctx);
+    if (typeof record.id === 'string') record.id = `${kebab(entity)}-${index + 1}`;
+    if (typeof record.id === 'number') record.id = index + 1;
+    return record;
+  });
+}
+
+function renderFixtures(collections, entities, prototypeDir) {
+  const file = path.join(prototypeDir, FIXTURES_FILE);
+  const byFile = new Map();
+  for (const collection of collections) {
+    const source = entities[collection.entity].file;
+    byFile.set(source, [...new Set([...(byFile.get(source) || []), collection.entity])].sort());
+  }
+  const typeFiles = [...byFile.keys()].map(f => path.relative(prototypeDir, f).split(path.sep).join('/'));
+  const lines = [
+    `// Generated by real-prototypes-skill from ${typeFiles.join(', ')}. Safe to edit;`,
+    '// `mock <name> --force` regenerates it.',
+    ...[...byFile].map(([source, names]) => `import type { ${names.join(', ')} } from '${importPath(prototypeDir, file, source)}'`),
+    ''
+  ];
+  for (const collection of collections) {
+    const origin = collection.source ? ` (from ${collection.source})` : '';
+    lines.push(`// ${collection.items.length} ${collection.entity}${origin}`);
+    lines.push(`export const ${collection.name}: ${collection.entity}[] = ${toTypeScript(collection.items)}`, '');
+  }
+  lines.push(`export const fixtures = {\n${collections.map(c => `  ${c.name},`).join('\n')}\n}`, '');
+  return lines.join('\n');
+}
+
+// Collection names in an existing fixtures.ts
+function existingCollections(source) {
+  const match = source.match(/export const fixtures = \{([^}]*)\}/);
+  return match ? match[1].split(',').map(s => s.trim().split(':')[0].trim()).filter(Boolean) : [];
+}
+
+// --- Wiring ---------------------------------------------------------------
+
+/**
+ * Point a component's lists at the fixtures and the mock API. Returns the
+ * new source and what changed.
+ */
+function wireFile(file, source, lists, collectionOf, prototypeDir) {
+  const edits = [];
+  const imports = new Set();
+  const wired = [];
+  for (const list of lists) {
+    const collection = collectionOf(list);
+    if (!collection) continue;
+    const from = source.slice(list.node.start, list.node.end);
+    const to = list.kind === 'const' ? `fixtures.${collection}` : `useMockCollection('${collection}')`;
+    edits.push({ start: list.node.start, end: list.node.end, text: to });
+    imports.add(list.kind === 'const'
+      ? `import { fixtures } from '${importPath(prototypeDir, file, path.join(prototypeDir, FIXTURES_FILE))}'`
+      : `import { useMockCollection } from '${importPath(prototypeDir, file, path.join(prototypeDir, TEMPLATES['mock-api.ts']))}'`);
+    wired.push({ line: list.line, name: list.name, from: from.split('\n')[0].slice(0, 60) + (from.includes('\n') ? ' ...' : ''), to });
+  }
+  if (edits.length === 0) {
+    return { source, wired };
+  }
+
+  let output = source;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+  }
+  // New imports go after the last import, or after 'use client'
+  const missing = [...imports].filter(statement => !output.includes(statement));
+  if (missing.length) {
+    const ast = parseSource(output);
+    const last = [...ast.program.body].reverse().find(node => node.type === 'ImportDeclaration');
+    const at = last ? last.end : (ast.program.directives.length ? ast.program.directives[ast.program.directives.length - 1].end : 0);
+    output = `${output.slice(0, at)}${at ? '\n' : ''}${missing.join('\n')}${at ? '' : '\n'}${output.slice(at)}`;
+  }
+  return { source: output, wired };
+}
+
+// --- Images ---------------------------------------------------------------
+
+function isImageUrl(url, key) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+  return IMAGE_EXTENSIONS.includes(path.extname(parsed.pathname).toLowerCase()) ||
+    IMAGE_HOSTS.test(parsed.hostname) || Boolean(key && IMAGE_KEY.test(key));
+}
+
+/**
+ * Remote image URLs in a source file with a label for each: the alt, title
+ * or name next to it. Returns [{ url, label }].
+ */
+function findImageUrls(file, source) {
+  const found = [];
+  if (path.extname(file) === '.css') {
+    for (const match of source.matchAll(/url\(\s*(['"]?)(https?:\/\/[^'")\s]+)\1\s*\)/g)) {
+      if (isImageUrl(match[2], 'url')) found.push({ url: match[2], label: null });
+    }
+    return found;
+  }
+
+  const labelFrom = (siblings, keyOf, valueOf) => {
+    for (const wanted of LABEL_KEYS) {
+      const sibling = siblings.find(s => keyOf(s) === wanted);
+      const value = sibling && valueOf(sibling);
+      if (value && value.type === 'StringLiteral') return value.value;
+    }
+    return null;
+  };
+
+  traverse(parseSource(source), {
+    'StringLiteral|TemplateLiteral'(literalPath) {
+      const { node, parent } = literalPath;
+      const url = node.type === 'StringLiteral' ? node.value
+        : node.expressions.length === 0 ? node.quasis[0].value.cooked : null;
+      if (!url || !/^https?:\/\//.test(url)) return;
+
+      let key = null;
+      let label = null;
+      if (parent.type === 'ObjectProperty' && parent.value === node) {
+        key = parent.key.name || parent.key.value;
+        label = labelFrom(literalPath.parentPath.parent.properties, p => p.key && (p.key.name || p.key.value), p => p.value);
+      } else if (parent.type === 'JSXAttribute' || (parent.type === 'JSXExpressionContainer' && literalPath.parentPath.parent.type === 'JSXAttribute')) {
+        const attribute = parent.type === 'JSXAttribute' ? parent : literalPath.parentPath.parent;
+        key = attribute.name.name;
+        const element = parent.type === 'JSXAttribute' ? literalPath.parentPath.parent : literalPath.parentPath.parentPath.parent;
+        label = labelFrom(element.attributes, a => a.name && a.name.name, a => a.value);
+      }
+      if (isImageUrl(url, key)) found.push({ url, label });
+    }
+  });
+  return found;
+}
+
+function localName(url) {
+  const { pathname } = new URL(url);
+  const stem = path.basename(pathname, path.extname(pathname))
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'image';
+  return `${stem}-${crypto.createHash('sha1').update(url).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Download an image, following redirects. Resolves { data, extension };
+ * rejects when the response isn't an image.
+ */
+function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { timeout: DOWNLOAD_TIMEOUT, headers: { 'User-Agent': 'Mozilla/5.0 (real-prototypes-skill)' } }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(download(new URL(res.headers.location, url).toString(), redirects - 1));
+        return;
+      }
+      const type = (res.headers['content-type'] || '').split(';')[0].trim();
+      if (res.statusCode !== 200 || !CONTENT_TYPES[type]) {
+        res.resume();
+        reject(new Error(res.statusCode !== 200 ? `HTTP ${res.statusCode}` : `not an image (${type || 'no content type'})`));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_IMAGE_BYTES) {
+          req.destroy(new Error('larger than 10 MB'));
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      res.on('end', () => resolve({ data: Buffer.concat(chunks), extension: CONTENT_TYPES[type] }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+  });
+}
+
+// Placeholder colors: a light background token and a readable text token
+function placeholderColors(projectDir) {
+  const colors = { background: '#EAEDED', foreground: '#565959' };
+  const tokensFile = path.join(projectDir, 'references', 'design-tokens.json');
+  if (!fs.existsSync(tokensFile)) {
+    return colors;
+  }
+  const tokens = normalizeTokens(JSON.parse(fs.readFileSync(tokensFile, 'utf-8'))).color;
+  const background = tokens.find(t => /^(background|surface)/.test(t.path[0]) && parseColor(t.value) &&
+    relativeLuminance(parseColor(t.value)) > 0.6 && relativeLuminance(parseColor(t.value)) < 0.95);
+  const foreground = tokens.find(t => t.path[0] === 'text' && t.path.includes('secondary')) ||
+    tokens.find(t => t.path[0] === 'text' && parseColor(t.value) && relativeLuminance(parseColor(t.value)) < 0.2);
+  return {
+    background: background ? background.value : colors.background,
+    foreground: foreground ? foreground.value : colors.foreground
+  };
+}
+
+function placeholderSvg(label, colors) {
+  const text = label.length > 36 ? `${label.slice(0, 35)}…` : label;
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">',
+    `  <rect width="400" height="400" fill="${colors.background}"/>`,
+    `  <text x="200" y="200" font-family="Arial, sans-serif" font-size="18" fill="${colors.foreground}" text-anchor="middle" dominant-baseline="middle">${escapeHtml(text)}</text>`,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Local copy of each remote image: downloaded, or a placeholder when
+ * offline or the download fails. Reuses files from earlier runs. Returns
+ * [{ url, file, status: cached | downloaded | placeholder | pending, reason, data }].
+ */
+async function localizeImages(urls, imagesDir, { offline, dryRun }) {
+  const existing = fs.existsSync(imagesDir) ? fs.readdirSync(imagesDir) : [];
+  const results = [];
+  const queue = [];
+  for (const { url, label, previous } of urls) {
+    const stem = localName(url);
+    const cached = !previous && existing.find(name => path.basename(name, path.extname(name)) === stem);
+    if (previous && offline) {
+      results.push({ url, file: previous, status: 'placeholder', reason: 'offline', previous });
+    } else if (cached) {
+      results.push({ url, file: cached, status: 'cached' });
+    } else if (dryRun) {
+      results.push({ url, file: `${stem}.*`, status: offline ? 'placeholder' : 'pending', reason: offline ? 'offline' : undefined, label });
+    } else if (offline) {
+      results.push({ url, file: `${stem}.svg`, status: 'placeholder', reason: 'offline', label });
+    } else {
+      queue.push({ url, stem, label, previous });
+    }
+  }
+
+  for (let i = 0; i < queue.length; i += DOWNLOAD_CONCURRENCY) {
+    const batch = queue.slice(i, i + DOWNLOAD_CONCURRENCY);
+    results.push(...await Promise.all(batch.map(async ({ url, stem, label, previous }) => {
+      try {
+        const { data, extension } = await download(url);
+        return { url, file: `${stem}${extension}`, status: 'downloaded', data, previous };
+      } catch (e) {
+        return { url, file: previous || `${stem}.svg`, status: 'placeholder', reason: e.message, label, previous };
+      }
+    })));
+  }
+  return results;
+}
+
+// --- Command --------------------------------------------------------------
+
+/**
+ * Generate fixtures, the mock API and local images for a project's
+ * prototype. Returns { collections, skipped, files, wired, images, reset };
+ * writes nothing when dryRun.
+ */
+async function generateMocks(projectDir, { count = DEFAULT_COUNT, force = false, wire = true, offline = false, reset = false, dryRun = false } = {}) {
+  const prototypeDir = path.join(projectDir, 'prototype');
+  const srcDir = path.join(prototypeDir, 'src');
+  if (!fs.existsSync(srcDir)) {
+    throw new Error(`No prototype source at ${srcDir}`);
+  }
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`--count must be a positive whole number, got ${count}`);
+  }
+
+  const rel = file => path.relative(projectDir, file).split(path.sep).join('/');
+  const fixturesFile = path.join(prototypeDir, FIXTURES_FILE);
+  const generated = new Set([fixturesFile, ...Object.values(TEMPLATES).map(t => path.join(prototypeDir, t))]);
+  const contents = new Map();
+  for (const file of findFiles(srcDir, [...SOURCE_EXTENSIONS, '.css'])) {
+    contents.set(file, fs.readFileSync(file, 'utf-8'));
+  }
+
+  // Collections: typed constant arrays first (real data), then list state,
+  // then generated records for the remaining entities with an id
+  const { entities, types, typeFiles } = collectEntities(srcDir);
+  const collections = [];
+  const skipped = [];
+  const lists = new Map();
+  for (const [file, source] of contents) {
+    if (generated.has(file) || typeFiles.includes(file) || !/\.[jt]sx?$/.test(file)) continue;
+    try {
+      lists.set(file, findLists(file, source, entities));
+    } catch (e) {
+      skipped.push({ file: rel(file), reason: `could not parse (${e.message.split('\n')[0]})` });
+    }
+  }
+  const all = [...lists.values()].flat().sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'const' ? -1 : 1));
+  for (const list of all) {
+    const where = `${rel(list.file)}:${list.line}`;
+    if (list.reason) {
+      skipped.push({ file: where, name: list.name, entity: list.entity, reason: list.reason });
+      continue;
+    }
+    const name = list.kind === 'const' ? plural(list.entity) : list.name;
+    const existing = collections.find(c => c.name === name);
+    if (existing && existing.entity !== list.entity) {
+      skipped.push({ file: where, name: list.name, reason: `collection "${name}" already holds ${existing.entity}` });
+      continue;
+    }
+    if (!existing) {
+      collections.push({ name, entity: list.entity, items: list.items, source: `${path.basename(list.file)} ${list.name}` });
+    }
+    list.collection = name;
+  }
+  const placeholders = [];
+  for (const entity of Object.values(entities)) {
+    // An entity whose list was skipped stays with its component
+    if (entity.hasId && !collections.some(c => c.entity === entity.name) && !skipped.some(s => s.entity === entity.name)) {
+      collections.push({ name: plural(entity.name), entity: entity.name, items: generateRecords(entity.name, types, count, placeholders), source: null });
+    }
+  }
+
+  // Fixtures and the API; an existing fixtures.ts is kept unless forced
+  const files = [];
+  let available = collections.map(c => c.name);
+  if (collections.length) {
+    if (!contents.has(fixturesFile) || force) {
+      files.push({ file: fixturesFile, status: contents.has(fixturesFile) ? 'updated' : 'created' });
+      contents.set(fixturesFile, renderFixtures(collections, entities, prototypeDir));
+    } else {
+      files.push({ file: fixturesFile, status: 'kept' });
+      available = existingCollections(contents.get(fixturesFile));
+      placeholders.length = 0;
+    }
+    for (const [template, target] of Object.entries(TEMPLATES)) {
+      const file = path.join(prototypeDir, target);
+      if (contents.has(file) && !force) {
+        files.push({ file, status: 'kept' });
+        continue;
+      }
+      const text = fs.readFileSync(path.join(TEMPLATES_DIR, template), 'utf-8')
+        .replace('__STORE__', importPath(prototypeDir, file, path.join(prototypeDir, TEMPLATES['store.ts'])))
+        .replace('__FIXTURES__', importPath(prototypeDir, file, fixturesFile));
+      files.push({ file, status: contents.has(file) ? 'updated' : 'created' });
+      contents.set(file, text);
+    }
+  }
+
+  const wired = [];
+  if (wire) {
+    for (const [file, fileLists] of lists) {
+      const result = wireFile(file, contents.get(file), fileLists,
+        list => (list.collection && available.includes(list.collection) ? list.collection : null), prototypeDir);
+      if (result.wired.length) {
+        contents.set(file, result.source);
+        wired.push(...result.wired.map(w => ({ ...w, file: rel(file) })));
+      }
+    }
+  }
+
+  // Images: every remote image left in the sources, fixtures included
+  const urls = new Map();
+  for (const [file, source] of contents) {
+    if (generated.has(file) && file !== fixturesFile) continue;
+    let found;
+    try {
+      found = findImageUrls(file, source);
+    } catch (e) {
+      continue;
+    }
+    for (const { url, label } of found) {
+      const entry = urls.get(url) || { url, label, files: [] };
+      entry.label = entry.label || label;
+      if (!entry.files.includes(rel(file))) entry.files.push(rel(file));
+      urls.set(url, entry);
+    }
+  }
+  const imagesDir = path.join(prototypeDir, IMAGES_DIR);
+  const sourcesFile = path.join(imagesDir, 'sources.json');
+  const sources = fs.existsSync(sourcesFile) ? JSON.parse(fs.readFileSync(sourcesFile, 'utf-8')) : {};
+
+  // Placeholders from an earlier offline run get another download attempt
+  for (const [image, source] of Object.entries(sources)) {
+    const local = `${IMAGES_URL}/${image}`;
+    const files = [...contents].filter(([, text]) => text.includes(local)).map(([file]) => rel(file));
+    if (source.status === 'placeholder' && files.length && !urls.has(source.url)) {
+      urls.set(local, { url: source.url, previous: image, files });
+    }
+  }
+
+  const images = await localizeImages([...urls.values()], imagesDir, { offline, dryRun });
+  for (const image of images) {
+    const from = image.previous ? `${IMAGES_URL}/${image.previous}` : image.url;
+    image.files = urls.get(from).files;
+    if (image.status !== 'pending') {
+      for (const file of image.files) {
+        const full = path.join(projectDir, file);
+        contents.set(full, contents.get(full).split(from).join(`${IMAGES_URL}/${image.file}`));
+      }
+    }
+  }
+
+  if (!dryRun) {
+    for (const [file, source] of contents) {
+      if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== source) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, source);
+      }
+    }
+    const colors = placeholderColors(projectDir);
+    if (placeholders.length || images.length) {
+      fs.mkdirSync(imagesDir, { recursive: true });
+    }
+    for (const { file, label } of placeholders) {
+      if (!fs.existsSync(path.join(imagesDir, file))) {
+        fs.writeFileSync(path.join(imagesDir, file), placeholderSvg(label, colors));
+      }
+    }
+    for (const image of images) {
+      if (image.status === 'downloaded') {
+        fs.writeFileSync(path.join(imagesDir, image.file), image.data);
+        if (image.previous) {
+          fs.rmSync(path.join(imagesDir, image.previous), { force: true });
+          delete sources[image.previous];
+        }
+      } else if (image.status === 'placeholder' && !image.previous) {
+        fs.writeFileSync(path.join(imagesDir, image.file), placeholderSvg(image.label || path.basename(new URL(image.url).pathname), colors));
+      }
+      if (image.status !== 'cached') {
+        sources[image.file] = { url: image.url, status: image.status, ...(image.reason ? { reason: image.reason } : {}) };
+      }
+      delete image.data;
+    }
+    if (images.length) {
+      fs.writeFileSync(sourcesFile, `${JSON.stringify(sources, null, 2)}\n`);
+    }
+  }
+
+  const stateFile = path.join(prototypeDir, STATE_FILE);
+  const resetDone = reset && fs.existsSync(stateFile);
+  if (resetDone && !dryRun) {
+    fs.rmSync(stateFile);
+  }
+
+  return {
+    collections: collections.map(c => ({ name: c.name, entity: c.entity, count: c.items.length, source: c.source })),
+    skipped,
+    files: files.map(f => ({ ...f, file: rel(f.file) })),
+    wired,
+    placeholders: placeholders.length,
+    images: images.map(({ label, ...image }) => image),
+    reset: resetDone
+  };
+}
+
+module.exports = {
+  DEFAULT_COUNT,
+  evaluate,
+  toTypeScript,
+  findImageUrls,
+  generateMocks
+};
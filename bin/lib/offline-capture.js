@@ -0,0 +1,710 @@
+/**
+ * Offline capture
+ *
+ * Builds references/manifest.json and references/design-tokens.json from
+ * saved page archives (see archives.js) without touching the network. Each
+ * page is rendered with jsdom after its stylesheets are inlined from the
+ * archive, and the computed styles of its elements are handed to
+ * token-inference.js.
+ *
+ * jsdom applies the cascade but does no layout, does not inherit font
+ * properties and does not resolve var(), so those are handled here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./projects');
+const { readArchive } = require('./archives');
+const { parseColor, normalizeColor, extractColors } = require('./colors');
+const { inferTokens } = require('./token-inference');
+const { flattenExisting, mergeTokens } = require('./token-import');
+
+// getComputedStyle in jsdom walks every rule for every element; sample large pages
+const MAX_ELEMENTS = 2000;
+const MAX_IMPORT_DEPTH = 3;
+// jsdom does no layout; painted areas are estimated for a desktop viewport
+const VIEWPORT = { width: 1440, height: 900 };
+// Average glyph width as a share of the font size
+const GLYPH_WIDTH = 0.55;
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK', 'TITLE']);
+const INLINE_TAGS = new Set([
+  'A', 'SPAN', 'BUTTON', 'LABEL', 'IMG', 'INPUT', 'SELECT', 'TEXTAREA', 'STRONG', 'EM', 'B', 'I',
+  'SMALL', 'CODE', 'KBD', 'ABBR', 'SUP', 'SUB', 'SVG'
+]);
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const BORDER_STYLES = new Set(['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset']);
+const BORDER_WIDTHS = { thin: 1, medium: 3, thick: 5 };
+const BORDER_PROPERTY = /^border(?:-(top|right|bottom|left))?(?:-(width|style|color))?$/;
+
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48
+};
+
+// Element types that decide a color's role, checked in order
+const ELEMENT_TYPES = [
+  ['button', 'button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"], a[class*="btn" i], a[class*="button" i]'],
+  ['link', 'a[href]'],
+  ['input', 'input, select, textarea'],
+  ['heading', 'h1, h2, h3, h4, h5, h6, [role="heading"]'],
+  ['alert', '[role="alert"], [role="status"], [class*="alert" i], [class*="toast" i], [class*="notice" i]'],
+  ['badge', '[class*="badge" i], [class*="chip" i], [class*="pill" i], [class*="tag" i]'],
+  ['nav', 'nav, header, [role="navigation"], [role="banner"]'],
+  ['code', 'code, pre, kbd, samp'],
+  ['icon', 'svg, svg *']
+];
+const STATUS_PATTERNS = [
+  ['error', /\b(error|danger|invalid|destructive|critical|negative)\b/i],
+  ['success', /\b(success|valid|positive|ok)\b/i],
+  ['warning', /\b(warning|warn|caution)\b/i],
+  ['info', /\b(info|information)\b/i]
+];
+
+function elementType(el) {
+  const tag = el.tagName.toUpperCase();
+  if (tag === 'HTML' || tag === 'BODY' || tag === 'MAIN') return 'page';
+  for (const [type, selector] of ELEMENT_TYPES) {
+    if (el.matches(selector)) return type;
+  }
+  return [...el.childNodes].some(n => n.nodeType === 3 && n.textContent.trim()) ? 'text' : 'container';
+}
+
+/**
+ * error/success/warning/info from the classes, role or aria-invalid of the
+ * element or its two nearest ancestors
+ */
+function statusOf(el) {
+  for (let node = el, depth = 0; node && node.nodeType === 1 && depth < 3; node = node.parentElement, depth++) {
+    if (node.getAttribute('aria-invalid') === 'true') return 'error';
+    const hint = `${node.getAttribute('class') || ''} ${node.getAttribute('role') || ''}`.replace(/[-_]/g, ' ');
+    const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(hint));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+// Split a CSS value on the spaces outside parentheses
+function splitValue(value) {
+  return value.match(/(?:[^\s(]+|\((?:[^()]|\([^()]*\))*\))+/g) || [];
+}
+
+// top, right, bottom and left of a one- to four-value shorthand
+function expandSides(value) {
+  const [top = '', right = top, bottom = top, left = right] = splitValue(value);
+  return [top, right, bottom, left];
+}
+
+function parseBorder(value) {
+  const border = { width: 'medium', style: 'none', color: 'currentcolor' };
+  for (const part of splitValue(value)) {
+    const lower = part.toLowerCase();
+    if (BORDER_STYLES.has(lower)) border.style = lower;
+    else if (lower in BORDER_WIDTHS || /^[\d.]+[a-z]*$/.test(lower)) border.width = lower;
+    else border.color = part;
+  }
+  return border;
+}
+
+/**
+ * Stylesheet text with its @imports inlined. Imports the archive doesn't
+ * hold are left in place and added to missing.
+ */
+function loadStylesheet(url, resolve, missing = [], depth = 0) {
+  const resource = resolve(url);
+  if (!resource) {
+    return null;
+  }
+  return resource.body.toString('utf-8').replace(
+    /@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?\s*\)?([^;]*);/g,
+    (rule, href, media) => {
+      if (depth >= MAX_IMPORT_DEPTH || /\bprint\b/.test(media)) {
+        return '';
+      }
+      const target = new URL(href, url).href;
+      const imported = loadStylesheet(target, resolve, missing, depth + 1);
+      if (imported === null) {
+        missing.push(target);
+        return rule;
+      }
+      return imported;
+    }
+  );
+}
+
+/**
+ * Parse a saved document with its stylesheets inlined and scripts removed.
+ * Returns { dom, missingStyles }.
+ */
+function renderDocument(doc, resolve) {
+  const { JSDOM, VirtualConsole } = require('jsdom');
+  const base = doc.base || doc.url || 'about:blank';
+  // A silent console: saved pages are full of CSS jsdom can't parse
+  const dom = new JSDOM(doc.html, { url: base, virtualConsole: new VirtualConsole() });
+  const { document } = dom.window;
+
+  document.querySelectorAll('script').forEach(el => el.remove());
+
+  const missingStyles = [];
+  for (const link of [...document.querySelectorAll('link[rel~="stylesheet" i]')]) {
+    const media = link.getAttribute('media') || '';
+    if (/\bprint\b/.test(media) && !/\bscreen\b|\ball\b/.test(media)) {
+      continue;
+    }
+    const css = link.href ? loadStylesheet(link.href, resolve, missingStyles) : null;
+    if (css === null) {
+      missingStyles.push(link.getAttribute('href'));
+      continue;
+    }
+    const style = document.createElement('style');
+    style.setAttribute('data-href', link.getAttribute('href'));
+    style.textContent = css;
+    link.replaceWith(style);
+  }
+
+  return { dom, missingStyles };
+}
+
+/**
+ * Record the computed styles of a rendered page as observations for
+ * token-inference.js. Returns { observations, elements }.
+ */
+function collectStyles(window, { maxElements = MAX_ELEMENTS } = {}) {
+  const { document } = window;
+  const observations = [];
+  const styles = new Map();
+  const fontSizes = new Map();
+  const widths = new Map();
+  const hidden = new Set();
+
+  // jsdom drops border declarations that use var() from the computed style,
+  // so they are kept from the rules and resolved per element
+  const borderRules = [];
+  const readRules = rules => {
+    for (const rule of rules) {
+      if (rule.cssRules && !rule.selectorText) {
+        const media = rule.media ? rule.media.mediaText : '';
+        if (!/\bprint\b/.test(media) || /\bscreen\b|\ball\b/.test(media)) readRules(rule.cssRules);
+      } else if (rule.selectorText && rule.style) {
+        const declarations = [];
+        for (let i = 0; i < rule.style.length; i++) {
+          const value = rule.style.getPropertyValue(rule.style[i]);
+          if (BORDER_PROPERTY.test(rule.style[i]) && value.includes('var(')) declarations.push([rule.style[i], value]);
+        }
+        if (declarations.length) borderRules.push({ selector: rule.selectorText, declarations });
+      }
+    }
+  };
+  for (const sheet of document.styleSheets) {
+    try {
+      readRules(sheet.cssRules);
+    } catch {
+      // Rules jsdom could not parse
+    }
+  }
+
+  const style = el => {
+    if (!styles.has(el)) {
+      styles.set(el, window.getComputedStyle(el));
+    }
+    return styles.get(el);
+  };
+
+  const customProperty = (el, name) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const value = style(node).getPropertyValue(name).trim();
+      if (value) return value;
+    }
+    return '';
+  };
+
+  const resolveVars = (value, el) => {
+    let resolved = value || '';
+    for (let i = 0; i < 8 && resolved.includes('var('); i++) {
+      resolved = resolved.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g,
+        (_, name, fallback) => customProperty(el, name) || (fallback || '').trim());
+    }
+    return resolved.trim();
+  };
+
+  const inherited = (el, property) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const value = style(node).getPropertyValue(property);
+      if (value === 'initial' || value === 'revert') return '';
+      if (value && value !== 'inherit' && value !== 'unset') return resolveVars(value, node);
+    }
+    return '';
+  };
+
+  const fontSizePx = el => {
+    if (!el || el.nodeType !== 1) return 16;
+    if (fontSizes.has(el)) return fontSizes.get(el);
+    const parent = el.parentElement ? fontSizePx(el.parentElement) : 16;
+    const root = el === document.documentElement ? 16 : fontSizePx(document.documentElement);
+    const value = resolveVars(style(el).getPropertyValue('font-size'), el);
+    const n = parseFloat(value);
+    let px = parent;
+    if (FONT_SIZE_KEYWORDS[value]) px = FONT_SIZE_KEYWORDS[value];
+    else if (value === 'smaller') px = parent / 1.2;
+    else if (value === 'larger') px = parent * 1.2;
+    else if (/^[\d.]+px$/.test(value)) px = n;
+    else if (/^[\d.]+rem$/.test(value)) px = n * root;
+    else if (/^[\d.]+em$/.test(value)) px = n * parent;
+    else if (/^[\d.]+%$/.test(value)) px = (n / 100) * parent;
+    else if (/^[\d.]+pt$/.test(value)) px = (n * 4) / 3;
+    fontSizes.set(el, Math.round(px * 100) / 100);
+    return fontSizes.get(el);
+  };
+
+  const toPx = (value, el) => {
+    const n = parseFloat(value);
+    if (/^-?[\d.]+px$/.test(value)) return n;
+    if (/^-?[\d.]+rem$/.test(value)) return n * fontSizePx(document.documentElement);
+    if (/^-?[\d.]+em$/.test(value)) return n * fontSizePx(el);
+    return null;
+  };
+
+  const color = (value, el) => {
+    let resolved = resolveVars(value, el);
+    if (/^currentcolor$/i.test(resolved)) {
+      resolved = resolveVars(style(el).getPropertyValue('color'), el);
+    }
+    const parsed = parseColor(resolved);
+    return parsed && parsed.a > 0 ? normalizeColor(resolved) : null;
+  };
+
+  // jsdom leaves the longhands empty when a padding or margin shorthand uses var()
+  const box = (el, property) => {
+    const shorthand = style(el).getPropertyValue(property);
+    const sides = shorthand.includes('var(') ? expandSides(resolveVars(shorthand, el)) : [];
+    return ['left', 'right', 'top', 'bottom'].map(side => {
+      const value = style(el).getPropertyValue(`${property}-${side}`) || sides[SIDES.indexOf(side)] || '';
+      return Math.max(0, toPx(resolveVars(value, el), el) || 0);
+    });
+  };
+
+  // Width, style and color per side from the var() border declarations that
+  // apply to el, in source order with the style attribute last
+  const declaredBorders = el => {
+    const declarations = [];
+    for (const rule of borderRules) {
+      let matches = false;
+      try {
+        matches = el.matches(rule.selector);
+      } catch {
+        // Selectors jsdom doesn't support
+      }
+      if (matches) declarations.push(...rule.declarations);
+    }
+    for (const declaration of (el.getAttribute('style') || '').split(';')) {
+      const match = declaration.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+      if (match && BORDER_PROPERTY.test(match[1].toLowerCase()) && match[2].includes('var(')) {
+        declarations.push([match[1].toLowerCase(), match[2]]);
+      }
+    }
+
+    const sides = {};
+    for (const [property, raw] of declarations) {
+      const value = resolveVars(raw.replace(/\s*!important$/i, ''), el);
+      const [, side, field] = property.match(BORDER_PROPERTY);
+      const values = field && !side ? expandSides(value) : null;
+      (side ? [side] : SIDES).forEach((target, i) => {
+        const update = !field ? parseBorder(value) : { [field]: values ? values[i] : value };
+        sides[target] = { ...sides[target], ...update };
+      });
+    }
+    return sides;
+  };
+
+  const lineHeightPx = el => {
+    const value = inherited(el, 'line-height');
+    const n = parseFloat(value);
+    if (/px$/.test(value)) return n;
+    if (/^[\d.]+$/.test(value)) return n * fontSizePx(el);
+    if (/%$/.test(value)) return (n / 100) * fontSizePx(el);
+    return 1.2 * fontSizePx(el);
+  };
+
+  const textLength = node => node.textContent.replace(/\s+/g, ' ').trim().length;
+
+  // Rough layout: blocks fill their parent, inline boxes fit their text
+  const widthOf = el => {
+    if (widths.has(el)) return widths.get(el);
+    let width = VIEWPORT.width;
+    if (el !== document.documentElement && el.parentElement) {
+      const [pl, pr] = box(el.parentElement, 'padding');
+      const available = Math.max(0, widthOf(el.parentElement) - pl - pr);
+      const explicit = toPx(resolveVars(style(el).getPropertyValue('width'), el), el) ||
+        parseFloat(el.getAttribute('width')) || null;
+      const display = style(el).getPropertyValue('display');
+      const inline = display ? /^inline/.test(display) : INLINE_TAGS.has(el.tagName.toUpperCase());
+      const [l, r] = box(el, 'padding');
+      width = explicit || (inline ? textLength(el) * fontSizePx(el) * GLYPH_WIDTH + l + r : available);
+      const max = toPx(resolveVars(style(el).getPropertyValue('max-width'), el), el);
+      width = Math.min(width, available || width, max || Infinity);
+    }
+    widths.set(el, width);
+    return width;
+  };
+
+  const heightOf = el => {
+    const explicit = toPx(resolveVars(style(el).getPropertyValue('height'), el), el) ||
+      parseFloat(el.getAttribute('height')) || null;
+    if (explicit) return explicit;
+    const [, , top, bottom] = box(el, 'padding');
+    const width = Math.max(1, widthOf(el));
+    const lines = Math.ceil((textLength(el) * fontSizePx(el) * GLYPH_WIDTH) / width);
+    const height = lines * lineHeightPx(el) + top + bottom;
+    return el === document.documentElement || el === document.body ? Math.max(VIEWPORT.height, height) : height;
+  };
+
+  const elements = document.body ? [document.documentElement, document.body, ...document.body.querySelectorAll('*')] : [];
+  let sampled = 0;
+  for (const el of elements) {
+    if (sampled >= maxElements) break;
+    if (SKIPPED_TAGS.has(el.tagName.toUpperCase()) || (el.parentElement && hidden.has(el.parentElement))) {
+      hidden.add(el);
+      continue;
+    }
+    const s = style(el);
+    if (s.getPropertyValue('display') === 'none' || el.hidden) {
+      hidden.add(el);
+      continue;
+    }
+    sampled++;
+
+    const element = elementType(el);
+    const status = statusOf(el);
+    const observe = (kind, value, extra = {}) => {
+      if (value !== null && value !== undefined && value !== '') {
+        observations.push({ kind, value, element, ...extra });
+      }
+    };
+
+    const ownText = [...el.childNodes]
+      .filter(n => n.nodeType === 3)
+      .reduce((sum, n) => sum + textLength(n), 0);
+    if (ownText > 0) {
+      const fontSize = fontSizePx(el);
+      const area = ownText * fontSize * GLYPH_WIDTH * lineHeightPx(el);
+      observe('color', color(s.getPropertyValue('color'), el), { property: 'color', status, area });
+      observe('fontFamily', inherited(el, 'font-family'), { area });
+      observe('fontSize', fontSize, { area });
+      const weight = inherited(el, 'font-weight');
+      observe('fontWeight', weight === 'bold' ? 700 : weight === 'normal' ? 400 : /^\d+$/.test(weight) ? Number(weight) : null, { area });
+      const lineHeight = inherited(el, 'line-height');
+      observe('lineHeight', lineHeight && lineHeight !== 'normal' ? lineHeight : null, { fontSize, area });
+    }
+
+    let background = color(s.getPropertyValue('background-color'), el);
+    if (!background) {
+      const shorthand = resolveVars(s.getPropertyValue('background'), el);
+      background = extractColors(shorthand).map(c => color(c, el)).find(Boolean) || null;
+    }
+    if (background) {
+      observe('color', background, { property: 'background-color', status, area: widthOf(el) * heightOf(el) });
+    }
+
+    const borders = new Map();
+    const declared = borderRules.length > 0 || el.hasAttribute('style') ? declaredBorders(el) : {};
+    SIDES.forEach((side, i) => {
+      const own = declared[side] || {};
+      const width = own.width === undefined
+        ? parseFloat(s.getPropertyValue(`border-${side}-width`))
+        : BORDER_WIDTHS[own.width] || toPx(own.width, el) || 0;
+      const borderStyle = own.style || s.getPropertyValue(`border-${side}-style`);
+      const value = width > 0 && borderStyle !== 'none' && borderStyle !== 'hidden'
+        ? color(own.color || s.getPropertyValue(`border-${side}-color`), el)
+        : null;
+      if (value) {
+        const length = i % 2 === 0 ? widthOf(el) : heightOf(el);
+        borders.set(value, (borders.get(value) || 0) + length * width);
+      }
+    });
+    borders.forEach((area, value) => observe('color', value, { property: 'border-color', status, area }));
+
+    if (element === 'icon') {
+      for (const property of ['fill', 'stroke']) {
+        const value = el.getAttribute(property) || s.getPropertyValue(property);
+        if (value && value !== 'none') {
+          observe('color', color(value, el), { property, status, area: 16 * 16 });
+        }
+      }
+    }
+
+    for (const property of ['padding', 'margin']) {
+      box(el, property).forEach(px => {
+        if (px > 0) observe('spacing', px, { property });
+      });
+    }
+    for (const property of ['row-gap', 'column-gap']) {
+      const px = toPx(resolveVars(s.getPropertyValue(property), el), el);
+      if (px > 0) observe('spacing', px, { property: 'gap' });
+    }
+
+    const radius = resolveVars(s.getPropertyValue('border-radius') || s.getPropertyValue('border-top-left-radius'), el).split(/\s+/)[0];
+    if (radius && parseFloat(radius) > 0) {
+      const px = toPx(radius, el);
+      observe('borderRadius', /%$/.test(radius) || px >= 999 ? 'full' : px);
+    }
+
+    const shadow = resolveVars(s.getPropertyValue('box-shadow'), el);
+    if (shadow && shadow !== 'none') {
+      observe('shadow', shadow);
+    }
+  }
+
+  return { observations, elements: sampled };
+}
+
+/**
+ * Record every value of freshly inferred tokens as inferred, so a later
+ * `tokens infer` knows which values it may replace
+ */
+function markInferred(tokens) {
+  tokens.sources = {};
+  for (const leaf of flattenExisting(tokens)) {
+    tokens.sources[leaf.key] = { source: 'scraped', inferred: true };
+  }
+  return tokens;
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function pageName(doc, sourceDir) {
+  let segments;
+  if (doc.url && /^https?:/.test(doc.url)) {
+    segments = new URL(doc.url).pathname.split('/').filter(Boolean).map(s => decodeURIComponent(s));
+  } else {
+    segments = path.relative(sourceDir, doc.file).split(path.sep);
+  }
+  segments = segments.map(s => s.replace(/\.(html?|php|aspx?|jsp)$/i, '')).filter(s => s && s !== 'index');
+  return slug(segments.join('-')) || 'home';
+}
+
+function describe(document, title) {
+  const meta = document.querySelector('meta[name="description" i], meta[property="og:description"]');
+  if (meta && meta.getAttribute('content') && meta.getAttribute('content').trim()) {
+    return meta.getAttribute('content').trim();
+  }
+  const h1 = document.querySelector('h1');
+  const heading = h1 ? h1.textContent.replace(/\s+/g, ' ').trim() : '';
+  return [...new Set([title, heading].filter(Boolean))].join(' - ');
+}
+
+/**
+ * Capture a project from a saved archive: renders every page and writes
+ * references/manifest.json, references/design-tokens.json and the inlined
+ * pages under references/html/. Returns a summary of what was captured.
+ */
+function captureOffline(projectDir, input, { url = '' } = {}) {
+  if (url) {
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`Invalid platform URL "${url}"`);
+    }
+  }
+
+  const archive = readArchive(input);
+  const sourceDir = fs.statSync(input).isDirectory() ? path.resolve(input) : path.dirname(path.resolve(input));
+  const referencesDir = path.join(projectDir, 'references');
+  const htmlDir = path.join(referencesDir, 'html');
+
+  const seen = new Set();
+  const documents = archive.documents.filter(doc => {
+    const key = doc.url || doc.file;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const observations = [];
+  let elements = 0;
+  const pages = [];
+  const names = new Set();
+  const discovered = new Set();
+  const errors = [];
+  const missingStyles = new Set();
+  const rendered = [];
+  const firstWebPage = documents.find(d => d.url && /^https?:/.test(d.url));
+  const baseUrl = url || (firstWebPage ? new URL(firstWebPage.url).origin : '');
+
+  for (const doc of documents) {
+    let name = pageName(doc, sourceDir);
+    for (let i = 2; names.has(name); i++) {
+      name = `${pageName(doc, sourceDir)}-${i}`;
+    }
+
+    let dom;
+    try {
+      const result = renderDocument(doc, archive.resolve);
+      dom = result.dom;
+      result.missingStyles.forEach(href => missingStyles.add(href));
+      const collected = collectStyles(dom.window);
+      observations.push(...collected.observations);
+      elements += collected.elements;
+    } catch (e) {
+      errors.push({ file: doc.file, url: doc.url, message: e.message });
+      continue;
+    }
+    names.add(name);
+
+    const { document } = dom.window;
+    const title = doc.title || (document.title || '').trim() || null;
+    const pageUrl = doc.url ||
+      new URL(path.relative(sourceDir, doc.file).split(path.sep).join('/'), baseUrl ? `${baseUrl}/` : 'file:///').href;
+
+    if (baseUrl) {
+      const origin = new URL(baseUrl).origin;
+      for (const a of document.querySelectorAll('a[href]')) {
+        try {
+          const link = new URL(a.getAttribute('href'), pageUrl);
+          if (link.origin === origin) discovered.add(link.href.replace(/#.*$/, ''));
+        } catch {
+          // Ignore hrefs that aren't URLs (javascript:, malformed)
+        }
+      }
+    }
+    discovered.add(pageUrl);
+
+    const page = {
+      name,
+      url: pageUrl,
+      title: title || undefined,
+      description: describe(document, title) || `Captured from ${path.basename(doc.file)}`,
+      html: `html/${name}.html`
+    };
+    pages.push(page);
+    rendered.push({ page, html: dom.serialize() });
+    dom.window.close();
+  }
+
+  if (pages.length === 0) {
+    throw new Error(`No pages could be captured from ${input}${errors.length ? `: ${errors[0].message}` : ''}`);
+  }
+
+  const dates = documents.map(d => d.date).filter(Boolean).map(d => d.getTime());
+  const previous = readJson(path.join(referencesDir, 'manifest.json')) || {};
+  const project = readJson(path.join(projectDir, 'project.json')) || {};
+  const platformName = baseUrl
+    ? new URL(baseUrl).hostname.replace(/^www\./, '')
+    : (previous.platform && previous.platform.name) || (project.platform && project.platform.name) || '';
+
+  const manifest = {
+    schemaVersion: 1,
+    platform: {
+      name: platformName,
+      baseUrl,
+      capturedAt: new Date(dates.length ? Math.max(...dates) : Date.now()).toISOString(),
+      source: {
+        type: archive.type,
+        path: path.relative(process.cwd(), path.resolve(input)) || '.',
+        files: archive.files.length,
+        importedAt: new Date().toISOString()
+      }
+    },
+    pages,
+    stats: {
+      pagesDiscovered: Math.max(discovered.size, pages.length),
+      pagesCaptured: pages.length,
+      screenshotsTaken: 0,
+      htmlCaptured: pages.length,
+      interactionsPerformed: 0,
+      errorsEncountered: errors.length
+    },
+    designTokens: 'design-tokens.json'
+  };
+  const tokens = markInferred(inferTokens(observations));
+
+  fs.rmSync(htmlDir, { recursive: true, force: true });
+  fs.mkdirSync(htmlDir, { recursive: true });
+  fs.mkdirSync(path.join(referencesDir, 'screenshots'), { recursive: true });
+  for (const { page, html } of rendered) {
+    fs.writeFileSync(path.join(referencesDir, page.html), html);
+  }
+  writeJson(path.join(referencesDir, 'manifest.json'), manifest);
+  writeJson(path.join(referencesDir, 'design-tokens.json'), tokens);
+  if (project.platform && !project.platform.baseUrl && baseUrl) {
+    project.platform = { ...project.platform, name: project.platform.name || platformName, baseUrl };
+    writeJson(path.join(projectDir, 'project.json'), project);
+  }
+
+  return {
+    manifest,
+    tokens,
+    elements,
+    errors,
+    missingStyles: [...missingStyles]
+  };
+}
+
+/**
+ * Re-infer design-tokens.json from the pages saved in references/html/.
+ * Only values an earlier inference wrote are replaced. Values imported from
+ * Figma or Style Dictionary (see token-import.js) and values captured or
+ * edited by hand win over inferred ones; force drops the hand-edited ones.
+ * Returns { file, tokens, pages, elements, kept, dropped }.
+ */
+function inferProjectTokens(projectDir, { dryRun = false, force = false } = {}) {
+  const referencesDir = path.join(projectDir, 'references');
+  const htmlDir = path.join(referencesDir, 'html');
+  if (!fs.existsSync(htmlDir) || !fs.readdirSync(htmlDir).some(f => /\.html?$/i.test(f))) {
+    throw new Error(`No captured pages in ${htmlDir}; capture the platform first`);
+  }
+
+  const archive = readArchive(htmlDir);
+  const observations = [];
+  let elements = 0;
+  for (const doc of archive.documents) {
+    const { dom } = renderDocument(doc, archive.resolve);
+    const collected = collectStyles(dom.window);
+    observations.push(...collected.observations);
+    elements += collected.elements;
+    dom.window.close();
+  }
+
+  let tokens = markInferred(inferTokens(observations));
+  const tokensFile = path.join(referencesDir, 'design-tokens.json');
+  const existing = readJson(tokensFile) || {};
+  const previous = flattenExisting(existing).filter(leaf => !leaf.origin.inferred);
+  const dropped = force ? previous.filter(leaf => leaf.origin.source === 'scraped') : [];
+  const kept = previous.filter(leaf => !dropped.includes(leaf));
+  if (kept.length) {
+    const sources = [...new Set(kept.map(leaf => leaf.origin.source))];
+    const merged = mergeTokens(tokens, sources.map(source => ({
+      source,
+      leaves: kept.filter(leaf => leaf.origin.source === source)
+    }))).tokens;
+    if (existing.importedAt) {
+      merged.importedAt = existing.importedAt;
+    } else {
+      delete merged.importedAt;
+    }
+    for (const key of Object.keys(merged.confidence)) {
+      if (!merged.sources[key] || !merged.sources[key].inferred) delete merged.confidence[key];
+    }
+    tokens = merged;
+  }
+
+  if (!dryRun) {
+    writeJson(tokensFile, tokens);
+  }
+  return {
+    file: tokensFile,
+    tokens,
+    pages: archive.documents.length,
+    elements,
+    kept: kept.length,
+    dropped: dropped.map(leaf => leaf.key)
+  };
+}
+
+module.exports = {
+  MAX_ELEMENTS,
+  renderDocument,
+  collectStyles,
+  captureOffline,
+  inferProjectTokens
+};
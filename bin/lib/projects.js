@@ -0,0 +1,237 @@
+/**
+ * Project layout
+ *
+ * Creates, reads and removes prototype projects under projects/<name>/:
+ *
+ *   project.json
+ *   references/manifest.json
+ *   references/design-tokens.json
+ *   references/screenshots/
+ *   prototype/
+ *   review/comments.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECTS_DIR = 'projects';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// Sizes for the viewport names the capture step writes
+const KNOWN_VIEWPORTS = {
+  desktop: { width: 1920, height: 1080 },
+  tablet: { width: 768, height: 1024 },
+  mobile: { width: 375, height: 812 }
+};
+
+function getProjectsDir(cwd = process.cwd()) {
+  return path.join(cwd, PROJECTS_DIR);
+}
+
+function getProjectDir(name, cwd) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid project name "${name || ''}" (use letters, numbers, ".", "-" and "_")`);
+  }
+  return path.join(getProjectsDir(cwd), name);
+}
+
+/**
+ * Accept either a project name under projects/ or a path to a project directory
+ */
+function resolveProjectDir(nameOrPath, cwd = process.cwd()) {
+  const asPath = path.resolve(cwd, nameOrPath || '');
+  if (nameOrPath && fs.existsSync(path.join(asPath, 'project.json'))) {
+    return asPath;
+  }
+  return getProjectDir(nameOrPath, cwd);
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Unique screenshot paths referenced by a manifest's pages, captures and tabs
+ */
+function getManifestScreenshots(manifest) {
+  const screenshots = new Set();
+
+  for (const page of (manifest && manifest.pages) || []) {
+    if (page.screenshot) screenshots.add(page.screenshot);
+    for (const capture of page.captures || []) {
+      if (capture.screenshot) screenshots.add(capture.screenshot);
+    }
+    for (const tab of page.tabs || []) {
+      if (tab.screenshot) screenshots.add(tab.screenshot);
+    }
+  }
+
+  return [...screenshots];
+}
+
+/**
+ * Prototype route for a captured page: an override from routes (keyed by page
+ * name, as in visual-regression.json), else the path of the page's URL
+ */
+function pageRoute(page, routes = {}) {
+  if (routes[page.name]) {
+    return routes[page.name];
+  }
+  try {
+    return new URL(page.url).pathname || '/';
+  } catch {
+    return '/';
+  }
+}
+
+function createProject(name, { url = '', cwd } = {}) {
+  const projectDir = getProjectDir(name, cwd);
+  if (fs.existsSync(projectDir)) {
+    throw new Error(`Project "${name}" already exists at ${projectDir}`);
+  }
+
+  let platformName = '';
+  if (url) {
+    try {
+      platformName = new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      throw new Error(`Invalid platform URL "${url}"`);
+    }
+  }
+
+  const referencesDir = path.join(projectDir, 'references');
+  fs.mkdirSync(path.join(referencesDir, 'screenshots'), { recursive: true });
+  fs.mkdirSync(path.join(projectDir, 'prototype'), { recursive: true });
+
+  writeJson(path.join(projectDir, 'project.json'), {
+    schemaVersion: 1,
+    name,
+    created: new Date().toISOString(),
+    platform: {
+      name: platformName,
+      baseUrl: url
+    }
+  });
+
+  writeJson(path.join(referencesDir, 'manifest.json'), {
+    schemaVersion: 1,
+    platform: {
+      name: platformName,
+      baseUrl: url,
+      capturedAt: null
+    },
+    pages: [],
+    stats: {
+      pagesDiscovered: 0,
+      pagesCaptured: 0,
+      screenshotsTaken: 0,
+      htmlCaptured: 0,
+      interactionsPerformed: 0,
+      errorsEncountered: 0
+    },
+    designTokens: 'design-tokens.json'
+  });
+
+  writeJson(path.join(referencesDir, 'design-tokens.json'), {
+    schemaVersion: 1,
+    extractedAt: null,
+    totalColorsFound: 0,
+    colors: {
+      primary: null,
+      secondary: null,
+      background: {},
+      text: {},
+      border: {},
+      status: {}
+    },
+    fonts: {
+      families: [],
+      primary: null
+    },
+    rawColors: []
+  });
+
+  return projectDir;
+}
+
+/**
+ * Summarize a project from its project.json and references/manifest.json
+ */
+function getProjectInfo(name, cwd) {
+  const projectDir = getProjectDir(name, cwd);
+  const project = readJson(path.join(projectDir, 'project.json'));
+  if (!project) {
+    throw new Error(`Project "${name}" not found at ${projectDir}`);
+  }
+
+  const referencesDir = path.join(projectDir, 'references');
+  const manifest = readJson(path.join(referencesDir, 'manifest.json'));
+  const tokens = readJson(path.join(referencesDir, 'design-tokens.json'));
+  const manifestPlatform = (manifest && manifest.platform) || {};
+  const projectPlatform = project.platform || {};
+
+  return {
+    name: project.name || name,
+    path: projectDir,
+    created: project.created || null,
+    platform: {
+      name: manifestPlatform.name || projectPlatform.name || '',
+      baseUrl: manifestPlatform.baseUrl || projectPlatform.baseUrl || ''
+    },
+    capturedAt: manifestPlatform.capturedAt || null,
+    hasManifest: Boolean(manifest),
+    hasDesignTokens: Boolean(tokens),
+    hasPrototype: fs.existsSync(path.join(projectDir, 'prototype', 'package.json')),
+    pages: manifest && Array.isArray(manifest.pages) ? manifest.pages.length : 0,
+    screenshots: getManifestScreenshots(manifest).length,
+    stats: (manifest && manifest.stats) || null
+  };
+}
+
+function listProjects(cwd) {
+  const projectsDir = getProjectsDir(cwd);
+  if (!fs.existsSync(projectsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(projectsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(projectsDir, entry.name, 'project.json')))
+    .map(entry => getProjectInfo(entry.name, cwd))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function removeProject(name, cwd) {
+  const projectDir = getProjectDir(name, cwd);
+  if (!fs.existsSync(path.join(projectDir, 'project.json'))) {
+    throw new Error(`Project "${name}" not found at ${projectDir}`);
+  }
+  fs.rmSync(projectDir, { recursive: true, force: true });
+  return projectDir;
+}
+
+module.exports = {
+  PROJECTS_DIR,
+  KNOWN_VIEWPORTS,
+  getProjectsDir,
+  getProjectDir,
+  resolveProjectDir,
+  readJson,
+  writeJson,
+  getManifestScreenshots,
+  pageRoute,
+  createProject,
+  getProjectInfo,
+  listProjects,
+  removeProject
+};
@@ -0,0 +1,271 @@
+/**
+ * Prototype server
+ *
+ * Builds a generated Next.js prototype if needed and runs `next start` on a
+ * local port for tools that need to load its routes in a browser, or builds
+ * it as static files for sharing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+
+function isBuilt(prototypeDir) {
+  return fs.existsSync(path.join(prototypeDir, '.next', 'BUILD_ID'));
+}
+
+function resolveNextBin(prototypeDir) {
+  try {
+    return require.resolve('next/dist/bin/next', { paths: [prototypeDir] });
+  } catch {
+    throw new Error(`Next.js is not installed in ${prototypeDir} (run npm install there first)`);
+  }
+}
+
+// next.config names Next.js 14 reads; an export wraps whichever one exists
+const CONFIG_FILES = ['next.config.js', 'next.config.mjs'];
+const BASE_CONFIG = 'next.config.export-base';
+const EXPORT_DIR = '.static-export';
+// Records what a static build moved aside, so an interrupted one can be undone
+const STATE_FILE = '.static-export.json';
+
+function buildPrototype(prototypeDir) {
+  const result = spawnSync(process.execPath, [resolveNextBin(prototypeDir), 'build'], {
+    cwd: prototypeDir,
+    stdio: 'inherit'
+  });
+  if (result.status !== 0) {
+    throw new Error(`next build failed in ${prototypeDir}`);
+  }
+}
+
+/**
+ * A request only the spawned server can answer: its build's manifest, served
+ * byte for byte. Falls back to the Next.js powered-by header when the build
+ * has no manifest.
+ */
+function serverProbe(prototypeDir) {
+  const buildId = fs.readFileSync(path.join(prototypeDir, '.next', 'BUILD_ID'), 'utf-8').trim();
+  const manifest = path.join('static', buildId, '_buildManifest.js');
+  const manifestFile = path.join(prototypeDir, '.next', manifest);
+  if (fs.existsSync(manifestFile)) {
+    const expected = fs.readFileSync(manifestFile, 'utf-8');
+    return {
+      path: `/_next/${manifest.split(path.sep).join('/')}`,
+      matches: (res, body) => res.statusCode === 200 && body === expected
+    };
+  }
+  return { path: '/', matches: res => /next\.js/i.test(res.headers['x-powered-by'] || '') };
+}
+
+/**
+ * Poll until the spawned server answers the probe. Rejects as soon as the
+ * child exits, e.g. when the port is already taken, so a different server
+ * on the same port is never mistaken for the prototype.
+ */
+function waitForServer(url, child, probe, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let output = '';
+    let timer = null;
+    const finish = error => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      child.removeListener('exit', onExit);
+      error ? reject(error) : resolve();
+    };
+    const onExit = code => {
+      const reason = output.trim().split('\n').filter(Boolean).pop();
+      finish(new Error(`Prototype server exited (code ${code}) before it was ready${reason ? `: ${reason}` : ''}`));
+    };
+
+    if (child.exitCode !== null) {
+      onExit(child.exitCode);
+      return;
+    }
+    child.on('exit', onExit);
+    if (child.stderr) {
+      child.stderr.on('data', chunk => { output = (output + chunk).slice(-2000); });
+    }
+
+    const retry = () => {
+      if (Date.now() > deadline) {
+        finish(new Error(`Prototype did not start at ${url} within ${timeoutMs / 1000}s`));
+      } else {
+        timer = setTimeout(attempt, 500);
+      }
+    };
+    const attempt = () => {
+      if (done) return;
+      const req = http.get(`${url}${probe.path}`, res => {
+        let body = '';
+        res.setEncoding('utf-8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => (probe.matches(res, body) ? finish() : retry()));
+      });
+      req.on('error', retry);
+      req.setTimeout(2000, () => req.destroy());
+    };
+    attempt();
+  });
+}
+
+function exportConfig(base) {
+  return `// Written by real-prototypes-skill for a static export and removed afterwards.
+// The project's own config is ${base || 'absent'}; only the export settings are added.
+export default async function config(phase, context) {
+  ${base ? `const { default: base } = await import('./${base}')
+  const resolved = (typeof base === 'function' ? await base(phase, context) : base) || {}` : 'const resolved = {}'}
+  return {
+    ...resolved,
+    output: 'export',
+    distDir: '${EXPORT_DIR}',
+    trailingSlash: true,
+    images: { ...resolved.images, unoptimized: true },
+  }
+}
+`;
+}
+
+/**
+ * Put back everything a static build moved aside. Safe to call when nothing
+ * was moved; also repairs a build that was interrupted.
+ */
+function restorePrototype(prototypeDir) {
+  const stateFile = path.join(prototypeDir, STATE_FILE);
+  if (!fs.existsSync(stateFile)) {
+    return;
+  }
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+  for (const file of state.created) {
+    fs.rmSync(path.join(prototypeDir, file), { recursive: true, force: true });
+  }
+  for (const { from, to } of state.moved.reverse()) {
+    if (fs.existsSync(to)) {
+      fs.rmSync(path.join(prototypeDir, from), { recursive: true, force: true });
+      fs.renameSync(to, path.join(prototypeDir, from));
+    }
+  }
+  fs.rmSync(path.join(path.dirname(prototypeDir), state.asideDir), { recursive: true, force: true });
+  fs.rmSync(stateFile);
+}
+
+/**
+ * Build the prototype as static files (output: 'export') into outDir, using
+ * its own next.config. For the build, the config is wrapped, API routes (a
+ * static site has no server) and the `next start` build in .next are moved
+ * aside; all are put back afterwards. Returns { apiRoutes } where apiRoutes
+ * lists the route folders left out.
+ */
+function exportPrototype(prototypeDir, outDir, { quiet = false } = {}) {
+  if (!fs.existsSync(path.join(prototypeDir, 'package.json'))) {
+    throw new Error(`No prototype found at ${prototypeDir}`);
+  }
+  const nextBin = resolveNextBin(prototypeDir);
+  restorePrototype(prototypeDir);
+
+  // Outside the prototype, so the build neither type-checks nor serves them
+  const asideDir = `.${path.basename(prototypeDir)}-export-aside`;
+  const state = { asideDir, moved: [], created: [EXPORT_DIR] };
+  const save = () => fs.writeFileSync(path.join(prototypeDir, STATE_FILE), JSON.stringify(state, null, 2));
+  const moveAside = (rel, to) => {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    state.moved.push({ from: rel, to });
+    save();
+    fs.renameSync(path.join(prototypeDir, rel), to);
+  };
+
+  const apiRoutes = [];
+  try {
+    save();
+    const config = CONFIG_FILES.find(name => fs.existsSync(path.join(prototypeDir, name)));
+    let base = null;
+    if (config) {
+      base = `${BASE_CONFIG}${path.extname(config)}`;
+      moveAside(config, path.join(prototypeDir, base));
+    }
+    state.created.push('next.config.mjs');
+    save();
+    fs.writeFileSync(path.join(prototypeDir, 'next.config.mjs'), exportConfig(base));
+
+    for (const rel of [path.join('src', 'app', 'api'), path.join('app', 'api')]) {
+      if (fs.existsSync(path.join(prototypeDir, rel))) {
+        apiRoutes.push(rel);
+        moveAside(rel, path.join(path.dirname(prototypeDir), asideDir, rel));
+      }
+    }
+    if (fs.existsSync(path.join(prototypeDir, '.next'))) {
+      moveAside('.next', path.join(path.dirname(prototypeDir), asideDir, '.next'));
+    }
+    state.created.push('.next');
+    save();
+
+    const result = spawnSync(process.execPath, [nextBin, 'build'], {
+      cwd: prototypeDir,
+      stdio: quiet ? 'pipe' : 'inherit',
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024
+    });
+    if (result.status !== 0) {
+      const output = quiet ? `\n${`${result.stdout}${result.stderr}`.trim().split('\n').slice(-20).join('\n')}` : '';
+      throw new Error(`next build failed in ${prototypeDir}${output}`);
+    }
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.cpSync(path.join(prototypeDir, EXPORT_DIR), outDir, { recursive: true });
+  } finally {
+    restorePrototype(prototypeDir);
+  }
+
+  return { apiRoutes };
+}
+
+/**
+ * Start the built prototype. Returns { url, stop }.
+ * Builds first when there is no build yet or when build is true.
+ */
+async function startPrototype(prototypeDir, { port = 3100, build = false, timeoutMs = 60000 } = {}) {
+  if (!fs.existsSync(path.join(prototypeDir, 'package.json'))) {
+    throw new Error(`No prototype found at ${prototypeDir}`);
+  }
+
+  if (build || !isBuilt(prototypeDir)) {
+    buildPrototype(prototypeDir);
+  }
+
+  const child = spawn(process.execPath, [resolveNextBin(prototypeDir), 'start', '-p', String(port)], {
+    cwd: prototypeDir,
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let exited = false;
+  child.on('exit', () => { exited = true; });
+
+  const url = `http://localhost:${port}`;
+  const stop = () => {
+    if (!exited) {
+      child.kill();
+    }
+  };
+
+  try {
+    await waitForServer(url, child, serverProbe(prototypeDir), timeoutMs);
+  } catch (e) {
+    stop();
+    throw e;
+  }
+
+  return { url, stop };
+}
+
+module.exports = {
+  isBuilt,
+  buildPrototype,
+  startPrototype,
+  exportPrototype,
+  restorePrototype
+};
@@ -0,0 +1,290 @@
+/**
+ * Review export
+ *
+ * Bundles a static build of the prototype with the captured reference
+ * screenshots and a review viewer, so stakeholders can compare the two and
+ * pin comments without running anything but a static file server:
+ *
+ *   <bundle>/index.html, _next/ ...   the prototype, served from the root
+ *   <bundle>/__review/index.html      the viewer
+ *   <bundle>/__review/data.js         pages, routes and earlier comments
+ *   <bundle>/__review/references/     the reference screenshots
+ *
+ * Next.js never routes a folder whose name starts with an underscore, so the
+ * viewer can't replace a page of the prototype.
+ *
+ * Reviewers save their comments to a JSON file from the viewer; importing it
+ * merges them into projects/<name>/review/comments.json.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJson, pageRoute, KNOWN_VIEWPORTS } = require('./projects');
+const { exportPrototype } = require('./prototype-server');
+const { writeZip } = require('./zip');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'review');
+const VIEWER_FILES = ['index.html', 'viewer.css', 'viewer.js'];
+const VIEWER_DIR = '__review';
+// Where exports before __review kept the viewer
+const LEGACY_VIEWER_DIR = 'review';
+const EXPORT_DIR = 'review-export';
+const COMMENTS_FILE = path.join('review', 'comments.json');
+// Same page → route overrides the visual regression runner uses
+const ROUTES_FILE = 'visual-regression.json';
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Routes of a static export built with trailingSlash: every index.html
+ */
+function findStaticRoutes(dir, prefix = '/') {
+  const routes = fs.existsSync(path.join(dir, 'index.html')) ? [prefix] : [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.isDirectory() && !(prefix === '/' && ['_next', '404', VIEWER_DIR].includes(entry.name))) {
+      routes.push(...findStaticRoutes(path.join(dir, entry.name), `${prefix}${entry.name}/`));
+    }
+  }
+  return routes;
+}
+
+function withTrailingSlash(route) {
+  const clean = `/${String(route).replace(/^\/+|\/+$/g, '')}`;
+  return clean === '/' ? clean : `${clean}/`;
+}
+
+/**
+ * Reference screenshots of a page the viewer can show: one per captured
+ * viewport, then one per tab. Screenshots missing on disk are left out; a
+ * path that leads outside references/ is refused, since the file would be
+ * copied into a bundle meant to be shared.
+ */
+function pageShots(page, referencesDir) {
+  const shots = [];
+  const add = (key, label, screenshot, size) => {
+    if (!screenshot || shots.some(s => s.key === key)) {
+      return;
+    }
+    const inside = (dir, file) => {
+      const relative = path.relative(dir, file);
+      return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : null;
+    };
+    const relative = inside(referencesDir, path.resolve(referencesDir, String(screenshot)));
+    const file = relative && path.join(referencesDir, relative);
+    // Symlinks are followed too
+    if (!relative || (fs.existsSync(file) && !inside(fs.realpathSync(referencesDir), fs.realpathSync(file)))) {
+      throw new Error(`Screenshot "${screenshot}" of page "${page.name}" is outside ${referencesDir}`);
+    }
+    if (fs.existsSync(file)) {
+      shots.push({ key, label, screenshot: relative, width: size.width, height: size.height });
+    }
+  };
+
+  for (const capture of page.captures || []) {
+    const known = KNOWN_VIEWPORTS[capture.viewport] || KNOWN_VIEWPORTS.desktop;
+    add(capture.viewport, capture.viewport, capture.screenshot, {
+      width: capture.width || known.width,
+      height: capture.height || known.height
+    });
+  }
+  add('desktop', 'desktop', page.screenshot, KNOWN_VIEWPORTS.desktop);
+  for (const tab of page.tabs || []) {
+    add(`tab:${tab.name}`, `tab: ${tab.name}`, tab.screenshot, KNOWN_VIEWPORTS.desktop);
+  }
+  return shots;
+}
+
+// --- Comments -------------------------------------------------------------
+
+function readComments(projectDir) {
+  const file = readJson(path.join(projectDir, COMMENTS_FILE));
+  return file && Array.isArray(file.comments) ? file.comments : [];
+}
+
+/**
+ * Check a comments file saved by the viewer; returns its comments
+ */
+function parseComments(data, source) {
+  const comments = Array.isArray(data) ? data : data && data.comments;
+  if (!Array.isArray(comments)) {
+    throw new Error(`${source} is not a review comments file (no "comments" list)`);
+  }
+  comments.forEach((comment, i) => {
+    const problem = !comment || typeof comment !== 'object' ? 'is not an object'
+      : typeof comment.id !== 'string' || !comment.id ? 'has no id'
+        : typeof comment.page !== 'string' ? 'has no page'
+          : !comment.deleted && typeof comment.text !== 'string' ? 'has no text'
+            : !comment.deleted && !(Number.isFinite(comment.x) && Number.isFinite(comment.y)) ? 'has no x/y position'
+              : null;
+    if (problem) {
+      throw new Error(`${source}: comment ${i + 1} ${problem}`);
+    }
+  });
+  return comments;
+}
+
+/**
+ * Merge comments by id, keeping the most recently updated copy. A comment
+ * deleted in the viewer arrives as { deleted: true } and is dropped.
+ */
+function mergeComments(existing, incoming) {
+  const byId = new Map(existing.map(c => [c.id, c]));
+  const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+  for (const comment of incoming) {
+    const current = byId.get(comment.id);
+    if (comment.deleted) {
+      if (current) {
+        byId.delete(comment.id);
+        counts.removed++;
+      }
+    } else if (!current) {
+      byId.set(comment.id, comment);
+      counts.added++;
+    } else if ((comment.updatedAt || '') > (current.updatedAt || '')) {
+      byId.set(comment.id, comment);
+      counts.updated++;
+    } else {
+      counts.unchanged++;
+    }
+  }
+
+  return { comments: [...byId.values()], ...counts };
+}
+
+/**
+ * Merge a comments file saved from the review viewer into the project.
+ * Returns { file, added, updated, removed, unchanged, total }.
+ */
+function importComments(projectDir, file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not read ${file}: ${e.message}`);
+  }
+  const project = readJson(path.join(projectDir, 'project.json')) || {};
+  const name = project.name || path.basename(projectDir);
+  if (data && data.project && data.project !== name) {
+    throw new Error(`${file} holds comments for project "${data.project}", not "${name}"`);
+  }
+
+  const { comments, ...counts } = mergeComments(readComments(projectDir), parseComments(data, file));
+  comments.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  const target = path.join(projectDir, COMMENTS_FILE);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  writeJson(target, { project: name, updatedAt: new Date().toISOString(), comments });
+  return { file: target, ...counts, total: comments.length };
+}
+
+// --- Export ---------------------------------------------------------------
+
+/**
+ * Build the review bundle. output is a folder, or a .zip file; zip without
+ * an output writes review-export.zip in the project. Returns a summary with
+ * { output, zip, pages, routes, comments, apiRoutes }.
+ */
+function exportReview(projectDir, { output = null, zip = false, force = false, quiet = false } = {}) {
+  const prototypeDir = path.join(projectDir, 'prototype');
+  const referencesDir = path.join(projectDir, 'references');
+  const manifest = readJson(path.join(referencesDir, 'manifest.json'));
+  if (!manifest || !Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+    throw new Error(`No captured pages in ${path.join(referencesDir, 'manifest.json')}`);
+  }
+
+  const project = readJson(path.join(projectDir, 'project.json')) || {};
+  const name = project.name || path.basename(projectDir);
+  const asZip = zip || Boolean(output && /\.zip$/i.test(output));
+  const target = path.resolve(output || path.join(projectDir, asZip ? `${EXPORT_DIR}.zip` : EXPORT_DIR));
+  if (target === prototypeDir || target.startsWith(`${prototypeDir}${path.sep}`)) {
+    throw new Error(`Write the export outside the prototype (${target} is inside ${prototypeDir})`);
+  }
+  // Only replace a folder that holds an earlier export
+  if (!asZip && fs.existsSync(target) && fs.readdirSync(target).length > 0 && !force &&
+    ![VIEWER_DIR, LEGACY_VIEWER_DIR].some(dir => fs.existsSync(path.join(target, dir, 'data.js')))) {
+    throw new Error(`${target} already exists and is not an earlier export; use --force to replace it`);
+  }
+
+  // Checked before building, so a bad screenshot path stops the export early
+  const shotsByPage = manifest.pages.map(page => pageShots(page, referencesDir));
+
+  const staging = asZip ? fs.mkdtempSync(path.join(os.tmpdir(), `${slug(name)}-review-`)) : null;
+  const bundleDir = asZip ? path.join(staging, `${slug(name)}-review`) : target;
+
+  try {
+    const { apiRoutes } = exportPrototype(prototypeDir, bundleDir, { quiet });
+    const routes = findStaticRoutes(bundleDir);
+    const overrides = (readJson(path.join(projectDir, ROUTES_FILE)) || {}).routes || {};
+
+    const viewerDir = path.join(bundleDir, VIEWER_DIR);
+    // Only a public/__review folder in the prototype could get here
+    if (fs.existsSync(viewerDir)) {
+      throw new Error(`The static build already has a ${VIEWER_DIR}/ folder (from public/?); rename it, the review viewer needs that path`);
+    }
+    fs.mkdirSync(viewerDir, { recursive: true });
+    for (const file of VIEWER_FILES) {
+      fs.copyFileSync(path.join(TEMPLATES_DIR, file), path.join(viewerDir, file));
+    }
+
+    const usedIds = new Set();
+    const pages = manifest.pages.map((page, i) => {
+      let id = slug(page.name) || 'page';
+      for (let n = 2; usedIds.has(id); n++) id = `${slug(page.name)}-${n}`;
+      usedIds.add(id);
+
+      const route = withTrailingSlash(pageRoute(page, overrides));
+      const shots = shotsByPage[i].map(({ screenshot, ...shot }) => {
+        const copy = path.join(viewerDir, 'references', screenshot);
+        fs.mkdirSync(path.dirname(copy), { recursive: true });
+        fs.copyFileSync(path.join(referencesDir, screenshot), copy);
+        return { ...shot, file: `references/${screenshot.split(path.sep).join('/')}` };
+      });
+      return { id, name: page.name, url: page.url, route, found: routes.includes(route), shots };
+    });
+
+    const comments = readComments(projectDir);
+    const data = {
+      project: name,
+      platform: (manifest.platform && manifest.platform.name) || '',
+      capturedAt: (manifest.platform && manifest.platform.capturedAt) || null,
+      exportedAt: new Date().toISOString(),
+      exportId: crypto.randomBytes(6).toString('hex'),
+      routes,
+      pages,
+      comments
+    };
+    fs.writeFileSync(path.join(viewerDir, 'data.js'), `window.REVIEW = ${JSON.stringify(data, null, 2)};\n`);
+
+    let files = null;
+    if (asZip) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      files = writeZip(bundleDir, target, { root: path.basename(bundleDir) });
+    }
+
+    return {
+      output: target,
+      zip: asZip,
+      files,
+      routes,
+      pages: pages.map(({ name: pageName, route, found, shots }) => ({ name: pageName, route, found, screenshots: shots.length })),
+      comments: comments.length,
+      apiRoutes
+    };
+  } finally {
+    if (staging) {
+      fs.rmSync(staging, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  COMMENTS_FILE,
+  readComments,
+  mergeComments,
+  importComments,
+  exportReview
+};
@@ -0,0 +1,158 @@
+/**
+ * JSON Schema validation
+ *
+ * A small draft-07 validator covering the keywords used by the schemas in
+ * schemas/: type, enum, required, properties, additionalProperties, items,
+ * minimum, minLength, maxLength, pattern, format (date-time, uri), anyOf and
+ * local $ref. Keeps the CLI free of a validator dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+// Latest schema version for each artifact; files without schemaVersion are v1
+const SCHEMA_VERSIONS = {
+  project: 1,
+  manifest: 1,
+  'design-tokens': 1
+};
+
+function loadSchema(kind, version = 1) {
+  const file = path.join(SCHEMAS_DIR, `${kind}.v${version}.schema.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${kind} schema for version ${version}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function checkFormat(value, format) {
+  if (format === 'date-time') {
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+  }
+  if (format === 'uri') {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  return true;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate data against a schema. Returns a list of { path, message }
+ * where path is a JSON pointer into the data.
+ */
+function validate(schema, data, at = '', root = schema) {
+  if (schema.$ref) {
+    return validate(resolveRef(schema.$ref, root), data, at, root);
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ path: at || '/', message });
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => validate(option, data, at, root).length === 0);
+    if (!matched) {
+      fail(`does not match any allowed form`);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(data, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(data)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(value => value === data)) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof data === 'string') {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+      fail(`"${data}" does not match ${schema.pattern}`);
+    }
+    if (schema.format && !checkFormat(data, schema.format)) {
+      fail(`"${data}" is not a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof data === 'number' && schema.minimum !== undefined && data < schema.minimum) {
+    fail(`must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(data) && schema.items) {
+    data.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}/${i}`, root)));
+  }
+
+  if (typeOf(data) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in data)) {
+        fail(`missing required property "${key}"`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, value] of Object.entries(data)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], value, `${at}/${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}/${key}`, message: 'unknown property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value, `${at}/${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed artifact against the schema matching its schemaVersion
+ */
+function validateArtifact(kind, data) {
+  const version = (data && data.schemaVersion) || 1;
+  if (version > SCHEMA_VERSIONS[kind]) {
+    return [{ path: '/schemaVersion', message: `version ${version} is newer than this CLI supports (${SCHEMA_VERSIONS[kind]})` }];
+  }
+  return validate(loadSchema(kind, version), data);
+}
+
+module.exports = {
+  SCHEMAS_DIR,
+  SCHEMA_VERSIONS,
+  loadSchema,
+  validate,
+  validateArtifact
+};
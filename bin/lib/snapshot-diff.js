@@ -0,0 +1,328 @@
+/**
+ * Capture diff
+ *
+ * Compares two captures of the same platform (snapshots or the live
+ * references/): pages and tabs added or removed, design-token changes, and a
+ * pixel diff of every screenshot present in both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson } = require('./projects');
+const { normalizeTokens } = require('./tokens');
+const { normalizeColor } = require('./colors');
+const { compareImages } = require('./image-diff');
+const { escapeHtml } = require('./html');
+
+// How token categories are grouped in the summary
+const TOKEN_GROUPS = {
+  color: 'colors',
+  fontFamily: 'fonts',
+  fontSize: 'fonts',
+  fontWeight: 'fonts',
+  lineHeight: 'fonts',
+  spacing: 'spacing',
+  borderRadius: 'spacing',
+  shadow: 'shadows'
+};
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function loadCapture(dir) {
+  const manifest = readJson(path.join(dir, 'manifest.json'));
+  if (!manifest || !Array.isArray(manifest.pages)) {
+    throw new Error(`${path.join(dir, 'manifest.json')} is missing or has no pages`);
+  }
+  return {
+    dir,
+    manifest,
+    tokens: readJson(path.join(dir, 'design-tokens.json')) || {}
+  };
+}
+
+/**
+ * Pair pages by name, falling back to URL for renamed pages
+ */
+function matchPages(fromPages, toPages) {
+  const unmatched = new Set(fromPages);
+  const pairs = [];
+  const added = [];
+
+  for (const page of toPages) {
+    const match = fromPages.find(p => unmatched.has(p) && p.name === page.name) ||
+      fromPages.find(p => unmatched.has(p) && p.url && p.url === page.url);
+    if (match) {
+      unmatched.delete(match);
+      pairs.push({ from: match, to: page });
+    } else {
+      added.push(page);
+    }
+  }
+
+  return { pairs, added, removed: [...unmatched] };
+}
+
+function viewportShots(page) {
+  const shots = {};
+  for (const capture of page.captures || []) {
+    if (capture.viewport && capture.screenshot) {
+      shots[capture.viewport] = capture.screenshot;
+    }
+  }
+  if (!shots.desktop && page.screenshot) {
+    shots.desktop = page.screenshot;
+  }
+  return shots;
+}
+
+function tabShots(page) {
+  const shots = {};
+  for (const tab of page.tabs || []) {
+    if (tab.name) {
+      shots[tab.name] = tab.screenshot || null;
+    }
+  }
+  return shots;
+}
+
+function tokenValue(category, value) {
+  return category === 'color' ? normalizeColor(value) || value : String(value).trim();
+}
+
+/**
+ * Token changes between two design-tokens files, by category and path
+ */
+function diffTokens(fromTokens, toTokens) {
+  const before = normalizeTokens(fromTokens);
+  const after = normalizeTokens(toTokens);
+  const changes = [];
+
+  for (const category of Object.keys(TOKEN_GROUPS)) {
+    const index = list => new Map((list || []).map(t => [t.path.join('.'), t.value]));
+    const a = index(before[category]);
+    const b = index(after[category]);
+
+    for (const [key, value] of b) {
+      if (!a.has(key)) {
+        changes.push({ group: TOKEN_GROUPS[category], category, path: key, change: 'added', before: null, after: value });
+      } else if (tokenValue(category, a.get(key)) !== tokenValue(category, value)) {
+        changes.push({ group: TOKEN_GROUPS[category], category, path: key, change: 'changed', before: a.get(key), after: value });
+      }
+    }
+    for (const [key, value] of a) {
+      if (!b.has(key)) {
+        changes.push({ group: TOKEN_GROUPS[category], category, path: key, change: 'removed', before: value, after: null });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Diff two capture directories. Screenshot copies and diff images are
+ * written to outDir/images. Returns the full result for the report.
+ */
+async function diffCaptures(fromDir, toDir, outDir, { threshold = 0.5, pixelThreshold = 0.1 } = {}) {
+  const from = loadCapture(fromDir);
+  const to = loadCapture(toDir);
+  const imagesDir = path.join(outDir, 'images');
+  fs.rmSync(imagesDir, { recursive: true, force: true });
+  fs.mkdirSync(imagesDir, { recursive: true });
+
+  const { pairs, added, removed } = matchPages(from.manifest.pages, to.manifest.pages);
+  const tabs = { added: [], removed: [] };
+  const screenshots = [];
+
+  for (const pair of pairs) {
+    const fromTabs = tabShots(pair.from);
+    const toTabs = tabShots(pair.to);
+    Object.keys(toTabs).filter(name => !(name in fromTabs)).forEach(name => tabs.added.push({ page: pair.to.name, tab: name }));
+    Object.keys(fromTabs).filter(name => !(name in toTabs)).forEach(name => tabs.removed.push({ page: pair.to.name, tab: name }));
+
+    const cases = [];
+    const fromViews = viewportShots(pair.from);
+    const toViews = viewportShots(pair.to);
+    for (const viewport of Object.keys(toViews).filter(v => v in fromViews)) {
+      cases.push({ kind: 'viewport', name: viewport, before: fromViews[viewport], after: toViews[viewport] });
+    }
+    for (const tab of Object.keys(toTabs).filter(t => fromTabs[t] && toTabs[t])) {
+      cases.push({ kind: 'tab', name: tab, before: fromTabs[tab], after: toTabs[tab] });
+    }
+
+    for (const c of cases) {
+      const base = `${slug(pair.to.name)}-${c.kind}-${slug(c.name)}`;
+      const result = { page: pair.to.name, kind: c.kind, name: c.name, mismatch: null, changed: false, message: '' };
+      const beforeFile = path.join(from.dir, c.before);
+      const afterFile = path.join(to.dir, c.after);
+
+      if (!fs.existsSync(beforeFile) || !fs.existsSync(afterFile)) {
+        result.message = `screenshot missing: ${!fs.existsSync(beforeFile) ? c.before : c.after}`;
+        screenshots.push(result);
+        continue;
+      }
+
+      Object.assign(result, {
+        before: `images/${base}-before.png`,
+        after: `images/${base}-after.png`,
+        diff: `images/${base}-diff.png`
+      });
+      fs.copyFileSync(beforeFile, path.join(outDir, result.before));
+      fs.copyFileSync(afterFile, path.join(outDir, result.after));
+
+      try {
+        const compared = await compareImages(
+          path.join(outDir, result.before),
+          path.join(outDir, result.after),
+          path.join(outDir, result.diff),
+          { pixelThreshold }
+        );
+        result.mismatch = compared.mismatch;
+        result.changed = compared.mismatch > threshold || !compared.sizeMatches;
+        result.message = compared.sizeMatches ? '' : 'page size changed';
+      } catch (e) {
+        result.message = `could not compare: ${e.message.split('\n')[0]}`;
+        delete result.diff;
+      }
+      screenshots.push(result);
+    }
+  }
+
+  const tokens = diffTokens(from.tokens, to.tokens);
+  const pageRef = p => ({ name: p.name, url: p.url || null });
+
+  const result = {
+    from: { capturedAt: (from.manifest.platform || {}).capturedAt || null },
+    to: { capturedAt: (to.manifest.platform || {}).capturedAt || null },
+    threshold,
+    pages: { added: added.map(pageRef), removed: removed.map(pageRef), matched: pairs.length },
+    tabs,
+    tokens,
+    screenshots
+  };
+  result.changed = added.length > 0 || removed.length > 0 || tabs.added.length > 0 || tabs.removed.length > 0 ||
+    tokens.length > 0 || screenshots.some(s => s.changed);
+
+  return result;
+}
+
+function renderTokenValue(change, value) {
+  if (value === null) {
+    return '<span class="none">-</span>';
+  }
+  const swatch = change.category === 'color' ? `<span class="swatch" style="background:${escapeHtml(value)}"></span>` : '';
+  return `${swatch}<code>${escapeHtml(value)}</code>`;
+}
+
+function renderDiffReport(report) {
+  const list = (items, render) => (items.length ? `<ul>${items.map(i => `<li>${render(i)}</li>`).join('')}</ul>` : '<p class="none">None</p>');
+  const page = p => `${escapeHtml(p.name)}${p.url ? ` <small>${escapeHtml(p.url)}</small>` : ''}`;
+  const tab = t => `${escapeHtml(t.page)} › ${escapeHtml(t.tab)}`;
+
+  const tokenRows = report.tokens.map(t => `
+      <tr class="${t.change}">
+        <td>${escapeHtml(t.group)}</td>
+        <td><code>${escapeHtml(t.category)}.${escapeHtml(t.path)}</code></td>
+        <td>${t.change}</td>
+        <td>${renderTokenValue(t, t.before)}</td>
+        <td>${renderTokenValue(t, t.after)}</td>
+      </tr>`).join('');
+
+  const shots = report.screenshots.map((s, i) => `
+  <section class="shot ${s.changed ? 'changed' : 'same'}" id="shot-${i}">
+    <h3>${escapeHtml(s.page)} <small>${s.kind === 'tab' ? 'tab' : 'viewport'}: ${escapeHtml(s.name)}</small>
+      <span class="metric">${s.mismatch === null ? '-' : `${s.mismatch}%`}</span></h3>
+    ${s.message ? `<p class="message">${escapeHtml(s.message)}</p>` : ''}
+    ${s.before ? `<div class="grid">
+      <figure><figcaption>Before</figcaption><img src="${escapeHtml(s.before)}" loading="lazy" alt="Before"></figure>
+      <figure><figcaption>After</figcaption><img src="${escapeHtml(s.after)}" loading="lazy" alt="After"></figure>
+      ${s.diff ? `<figure><figcaption>Diff</figcaption><img src="${escapeHtml(s.diff)}" loading="lazy" alt="Diff"></figure>` : ''}
+    </div>` : ''}
+  </section>`).join('');
+
+  const changedShots = report.screenshots.filter(s => s.changed).length;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Capture diff · ${escapeHtml(report.project)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; padding: 24px; background: #f6f7f8; color: #1d1f21; }
+  h1 { margin: 0 0 4px; } h2 { margin-top: 32px; }
+  small, .none, figcaption { color: #6b7280; font-weight: normal; }
+  .verdict { font-weight: 600; } .verdict.changed { color: #cc0c39; } .verdict.same { color: #067d62; }
+  .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+  .card { background: #fff; border-radius: 8px; padding: 12px 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); min-width: 140px; }
+  .card b { display: block; font-size: 22px; }
+  table { border-collapse: collapse; background: #fff; }
+  th, td { padding: 6px 12px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  tr.added td:nth-child(3) { color: #067d62; } tr.removed td:nth-child(3) { color: #cc0c39; } tr.changed td:nth-child(3) { color: #c45500; }
+  .swatch { display: inline-block; width: 14px; height: 14px; border: 1px solid #d1d5db; vertical-align: middle; margin-right: 6px; }
+  .shot { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); }
+  .shot h3 { margin: 0 0 8px; } .shot.changed .metric { color: #cc0c39; } .metric { float: right; }
+  .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+  figure { margin: 0; } img { max-width: 100%; border: 1px solid #e5e7eb; display: block; }
+  label { display: block; margin: 12px 0; }
+</style>
+</head>
+<body>
+<h1>Capture diff · ${escapeHtml(report.project)}</h1>
+<p>${escapeHtml(report.fromId)} (${escapeHtml(report.from.capturedAt || 'unknown')}) → ${escapeHtml(report.toId)} (${escapeHtml(report.to.capturedAt || 'unknown')})</p>
+<p class="verdict ${report.changed ? 'changed' : 'same'}">${report.changed ? 'The platform changed: regenerate or review the prototype.' : 'No changes detected.'}</p>
+<div class="cards">
+  <div class="card"><b>+${report.pages.added.length} / -${report.pages.removed.length}</b>pages</div>
+  <div class="card"><b>+${report.tabs.added.length} / -${report.tabs.removed.length}</b>tabs</div>
+  <div class="card"><b>${report.tokens.length}</b>token changes</div>
+  <div class="card"><b>${changedShots} / ${report.screenshots.length}</b>screenshots over ${report.threshold}%</div>
+</div>
+
+<h2>Pages</h2>
+<h3>Added</h3>${list(report.pages.added, page)}
+<h3>Removed</h3>${list(report.pages.removed, page)}
+
+<h2>Tabs</h2>
+<h3>Added</h3>${list(report.tabs.added, tab)}
+<h3>Removed</h3>${list(report.tabs.removed, tab)}
+
+<h2>Design tokens</h2>
+${report.tokens.length ? `<table>
+  <thead><tr><th>Group</th><th>Token</th><th>Change</th><th>Before</th><th>After</th></tr></thead>
+  <tbody>${tokenRows}
+  </tbody>
+</table>` : '<p class="none">No changes</p>'}
+
+<h2>Screenshots</h2>
+<label><input type="checkbox" id="only-changed"> Only show changed screenshots</label>
+${shots || '<p class="none">No screenshots in common</p>'}
+<script>
+  document.getElementById('only-changed').addEventListener('change', function (e) {
+    document.querySelectorAll('.shot.same').forEach(function (s) { s.hidden = e.target.checked; });
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write index.html and diff.json into outDir
+ */
+function writeDiffReport(outDir, report) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const htmlFile = path.join(outDir, 'index.html');
+  fs.writeFileSync(htmlFile, renderDiffReport(report));
+  fs.writeFileSync(path.join(outDir, 'diff.json'), JSON.stringify(report, null, 2));
+  return htmlFile;
+}
+
+module.exports = {
+  TOKEN_GROUPS,
+  matchPages,
+  diffTokens,
+  diffCaptures,
+  renderDiffReport,
+  writeDiffReport
+};
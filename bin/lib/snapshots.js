@@ -0,0 +1,162 @@
+/**
+ * Capture snapshots
+ *
+ * A capture overwrites references/. Saving a snapshot copies the manifest,
+ * design tokens, screenshots and HTML into snapshots/<id>/ so earlier
+ * captures of the same platform can be compared later. The id comes from the
+ * manifest's capturedAt, so saving the same capture twice is a no-op.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./projects');
+
+const SNAPSHOTS_DIR = 'snapshots';
+const SNAPSHOT_FILE = 'snapshot.json';
+const COPIED = ['manifest.json', 'design-tokens.json', 'screenshots', 'html'];
+
+// The live references/ directory, usable wherever a snapshot id is expected
+const CURRENT = 'current';
+
+function getSnapshotsDir(projectDir) {
+  return path.join(projectDir, SNAPSHOTS_DIR);
+}
+
+/**
+ * Filesystem-safe id for a capture time: 2026-02-06T03-53-29Z
+ */
+function snapshotId(capturedAt) {
+  const date = new Date(capturedAt);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid capture time "${capturedAt}"`);
+  }
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+function copyDir(src, dest) {
+  fs.mkdirSync(dest, { recursive: true });
+  for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+    const from = path.join(src, entry.name);
+    const to = path.join(dest, entry.name);
+    if (entry.isDirectory()) {
+      copyDir(from, to);
+    } else {
+      fs.copyFileSync(from, to);
+    }
+  }
+}
+
+function describeSnapshot(dir, id) {
+  const meta = readJson(path.join(dir, SNAPSHOT_FILE)) || {};
+  const manifest = readJson(path.join(dir, 'manifest.json')) || {};
+  const pages = Array.isArray(manifest.pages) ? manifest.pages : [];
+  return {
+    id,
+    path: dir,
+    capturedAt: meta.capturedAt || (manifest.platform && manifest.platform.capturedAt) || null,
+    savedAt: meta.savedAt || null,
+    label: meta.label || null,
+    pages: pages.length,
+    tabs: pages.reduce((sum, page) => sum + (page.tabs || []).length, 0)
+  };
+}
+
+/**
+ * Snapshots of a project, oldest first
+ */
+function listSnapshots(projectDir) {
+  const dir = getSnapshotsDir(projectDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, SNAPSHOT_FILE)))
+    .map(entry => describeSnapshot(path.join(dir, entry.name), entry.name))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Copy the current references/ into a new snapshot.
+ * Returns { snapshot, created }; created is false when this capture was
+ * already saved.
+ */
+function saveSnapshot(projectDir, { label } = {}) {
+  const referencesDir = path.join(projectDir, 'references');
+  const manifest = readJson(path.join(referencesDir, 'manifest.json'));
+  if (!manifest) {
+    throw new Error(`No capture to snapshot: ${path.join(referencesDir, 'manifest.json')} is missing or invalid`);
+  }
+
+  const capturedAt = manifest.platform && manifest.platform.capturedAt;
+  if (!capturedAt) {
+    throw new Error('references/manifest.json has no platform.capturedAt; capture the platform first');
+  }
+
+  const id = snapshotId(capturedAt);
+  const dir = path.join(getSnapshotsDir(projectDir), id);
+  if (fs.existsSync(path.join(dir, SNAPSHOT_FILE))) {
+    return { snapshot: describeSnapshot(dir, id), created: false };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const name of COPIED) {
+    const src = path.join(referencesDir, name);
+    if (!fs.existsSync(src)) {
+      continue;
+    }
+    if (fs.statSync(src).isDirectory()) {
+      copyDir(src, path.join(dir, name));
+    } else {
+      fs.copyFileSync(src, path.join(dir, name));
+    }
+  }
+  writeJson(path.join(dir, SNAPSHOT_FILE), {
+    id,
+    capturedAt,
+    savedAt: new Date().toISOString(),
+    label: label || null
+  });
+
+  return { snapshot: describeSnapshot(dir, id), created: true };
+}
+
+/**
+ * Resolve a snapshot reference to { id, path }. Accepts an id or a unique
+ * prefix of one, "latest", "previous" (the one before latest), or "current"
+ * for the live references/ directory.
+ */
+function resolveSnapshot(projectDir, ref) {
+  if (ref === CURRENT) {
+    return { id: CURRENT, path: path.join(projectDir, 'references') };
+  }
+
+  const snapshots = listSnapshots(projectDir);
+  let found;
+  if (ref === 'latest') {
+    found = snapshots[snapshots.length - 1];
+  } else if (ref === 'previous') {
+    found = snapshots[snapshots.length - 2];
+  } else {
+    const matches = snapshots.filter(s => s.id === ref || s.id.startsWith(ref));
+    if (matches.length > 1 && !matches.some(s => s.id === ref)) {
+      throw new Error(`"${ref}" matches several snapshots: ${matches.map(s => s.id).join(', ')}`);
+    }
+    found = matches.find(s => s.id === ref) || matches[0];
+  }
+
+  if (!found) {
+    const available = snapshots.length ? snapshots.map(s => s.id).join(', ') : 'none saved yet';
+    throw new Error(`Snapshot "${ref}" not found (available: ${available})`);
+  }
+  return { id: found.id, path: found.path };
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  CURRENT,
+  getSnapshotsDir,
+  snapshotId,
+  listSnapshots,
+  saveSnapshot,
+  resolveSnapshot
+};
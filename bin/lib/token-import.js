@@ -0,0 +1,452 @@
+/**
+ * Design token import
+ *
+ * Reads tokens the design team already maintains and maps them into the
+ * project's design-tokens.json layout:
+ *
+ *   figma             Figma variables export (REST /variables/local response)
+ *   style-dictionary  Style Dictionary token tree (`value`) or W3C DTCG (`$value`),
+ *                     as a single JSON file or a directory of them
+ *
+ * Imported values are merged with what is already in design-tokens.json
+ * (treated as "scraped" unless recorded otherwise) by source precedence,
+ * and every value's origin is recorded under `sources`. Values written by
+ * token inference are recorded as { source: 'scraped', inferred: true }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { kebab } = require('./tokens');
+
+const SOURCES = ['figma', 'style-dictionary', 'scraped'];
+const DEFAULT_PRECEDENCE = ['figma', 'style-dictionary', 'scraped'];
+
+// Sections of design-tokens.json that hold mergeable values
+const SECTIONS = [['colors'], ['typography'], ['spacing'], ['borderRadius'], ['shadows'], ['fonts', 'primary']];
+
+const COLOR_ROLES = [
+  ['primary', /^(primary|brand)$/],
+  ['secondary', /^(secondary|accent)$/],
+  ['background', /^(background|backgrounds|bg|surface|surfaces|canvas)$/],
+  ['text', /^(text|foreground|fg|content)$/],
+  ['border', /^(border|borders|stroke|outline|divider)$/],
+  ['status', /^(status|feedback|success|error|danger|warning|info)$/]
+];
+
+// Path segments that only name the category and carry no key information
+const CATEGORY_WORDS = new Set([
+  'color', 'colors', 'font', 'fonts', 'family', 'families', 'font-family', 'font-families',
+  'size', 'sizes', 'font-size', 'font-sizes', 'weight', 'weights', 'font-weight', 'font-weights',
+  'line-height', 'line-heights', 'leading', 'typography', 'spacing', 'space', 'spaces',
+  'radius', 'radii', 'border-radius', 'rounded', 'shadow', 'shadows', 'box-shadow', 'elevation',
+  'value', 'primitives', 'semantic', 'global', 'base-tokens'
+]);
+
+const TARGETS = {
+  color: ['colors'],
+  fontFamily: ['typography', 'fontFamily'],
+  fontSize: ['typography', 'fontSize'],
+  fontWeight: ['typography', 'fontWeight'],
+  lineHeight: ['typography', 'lineHeight'],
+  spacing: ['spacing'],
+  borderRadius: ['borderRadius'],
+  shadow: ['shadows']
+};
+
+function camel(segments) {
+  return segments
+    .map(s => kebab(s))
+    .join('-')
+    .replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+function isColorValue(value) {
+  return typeof value === 'string' && /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\()/i.test(value.trim());
+}
+
+function toHex(n) {
+  return Math.round(Math.max(0, Math.min(1, n)) * 255).toString(16).padStart(2, '0').toUpperCase();
+}
+
+/**
+ * Convert Figma { r, g, b, a } (0-1) or DTCG { colorSpace, components, alpha } to CSS
+ */
+function colorObjectToCss(color) {
+  const [r, g, b] = color.components || [color.r, color.g, color.b];
+  const a = color.alpha !== undefined ? color.alpha : (color.a !== undefined ? color.a : 1);
+  if (a >= 1) {
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+  }
+  return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${Number(a.toFixed(3))})`;
+}
+
+function shadowToCss(value) {
+  const one = s => [s.inset ? 'inset' : '', s.offsetX || s.x || 0, s.offsetY || s.y || 0, s.blur || 0, s.spread || 0,
+    typeof s.color === 'object' ? colorObjectToCss(s.color) : s.color]
+    .map(v => (typeof v === 'number' ? `${v}px` : v))
+    .filter(Boolean)
+    .join(' ');
+  return Array.isArray(value) ? value.map(one).join(', ') : one(value);
+}
+
+function categorize(token) {
+  const type = String(token.type || '').toLowerCase().replace(/[^a-z]/g, '');
+  const joined = token.path.map(s => kebab(s)).join('-');
+
+  if (type === 'color' || (!type && isColorValue(token.value)) || (token.value && typeof token.value === 'object' && 'r' in token.value)) {
+    return 'color';
+  }
+  if (/^fontfamil/.test(type) || /font-?famil/.test(joined)) return 'fontFamily';
+  if (/^fontweight/.test(type) || /font-?weight/.test(joined)) return 'fontWeight';
+  if (/^lineheight/.test(type) || /line-?height|leading/.test(joined)) return 'lineHeight';
+  // Style Dictionary's CTI structure puts font sizes under size/font/*
+  if (/^fontsize/.test(type) || /font-?size|text-?size|^size-font(-|$)/.test(joined)) return 'fontSize';
+  if (/shadow/.test(type) || /shadow|elevation/.test(joined)) return 'shadow';
+  if (/radius/.test(type) || /radius|rounded|corner/.test(joined)) return 'borderRadius';
+  if (type === 'spacing' || /spac|gap|padding|margin/.test(joined)) return 'spacing';
+  return null;
+}
+
+function normalizeValue(category, value) {
+  if (category === 'color') {
+    return typeof value === 'object' ? colorObjectToCss(value) : String(value);
+  }
+  if (category === 'shadow') {
+    return typeof value === 'object' ? shadowToCss(value) : String(value);
+  }
+  if (category === 'fontFamily') {
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+  if (typeof value === 'number' && ['fontSize', 'spacing', 'borderRadius'].includes(category)) {
+    return `${value}px`;
+  }
+  if (value && typeof value === 'object' && 'value' in value && 'unit' in value) {
+    // DTCG 2025 dimension object
+    return `${value.value}${value.unit}`;
+  }
+  return String(value);
+}
+
+/**
+ * Where in design-tokens.json a token belongs, e.g. ['colors', 'primary', '500'],
+ * or null for a color that names neither a role nor a group
+ */
+function targetPath(category, tokenPath) {
+  const segments = tokenPath.map(s => kebab(s)).filter(Boolean);
+
+  if (category === 'color') {
+    // Only the first meaningful segment names a role: color/button/primary is a button color
+    const rest = segments.filter(s => !CATEGORY_WORDS.has(s));
+    const role = rest.length ? COLOR_ROLES.find(([, pattern]) => pattern.test(rest[0])) : null;
+    if (role) {
+      // Status colors keep their meaning as the key: status.success, status.errorHover
+      const keys = role[0] === 'status' && !/^(status|feedback)$/.test(rest[0]) ? rest : rest.slice(1);
+      return keys.length ? ['colors', role[0], camel(keys)] : ['colors', role[0]];
+    }
+    if (rest.length > 1) {
+      return ['colors', camel([rest[0]]), camel(rest.slice(1))];
+    }
+    return null;
+  }
+
+  const rest = segments.filter(s => !CATEGORY_WORDS.has(s));
+  return [...TARGETS[category], rest.length ? camel(rest) : 'base'];
+}
+
+function resolveAliases(value, lookup, seen = new Set()) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const whole = value.match(/^\{([^}]+)\}$/);
+  if (whole) {
+    const ref = whole[1].replace(/\.(value|\$value)$/, '');
+    if (seen.has(ref) || !(ref in lookup)) {
+      return value;
+    }
+    return resolveAliases(lookup[ref], lookup, new Set([...seen, ref]));
+  }
+  return value.replace(/\{([^}]+)\}/g, (match, ref) => {
+    const key = ref.replace(/\.(value|\$value)$/, '');
+    const resolved = key in lookup && !seen.has(key) ? resolveAliases(lookup[key], lookup, new Set([...seen, key])) : match;
+    return typeof resolved === 'string' || typeof resolved === 'number' ? String(resolved) : match;
+  });
+}
+
+/**
+ * Read Style Dictionary / DTCG tokens into [{ path, value, type }]
+ */
+function readStyleDictionary(input) {
+  const files = [];
+  const collect = p => {
+    if (fs.statSync(p).isDirectory()) {
+      fs.readdirSync(p).sort().forEach(entry => collect(path.join(p, entry)));
+    } else if (p.endsWith('.json')) {
+      files.push(p);
+    }
+  };
+  collect(input);
+
+  const tokens = [];
+  const walk = (node, prefix, inheritedType, file) => {
+    if (!node || typeof node !== 'object') return;
+    const type = node.$type || node.type || inheritedType;
+    if ('$value' in node || 'value' in node) {
+      tokens.push({ path: prefix, value: '$value' in node ? node.$value : node.value, type, file });
+      return;
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (!key.startsWith('$') && child && typeof child === 'object') {
+        walk(child, [...prefix, key], type, file);
+      }
+    }
+  };
+  for (const file of files) {
+    walk(JSON.parse(fs.readFileSync(file, 'utf-8')), [], undefined, file);
+  }
+
+  const lookup = {};
+  tokens.forEach(t => { lookup[t.path.join('.')] = t.value; });
+  return tokens.map(t => ({ ...t, value: resolveAliases(t.value, lookup) }));
+}
+
+/**
+ * Read a Figma variables export into [{ path, value, type }] using each
+ * collection's default mode
+ */
+function readFigma(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const meta = data.meta || data;
+  const variables = meta.variables || {};
+  const collections = meta.variableCollections || {};
+
+  const resolve = (variable, depth = 0) => {
+    const collection = collections[variable.variableCollectionId] || {};
+    const modes = variable.valuesByMode || {};
+    const value = modes[collection.defaultModeId] !== undefined ? modes[collection.defaultModeId] : Object.values(modes)[0];
+    if (value && value.type === 'VARIABLE_ALIAS' && depth < 10 && variables[value.id]) {
+      return resolve(variables[value.id], depth + 1);
+    }
+    return value;
+  };
+
+  const typeMap = { COLOR: 'color', FLOAT: undefined, STRING: undefined, BOOLEAN: 'boolean' };
+  return Object.values(variables)
+    .map(v => ({
+      path: v.name.split('/').map(s => s.trim()),
+      value: resolve(v),
+      type: typeMap[v.resolvedType],
+      file
+    }))
+    .filter(t => t.value !== undefined && t.type !== 'boolean');
+}
+
+/**
+ * Map raw tokens from one source to design-tokens.json leaves:
+ * [{ key: 'colors.primary.p500', value, origin }] plus the tokens that could not be placed
+ */
+function mapTokens(rawTokens, source) {
+  const leaves = [];
+  const skipped = [];
+
+  for (const token of rawTokens) {
+    const category = categorize(token);
+    if (!category || token.value === null || (typeof token.value === 'object' && category !== 'color' && category !== 'shadow' && !('unit' in token.value))) {
+      skipped.push(token.path.join('/'));
+      continue;
+    }
+    const target = targetPath(category, token.path);
+    if (!target) {
+      skipped.push(token.path.join('/'));
+      continue;
+    }
+    leaves.push({
+      key: target.join('.'),
+      value: normalizeValue(category, token.value),
+      origin: { source, file: path.basename(token.file), token: token.path.join(source === 'figma' ? '/' : '.') }
+    });
+  }
+
+  // The family named primary/base/body (or the first one) becomes fonts.primary
+  const families = leaves.filter(l => l.key.startsWith('typography.fontFamily.'));
+  const primary = families.find(l => /\.(primary|base|body|sans)$/.test(l.key)) || families[0];
+  if (primary) {
+    leaves.push({ key: 'fonts.primary', value: primary.value, origin: primary.origin });
+  }
+
+  return { leaves, skipped };
+}
+
+/**
+ * Flatten the mergeable sections of an existing design-tokens.json
+ */
+function flattenExisting(tokens) {
+  const sources = tokens.sources || {};
+  const leaves = [];
+  const walk = (node, keys) => {
+    if (typeof node === 'string' || typeof node === 'number') {
+      const key = keys.join('.');
+      leaves.push({ key, value: String(node), origin: sources[key] || { source: 'scraped' } });
+    } else if (node && typeof node === 'object' && !Array.isArray(node)) {
+      Object.entries(node).forEach(([k, v]) => walk(v, [...keys, k]));
+    }
+  };
+  for (const section of SECTIONS) {
+    walk(section.reduce((node, k) => (node ? node[k] : undefined), tokens), section);
+  }
+  return leaves;
+}
+
+function setLeaf(target, keys, value) {
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+function conflicts(a, b) {
+  return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+function parentKey(key) {
+  return key.slice(0, key.lastIndexOf('.'));
+}
+
+// Two sources naming the same step differently (spacing.xs vs spacing.sm, both 8px)
+function duplicates(a, b) {
+  return a.origin.source !== b.origin.source && parentKey(a.key) === parentKey(b.key) &&
+    a.value.trim().toLowerCase() === b.value.trim().toLowerCase();
+}
+
+/**
+ * Merge leaves by precedence: earlier sources in the list win, and a value
+ * blocks any lower-precedence value at the same path or nested under/over it,
+ * as well as the same value from another source under a different name.
+ */
+function mergeTokens(existing, imports, precedence = DEFAULT_PRECEDENCE) {
+  for (const source of precedence) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Unknown token source "${source}" in precedence (use ${SOURCES.join(', ')})`);
+    }
+  }
+  const rank = source => {
+    const i = precedence.indexOf(source);
+    return i === -1 ? precedence.length : i;
+  };
+
+  const importedSources = new Set(imports.map(i => i.source));
+  const candidates = [
+    // A re-import replaces what the same source contributed last time;
+    // inferred values are only replaced by a new inference
+    ...flattenExisting(existing).filter(leaf => leaf.origin.inferred || !importedSources.has(leaf.origin.source)),
+    ...imports.flatMap(i => i.leaves)
+  ].sort((a, b) => rank(a.origin.source) - rank(b.origin.source) ||
+    // Within a source, values captured or edited by hand win over inferred ones
+    Number(Boolean(a.origin.inferred)) - Number(Boolean(b.origin.inferred)));
+
+  const accepted = [];
+  const overridden = [];
+  for (const leaf of candidates) {
+    const blocker = accepted.find(a => conflicts(a.key, leaf.key));
+    const duplicate = blocker ? null : accepted.find(a => duplicates(a, leaf));
+    if (blocker) {
+      overridden.push({ key: leaf.key, source: leaf.origin.source, by: blocker.origin.source });
+    } else if (duplicate) {
+      overridden.push({ key: leaf.key, source: leaf.origin.source, by: duplicate.origin.source, duplicateOf: duplicate.key });
+    } else {
+      accepted.push(leaf);
+    }
+  }
+
+  const result = JSON.parse(JSON.stringify(existing));
+  // Keep empty slots (primary: null, text: {}) so the file keeps its shape
+  const colorSlots = {};
+  for (const [key, value] of Object.entries(existing.colors || {})) {
+    if (value === null || (typeof value === 'object' && Object.keys(value).length === 0)) {
+      colorSlots[key] = value;
+    }
+  }
+  result.colors = colorSlots;
+  delete result.typography;
+  delete result.spacing;
+  delete result.borderRadius;
+  delete result.shadows;
+  result.fonts = { ...(existing.fonts || {}) };
+  delete result.fonts.primary;
+
+  const sources = {};
+  for (const leaf of accepted.sort((a, b) => a.key.localeCompare(b.key))) {
+    setLeaf(result, leaf.key.split('.'), leaf.value);
+    sources[leaf.key] = leaf.origin;
+  }
+
+  // fonts.families is the union of every family, highest precedence first
+  const families = [];
+  const familyLeaves = accepted.filter(l => l.key.startsWith('typography.fontFamily.') || l.key === 'fonts.primary');
+  for (const leaf of familyLeaves.sort((a, b) => rank(a.origin.source) - rank(b.origin.source))) {
+    const first = leaf.value.split(',')[0].trim().replace(/^["']|["']$/g, '');
+    if (first && !families.includes(first)) families.push(first);
+  }
+  for (const family of (existing.fonts && existing.fonts.families) || []) {
+    if (!families.includes(family)) families.push(family);
+  }
+  result.fonts.families = families;
+  if (!result.fonts.primary) {
+    result.fonts.primary = null;
+  }
+
+  result.totalColorsFound = accepted.filter(l => l.key.startsWith('colors.')).length;
+  result.importedAt = new Date().toISOString();
+  result.sources = sources;
+
+  return { tokens: result, overridden };
+}
+
+/**
+ * Import tokens into a project's design-tokens.json.
+ * inputs: { figma?: file, 'style-dictionary'?: path }
+ */
+function importTokens(projectDir, inputs, { precedence = DEFAULT_PRECEDENCE, dryRun = false } = {}) {
+  const tokensFile = path.join(projectDir, 'references', 'design-tokens.json');
+  const existing = fs.existsSync(tokensFile) ? JSON.parse(fs.readFileSync(tokensFile, 'utf-8')) : { colors: {} };
+
+  const imports = [];
+  const skipped = {};
+  for (const [source, input] of Object.entries(inputs)) {
+    if (!input) continue;
+    if (!fs.existsSync(input)) {
+      throw new Error(`${source} input not found: ${input}`);
+    }
+    const raw = source === 'figma' ? readFigma(input) : readStyleDictionary(input);
+    const mapped = mapTokens(raw, source);
+    imports.push({ source, leaves: mapped.leaves });
+    skipped[source] = mapped.skipped;
+  }
+  if (imports.length === 0) {
+    throw new Error('Nothing to import: pass --figma <file> and/or --style-dictionary <path>');
+  }
+
+  const { tokens, overridden } = mergeTokens(existing, imports, precedence);
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(tokensFile), { recursive: true });
+    fs.writeFileSync(tokensFile, JSON.stringify(tokens, null, 2));
+  }
+
+  const imported = {};
+  imports.forEach(i => { imported[i.source] = i.leaves.length; });
+  return { file: tokensFile, tokens, imported, skipped, overridden };
+}
+
+module.exports = {
+  SOURCES,
+  DEFAULT_PRECEDENCE,
+  readFigma,
+  readStyleDictionary,
+  mapTokens,
+  flattenExisting,
+  mergeTokens,
+  importTokens
+};
@@ -0,0 +1,441 @@
+/**
+ * Design token inference
+ *
+ * Turns raw computed-style observations from captured pages into
+ * design-tokens.json values, with a confidence score (0-1) per token:
+ *
+ *   colors      normalized, near-duplicates merged by CIEDE2000 distance,
+ *               weighted by how often and how much area they paint, and
+ *               given roles from the property and element they appear on
+ *   typography  font stacks, a size scale around the body size, weights
+ *               and line heights
+ *   spacing     padding, margin and gap values, checked against the grid
+ *               most of them sit on
+ *   radii, shadows
+ *
+ * An observation is { kind, value, property, element, status, area, fontSize };
+ * offline-capture.js collects them from rendered pages.
+ */
+
+const { parseColor, normalizeColor, composite, toLab, deltaE2000, toHsl } = require('./colors');
+
+// Colors closer than this (CIEDE2000) are treated as the same color
+const MERGE_DISTANCE = 3;
+// Share of an observation's weight that comes from its count vs. its painted area
+const COUNT_SHARE = 0.5;
+// Number of uses at which a token stops gaining confidence from repetition
+const FULL_SUPPORT = 10;
+const MAX_PER_ROLE = 6;
+
+const ROLE_BY_PROPERTY = {
+  color: 'text',
+  fill: 'text',
+  stroke: 'text',
+  'background-color': 'background',
+  'border-color': 'border',
+  'outline-color': 'border'
+};
+// Only colors seen on elements marked as a status (class, role or aria-invalid)
+// become status tokens; a hue alone says nothing about a color's meaning
+const STATUS_KINDS = ['error', 'success', 'warning', 'info'];
+
+const ORDINALS = ['primary', 'secondary', 'tertiary', 'quaternary', 'quinary', 'senary'];
+const SCALE_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl'];
+const FONT_WEIGHT_NAMES = {
+  100: 'thin', 200: 'extralight', 300: 'light', 400: 'normal', 500: 'medium',
+  600: 'semibold', 700: 'bold', 800: 'extrabold', 900: 'black'
+};
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Confidence from repetition alone: 1 use → 0.29, 3 → 0.58, 10+ → 1
+ */
+function support(count) {
+  return Math.min(1, Math.log2(1 + count) / Math.log2(1 + FULL_SUPPORT));
+}
+
+/**
+ * Weight every observation of one kind by count and painted area, so that
+ * the weights of a kind sum to 1
+ */
+function weigh(observations) {
+  const totalArea = observations.reduce((sum, o) => sum + (o.area || 0), 0);
+  return observations.map(o => ({
+    ...o,
+    weight: COUNT_SHARE / observations.length + (totalArea ? (1 - COUNT_SHARE) * (o.area || 0) / totalArea : (1 - COUNT_SHARE) / observations.length)
+  }));
+}
+
+function addTo(map, key, weight) {
+  map[key] = (map[key] || 0) + weight;
+}
+
+/**
+ * Group color observations into clusters of perceptually equal colors.
+ * Each cluster: { value, count, weight, roles, brand, statuses, elements, merged, hsl }
+ */
+function clusterColors(observations) {
+  const byValue = new Map();
+  for (const o of weigh(observations.filter(o => o.kind === 'color'))) {
+    const value = normalizeColor(o.value);
+    const parsed = value && parseColor(value);
+    if (!parsed || parsed.a === 0) continue;
+
+    if (!byValue.has(value)) {
+      byValue.set(value, {
+        value,
+        alpha: parsed.a,
+        lab: toLab(composite(parsed)),
+        hsl: toHsl(parsed),
+        count: 0,
+        weight: 0,
+        roles: {},
+        roleCounts: {},
+        brand: 0,
+        statuses: {},
+        elements: {}
+      });
+    }
+    const entry = byValue.get(value);
+    const role = ROLE_BY_PROPERTY[o.property] || 'text';
+    entry.count++;
+    entry.weight += o.weight;
+    addTo(entry.roles, role, o.weight);
+    addTo(entry.roleCounts, role, 1);
+    addTo(entry.elements, o.element || 'container', 1);
+    if (o.status) addTo(entry.statuses, o.status, o.weight);
+    // Buttons and links are where a product's brand color shows
+    if (o.element === 'button' || (o.element === 'link' && role !== 'border')) entry.brand += o.weight;
+  }
+
+  const clusters = [];
+  for (const entry of [...byValue.values()].sort((a, b) => b.weight - a.weight)) {
+    const cluster = clusters.find(c => Math.abs(c.alpha - entry.alpha) <= 0.05 && deltaE2000(c.lab, entry.lab) <= MERGE_DISTANCE);
+    if (!cluster) {
+      clusters.push({ ...entry, merged: [] });
+      continue;
+    }
+    cluster.count += entry.count;
+    cluster.weight += entry.weight;
+    cluster.brand += entry.brand;
+    cluster.merged.push(entry.value);
+    for (const key of ['roles', 'roleCounts', 'statuses', 'elements']) {
+      Object.entries(entry[key]).forEach(([k, v]) => addTo(cluster[key], k, v));
+    }
+  }
+  return clusters;
+}
+
+function isChromatic(cluster) {
+  return cluster.hsl.s > 0.25 && cluster.hsl.l > 0.12 && cluster.hsl.l < 0.92 && cluster.alpha > 0.5;
+}
+
+function inferColors(observations) {
+  const clusters = clusterColors(observations);
+  const colors = { primary: null, secondary: null, background: {}, text: {}, border: {}, status: {} };
+  const confidence = {};
+
+  // Brand colors: chromatic colors on buttons and links, then any chromatic color
+  const chromatic = clusters.filter(isChromatic);
+  const brandTotal = chromatic.reduce((sum, c) => sum + c.brand, 0);
+  const candidates = [...chromatic].sort((a, b) => b.brand - a.brand || b.weight - a.weight);
+  const brand = [];
+  for (const cluster of candidates) {
+    if (brand.length === 2) break;
+    // Without button or link evidence, a color marked as a status isn't a brand color
+    const statusOnly = cluster.brand === 0 && Object.keys(cluster.statuses).length > 0;
+    if (!statusOnly && brand.every(b => deltaE2000(b.lab, cluster.lab) > 10)) brand.push(cluster);
+  }
+  ['primary', 'secondary'].forEach((slot, i) => {
+    const cluster = brand[i];
+    if (!cluster) return;
+    colors[slot] = cluster.value;
+    const evidence = cluster.brand > 0 ? cluster.brand / brandTotal : 0.25;
+    confidence[`colors.${slot}`] = round(Math.min(1, evidence * 1.5) * support(cluster.count));
+  });
+
+  for (const role of ['background', 'text', 'border']) {
+    const total = clusters.reduce((sum, c) => sum + (c.roles[role] || 0), 0);
+    const used = clusters
+      .filter(c => c.roles[role] && c.roles[role] / total >= 0.01)
+      .sort((a, b) => b.roles[role] - a.roles[role])
+      .slice(0, MAX_PER_ROLE);
+    used.forEach((cluster, i) => {
+      colors[role][ORDINALS[i]] = cluster.value;
+      // How consistently the color plays this role, and how often it was seen doing it
+      confidence[`colors.${role}.${ORDINALS[i]}`] = round((cluster.roles[role] / cluster.weight) * support(cluster.roleCounts[role]));
+    });
+  }
+
+  const taken = new Set(brand.slice(0, 2).map(c => c.value));
+  for (const kind of STATUS_KINDS) {
+    const cluster = chromatic
+      .filter(c => c.statuses[kind] && !taken.has(c.value))
+      .sort((a, b) => b.statuses[kind] - a.statuses[kind])[0];
+    if (!cluster) continue;
+    taken.add(cluster.value);
+    colors.status[kind] = cluster.value;
+    confidence[`colors.status.${kind}`] = round(Math.min(1, cluster.statuses[kind] / cluster.weight + 0.25) * support(cluster.count));
+  }
+
+  const rawColors = clusters.map(c => {
+    const roles = Object.keys(c.roles).filter(role => c.roles[role] / c.weight >= 0.2);
+    return {
+      value: c.value,
+      count: c.count,
+      weight: round(c.weight, 4),
+      roles,
+      ...(c.merged.length ? { merged: c.merged } : {})
+    };
+  });
+
+  return { colors, rawColors, confidence };
+}
+
+function groupBy(observations, keyOf) {
+  const groups = new Map();
+  for (const o of weigh(observations)) {
+    const key = keyOf(o);
+    if (key === null || key === undefined) continue;
+    const group = groups.get(key) || { value: key, count: 0, weight: 0, elements: {} };
+    group.count++;
+    group.weight += o.weight;
+    addTo(group.elements, o.element || 'text', o.weight);
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => b.weight - a.weight);
+}
+
+function firstFamily(stack) {
+  return stack.split(',')[0].trim().replace(/^["']|["']$/g, '');
+}
+
+function inferTypography(observations) {
+  const confidence = {};
+  const typography = { fontFamily: {}, fontSize: {}, fontWeight: {}, lineHeight: {} };
+  const record = (section, entries) => {
+    for (const [name, group] of Object.entries(entries)) {
+      typography[section][name] = group.value;
+      confidence[`typography.${section}.${name}`] = group.confidence === undefined ? round(support(group.count)) : group.confidence;
+    }
+  };
+
+  // Font stacks: the body stack, plus headings and code when they differ
+  const stacks = groupBy(observations.filter(o => o.kind === 'fontFamily'), o => o.value.replace(/\s*,\s*/g, ', '));
+  const families = {};
+  if (stacks.length) {
+    const primary = stacks[0];
+    families.primary = { ...primary, confidence: round(Math.min(1, primary.weight * 1.5) * support(primary.count)) };
+    const heading = stacks.find(s => s !== primary && (s.elements.heading || 0) / s.weight >= 0.5);
+    if (heading) families.heading = { ...heading, confidence: round((heading.elements.heading / heading.weight) * support(heading.count)) };
+    const mono = stacks.find(s => s !== primary && (/monospace|mono\b|courier|consolas/i.test(s.value) || (s.elements.code || 0) / s.weight >= 0.5));
+    if (mono && mono !== heading) families.mono = { ...mono, confidence: round(support(mono.count)) };
+    const rest = stacks.filter(s => ![primary, heading, mono].includes(s) && s.weight >= 0.05).slice(0, 2);
+    rest.forEach((s, i) => { families[ORDINALS[i + 1]] = s; });
+  }
+  record('fontFamily', families);
+
+  // Sizes named around the body size: the heaviest size between 12 and 20px
+  const sizes = groupBy(observations.filter(o => o.kind === 'fontSize'), o => `${round(Math.round(o.value * 2) / 2, 1)}px`)
+    .filter(g => g.count > 1 || g.weight >= 0.02)
+    .slice(0, 12);
+  if (sizes.length) {
+    const body = sizes.find(g => parseFloat(g.value) >= 12 && parseFloat(g.value) <= 20) || sizes[0];
+    const ordered = [...sizes].sort((a, b) => parseFloat(a.value) - parseFloat(b.value));
+    const base = ordered.indexOf(body);
+    const below = ['sm', 'xs', '2xs', '3xs', '4xs'];
+    const above = ['lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl'];
+    const scale = {};
+    ordered.forEach((group, i) => {
+      const name = i === base ? 'base' : i < base ? below[base - i - 1] : above[i - base - 1];
+      scale[name] = i === base ? { ...group, confidence: round(Math.min(1, group.weight * 2) * support(group.count)) } : group;
+    });
+    record('fontSize', scale);
+  }
+
+  const weights = {};
+  groupBy(observations.filter(o => o.kind === 'fontWeight'), o => String(o.value))
+    .filter(g => g.weight >= 0.01)
+    .sort((a, b) => a.value - b.value)
+    .forEach(g => { weights[FONT_WEIGHT_NAMES[g.value] || g.value] = g; });
+  record('fontWeight', weights);
+
+  // Line heights as unitless ratios, so they work at any font size
+  const ratio = o => {
+    const n = parseFloat(o.value);
+    if (!n) return null;
+    if (/px$/.test(o.value)) return o.fontSize ? round(n / o.fontSize) : null;
+    if (/%$/.test(o.value)) return round(n / 100);
+    if (/^[\d.]+(em)?$/.test(o.value)) return round(n);
+    return null;
+  };
+  const lineHeights = [];
+  for (const group of groupBy(observations.filter(o => o.kind === 'lineHeight'), ratio)) {
+    const near = lineHeights.find(g => Math.abs(g.value - group.value) <= 0.05);
+    if (near) {
+      near.count += group.count;
+      near.weight += group.weight;
+    } else {
+      lineHeights.push({ ...group });
+    }
+  }
+  // Named by ratio the way Tailwind does (leading-tight is 1.25, leading-normal 1.5)
+  const leading = {};
+  for (const group of lineHeights.slice(0, 5).sort((a, b) => a.value - b.value)) {
+    const v = group.value;
+    let name = v < 1.2 ? 'none' : v < 1.35 ? 'tight' : v < 1.45 ? 'snug' : v < 1.6 ? 'normal' : v < 1.8 ? 'relaxed' : 'loose';
+    for (let i = 2; leading[name]; i++) name = `${name.replace(/-\d+$/, '')}-${i}`;
+    leading[name] = { ...group, value: String(v) };
+  }
+  record('lineHeight', leading);
+
+  const fonts = {
+    families: [...new Set(stacks.flatMap(s => s.value.split(',').map(f => f.trim().replace(/^["']|["']$/g, '')).filter(Boolean)))],
+    primary: stacks.length ? firstFamily(stacks[0].value) : null
+  };
+
+  return { typography, fonts, confidence };
+}
+
+/**
+ * The spacing grid most values sit on: 8, then 4, when at least 70% of
+ * spacing (by weight) is a multiple of it
+ */
+function detectGrid(groups) {
+  for (const unit of [8, 4]) {
+    const onGrid = groups.filter(g => parseFloat(g.value) % unit === 0).reduce((sum, g) => sum + g.weight, 0);
+    if (onGrid >= 0.7) return unit;
+  }
+  return null;
+}
+
+function inferSpacing(observations) {
+  const groups = groupBy(
+    observations.filter(o => o.kind === 'spacing' && o.value > 0 && o.value <= 160),
+    o => `${Math.round(o.value)}px`
+  );
+  const grid = detectGrid(groups);
+  const kept = groups
+    // One element's symmetric padding already yields two observations
+    .filter(g => g.count > 2 || (grid && parseFloat(g.value) % grid === 0))
+    .slice(0, SCALE_NAMES.length)
+    .sort((a, b) => parseFloat(a.value) - parseFloat(b.value));
+
+  const spacing = {};
+  const confidence = {};
+  kept.forEach((group, i) => {
+    spacing[SCALE_NAMES[i]] = group.value;
+    // Values off the grid are more likely one-off adjustments than tokens
+    const fit = grid ? (parseFloat(group.value) % grid === 0 ? 1 : 0.6) : 0.8;
+    confidence[`spacing.${SCALE_NAMES[i]}`] = round(fit * support(group.count));
+  });
+  return { spacing, grid, confidence };
+}
+
+function inferRadii(observations) {
+  const groups = [];
+  for (const group of groupBy(observations.filter(o => o.kind === 'borderRadius'), o => (o.value === 'full' ? 'full' : `${Math.round(o.value)}px`))) {
+    const near = group.value !== 'full' && groups.find(g => g.value !== 'full' && Math.abs(parseFloat(g.value) - parseFloat(group.value)) <= 1);
+    if (near) {
+      near.count += group.count;
+      near.weight += group.weight;
+    } else {
+      groups.push({ ...group });
+    }
+  }
+
+  const borderRadius = {};
+  const confidence = {};
+  groups
+    .filter(g => g.value !== 'full')
+    .slice(0, 5)
+    .sort((a, b) => parseFloat(a.value) - parseFloat(b.value))
+    .forEach((group, i) => {
+      const name = ['sm', 'md', 'lg', 'xl', '2xl'][i];
+      borderRadius[name] = group.value;
+      confidence[`borderRadius.${name}`] = round(support(group.count));
+    });
+  const full = groups.find(g => g.value === 'full');
+  if (full) {
+    borderRadius.full = '9999px';
+    confidence['borderRadius.full'] = round(support(full.count));
+  }
+  return { borderRadius, confidence };
+}
+
+function normalizeShadow(value) {
+  return value
+    .replace(/(?:rgba?|hsla?)\([^)]*\)|#[0-9a-f]{3,8}\b/gi, color => normalizeColor(color) || color)
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,\s*/g, ', ')
+    .trim();
+}
+
+function shadowBlur(shadow) {
+  const lengths = shadow.replace(/#[0-9A-F]+/gi, '').match(/-?[\d.]+/g) || [];
+  return parseFloat(lengths[2]) || 0;
+}
+
+function inferShadows(observations) {
+  const shadows = {};
+  const confidence = {};
+  groupBy(observations.filter(o => o.kind === 'shadow' && o.value !== 'none'), o => normalizeShadow(o.value))
+    .slice(0, 4)
+    .sort((a, b) => shadowBlur(a.value) - shadowBlur(b.value))
+    .forEach((group, i) => {
+      const name = ['sm', 'md', 'lg', 'xl'][i];
+      shadows[name] = group.value;
+      confidence[`shadows.${name}`] = round(support(group.count));
+    });
+  return { shadows, confidence };
+}
+
+/**
+ * Infer a design-tokens.json object from style observations
+ */
+function inferTokens(observations) {
+  const colors = inferColors(observations);
+  const typography = inferTypography(observations);
+  const spacing = inferSpacing(observations);
+  const radii = inferRadii(observations);
+  const shadows = inferShadows(observations);
+
+  return {
+    schemaVersion: 1,
+    extractedAt: new Date().toISOString(),
+    totalColorsFound: colors.rawColors.length,
+    colors: colors.colors,
+    fonts: typography.fonts,
+    typography: typography.typography,
+    spacing: spacing.spacing,
+    borderRadius: radii.borderRadius,
+    shadows: shadows.shadows,
+    rawColors: colors.rawColors,
+    confidence: {
+      ...colors.confidence,
+      ...typography.confidence,
+      ...spacing.confidence,
+      ...radii.confidence,
+      ...shadows.confidence
+    },
+    inference: {
+      observations: observations.length,
+      mergeDistance: MERGE_DISTANCE,
+      spacingGrid: spacing.grid
+    }
+  };
+}
+
+module.exports = {
+  MERGE_DISTANCE,
+  support,
+  clusterColors,
+  inferColors,
+  inferTypography,
+  inferSpacing,
+  inferTokens
+};
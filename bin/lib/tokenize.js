@@ -0,0 +1,806 @@
+/**
+ * Tokenize codemod
+ *
+ * Replaces design values hard-coded in a prototype's components with
+ * references to the project's design tokens:
+ *
+ *   style={{ backgroundColor: '#131921' }}  → 'var(--color-navbar-dark)'
+ *   className="bg-[#131921] p-[12px]"       → "bg-navbar-dark p-md"
+ *   const colors = { navbar: '#131921' }    → navbar: 'var(--color-navbar-dark)'
+ *
+ * Only values a token already holds are rewritten: colors within
+ * COLOR_TOLERANCE (CIEDE2000, below what the eye can tell apart), preferring
+ * the token group the property implies (background, text, border), and sizes
+ * to the pixel. Near misses are reported with their closest token instead,
+ * since swapping them would change the design. Files are parsed with
+ * @babel/parser and edited in place, so formatting and comments are kept.
+ *
+ * An entry of a constant map is only rewritten when every use of it is a
+ * CSS value: var() doesn't work in SVG attributes such as an icon's color
+ * prop, or when the value is glued to more text (`${colors.orange}40`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { parseColor, normalizeColor, composite, toLab, deltaE2000, COLOR_PATTERN } = require('./colors');
+const { normalizeTokens, cssVariableName, exportTokens } = require('./tokens');
+
+const SOURCE_EXTENSIONS = ['.tsx', '.jsx'];
+// Colors closer than this (CIEDE2000) to a token are the same color
+const COLOR_TOLERANCE = 1;
+// Sizes only match a token of the same pixel value (rounding aside)
+const DIMENSION_TOLERANCE = 0.01;
+const CLASS_HELPERS = ['cn', 'clsx', 'classnames', 'classNames', 'cx', 'cva', 'twMerge', 'twJoin'];
+
+// Style property → what its value holds, and for colors the token group it suggests
+const STYLE_PROPERTIES = {
+  color: { kind: 'color', role: 'text' },
+  backgroundColor: { kind: 'color', role: 'background' },
+  borderColor: { kind: 'color', role: 'border' },
+  borderTopColor: { kind: 'color', role: 'border' },
+  borderRightColor: { kind: 'color', role: 'border' },
+  borderBottomColor: { kind: 'color', role: 'border' },
+  borderLeftColor: { kind: 'color', role: 'border' },
+  outlineColor: { kind: 'color', role: 'border' },
+  fill: { kind: 'color', role: 'text' },
+  stroke: { kind: 'color', role: 'text' },
+  caretColor: { kind: 'color', role: 'text' },
+  accentColor: { kind: 'color', role: null },
+  textDecorationColor: { kind: 'color', role: 'text' },
+  background: { kind: 'colors', role: 'background' },
+  border: { kind: 'colors', role: 'border' },
+  borderTop: { kind: 'colors', role: 'border' },
+  borderRight: { kind: 'colors', role: 'border' },
+  borderBottom: { kind: 'colors', role: 'border' },
+  borderLeft: { kind: 'colors', role: 'border' },
+  outline: { kind: 'colors', role: 'border' },
+  boxShadow: { kind: 'shadow', role: null },
+  textShadow: { kind: 'colors', role: null },
+  fontSize: { kind: 'fontSize' },
+  fontWeight: { kind: 'fontWeight' },
+  fontFamily: { kind: 'fontFamily' },
+  lineHeight: { kind: 'lineHeight' },
+  borderRadius: { kind: 'borderRadius' },
+  borderTopLeftRadius: { kind: 'borderRadius' },
+  borderTopRightRadius: { kind: 'borderRadius' },
+  borderBottomLeftRadius: { kind: 'borderRadius' },
+  borderBottomRightRadius: { kind: 'borderRadius' }
+};
+for (const side of ['', 'Top', 'Right', 'Bottom', 'Left', 'Inline', 'Block', 'InlineStart', 'InlineEnd', 'BlockStart', 'BlockEnd']) {
+  STYLE_PROPERTIES[`padding${side}`] = { kind: 'spacing' };
+  STYLE_PROPERTIES[`margin${side}`] = { kind: 'spacing' };
+}
+for (const gap of ['gap', 'rowGap', 'columnGap']) {
+  STYLE_PROPERTIES[gap] = { kind: 'spacing' };
+}
+
+// Tailwind utility prefix → value kind, for arbitrary values like bg-[#131921]
+const CLASS_PREFIXES = [
+  [/^(bg)$/, 'color', 'background'],
+  [/^(text|placeholder|caret|decoration|fill|stroke|accent|from|via|to)$/, 'color', 'text'],
+  [/^(border(-[trblxyse])?|divide|outline|ring|ring-offset)$/, 'color', 'border'],
+  [/^(p[trblxyse]?|m[trblxyse]?|gap(-[xy])?|space-[xy])$/, 'spacing'],
+  [/^rounded(-(t|r|b|l|s|e|tl|tr|br|bl|ss|se|es|ee))?$/, 'borderRadius'],
+  [/^text$/, 'fontSize'],
+  [/^font$/, 'fontWeight'],
+  [/^leading$/, 'lineHeight'],
+  [/^shadow$/, 'shadow']
+];
+const ARBITRARY_CLASS = /(^|\s)((?:[\w-]+:)*)(-?)([a-z]+(?:-[a-z]+)*)-\[([^\]\s]+)\](\/\d{1,3})?(?=\s|$)/g;
+const FONT_WEIGHTS = { normal: 400, bold: 700 };
+
+const ROLE_PATTERNS = {
+  background: /^(background|bg|surface|canvas)s?$/,
+  text: /^(text|foreground|fg|link|links)$/,
+  border: /^(border|borders|divider|outline)$/
+};
+
+function toPx(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|rem)?$/);
+  if (!match || (!match[2] && Number(match[1]) !== 0)) {
+    return null;
+  }
+  return match[2] === 'rem' ? Number(match[1]) * 16 : Number(match[1]);
+}
+
+function toWeight(value) {
+  return FONT_WEIGHTS[String(value).trim()] || (/^\d{3}$/.test(String(value).trim()) ? Number(value) : null);
+}
+
+function firstFamily(value) {
+  return String(value).split(',')[0].trim().replace(/^["']|["']$/g, '').toLowerCase();
+}
+
+// Shadows compare equal when they differ only in spacing, 0 vs 0px, a zero
+// spread or how their color is written
+function normalizeShadow(value) {
+  return String(value)
+    .replace(COLOR_PATTERN, color => normalizeColor(color) || color)
+    .split(',')
+    .map(shadow => shadow
+      .replace(/\b0px\b/g, '0')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^((?:inset )?(?:-?[\d.]+(?:px)? ){3})0 /, '$1')
+      .toLowerCase())
+    .join(',');
+}
+
+/**
+ * Tokens by category, with what matching needs precomputed: CSS variable,
+ * class suffix, Lab color, px size and so on
+ */
+function buildIndex(tokens) {
+  const index = {};
+  for (const [category, list] of Object.entries(normalizeTokens(tokens))) {
+    index[category] = [];
+    for (const token of list) {
+      const entry = {
+        category,
+        name: token.path.join('.'),
+        value: token.value,
+        cssVar: cssVariableName(category, token.path),
+        suffix: token.path.join('-'),
+        group: token.path[0]
+      };
+      if (category === 'color') {
+        const color = parseColor(token.value);
+        if (!color) continue;
+        Object.assign(entry, { color, lab: toLab(composite(color)) });
+      } else if (['fontSize', 'spacing', 'borderRadius'].includes(category)) {
+        entry.px = toPx(token.value);
+        if (entry.px === null) continue;
+      } else if (category === 'fontWeight') {
+        entry.weight = toWeight(token.value);
+        if (entry.weight === null) continue;
+      } else if (category === 'lineHeight') {
+        entry.number = Number(token.value);
+        if (!Number.isFinite(entry.number)) continue;
+      } else if (category === 'fontFamily') {
+        entry.family = firstFamily(token.value);
+      } else if (category === 'shadow') {
+        entry.shadow = normalizeShadow(token.value);
+      }
+      index[category].push(entry);
+    }
+  }
+  return index;
+}
+
+/**
+ * Nearest token for a value of the given kind. Returns { token, distance }
+ * when it is close enough, { token: null, closest, distance } when it isn't,
+ * and null for values that aren't candidates at all (0, auto, transparent,
+ * inherit, negative sizes).
+ */
+function matchValue(kind, value, index, role = null) {
+  if (kind === 'color') {
+    const color = parseColor(String(value));
+    if (!color || color.a === 0) {
+      return null;
+    }
+    const lab = toLab(composite(color));
+    let best = null;
+    let nearest = null;
+    for (const token of index.color) {
+      if (Math.abs(token.color.a - color.a) > 0.05) continue;
+      const distance = deltaE2000(lab, token.lab);
+      if (!nearest || distance < nearest.distance) nearest = { token, distance };
+      if (distance >= COLOR_TOLERANCE) continue;
+      // Within half a unit (invisible) a token from the property's own group wins
+      const inRole = role && ROLE_PATTERNS[role].test(token.group);
+      const score = distance + (inRole ? 0 : 0.5);
+      if (!best || score < best.score) best = { token, distance, score };
+    }
+    if (best) return { token: best.token, distance: Math.round(best.distance * 100) / 100 };
+    if (!nearest) return { token: null, closest: null, distance: null };
+    return { token: null, closest: nearest.token, distance: Math.round(nearest.distance * 100) / 100 };
+  }
+
+  if (kind === 'fontSize' || kind === 'spacing' || kind === 'borderRadius') {
+    const px = toPx(value);
+    if (px === null || px <= 0) {
+      return null;
+    }
+    let best = null;
+    for (const token of index[kind]) {
+      const distance = Math.abs(token.px - px);
+      if (!best || distance < best.distance) best = { token, distance };
+    }
+    if (!best) return { token: null, closest: null, distance: null };
+    return best.distance < DIMENSION_TOLERANCE ? best : { token: null, closest: best.token, distance: Math.round(best.distance * 100) / 100 };
+  }
+
+  if (kind === 'fontWeight') {
+    const weight = toWeight(value);
+    if (weight === null) return null;
+    const token = index.fontWeight.find(t => t.weight === weight);
+    return token ? { token, distance: 0 } : { token: null, closest: null, distance: null };
+  }
+
+  if (kind === 'lineHeight') {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) return null;
+    const token = index.lineHeight.find(t => Math.abs(t.number - number) < 0.01);
+    return token ? { token, distance: 0 } : { token: null, closest: null, distance: null };
+  }
+
+  if (kind === 'fontFamily') {
+    const family = firstFamily(value);
+    if (!family || ['inherit', 'initial', 'unset'].includes(family)) return null;
+    const token = index.fontFamily.find(t => t.family === family);
+    return token ? { token, distance: 0 } : { token: null, closest: null, distance: null };
+  }
+
+  if (kind === 'shadow') {
+    if (String(value).trim() === 'none') return null;
+    const token = index.shadow.find(t => t.shadow === normalizeShadow(value));
+    return token ? { token, distance: 0 } : { token: null, closest: null, distance: null };
+  }
+
+  return null;
+}
+
+/**
+ * Collects edits and unmatched values for one file
+ */
+function createEditor(file, source, index) {
+  const edits = new Map();
+  const replaced = [];
+  const unmatched = [];
+  const kept = [];
+  const line = node => node.loc.start.line;
+
+  const miss = (kind, value, node, result) => {
+    unmatched.push({
+      kind,
+      value: kind === 'color' ? normalizeColor(String(value)) || String(value) : String(value),
+      file,
+      line: line(node),
+      closest: result.closest ? result.closest.name : null,
+      distance: result.distance
+    });
+  };
+
+  /**
+   * Replace the design values in a CSS value string. Returns the new string;
+   * records matches and misses.
+   */
+  function rewriteCss(kind, value, node, role) {
+    if (kind === 'shadow') {
+      const result = matchValue('shadow', value, index);
+      if (result && result.token) {
+        replaced.push({ kind, from: value, to: result.token.name, file, line: line(node) });
+        return `var(${result.token.cssVar})`;
+      }
+      if (result) {
+        miss('shadow', value, node, result);
+      }
+      return value;
+    }
+
+    if (kind === 'color' || kind === 'colors') {
+      return String(value).replace(kind === 'color' ? /^.*$/s : COLOR_PATTERN, match => {
+        const result = matchValue('color', match.trim(), index, role);
+        if (!result) return match;
+        if (!result.token) {
+          miss('color', match.trim(), node, result);
+          return match;
+        }
+        replaced.push({ kind: 'color', from: match.trim(), to: result.token.name, file, line: line(node) });
+        return `var(${result.token.cssVar})`;
+      });
+    }
+
+    const parts = kind === 'spacing' || kind === 'borderRadius' ? String(value).trim().split(/\s+/) : [String(value).trim()];
+    return parts.map(part => {
+      const result = matchValue(kind, part, index);
+      if (!result) return part;
+      if (!result.token) {
+        miss(kind, part, node, result);
+        return part;
+      }
+      replaced.push({ kind, from: part, to: result.token.name, file, line: line(node) });
+      return `var(${result.token.cssVar})`;
+    }).join(' ');
+  }
+
+  function edit(node, text) {
+    if (text !== source.slice(node.start, node.end)) {
+      edits.set(node.start, { start: node.start, end: node.end, text });
+    }
+  }
+
+  function quote(node) {
+    return node.type === 'StringLiteral' ? source[node.start] : '\'';
+  }
+
+  /**
+   * A style value: string, number (px for sizes) or template literal whose
+   * fixed parts hold colors
+   */
+  function rewriteStyleValue(valueNode, spec) {
+    if (edits.has(valueNode.start)) {
+      return;
+    }
+    if (valueNode.type === 'StringLiteral') {
+      const next = rewriteCss(spec.kind, valueNode.value, valueNode, spec.role);
+      if (next !== valueNode.value) {
+        const q = quote(valueNode);
+        edit(valueNode, `${q}${next.replace(new RegExp(q, 'g'), `\\${q}`)}${q}`);
+      }
+    } else if (valueNode.type === 'NumericLiteral' && spec.kind !== 'color' && spec.kind !== 'colors' && spec.kind !== 'shadow') {
+      const raw = spec.kind === 'fontWeight' || spec.kind === 'lineHeight' ? String(valueNode.value) : `${valueNode.value}px`;
+      const next = rewriteCss(spec.kind, raw, valueNode, spec.role);
+      if (next !== raw) {
+        edit(valueNode, `'${next}'`);
+      }
+    } else if (valueNode.type === 'TemplateLiteral' && (spec.kind === 'color' || spec.kind === 'colors')) {
+      for (const quasi of valueNode.quasis) {
+        const next = rewriteCss('colors', quasi.value.raw, quasi, spec.role);
+        if (next !== quasi.value.raw) {
+          edit(quasi, next);
+        }
+      }
+    } else if (valueNode.type === 'ConditionalExpression') {
+      rewriteStyleValue(valueNode.consequent, spec);
+      rewriteStyleValue(valueNode.alternate, spec);
+    } else if (valueNode.type === 'LogicalExpression') {
+      rewriteStyleValue(valueNode.right, spec);
+    }
+  }
+
+  function propertyName(property) {
+    if (property.type !== 'ObjectProperty' || property.computed) return null;
+    return property.key.type === 'Identifier' ? property.key.name : property.key.type === 'StringLiteral' ? property.key.value : null;
+  }
+
+  function rewriteStyleObject(objectNode) {
+    for (const property of objectNode.properties) {
+      const spec = STYLE_PROPERTIES[propertyName(property)];
+      if (spec) {
+        rewriteStyleValue(property.value, spec);
+      }
+    }
+  }
+
+  function rewriteClasses(text, node) {
+    return text.replace(ARBITRARY_CLASS, (match, space, variants, negative, prefix, rawValue, opacity = '') => {
+      const value = rawValue.replace(/_/g, ' ');
+      const isColor = Boolean(parseColor(value));
+      const rule = CLASS_PREFIXES.find(([pattern, kind]) => pattern.test(prefix) &&
+        (kind === 'color' ? isColor : kind === 'fontSize' ? toPx(value) !== null : !isColor || kind === 'shadow'));
+      if (!rule) return match;
+      const [, kind, role] = rule;
+      const result = matchValue(kind, value, index, role);
+      if (!result) return match;
+      if (!result.token) {
+        miss(kind, value, node, result);
+        return match;
+      }
+      replaced.push({ kind, from: `${prefix}-[${rawValue}]`, to: result.token.name, file, line: line(node) });
+      return `${space}${variants}${negative}${prefix}-${result.token.suffix}${opacity}`;
+    });
+  }
+
+  function rewriteClassNode(node) {
+    if (edits.has(node.start)) return;
+    if (node.type === 'StringLiteral') {
+      const next = rewriteClasses(node.value, node);
+      if (next !== node.value) edit(node, `${quote(node)}${next}${quote(node)}`);
+    } else if (node.type === 'TemplateElement') {
+      const next = rewriteClasses(node.value.raw, node);
+      if (next !== node.value.raw) edit(node, next);
+    }
+  }
+
+  function apply() {
+    let output = source;
+    for (const { start, end, text } of [...edits.values()].sort((a, b) => b.start - a.start)) {
+      output = output.slice(0, start) + text + output.slice(end);
+    }
+    return output;
+  }
+
+  return {
+    edits,
+    replaced,
+    unmatched,
+    kept,
+    edit,
+    quote,
+    rewriteCss,
+    rewriteStyleValue,
+    rewriteStyleObject,
+    rewriteClassNode,
+    propertyName,
+    apply
+  };
+}
+
+/**
+ * The style property a value ends up in, looking through conditionals,
+ * `x || y` and template literals (only when the value is a whole word of
+ * the template). Also accepts `el.style.prop = value`. Returns the property
+ * name or null.
+ */
+function styleContext(valuePath, editor) {
+  let current = valuePath;
+  for (;;) {
+    const parent = current.parentPath;
+    if (!parent) return null;
+    if (parent.isConditionalExpression() && current.key !== 'test') {
+      current = parent;
+    } else if (parent.isLogicalExpression()) {
+      current = parent;
+    } else if (parent.isTSAsExpression() || parent.isTSNonNullExpression()) {
+      current = parent;
+    } else if (parent.isTemplateLiteral()) {
+      const index = parent.node.expressions.indexOf(current.node);
+      const before = parent.node.quasis[index].value.raw;
+      const after = parent.node.quasis[index + 1].value.raw;
+      if (!/(^|[\s(,])$/.test(before) || !/^($|[\s),])/.test(after)) return null;
+      current = parent;
+    } else {
+      break;
+    }
+  }
+
+  const parent = current.parentPath;
+  if (parent.isObjectProperty() && current.key === 'value') {
+    const name = editor.propertyName(parent.node);
+    return STYLE_PROPERTIES[name] ? name : null;
+  }
+  if (parent.isAssignmentExpression() && current.key === 'right') {
+    const left = parent.node.left;
+    if (left.type === 'MemberExpression' && !left.computed && left.object.type === 'MemberExpression' &&
+        !left.object.computed && left.object.property.name === 'style') {
+      return STYLE_PROPERTIES[left.property.name] ? left.property.name : null;
+    }
+  }
+  return null;
+}
+
+function describeUse(path) {
+  let current = path;
+  while (current.parentPath && !current.parentPath.isStatement()) {
+    const parent = current.parentPath;
+    if (parent.isJSXAttribute()) {
+      const element = parent.parentPath.node.name;
+      const tag = element.type === 'JSXIdentifier' ? element.name : 'element';
+      return `<${tag} ${parent.node.name.name}>`;
+    }
+    current = parent;
+  }
+  return `line ${path.node.loc.start.line}`;
+}
+
+function unwrap(node) {
+  while (node && (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression')) {
+    node = node.expression;
+  }
+  return node;
+}
+
+// Common CSS properties that never hold a token, to tell style objects from maps
+const LAYOUT_PROPERTIES = new Set([
+  'display', 'position', 'top', 'right', 'bottom', 'left', 'inset', 'zIndex', 'width', 'height',
+  'minWidth', 'minHeight', 'maxWidth', 'maxHeight', 'flex', 'flexDirection', 'flexWrap', 'flexGrow',
+  'flexShrink', 'alignItems', 'alignSelf', 'justifyContent', 'gridTemplateColumns', 'overflow',
+  'overflowX', 'overflowY', 'cursor', 'opacity', 'transform', 'transition', 'textAlign', 'textDecoration',
+  'whiteSpace', 'boxSizing', 'objectFit', 'pointerEvents', 'visibility', 'animation'
+]);
+
+/**
+ * An object literal is a style object when most of its keys are CSS
+ * properties; `{ border: '#DDD', link: '#007185' }` is a map of colors
+ */
+function isStyleObject(node) {
+  if (node.type !== 'ObjectExpression') {
+    return false;
+  }
+  const keys = node.properties
+    .filter(p => p.type === 'ObjectProperty' && !p.computed)
+    .map(p => p.key.name || p.key.value);
+  const css = keys.filter(key => STYLE_PROPERTIES[key] || LAYOUT_PROPERTIES.has(key));
+  return css.length > 0 && css.length * 2 > keys.length;
+}
+
+// Map names that say what their lengths are
+const MAP_HINTS = [
+  [/spacing|space|gap|padding|margin/i, 'spacing'],
+  [/radius|radii|rounded/i, 'borderRadius'],
+  [/font-?sizes?|text-?sizes?|type-?scale/i, 'fontSize'],
+  [/font-?weights?|weights?/i, 'fontWeight']
+];
+
+/**
+ * A constant map (const colors = { ... }): style objects inside it are
+ * rewritten like JSX styles; plain values are rewritten when every use is a
+ * CSS value of a fitting property
+ */
+function rewriteConstantMap(declaratorPath, editor, index) {
+  const name = declaratorPath.node.id.name;
+  const leaves = [];
+  const walk = (objectNode, keys, hint) => {
+    for (const property of objectNode.properties) {
+      const key = editor.propertyName(property);
+      if (key === null) continue;
+      const value = unwrap(property.value);
+      if (value.type === 'ObjectExpression') {
+        if (isStyleObject(value)) {
+          editor.rewriteStyleObject(value);
+        } else {
+          walk(value, [...keys, key], (MAP_HINTS.find(([pattern]) => pattern.test(key)) || [])[1] || hint);
+        }
+      } else if (value.type === 'StringLiteral' || value.type === 'NumericLiteral') {
+        const kind = value.type === 'StringLiteral' && parseColor(value.value) ? 'color' : hint;
+        if (kind) leaves.push({ keys: [...keys, key], node: value, kind, uses: [], unsafe: [] });
+      }
+    }
+  };
+  const init = unwrap(declaratorPath.node.init);
+  if (isStyleObject(init)) {
+    editor.rewriteStyleObject(init);
+    return;
+  }
+  walk(init, [], (MAP_HINTS.find(([pattern]) => pattern.test(name)) || [])[1] || null);
+  if (leaves.length === 0) {
+    return;
+  }
+
+  const binding = declaratorPath.scope.getBinding(name);
+  const references = binding ? binding.referencePaths : [];
+  for (const reference of references) {
+    // Follow colors.navbar / colors['navbar'] / theme.colors.navbar down to a leaf
+    let current = reference;
+    const keys = [];
+    while (current.parentPath.isMemberExpression() && current.key === 'object') {
+      const member = current.parentPath.node;
+      const key = member.computed ? (member.property.type === 'StringLiteral' ? member.property.value : null) : member.property.name;
+      if (key === null) break;
+      keys.push(key);
+      current = current.parentPath;
+      if (leaves.some(leaf => leaf.keys.join('.') === keys.join('.'))) break;
+    }
+    const leaf = leaves.find(l => l.keys.join('.') === keys.join('.'));
+    const affected = leaf ? [leaf] : leaves.filter(l => l.keys.slice(0, keys.length).join('.') === keys.join('.'));
+    if (!leaf) {
+      // The map (or a group of it) is used as a whole: values may end up anywhere
+      affected.forEach(l => l.unsafe.push(`${name}${keys.length ? `.${keys.join('.')}` : ''} used as a whole (${describeUse(current)})`));
+      continue;
+    }
+    const property = styleContext(current, editor);
+    const spec = property && STYLE_PROPERTIES[property];
+    const fits = spec && (leaf.kind === 'color' ? ['color', 'colors', 'shadow'].includes(spec.kind) : spec.kind === leaf.kind);
+    if (fits) {
+      leaf.uses.push(spec.role || null);
+    } else {
+      leaf.unsafe.push(describeUse(current));
+    }
+  }
+
+  for (const leaf of leaves) {
+    const label = `${name}.${leaf.keys.join('.')}`;
+    const value = leaf.node.type === 'NumericLiteral' && leaf.kind !== 'fontWeight' ? `${leaf.node.value}px` : String(leaf.node.value);
+    if (leaf.unsafe.length) {
+      const result = matchValue(leaf.kind, value, index);
+      if (result && result.token) {
+        editor.kept.push({ kind: leaf.kind, value, name: label, token: result.token.name, reason: leaf.unsafe[0], line: leaf.node.loc.start.line });
+      }
+      continue;
+    }
+    const role = leaf.uses.find(Boolean) || null;
+    const next = editor.rewriteCss(leaf.kind, value, leaf.node, role);
+    if (next !== value) {
+      editor.edit(leaf.node, `${editor.quote(leaf.node)}${next}${editor.quote(leaf.node)}`);
+    }
+  }
+}
+
+function isClassContext(path) {
+  for (let current = path.parentPath; current; current = current.parentPath) {
+    if (current.isJSXAttribute()) {
+      return ['className', 'class'].includes(current.node.name.name);
+    }
+    if (current.isCallExpression()) {
+      const callee = current.node.callee;
+      if (callee.type === 'Identifier' && CLASS_HELPERS.includes(callee.name)) return true;
+    }
+    if (current.isStatement() || current.isJSXElement()) {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Tokenize one file. Returns { file, source, output, replaced, unmatched, kept }.
+ */
+function tokenizeFile(file, index) {
+  const source = fs.readFileSync(file, 'utf-8');
+  const ast = parser.parse(source, { sourceType: 'module', plugins: ['typescript', 'jsx'] });
+  const editor = createEditor(file, source, index);
+
+  traverse(ast, {
+    VariableDeclarator(declaratorPath) {
+      const init = unwrap(declaratorPath.node.init);
+      if (declaratorPath.node.id.type === 'Identifier' && init && init.type === 'ObjectExpression' &&
+          declaratorPath.parentPath.node.kind === 'const') {
+        rewriteConstantMap(declaratorPath, editor, index);
+      }
+    },
+    JSXAttribute(attributePath) {
+      const { name, value } = attributePath.node;
+      if (name.name === 'style' && value && value.type === 'JSXExpressionContainer') {
+        const expression = unwrap(value.expression);
+        if (expression.type === 'ObjectExpression') {
+          editor.rewriteStyleObject(expression);
+        }
+      }
+    },
+    AssignmentExpression(assignmentPath) {
+      // el.style.backgroundColor = '#E77600' in event handlers
+      const { left, right } = assignmentPath.node;
+      if (left.type === 'MemberExpression' && !left.computed && left.object.type === 'MemberExpression' &&
+          !left.object.computed && left.object.property.name === 'style' && STYLE_PROPERTIES[left.property.name]) {
+        editor.rewriteStyleValue(right, STYLE_PROPERTIES[left.property.name]);
+      }
+    },
+    StringLiteral(stringPath) {
+      if (stringPath.node.value.includes('-[') && isClassContext(stringPath)) {
+        editor.rewriteClassNode(stringPath.node);
+      }
+    },
+    TemplateElement(elementPath) {
+      if (elementPath.node.value.raw.includes('-[') && isClassContext(elementPath)) {
+        editor.rewriteClassNode(elementPath.node);
+      }
+    }
+  });
+
+  return {
+    file,
+    source,
+    output: editor.apply(),
+    replaced: editor.replaced,
+    unmatched: editor.unmatched,
+    kept: editor.kept
+  };
+}
+
+function findSources(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) files.push(...findSources(full));
+    } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(full);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Changed lines of two versions of a file as unified-diff hunks. Edits
+ * never add or remove lines, so lines pair up one to one.
+ */
+function lineDiff(before, after, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  if (a.length !== b.length) {
+    return [{ start: 1, lines: [...a.map(l => `-${l}`), ...b.map(l => `+${l}`)] }];
+  }
+  const changed = a.map((line, i) => line !== b[i]);
+  const hunks = [];
+  let hunk = null;
+  for (let i = 0; i < a.length; i++) {
+    const near = changed.slice(Math.max(0, i - context), i + context + 1).some(Boolean);
+    if (!near) {
+      hunk = null;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { start: i + 1, lines: [] };
+      hunks.push(hunk);
+    }
+    if (changed[i]) {
+      hunk.lines.push(`-${a[i]}`, `+${b[i]}`);
+    } else {
+      hunk.lines.push(` ${a[i]}`);
+    }
+  }
+  return hunks;
+}
+
+/**
+ * Tokenize every component in prototype/src and re-export the tokens they
+ * now use. Returns { files: [{ file, replaced, unmatched, kept, hunks,
+ * error }], replaced, changedFiles, exported, unmatched (grouped by value),
+ * kept }; writes nothing when dryRun.
+ */
+function tokenizeProject(projectDir, { dryRun = false } = {}) {
+  const tokensFile = path.join(projectDir, 'references', 'design-tokens.json');
+  if (!fs.existsSync(tokensFile)) {
+    throw new Error(`Design tokens not found at ${tokensFile}`);
+  }
+  let tokens;
+  try {
+    tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf-8'));
+  } catch (e) {
+    throw new Error(`design-tokens.json is not valid JSON: ${e.message}`);
+  }
+
+  const srcDir = path.join(projectDir, 'prototype', 'src');
+  const sources = findSources(srcDir);
+  if (sources.length === 0) {
+    throw new Error(`No .tsx files in ${path.relative(process.cwd(), srcDir) || srcDir}`);
+  }
+
+  const index = buildIndex(tokens);
+  const files = [];
+  for (const file of sources) {
+    const relative = path.relative(projectDir, file);
+    let result;
+    try {
+      result = tokenizeFile(file, index);
+    } catch (e) {
+      files.push({ file: relative, replaced: [], unmatched: [], kept: [], hunks: [], error: e.message.split('\n')[0] });
+      continue;
+    }
+    const changed = result.output !== result.source;
+    if (changed && !dryRun) {
+      fs.writeFileSync(file, result.output);
+    }
+    const rel = item => ({ ...item, file: relative });
+    files.push({
+      file: relative,
+      replaced: result.replaced.map(rel),
+      unmatched: result.unmatched.map(rel),
+      kept: result.kept.map(rel),
+      hunks: changed ? lineDiff(result.source, result.output) : []
+    });
+  }
+
+  // The rewritten code refers to token classes and variables: make sure they exist
+  const changedFiles = files.filter(f => f.hunks.length).length;
+  const exported = changedFiles > 0 && !dryRun ? exportTokens(projectDir) : null;
+
+  const unmatched = new Map();
+  for (const miss of files.flatMap(f => f.unmatched)) {
+    const key = `${miss.kind}|${miss.value}`;
+    if (!unmatched.has(key)) {
+      unmatched.set(key, { kind: miss.kind, value: miss.value, count: 0, closest: miss.closest, distance: miss.distance, files: [] });
+    }
+    const entry = unmatched.get(key);
+    entry.count++;
+    if (!entry.files.includes(miss.file)) entry.files.push(miss.file);
+  }
+
+  return {
+    files,
+    replaced: files.reduce((sum, f) => sum + f.replaced.length, 0),
+    changedFiles,
+    exported,
+    unmatched: [...unmatched.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    kept: files.flatMap(f => f.kept)
+  };
+}
+
+module.exports = {
+  STYLE_PROPERTIES,
+  buildIndex,
+  matchValue,
+  tokenizeFile,
+  lineDiff,
+  tokenizeProject
+};
@@ -0,0 +1,346 @@
+/**
+ * Design token export
+ *
+ * Turns references/design-tokens.json into files a prototype can consume:
+ *
+ *   prototype/tokens/tailwind.tokens.js  Tailwind theme.extend
+ *   prototype/tokens/tokens.css          :root CSS custom properties
+ *   prototype/tokens/tokens.json         W3C Design Tokens Community Group format
+ *
+ * Output is deterministic so re-running after a new capture only changes
+ * what the capture changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TOKENS_DIR = 'tokens';
+const GENERATED_NOTICE = 'Generated by real-prototypes-skill from references/design-tokens.json. Do not edit; re-run `tokens export`.';
+
+// Normalized category → Tailwind theme key, CSS variable prefix, DTCG group and $type
+const CATEGORIES = {
+  color: { tailwind: 'colors', css: 'color', dtcg: 'color', type: 'color' },
+  fontFamily: { tailwind: 'fontFamily', css: 'font', dtcg: 'fontFamily', type: 'fontFamily' },
+  fontSize: { tailwind: 'fontSize', css: 'font-size', dtcg: 'fontSize', type: 'dimension' },
+  fontWeight: { tailwind: 'fontWeight', css: 'font-weight', dtcg: 'fontWeight', type: 'fontWeight' },
+  lineHeight: { tailwind: 'lineHeight', css: 'line-height', dtcg: 'lineHeight', type: 'number' },
+  spacing: { tailwind: 'spacing', css: 'spacing', dtcg: 'spacing', type: 'dimension' },
+  borderRadius: { tailwind: 'borderRadius', css: 'radius', dtcg: 'borderRadius', type: 'dimension' },
+  shadow: { tailwind: 'boxShadow', css: 'shadow', dtcg: 'shadow', type: 'shadow' }
+};
+
+function kebab(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+}
+
+function addMap(list, map, prefix = []) {
+  for (const [key, value] of Object.entries(map || {})) {
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    if (typeof value === 'object') {
+      addMap(list, value, [...prefix, kebab(key)]);
+    } else {
+      list.push({ path: [...prefix, kebab(key)], value: String(value) });
+    }
+  }
+}
+
+/**
+ * Normalize either design-tokens.json shape (the extracted slots with
+ * fonts/rawColors, or the richer typography/spacing layout) into
+ * { category: [{ path, value }] }
+ */
+function normalizeTokens(tokens) {
+  const result = {};
+  for (const category of Object.keys(CATEGORIES)) {
+    result[category] = [];
+  }
+
+  addMap(result.color, tokens.colors);
+
+  const typography = tokens.typography || {};
+  if (typeof typography.fontFamily === 'string') {
+    result.fontFamily.push({ path: ['primary'], value: typography.fontFamily });
+  } else {
+    addMap(result.fontFamily, typography.fontFamily);
+  }
+
+  const fonts = tokens.fonts || {};
+  if (fonts.primary && !result.fontFamily.some(t => t.path[0] === 'primary')) {
+    result.fontFamily.push({ path: ['primary'], value: fonts.primary });
+  }
+  for (const family of fonts.families || []) {
+    const name = kebab(family.split(',')[0].replace(/["']/g, ''));
+    if (name && !result.fontFamily.some(t => t.path[0] === name)) {
+      result.fontFamily.push({ path: [name], value: family });
+    }
+  }
+
+  addMap(result.fontSize, typography.fontSize);
+  addMap(result.fontWeight, typography.fontWeight);
+  addMap(result.lineHeight, typography.lineHeight);
+  addMap(result.spacing, tokens.spacing);
+  addMap(result.borderRadius, tokens.borderRadius);
+  addMap(result.shadow, tokens.shadows);
+
+  return result;
+}
+
+function setPath(target, keys, value) {
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (typeof node[key] === 'string') {
+      // A group that also has a value of its own, e.g. colors.primary and colors.primary.light
+      node[key] = { DEFAULT: node[key] };
+    }
+    node = node[key] = node[key] || {};
+  });
+  const last = keys[keys.length - 1];
+  if (node[last] && typeof node[last] === 'object') {
+    node[last].DEFAULT = value;
+  } else {
+    node[last] = value;
+  }
+}
+
+function splitFontStack(value) {
+  return value.split(',').map(f => f.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+}
+
+function toTailwindTheme(normalized) {
+  const theme = {};
+  for (const [category, list] of Object.entries(normalized)) {
+    if (list.length === 0) continue;
+    const key = CATEGORIES[category].tailwind;
+    theme[key] = {};
+    for (const token of list) {
+      const value = category === 'fontFamily' ? splitFontStack(token.value) : token.value;
+      setPath(theme[key], token.path, value);
+    }
+  }
+  return theme;
+}
+
+function cssVariableName(category, tokenPath) {
+  return `--${CATEGORIES[category].css}-${tokenPath.join('-')}`;
+}
+
+/**
+ * Throw if two tokens flatten to the same CSS variable, e.g. colors.primaryLight
+ * and colors.primary.light both become --color-primary-light
+ */
+function checkVariableNames(normalized) {
+  const seen = new Map();
+  for (const [category, list] of Object.entries(normalized)) {
+    for (const token of list) {
+      const name = cssVariableName(category, token.path);
+      if (seen.has(name)) {
+        throw new Error(`The ${seen.get(name)} and ${category} ${token.path.join('.')} tokens both become ${name}; rename one in design-tokens.json`);
+      }
+      seen.set(name, `${category} ${token.path.join('.')}`);
+    }
+  }
+}
+
+function toCssVariables(normalized) {
+  const lines = [`/* ${GENERATED_NOTICE} */`, ':root {'];
+  for (const [category, list] of Object.entries(normalized)) {
+    for (const token of list) {
+      lines.push(`  ${cssVariableName(category, token.path)}: ${token.value};`);
+    }
+  }
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * Split on commas that are not inside parentheses
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseShadow(value) {
+  const shadows = splitTopLevel(value).map(part => {
+    const color = (part.match(/(rgba?\([^)]*\)|hsla?\([^)]*\)|#[0-9a-fA-F]{3,8})/) || [])[0] || '#000000';
+    const inset = /\binset\b/.test(part);
+    const lengths = part.replace(color, '').replace('inset', '').trim().split(/\s+/).filter(Boolean);
+    if (lengths.length < 2) {
+      return null;
+    }
+    const [offsetX, offsetY, blur = '0px', spread = '0px'] = lengths.map(l => (l === '0' ? '0px' : l));
+    return { color, offsetX, offsetY, blur, spread, ...(inset ? { inset: true } : {}) };
+  });
+
+  if (shadows.some(s => s === null)) {
+    return null;
+  }
+  return shadows.length === 1 ? shadows[0] : shadows;
+}
+
+function toDtcgValue(category, value) {
+  if (category === 'fontFamily') {
+    const stack = splitFontStack(value);
+    return stack.length === 1 ? stack[0] : stack;
+  }
+  if (category === 'fontWeight' && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (category === 'lineHeight' && /^[\d.]+$/.test(value)) {
+    return Number(value);
+  }
+  if (category === 'shadow') {
+    return parseShadow(value) || value;
+  }
+  return value;
+}
+
+function toDtcg(normalized) {
+  const doc = { $description: GENERATED_NOTICE };
+  for (const [category, list] of Object.entries(normalized)) {
+    if (list.length === 0) continue;
+    const { dtcg, type } = CATEGORIES[category];
+    doc[dtcg] = { $type: type };
+    for (const token of list) {
+      let node = doc[dtcg];
+      for (const key of token.path.slice(0, -1)) {
+        if (node[key] && '$value' in node[key]) {
+          // A token can't also be a group, so its own value moves to DEFAULT as in the Tailwind theme
+          node[key] = { DEFAULT: node[key] };
+        }
+        node = node[key] = node[key] || {};
+      }
+      const last = token.path[token.path.length - 1];
+      const leaf = { $value: toDtcgValue(category, token.value) };
+      if (node[last]) {
+        node[last].DEFAULT = leaf;
+      } else {
+        node[last] = leaf;
+      }
+    }
+  }
+  return doc;
+}
+
+function findGlobalsCss(prototypeDir) {
+  const candidates = [
+    path.join(prototypeDir, 'src', 'app', 'globals.css'),
+    path.join(prototypeDir, 'app', 'globals.css'),
+    path.join(prototypeDir, 'src', 'styles', 'globals.css'),
+    path.join(prototypeDir, 'styles', 'globals.css')
+  ];
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Point tailwind.config.js and globals.css at the generated files.
+ * Only touches files that are still in their generated default shape;
+ * returns a list of { file, status } so the caller can report manual steps.
+ */
+function wirePrototype(prototypeDir, outDir) {
+  const results = [];
+
+  const tailwindConfig = path.join(prototypeDir, 'tailwind.config.js');
+  const tokensRequire = `require('./${TOKENS_DIR}/tailwind.tokens.js')`;
+  if (fs.existsSync(tailwindConfig)) {
+    const source = fs.readFileSync(tailwindConfig, 'utf-8');
+    if (source.includes(`${TOKENS_DIR}/tailwind.tokens`)) {
+      results.push({ file: tailwindConfig, status: 'already wired' });
+    } else if (/extend:\s*\{\s*\}/.test(source)) {
+      fs.writeFileSync(tailwindConfig, source.replace(/extend:\s*\{\s*\}/, `extend: ${tokensRequire}`));
+      results.push({ file: tailwindConfig, status: 'wired' });
+    } else {
+      results.push({ file: tailwindConfig, status: `manual: merge ${tokensRequire} into theme.extend` });
+    }
+  }
+
+  const globalsCss = findGlobalsCss(prototypeDir);
+  if (globalsCss) {
+    const importPath = path.relative(path.dirname(globalsCss), path.join(outDir, 'tokens.css')).split(path.sep).join('/');
+    const source = fs.readFileSync(globalsCss, 'utf-8');
+    if (source.includes(importPath)) {
+      results.push({ file: globalsCss, status: 'already wired' });
+    } else {
+      // @import must precede every other rule, including @tailwind
+      fs.writeFileSync(globalsCss, `@import '${importPath}';\n${source}`);
+      results.push({ file: globalsCss, status: 'wired' });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Export a project's design tokens into prototype/tokens/.
+ * Returns { files, counts, wiring }.
+ */
+function exportTokens(projectDir, { wire = true } = {}) {
+  const tokensFile = path.join(projectDir, 'references', 'design-tokens.json');
+  if (!fs.existsSync(tokensFile)) {
+    throw new Error(`Design tokens not found at ${tokensFile}`);
+  }
+
+  const normalized = normalizeTokens(JSON.parse(fs.readFileSync(tokensFile, 'utf-8')));
+  if (normalized.color.length === 0) {
+    throw new Error('design-tokens.json has no colors to export; capture or import tokens first');
+  }
+
+  checkVariableNames(normalized);
+
+  const prototypeDir = path.join(projectDir, 'prototype');
+  const outDir = path.join(prototypeDir, TOKENS_DIR);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const files = {
+    tailwind: path.join(outDir, 'tailwind.tokens.js'),
+    css: path.join(outDir, 'tokens.css'),
+    dtcg: path.join(outDir, 'tokens.json')
+  };
+
+  fs.writeFileSync(files.tailwind,
+    `// ${GENERATED_NOTICE}\nmodule.exports = ${JSON.stringify(toTailwindTheme(normalized), null, 2)};\n`);
+  fs.writeFileSync(files.css, toCssVariables(normalized));
+  fs.writeFileSync(files.dtcg, `${JSON.stringify(toDtcg(normalized), null, 2)}\n`);
+
+  const counts = {};
+  for (const [category, list] of Object.entries(normalized)) {
+    counts[category] = list.length;
+  }
+
+  return {
+    files,
+    counts,
+    wiring: wire ? wirePrototype(prototypeDir, outDir) : []
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  kebab,
+  normalizeTokens,
+  cssVariableName,
+  findGlobalsCss,
+  toTailwindTheme,
+  toCssVariables,
+  toDtcg,
+  exportTokens
+};
@@ -0,0 +1,185 @@
+/**
+ * Project validation
+ *
+ * Checks project.json, references/manifest.json and references/design-tokens.json
+ * against their schemas, then runs cross-file checks that a schema can't express:
+ * referenced screenshots exist, stats match what is on disk, and the design
+ * tokens actually contain colors. Also warns about passwords written literally
+ * in the project's or workspace's CLAUDE.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateArtifact } = require('./schema');
+const { getManifestScreenshots, PROJECTS_DIR } = require('./projects');
+const { findLiteralCredentials } = require('./credentials');
+
+function loadJson(file) {
+  if (!fs.existsSync(file)) {
+    return { missing: true };
+  }
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * Collect every color value in a design-tokens file: named slots (recursively)
+ * plus rawColors entries
+ */
+function collectColors(tokens) {
+  const colors = [];
+  const walk = node => {
+    if (typeof node === 'string') {
+      colors.push(node);
+    } else if (node && typeof node === 'object') {
+      Object.values(node).forEach(walk);
+    }
+  };
+
+  walk((tokens && tokens.colors) || {});
+  for (const raw of (tokens && tokens.rawColors) || []) {
+    walk(typeof raw === 'string' ? raw : raw && raw.value);
+  }
+  return colors;
+}
+
+function countFiles(dir, pattern) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+  return fs.readdirSync(dir).filter(file => pattern.test(file)).length;
+}
+
+/**
+ * Validate a project directory. Returns { project, valid, errors, warnings, issues }
+ * where each issue is { file, path, severity, message }.
+ */
+function validateProject(projectDir) {
+  const issues = [];
+  const referencesDir = path.join(projectDir, 'references');
+  const files = {
+    project: path.join(projectDir, 'project.json'),
+    manifest: path.join(referencesDir, 'manifest.json'),
+    'design-tokens': path.join(referencesDir, 'design-tokens.json')
+  };
+  const rel = file => path.relative(projectDir, file).split(path.sep).join('/');
+  const error = (file, at, message) => issues.push({ file: rel(file), path: at, severity: 'error', message });
+  const warning = (file, at, message) => issues.push({ file: rel(file), path: at, severity: 'warning', message });
+
+  const loaded = {};
+  for (const [kind, file] of Object.entries(files)) {
+    const result = loadJson(file);
+    if (result.missing) {
+      error(file, '/', 'file not found');
+    } else if (result.error) {
+      error(file, '/', `invalid JSON: ${result.error}`);
+    } else {
+      loaded[kind] = result.data;
+      for (const e of validateArtifact(kind, result.data)) {
+        error(file, e.path, e.message);
+      }
+    }
+  }
+
+  const project = loaded.project;
+  const manifest = loaded.manifest;
+  const tokens = loaded['design-tokens'];
+
+  if (project) {
+    if (project.projectPath) {
+      warning(files.project, '/projectPath', 'absolute path is not portable between machines; remove it');
+    }
+    if (project.platform && !project.platform.name) {
+      warning(files.project, '/platform/name', 'platform name is empty');
+    }
+    if (project.platform && !project.platform.baseUrl) {
+      warning(files.project, '/platform/baseUrl', 'platform baseUrl is empty');
+    }
+  }
+
+  if (manifest && Array.isArray(manifest.pages)) {
+    const platform = manifest.platform || {};
+    if (project && project.platform && project.platform.baseUrl && platform.baseUrl &&
+        project.platform.baseUrl !== platform.baseUrl) {
+      warning(files.manifest, '/platform/baseUrl',
+        `"${platform.baseUrl}" differs from project.json "${project.platform.baseUrl}"`);
+    }
+
+    manifest.pages.forEach((page, i) => {
+      const refs = [];
+      if (page.screenshot) refs.push([`/pages/${i}/screenshot`, page.screenshot]);
+      (page.captures || []).forEach((c, j) => refs.push([`/pages/${i}/captures/${j}/screenshot`, c.screenshot]));
+      (page.tabs || []).forEach((t, j) => refs.push([`/pages/${i}/tabs/${j}/screenshot`, t.screenshot]));
+
+      for (const [at, screenshot] of refs) {
+        if (typeof screenshot === 'string' && !fs.existsSync(path.join(referencesDir, screenshot))) {
+          error(files.manifest, at, `screenshot not found: ${screenshot}`);
+        }
+      }
+    });
+
+    const stats = manifest.stats || {};
+    const screenshots = getManifestScreenshots(manifest);
+    const existing = screenshots.filter(s => fs.existsSync(path.join(referencesDir, s)));
+    const htmlFiles = countFiles(path.join(referencesDir, 'html'), /\.html?$/i);
+
+    const expected = [
+      ['pagesCaptured', manifest.pages.length, 'pages listed'],
+      ['screenshotsTaken', existing.length, 'referenced screenshots on disk'],
+      ['htmlCaptured', htmlFiles, 'files in references/html/']
+    ];
+    for (const [key, actual, what] of expected) {
+      if (typeof stats[key] === 'number' && stats[key] !== actual) {
+        error(files.manifest, `/stats/${key}`, `says ${stats[key]} but there are ${actual} ${what}`);
+      }
+    }
+    if (typeof stats.pagesDiscovered === 'number' && stats.pagesDiscovered < manifest.pages.length) {
+      error(files.manifest, '/stats/pagesDiscovered', `is less than the ${manifest.pages.length} pages captured`);
+    }
+
+    if (manifest.designTokens && !fs.existsSync(path.join(referencesDir, manifest.designTokens))) {
+      error(files.manifest, '/designTokens', `design tokens file not found: ${manifest.designTokens}`);
+    }
+  }
+
+  if (tokens) {
+    const colors = collectColors(tokens);
+    if (colors.length === 0) {
+      error(files['design-tokens'], '/colors', 'no colors found; capture or import design tokens');
+    }
+    if (typeof tokens.totalColorsFound === 'number' && tokens.totalColorsFound === 0 && colors.length > 0) {
+      warning(files['design-tokens'], '/totalColorsFound', `is 0 but ${colors.length} colors are defined`);
+    }
+    if (tokens.fonts && !tokens.fonts.primary && !(tokens.fonts.families || []).length && !tokens.typography) {
+      warning(files['design-tokens'], '/fonts', 'no fonts found');
+    }
+  }
+
+  const claudeFiles = [path.join(projectDir, 'CLAUDE.md')];
+  if (path.basename(path.dirname(projectDir)) === PROJECTS_DIR) {
+    claudeFiles.push(path.join(projectDir, '..', '..', 'CLAUDE.md'));
+  }
+  for (const file of claudeFiles) {
+    for (const found of findLiteralCredentials(file)) {
+      warning(file, `line ${found.line}`,
+        `${found.key} is written in plain text; store it with "credentials set" or reference an environment variable`);
+    }
+  }
+
+  const errors = issues.filter(i => i.severity === 'error').length;
+  return {
+    project: projectDir,
+    valid: errors === 0,
+    errors,
+    warnings: issues.length - errors,
+    issues
+  };
+}
+
+module.exports = {
+  collectColors,
+  validateProject
+};
@@ -0,0 +1,132 @@
+/**
+ * Zip writer
+ *
+ * Packs a directory into a .zip with deflate, for bundles that are shared as
+ * one file. Plain zip (no zip64), so archives stay under 4 GB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as zip stores them
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(path.join(dir, entry.name), rel));
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+/**
+ * Write every file under dir to zipFile, with paths relative to dir and
+ * prefixed by root/ when given. Returns the number of files.
+ */
+function writeZip(dir, zipFile, { root = '' } = {}) {
+  const files = listFiles(dir);
+  if (files.length > 0xffff) {
+    throw new Error(`${zipFile} would hold more than 65535 files`);
+  }
+  const out = fs.openSync(zipFile, 'w');
+  const central = [];
+  let offset = 0;
+
+  const write = buffer => {
+    fs.writeSync(out, buffer);
+    offset += buffer.length;
+  };
+
+  try {
+    for (const file of files) {
+      const full = path.join(dir, file);
+      const data = fs.readFileSync(full);
+      const deflated = zlib.deflateRawSync(data);
+      const stored = deflated.length >= data.length;
+      const body = stored ? data : deflated;
+      const name = Buffer.from(root ? `${root}/${file}` : file, 'utf-8');
+      const { time, date } = dosDateTime(fs.statSync(full).mtime);
+      const crc = crc32(data);
+      if (offset + body.length > 0xffffffff) {
+        throw new Error(`${zipFile} would be larger than 4 GB`);
+      }
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // version needed
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(stored ? 0 : 8, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(stored ? 0 : 8, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(crc, 16);
+      header.writeUInt32LE(body.length, 20);
+      header.writeUInt32LE(data.length, 24);
+      header.writeUInt16LE(name.length, 28);
+      header.writeUInt32LE(offset, 42);
+      central.push(Buffer.concat([header, name]));
+
+      write(local);
+      write(name);
+      write(body);
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    write(directory);
+    write(end);
+  } finally {
+    fs.closeSync(out);
+  }
+
+  return files.length;
+}
+
+module.exports = {
+  writeZip
+};
@@ -0,0 +1,44 @@
+// Mock API for one collection. Generated by real-prototypes-skill `mock`; safe to edit.
+//   GET    /api/mock/:collection          list (?q=text, ?field=value)
+//   POST   /api/mock/:collection          add an item
+//   PUT    /api/mock/:collection          replace every item
+//   DELETE /api/mock/:collection          back to the fixtures
+import { NextResponse } from 'next/server'
+import { hasCollection, listItems, createItem, replaceItems, resetItems } from '__STORE__'
+
+type Params = { collection: string }
+type Context = { params: Params | Promise<Params> }
+
+export const dynamic = 'force-dynamic'
+
+function notFound(collection: string) {
+  return NextResponse.json({ error: `No mock collection "${collection}"` }, { status: 404 })
+}
+
+export async function GET(request: Request, context: Context) {
+  const { collection } = await context.params
+  if (!hasCollection(collection)) return notFound(collection)
+  return NextResponse.json(listItems(collection, new URL(request.url).searchParams))
+}
+
+export async function POST(request: Request, context: Context) {
+  const { collection } = await context.params
+  if (!hasCollection(collection)) return notFound(collection)
+  return NextResponse.json(createItem(collection, await request.json()), { status: 201 })
+}
+
+export async function PUT(request: Request, context: Context) {
+  const { collection } = await context.params
+  if (!hasCollection(collection)) return notFound(collection)
+  const items = await request.json()
+  if (!Array.isArray(items)) {
+    return NextResponse.json({ error: 'Expected an array of items' }, { status: 400 })
+  }
+  return NextResponse.json(replaceItems(collection, items))
+}
+
+export async function DELETE(_request: Request, context: Context) {
+  const { collection } = await context.params
+  if (!hasCollection(collection)) return notFound(collection)
+  return NextResponse.json(resetItems(collection))
+}
@@ -0,0 +1,33 @@
+// Mock API for one item, by its id. Generated by real-prototypes-skill `mock`; safe to edit.
+//   GET    /api/mock/:collection/:id
+//   PATCH  /api/mock/:collection/:id   merge fields into the item
+//   DELETE /api/mock/:collection/:id
+import { NextResponse } from 'next/server'
+import { hasCollection, getItem, updateItem, removeItem } from '__STORE__'
+
+type Params = { collection: string; id: string }
+type Context = { params: Params | Promise<Params> }
+
+export const dynamic = 'force-dynamic'
+
+function notFound(collection: string, id: string) {
+  return NextResponse.json({ error: `No item "${id}" in mock collection "${collection}"` }, { status: 404 })
+}
+
+export async function GET(_request: Request, context: Context) {
+  const { collection, id } = await context.params
+  const item = hasCollection(collection) ? getItem(collection, id) : undefined
+  return item ? NextResponse.json(item) : notFound(collection, id)
+}
+
+export async function PATCH(request: Request, context: Context) {
+  const { collection, id } = await context.params
+  const item = hasCollection(collection) ? updateItem(collection, id, await request.json()) : undefined
+  return item ? NextResponse.json(item) : notFound(collection, id)
+}
+
+export async function DELETE(_request: Request, context: Context) {
+  const { collection, id } = await context.params
+  const removed = hasCollection(collection) && removeItem(collection, id)
+  return removed ? NextResponse.json({ id }) : notFound(collection, id)
+}
@@ -0,0 +1,171 @@
+/**
+ * Client for the prototype's mock data. Generated by real-prototypes-skill
+ * `mock`; safe to edit.
+ *
+ * Talks to /api/mock while the Next.js server runs. A static export has no
+ * API, so there collections live in localStorage instead, starting from the
+ * same fixtures. Either way changes survive a reload.
+ *
+ *   const [cart, setCart] = useMockCollection('cart')   // like useState
+ *   const products = await listItems('products')
+ */
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { fixtures } from '__FIXTURES__'
+
+export type Fixtures = typeof fixtures
+export type CollectionName = keyof Fixtures
+type Items<K extends CollectionName> = Fixtures[K]
+type Item = Record<string, unknown>
+
+const API = '/api/mock'
+const STORAGE_PREFIX = 'mock:'
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/
+
+// null until the first request tells us whether the API is there
+let apiAvailable: boolean | null = null
+
+// JSON has no dates: turn ISO strings back into Date objects
+function parse<T>(text: string): T {
+  return JSON.parse(text, (_key, value) => (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value))
+}
+
+function seed<K extends CollectionName>(name: K): Items<K> {
+  return parse(JSON.stringify(fixtures[name]))
+}
+
+function readLocal<K extends CollectionName>(name: K): Items<K> {
+  const stored = typeof window === 'undefined' ? null : window.localStorage.getItem(STORAGE_PREFIX + String(name))
+  return stored ? parse(stored) : seed(name)
+}
+
+function writeLocal<K extends CollectionName>(name: K, items: Items<K>) {
+  window.localStorage.setItem(STORAGE_PREFIX + String(name), JSON.stringify(items))
+  return items
+}
+
+// The localStorage fallback for single items works on plain records
+function readRecords(name: CollectionName): Item[] {
+  return readLocal(name) as unknown as Item[]
+}
+
+function writeRecords(name: CollectionName, items: Item[]) {
+  window.localStorage.setItem(STORAGE_PREFIX + String(name), JSON.stringify(items))
+}
+
+/**
+ * Calls the mock API. Resolves to undefined when there is no API (static
+ * export, file server) so callers can use localStorage instead.
+ */
+async function request<T>(path: string, method = 'GET', body?: unknown): Promise<{ ok: boolean; data: T } | undefined> {
+  if (apiAvailable === false) {
+    return undefined
+  }
+  try {
+    const response = await fetch(`${API}/${path}`, {
+      method,
+      headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    })
+    if (!(response.headers.get('content-type') || '').includes('application/json')) {
+      apiAvailable = false
+      return undefined
+    }
+    apiAvailable = true
+    return { ok: response.ok, data: parse<T>(await response.text()) }
+  } catch {
+    apiAvailable = false
+    return undefined
+  }
+}
+
+export async function listItems<K extends CollectionName>(name: K): Promise<Items<K>> {
+  const result = await request<Items<K>>(String(name))
+  return result && result.ok ? result.data : readLocal(name)
+}
+
+export async function replaceItems<K extends CollectionName>(name: K, items: Items<K>): Promise<Items<K>> {
+  const result = await request<Items<K>>(String(name), 'PUT', items)
+  return result && result.ok ? result.data : writeLocal(name, items)
+}
+
+export async function resetItems<K extends CollectionName>(name: K): Promise<Items<K>> {
+  const result = await request<Items<K>>(String(name), 'DELETE')
+  return result && result.ok ? result.data : writeLocal(name, seed(name))
+}
+
+export async function getItem<K extends CollectionName>(name: K, id: string): Promise<Items<K>[number] | undefined> {
+  const result = await request<Items<K>[number]>(`${String(name)}/${encodeURIComponent(id)}`)
+  if (result) {
+    return result.ok ? result.data : undefined
+  }
+  return readRecords(name).find(item => String(item.id) === id) as unknown as Items<K>[number] | undefined
+}
+
+export async function createItem<K extends CollectionName>(name: K, item: Items<K>[number]): Promise<Items<K>[number]> {
+  const result = await request<Items<K>[number]>(String(name), 'POST', item)
+  if (result && result.ok) {
+    return result.data
+  }
+  const created = { id: `${String(name)}-${Date.now()}`, ...(item as unknown as Item) }
+  writeRecords(name, [...readRecords(name), created])
+  return created as unknown as Items<K>[number]
+}
+
+export async function updateItem<K extends CollectionName>(name: K, id: string, changes: Partial<Items<K>[number]>): Promise<Items<K>[number] | undefined> {
+  const result = await request<Items<K>[number]>(`${String(name)}/${encodeURIComponent(id)}`, 'PATCH', changes)
+  if (result) {
+    return result.ok ? result.data : undefined
+  }
+  let updated: Item | undefined
+  writeRecords(name, readRecords(name).map(item => {
+    if (String(item.id) !== id) return item
+    updated = { ...item, ...(changes as Item), id: item.id }
+    return updated
+  }))
+  return updated as unknown as Items<K>[number] | undefined
+}
+
+export async function removeItem<K extends CollectionName>(name: K, id: string): Promise<boolean> {
+  const result = await request<unknown>(`${String(name)}/${encodeURIComponent(id)}`, 'DELETE')
+  if (result) {
+    return result.ok
+  }
+  const items = readRecords(name)
+  const remaining = items.filter(item => String(item.id) !== id)
+  writeRecords(name, remaining)
+  return remaining.length < items.length
+}
+
+/**
+ * useState for a mock collection: starts from the fixtures, loads the saved
+ * items after mount, and saves every change
+ */
+export function useMockCollection<K extends CollectionName>(name: K) {
+  const [items, setItems] = useState<Items<K>>(() => seed(name))
+  const latest = useRef(items)
+  const changed = useRef(false)
+
+  useEffect(() => {
+    let cancelled = false
+    listItems(name).then(loaded => {
+      // A change made before loading finished wins over what was saved
+      if (!cancelled && !changed.current) {
+        latest.current = loaded
+        setItems(loaded)
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [name])
+
+  const update = useCallback((next: Items<K> | ((previous: Items<K>) => Items<K>)) => {
+    const value = typeof next === 'function' ? (next as (previous: Items<K>) => Items<K>)(latest.current) : next
+    changed.current = true
+    latest.current = value
+    setItems(value)
+    void replaceItems(name, value)
+  }, [name])
+
+  return [items, update] as const
+}
@@ -0,0 +1,91 @@
+/**
+ * Mock data store behind the prototype's /api/mock routes. Generated by
+ * real-prototypes-skill `mock`; safe to edit.
+ *
+ * Collections start as the fixtures in ./fixtures.ts. Changes are written to
+ * mock/state.json next to package.json so they survive reloads and restarts.
+ * Delete that file, or run `mock <name> --reset`, to start over.
+ */
+import fs from 'fs'
+import path from 'path'
+import { fixtures } from './fixtures'
+
+type Item = Record<string, unknown>
+type State = Record<string, Item[]>
+
+const STATE_FILE = path.join(process.cwd(), 'mock', 'state.json')
+
+function seed(): State {
+  return JSON.parse(JSON.stringify(fixtures))
+}
+
+function load(): State {
+  if (!fs.existsSync(STATE_FILE)) {
+    return seed()
+  }
+  return { ...seed(), ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8')) }
+}
+
+function save(state: State) {
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true })
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2))
+}
+
+export function hasCollection(name: string): boolean {
+  return Object.prototype.hasOwnProperty.call(fixtures, name)
+}
+
+/** Items of a collection; ?q= searches text fields, other params must match exactly */
+export function listItems(name: string, query: URLSearchParams): Item[] {
+  const q = (query.get('q') || '').toLowerCase()
+  const filters = Array.from(query.entries()).filter(([key]) => key !== 'q')
+  return load()[name].filter(item =>
+    filters.every(([key, value]) => String(item[key]) === value) &&
+    (!q || Object.values(item).some(value => typeof value === 'string' && value.toLowerCase().includes(q)))
+  )
+}
+
+export function replaceItems(name: string, items: Item[]): Item[] {
+  const state = load()
+  state[name] = items
+  save(state)
+  return items
+}
+
+export function resetItems(name: string): Item[] {
+  return replaceItems(name, seed()[name])
+}
+
+export function getItem(name: string, id: string): Item | undefined {
+  return load()[name].find(item => String(item.id) === id)
+}
+
+export function createItem(name: string, item: Item): Item {
+  const state = load()
+  const created = item.id === undefined ? { ...item, id: `${name}-${Date.now()}` } : item
+  state[name] = [...state[name], created]
+  save(state)
+  return created
+}
+
+export function updateItem(name: string, id: string, changes: Item): Item | undefined {
+  const state = load()
+  const index = state[name].findIndex(item => String(item.id) === id)
+  if (index === -1) {
+    return undefined
+  }
+  state[name][index] = { ...state[name][index], ...changes, id: state[name][index].id }
+  save(state)
+  return state[name][index]
+}
+
+export function removeItem(name: string, id: string): boolean {
+  const state = load()
+  const remaining = state[name].filter(item => String(item.id) !== id)
+  if (remaining.length === state[name].length) {
+    return false
+  }
+  state[name] = remaining
+  save(state)
+  return true
+}
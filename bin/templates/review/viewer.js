@@ -0,0 +1,540 @@
+/**
+ * Prototype review viewer. Written by real-prototypes-skill `export`.
+ *
+ * Shows each captured reference page beside the matching route of the static
+ * prototype, or under it with a slider. Comments are pinned to a spot on the
+ * page, kept in localStorage, and saved to a JSON file that the project
+ * imports with `comments import`.
+ */
+(function () {
+  'use strict';
+
+  const data = window.REVIEW;
+  const STORE = `review:${data.project}`;
+  const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+  const $ = id => document.getElementById(id);
+
+  function readStore(key, fallback) {
+    try {
+      const value = window.localStorage.getItem(`${STORE}:${key}`);
+      return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  function writeStore(key, value) {
+    try {
+      window.localStorage.setItem(`${STORE}:${key}`, JSON.stringify(value));
+    } catch (e) {
+      notice('Comments could not be kept in this browser; save them to a file before closing the page.');
+    }
+  }
+
+  /**
+   * Merge comments by id; the most recently updated copy wins. Deleted
+   * comments stay as { deleted: true } so the deletion travels with the file.
+   */
+  function mergeComments(base, incoming) {
+    const byId = new Map(base.map(c => [c.id, c]));
+    let added = 0;
+    let updated = 0;
+    for (const comment of incoming) {
+      const existing = byId.get(comment.id);
+      if (!existing) {
+        added++;
+        byId.set(comment.id, comment);
+      } else if ((comment.updatedAt || '') > (existing.updatedAt || '')) {
+        updated++;
+        byId.set(comment.id, comment);
+      }
+    }
+    return { comments: [...byId.values()], added, updated };
+  }
+
+  const state = {
+    page: null,
+    shot: null,
+    mode: 'side',
+    zoom: 'fit',
+    split: 50,
+    commenting: false,
+    draft: null,
+    active: null,
+    showResolved: false,
+    routes: readStore('routes', {}),
+    comments: mergeComments(data.comments, readStore('comments', [])).comments
+  };
+
+  // Measured sizes of what the panes show, in CSS pixels of the viewport
+  let layout = null;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function notice(text) {
+    $('notices').appendChild(el('p', '', text));
+  }
+
+  function currentPage() {
+    return data.pages.find(p => p.id === state.page) || data.pages[0];
+  }
+
+  function currentShot(page) {
+    return page.shots.find(s => s.key === state.shot) || page.shots[0] || null;
+  }
+
+  function currentRoute(page) {
+    return state.routes[page.name] || (page.found ? page.route : data.routes[0] || '/');
+  }
+
+  function prototypeUrl(route) {
+    return `..${route}`;
+  }
+
+  function visibleComments(page, shot) {
+    return state.comments
+      .filter(c => !c.deleted && c.page === page.name && c.shot === (shot ? shot.key : null))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function openCount(page) {
+    return state.comments.filter(c => !c.deleted && !c.resolved && c.page === page.name).length;
+  }
+
+  function saveComments() {
+    writeStore('comments', state.comments);
+  }
+
+  // --- Toolbar ------------------------------------------------------------
+
+  function renderToolbar() {
+    const page = currentPage();
+    const shot = currentShot(page);
+
+    $('page').replaceChildren(...data.pages.map(p => {
+      const count = openCount(p);
+      const option = el('option', '', count ? `${p.name} (${count})` : p.name);
+      option.value = p.id;
+      option.selected = p === page;
+      return option;
+    }));
+
+    $('shot').replaceChildren(...page.shots.map(s => {
+      const option = el('option', '', s.label);
+      option.value = s.key;
+      option.selected = s === shot;
+      return option;
+    }));
+    $('shot').disabled = page.shots.length < 2;
+
+    const route = currentRoute(page);
+    const routes = data.routes.includes(route) ? data.routes : [route, ...data.routes];
+    $('route').replaceChildren(...routes.map(r => {
+      const option = el('option', '', r);
+      option.value = r;
+      option.selected = r === route;
+      return option;
+    }));
+
+    $('mode-side').setAttribute('aria-pressed', String(state.mode === 'side'));
+    $('mode-slider').setAttribute('aria-pressed', String(state.mode === 'slider'));
+    $('zoom-fit').setAttribute('aria-pressed', String(state.zoom === 'fit'));
+    $('zoom-full').setAttribute('aria-pressed', String(state.zoom === 'full'));
+    $('comment').setAttribute('aria-pressed', String(state.commenting));
+    $('slider-bar').hidden = state.mode !== 'slider';
+    document.body.classList.toggle('commenting', state.commenting);
+
+    history.replaceState(null, '', `#${encodeURIComponent(page.id)}${shot ? `/${encodeURIComponent(shot.key)}` : ''}`);
+  }
+
+  // --- Stage --------------------------------------------------------------
+
+  function buildPane(kind, page, shot, route) {
+    const pane = el('div', 'pane');
+    const title = el('h3');
+    if (kind === 'reference') {
+      title.append('Reference ', el('small', '', shot ? shot.label : ''));
+    } else if (kind === 'prototype') {
+      title.append('Prototype ', el('small', '', route));
+    } else {
+      title.append('Reference / prototype ', el('small', '', route));
+    }
+    pane.appendChild(title);
+
+    const frame = el('div', 'frame');
+    const stage = el('div', 'stage');
+    frame.appendChild(stage);
+    pane.appendChild(frame);
+    // Loads that finish after the page changed are ignored
+    const own = layout;
+
+    if (kind !== 'prototype') {
+      if (shot) {
+        const img = el('img', kind === 'slider' ? 'reference overlay' : 'reference');
+        img.alt = `${page.name}, as captured`;
+        img.addEventListener('load', () => {
+          if (layout !== own) return;
+          layout.reference = Math.round(img.naturalHeight * layout.width / img.naturalWidth);
+          relayout();
+        });
+        img.src = shot.file;
+        stage.appendChild(img);
+      } else if (kind === 'reference') {
+        stage.appendChild(el('p', 'missing', 'No screenshot was captured for this page.'));
+      }
+    }
+
+    if (kind !== 'reference') {
+      const iframe = el('iframe');
+      iframe.title = `Prototype at ${route}`;
+      iframe.setAttribute('scrolling', 'no');
+      iframe.addEventListener('load', () => {
+        // Same origin when served over HTTP, so the page can be measured
+        const measure = () => {
+          if (layout !== own) return;
+          try {
+            const doc = iframe.contentDocument;
+            layout.prototype = Math.max(doc.documentElement.scrollHeight, doc.body ? doc.body.scrollHeight : 0);
+            relayout();
+          } catch (e) {
+            layout.prototype = null;
+          }
+        };
+        measure();
+        setTimeout(measure, 1000);
+      });
+      iframe.src = prototypeUrl(route);
+      stage.appendChild(iframe);
+    }
+
+    if (kind === 'slider') {
+      frame.appendChild(el('div', 'divider'));
+    }
+
+    const capture = el('div', 'capture');
+    capture.addEventListener('click', event => {
+      const rect = stage.getBoundingClientRect();
+      const x = Math.round((event.clientX - rect.left) / layout.scale);
+      const y = Math.round((event.clientY - rect.top) / layout.scale);
+      const on = kind === 'slider' ? (x < layout.width * state.split / 100 ? 'reference' : 'prototype') : kind;
+      startDraft({ x, y, on });
+    });
+    stage.appendChild(capture);
+
+    const pins = el('div', 'pins');
+    stage.appendChild(pins);
+
+    layout.panes.push({ kind, frame, stage, pins });
+    return pane;
+  }
+
+  function renderStage() {
+    const page = currentPage();
+    const shot = currentShot(page);
+    const route = currentRoute(page);
+    const viewport = shot || DEFAULT_VIEWPORT;
+    layout = { width: viewport.width, viewportHeight: viewport.height || DEFAULT_VIEWPORT.height, reference: null, prototype: null, scale: 1, panes: [] };
+
+    const panes = state.mode === 'side'
+      ? [buildPane('reference', page, shot, route), buildPane('prototype', page, shot, route)]
+      : [buildPane('slider', page, shot, route)];
+    $('panes').replaceChildren(...panes);
+
+    $('notices').replaceChildren();
+    if (location.protocol === 'file:') {
+      notice('Opened from a file, so the prototype can\'t load. Serve the export folder over HTTP (for example npx serve <folder>) and open /__review/.');
+    }
+    if (!page.found && !state.routes[page.name]) {
+      notice(`The prototype has no ${page.route} page; showing ${route}. Pick the matching page under Prototype.`);
+    }
+    relayout();
+  }
+
+  function relayout() {
+    if (!layout) return;
+    const { width } = layout;
+    const fallback = layout.reference || layout.prototype || layout.viewportHeight;
+    for (const pane of layout.panes) {
+      const height = pane.kind === 'reference' ? layout.reference || fallback
+        : pane.kind === 'prototype' ? layout.prototype || fallback
+          : Math.max(layout.reference || 0, layout.prototype || 0) || fallback;
+      const available = pane.frame.parentElement.clientWidth;
+      const scale = state.zoom === 'fit' && available > 0 ? Math.min(1, available / width) : 1;
+      layout.scale = scale;
+
+      pane.frame.style.width = `${width * scale}px`;
+      pane.frame.style.height = `${height * scale}px`;
+      pane.stage.style.width = `${width}px`;
+      pane.stage.style.height = `${height}px`;
+      pane.stage.style.transform = `scale(${scale})`;
+      const iframe = pane.stage.querySelector('iframe');
+      if (iframe) {
+        iframe.style.width = `${width}px`;
+        iframe.style.height = `${Math.max(height, layout.viewportHeight)}px`;
+      }
+      const overlay = pane.stage.querySelector('.overlay');
+      if (overlay) {
+        overlay.style.clipPath = `inset(0 ${100 - state.split}% 0 0)`;
+        pane.frame.querySelector('.divider').style.left = `${state.split}%`;
+      }
+    }
+    renderPins();
+  }
+
+  function renderPins() {
+    if (!layout) return;
+    const page = currentPage();
+    const shot = currentShot(page);
+    const comments = visibleComments(page, shot);
+    for (const pane of layout.panes) {
+      const pins = comments.map((comment, i) => {
+        if (comment.resolved && !state.showResolved) return null;
+        const pin = el('button', `pin${comment.resolved ? ' resolved' : ''}${comment.id === state.active ? ' active' : ''}`, String(i + 1));
+        pin.type = 'button';
+        pin.title = comment.text;
+        pin.style.left = `${comment.x}px`;
+        pin.style.top = `${comment.y}px`;
+        pin.style.transform = `scale(${1 / layout.scale})`;
+        pin.addEventListener('click', () => select(comment.id, false));
+        return pin;
+      }).filter(Boolean);
+      if (state.draft) {
+        const pin = el('div', 'pin draft', '+');
+        pin.style.left = `${state.draft.x}px`;
+        pin.style.top = `${state.draft.y}px`;
+        pin.style.transform = `scale(${1 / layout.scale})`;
+        pins.push(pin);
+      }
+      pane.pins.replaceChildren(...pins);
+    }
+  }
+
+  // --- Comments -----------------------------------------------------------
+
+  function renderComments() {
+    const page = currentPage();
+    const shot = currentShot(page);
+    const comments = visibleComments(page, shot);
+    const elsewhere = state.comments.filter(c => !c.deleted && c.page === page.name && c.shot !== (shot ? shot.key : null)).length;
+    const open = comments.filter(c => !c.resolved).length;
+    $('count').textContent = `${open} open${elsewhere ? `, ${elsewhere} on other references` : ''}`;
+
+    $('comments').replaceChildren(...comments.map((comment, i) => {
+      if (comment.resolved && !state.showResolved) return null;
+      const item = el('li', `${comment.resolved ? 'resolved' : ''}${comment.id === state.active ? ' active' : ''}`);
+      item.id = `comment-${comment.id}`;
+      const meta = el('div', 'meta');
+      meta.append(el('span', 'number', String(i + 1)),
+        `${comment.author || 'Anonymous'} · ${new Date(comment.createdAt).toLocaleString()} · on the ${comment.on}`);
+      item.append(meta, el('p', 'text', comment.text));
+
+      const actions = el('div', 'actions');
+      const resolve = el('button', '', comment.resolved ? 'Reopen' : 'Resolve');
+      resolve.type = 'button';
+      resolve.addEventListener('click', event => {
+        event.stopPropagation();
+        update(comment.id, { resolved: !comment.resolved });
+      });
+      const remove = el('button', '', 'Delete');
+      remove.type = 'button';
+      remove.addEventListener('click', event => {
+        event.stopPropagation();
+        if (confirm('Delete this comment?')) {
+          update(comment.id, { deleted: true });
+        }
+      });
+      actions.append(resolve, remove);
+      item.appendChild(actions);
+      item.addEventListener('click', () => select(comment.id, true));
+      return item;
+    }).filter(Boolean));
+  }
+
+  function update(id, changes) {
+    state.comments = state.comments.map(c => (c.id === id ? { ...c, ...changes, updatedAt: new Date().toISOString() } : c));
+    saveComments();
+    renderToolbar();
+    renderComments();
+    renderPins();
+  }
+
+  function select(id, scroll) {
+    state.active = id;
+    renderComments();
+    renderPins();
+    const target = scroll ? document.querySelector('.pin.active') : $(`comment-${id}`);
+    if (target) {
+      target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }
+
+  function startDraft(draft) {
+    state.draft = draft;
+    $('draft').hidden = false;
+    $('draft-where').textContent = `On the ${draft.on} at ${draft.x}, ${draft.y}`;
+    $('draft-text').focus();
+    renderPins();
+  }
+
+  function endDraft() {
+    state.draft = null;
+    $('draft').hidden = true;
+    $('draft-text').value = '';
+    renderPins();
+  }
+
+  $('draft').addEventListener('submit', event => {
+    event.preventDefault();
+    const text = $('draft-text').value.trim();
+    if (!text || !state.draft) return;
+    const page = currentPage();
+    const shot = currentShot(page);
+    const now = new Date().toISOString();
+    const comment = {
+      id: `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      page: page.name,
+      shot: shot ? shot.key : null,
+      route: currentRoute(page),
+      on: state.draft.on,
+      x: state.draft.x,
+      y: state.draft.y,
+      text,
+      author: $('author').value.trim(),
+      createdAt: now,
+      updatedAt: now,
+      resolved: false
+    };
+    state.comments.push(comment);
+    saveComments();
+    endDraft();
+    state.commenting = false;
+    state.active = comment.id;
+    renderToolbar();
+    renderComments();
+    renderPins();
+  });
+
+  $('draft-cancel').addEventListener('click', endDraft);
+
+  // --- Saving and loading -------------------------------------------------
+
+  $('save').addEventListener('click', () => {
+    const file = {
+      project: data.project,
+      exportId: data.exportId,
+      savedAt: new Date().toISOString(),
+      comments: state.comments
+    };
+    const link = el('a');
+    link.href = URL.createObjectURL(new Blob([`${JSON.stringify(file, null, 2)}\n`], { type: 'application/json' }));
+    const author = $('author').value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    link.download = `${data.project}-review-comments${author ? `-${author}` : ''}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  });
+
+  $('load').addEventListener('click', () => $('load-file').click());
+  $('load-file').addEventListener('change', async event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      const incoming = Array.isArray(parsed) ? parsed : parsed.comments;
+      if (!Array.isArray(incoming) || incoming.some(c => !c || typeof c.id !== 'string' || typeof c.page !== 'string')) {
+        throw new Error('not a comments file');
+      }
+      const result = mergeComments(state.comments, incoming);
+      state.comments = result.comments;
+      saveComments();
+      renderToolbar();
+      renderComments();
+      renderPins();
+      notice(`Loaded ${file.name}: ${result.added} new, ${result.updated} updated.`);
+    } catch (e) {
+      notice(`Could not load ${file.name}: ${e.message}`);
+    }
+  });
+
+  // --- Controls -----------------------------------------------------------
+
+  function show() {
+    endDraft();
+    state.active = null;
+    renderToolbar();
+    renderStage();
+    renderComments();
+  }
+
+  $('page').addEventListener('change', event => {
+    state.page = event.target.value;
+    state.shot = null;
+    show();
+  });
+  $('shot').addEventListener('change', event => {
+    state.shot = event.target.value;
+    show();
+  });
+  $('route').addEventListener('change', event => {
+    const page = currentPage();
+    state.routes[page.name] = event.target.value;
+    writeStore('routes', state.routes);
+    show();
+  });
+  $('mode-side').addEventListener('click', () => {
+    state.mode = 'side';
+    show();
+  });
+  $('mode-slider').addEventListener('click', () => {
+    state.mode = 'slider';
+    show();
+  });
+  $('zoom-fit').addEventListener('click', () => {
+    state.zoom = 'fit';
+    renderToolbar();
+    relayout();
+  });
+  $('zoom-full').addEventListener('click', () => {
+    state.zoom = 'full';
+    renderToolbar();
+    relayout();
+  });
+  $('slider').addEventListener('input', event => {
+    state.split = Number(event.target.value);
+    relayout();
+  });
+  $('comment').addEventListener('click', () => {
+    state.commenting = !state.commenting;
+    renderToolbar();
+  });
+  $('show-resolved').addEventListener('change', event => {
+    state.showResolved = event.target.checked;
+    renderComments();
+    renderPins();
+  });
+  $('author').value = readStore('author', '');
+  $('author').addEventListener('change', event => writeStore('author', event.target.value.trim()));
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && (state.commenting || state.draft)) {
+      state.commenting = false;
+      endDraft();
+      renderToolbar();
+    }
+  });
+  window.addEventListener('resize', relayout);
+
+  document.title = `Review · ${data.project}`;
+  $('title').textContent = `${data.platform || data.project} · prototype review`;
+  const [pageId, shotKey] = location.hash.slice(1).split('/').map(decodeURIComponent);
+  state.page = data.pages.some(p => p.id === pageId) ? pageId : data.pages[0].id;
+  state.shot = shotKey || null;
+  show();
+})();
@@ -0,0 +1,45 @@
+#!/usr/bin/env bash
+#
+# CI entry point for visual regression.
+#
+# Installs and builds each prototype, makes sure Playwright's Chromium is
+# available, then runs scripts/visual-regression-test.js in CI mode so the
+# job fails when any page exceeds its mismatch threshold.
+#
+# Usage:
+#   ./scripts/ci-visual-regression.sh              # Every project with a prototype
+#   ./scripts/ci-visual-regression.sh my-app ...   # Only these projects
+
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+cd "$ROOT"
+
+if [ "$#" -gt 0 ]; then
+  PROJECTS=("$@")
+else
+  PROJECTS=()
+  for dir in projects/*/prototype; do
+    [ -f "$dir/package.json" ] && PROJECTS+=("$(basename "$(dirname "$dir")")")
+  done
+fi
+
+if [ "${#PROJECTS[@]}" -eq 0 ]; then
+  echo "No projects with a prototype found" >&2
+  exit 1
+fi
+
+npx playwright install chromium
+
+ARGS=()
+for name in "${PROJECTS[@]}"; do
+  echo "→ Building projects/$name/prototype"
+  (
+    cd "projects/$name/prototype"
+    if [ -f package-lock.json ]; then npm ci; else npm install; fi
+    npx next build
+  )
+  ARGS+=(--project "$name")
+done
+
+node scripts/visual-regression-test.js --ci "${ARGS[@]}"
@@ -0,0 +1,134 @@
+/**
+ * Visual regression HTML report
+ *
+ * One self-contained page per run. Each case can be viewed side by side,
+ * as an overlay with an opacity slider, or as the pixelmatch diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../../bin/lib/html');
+
+function renderCase(result, index) {
+  const img = (file, alt) => (file ? `<img src="${escapeHtml(file)}" alt="${escapeHtml(alt)}" loading="lazy">` : '<p class="missing">not available</p>');
+  const mismatch = result.mismatch === null ? '-' : `${result.mismatch}%`;
+
+  return `
+  <section class="case ${result.status}" id="case-${index}">
+    <header>
+      <h2>${escapeHtml(result.page)} <small>${escapeHtml(result.viewport)} · ${escapeHtml(result.route)}</small></h2>
+      <span class="badge">${result.status.toUpperCase()}</span>
+      <span class="metric">mismatch ${mismatch} / threshold ${result.threshold}%</span>
+    </header>
+    ${result.message ? `<p class="message">${escapeHtml(result.message)}</p>` : ''}
+    <div class="modes">
+      <button data-mode="side" class="active">Side by side</button>
+      <button data-mode="overlay">Overlay</button>
+      <button data-mode="diff">Diff</button>
+    </div>
+    <div class="view side">
+      <figure><figcaption>Reference</figcaption>${img(result.reference, 'Reference')}</figure>
+      <figure><figcaption>Prototype</figcaption>${img(result.actual, 'Prototype')}</figure>
+    </div>
+    <div class="view overlay" hidden>
+      <label>Prototype opacity <input type="range" min="0" max="100" value="50"></label>
+      <div class="stack">${img(result.reference, 'Reference')}${img(result.actual, 'Prototype')}</div>
+    </div>
+    <div class="view diff" hidden>${img(result.diff, 'Diff')}</div>
+  </section>`;
+}
+
+function renderReport({ project, createdAt, results }) {
+  const counts = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  const summary = ['pass', 'fail', 'error', 'skipped']
+    .filter(status => counts[status])
+    .map(status => `<span class="${status}">${counts[status]} ${status}</span>`)
+    .join(' ');
+
+  const rows = results.map((r, i) => `
+      <tr class="${r.status}">
+        <td><a href="#case-${i}">${escapeHtml(r.page)}</a></td>
+        <td>${escapeHtml(r.viewport)}</td>
+        <td>${escapeHtml(r.route)}</td>
+        <td>${r.mismatch === null ? '-' : `${r.mismatch}%`}</td>
+        <td>${r.threshold}%</td>
+        <td>${r.status}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Visual regression · ${escapeHtml(project)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; padding: 24px; background: #f6f7f8; color: #1d1f21; }
+  h1 { margin: 0 0 4px; }
+  .summary span { margin-right: 12px; font-weight: 600; }
+  .pass { color: #067d62; } .fail { color: #cc0c39; } .error { color: #c45500; } .skipped { color: #6b7280; }
+  table { border-collapse: collapse; margin: 16px 0 32px; background: #fff; }
+  th, td { padding: 6px 12px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  .case { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 24px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); }
+  .case header { display: flex; align-items: baseline; gap: 12px; flex-wrap: wrap; }
+  .case h2 { font-size: 18px; margin: 0; color: #1d1f21; }
+  .case h2 small { font-weight: normal; color: #6b7280; }
+  .badge { font-size: 12px; font-weight: 700; }
+  .metric, .message { color: #4b5563; }
+  .modes { margin: 12px 0; }
+  .modes button { border: 1px solid #d1d5db; background: #fff; padding: 4px 10px; cursor: pointer; }
+  .modes button.active { background: #1d1f21; color: #fff; }
+  .side { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+  figure { margin: 0; } figcaption { font-size: 12px; color: #6b7280; margin-bottom: 4px; }
+  img { max-width: 100%; border: 1px solid #e5e7eb; display: block; }
+  .stack { position: relative; display: inline-block; max-width: 100%; }
+  .stack img:last-child { position: absolute; top: 0; left: 0; opacity: 0.5; }
+  .missing { color: #6b7280; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Visual regression · ${escapeHtml(project)}</h1>
+<p>${escapeHtml(createdAt)}</p>
+<p class="summary">${summary}</p>
+<table>
+  <thead><tr><th>Page</th><th>Viewport</th><th>Route</th><th>Mismatch</th><th>Threshold</th><th>Status</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+${results.map(renderCase).join('\n')}
+<script>
+  document.querySelectorAll('.case').forEach(function (section) {
+    section.querySelectorAll('.modes button').forEach(function (button) {
+      button.addEventListener('click', function () {
+        section.querySelectorAll('.modes button').forEach(function (b) { b.classList.toggle('active', b === button); });
+        section.querySelectorAll('.view').forEach(function (view) {
+          view.hidden = !view.classList.contains(button.dataset.mode);
+        });
+      });
+    });
+    var slider = section.querySelector('.overlay input');
+    var top = section.querySelector('.stack img:last-child');
+    if (slider && top) {
+      slider.addEventListener('input', function () { top.style.opacity = slider.value / 100; });
+    }
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write index.html and results.json into outDir. Image paths in results
+ * must already be relative to outDir.
+ */
+function writeReport(outDir, report) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const htmlFile = path.join(outDir, 'index.html');
+  fs.writeFileSync(htmlFile, renderReport(report));
+  fs.writeFileSync(path.join(outDir, 'results.json'), JSON.stringify(report, null, 2));
+  return htmlFile;
+}
+
+module.exports = {
+  renderReport,
+  writeReport
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Component tests
+ *
+ * Renders every component under prototype/src/components/ in jsdom with
+ * fixture props generated from its TypeScript props (including the shared
+ * types.ts interfaces) and fails a component when it:
+ *   - throws while rendering
+ *   - shows its failed-image fallback, or renders an image that can't load
+ *     without network access
+ *   - shows no fallback when its image props point at a missing file
+ *   - uses a color, in a class or inline style, that isn't in the project's
+ *     references/design-tokens.json
+ *
+ * The prototype's dependencies must be installed (npm install in prototype/).
+ *
+ * Usage:
+ *   node scripts/test-components.js --all                        # Every component
+ *   node scripts/test-components.js --component ProductCard      # One component
+ *   node scripts/test-components.js --all --project my-app       # One project
+ *
+ * Options:
+ *   --component <name>   Component file name or path under components/ (repeatable)
+ *   --project <name>     Only test this project (repeatable)
+ *   --json               Print results as JSON
+ *   --verbose            Also print React warnings and the fixture props
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../bin/lib/log');
+const projects = require('../bin/lib/projects');
+const { normalizeTokens } = require('../bin/lib/tokens');
+const { normalizeColor, extractColors } = require('../bin/lib/colors');
+const { MISSING_IMAGE, buildFixture } = require('../bin/lib/component-fixtures');
+const { installHooks, setupDom, renderComponent } = require('../bin/lib/component-renderer');
+
+const COMPONENTS_DIR = path.join('prototype', 'src', 'components');
+const COMPONENT_EXTENSIONS = ['.tsx', '.jsx'];
+
+function parseArgs(args) {
+  const options = { all: false, components: [], projects: [], json: false, verbose: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--all':
+        options.all = true;
+        break;
+      case '--component':
+      case '-c':
+        if (!args[i + 1] || args[i + 1].startsWith('-')) {
+          throw new Error('--component needs a component name');
+        }
+        options.components.push(args[++i]);
+        break;
+      case '--project':
+      case '-p':
+        options.projects.push(args[++i]);
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  if (!options.all && options.components.length === 0) {
+    throw new Error('Pass --all or --component <name>');
+  }
+  return options;
+}
+
+function findComponents(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findComponents(full));
+    } else if (COMPONENT_EXTENSIONS.includes(path.extname(entry.name)) && !/\.(test|spec|stories)\./.test(entry.name)) {
+      files.push(full);
+    }
+  }
+  return files.sort();
+}
+
+function matchesFilter(file, componentsDir, filters) {
+  const relative = path.relative(componentsDir, file).replace(/\\/g, '/').replace(/\.[jt]sx$/, '').toLowerCase();
+  return filters.some(filter => {
+    const wanted = filter.replace(/\\/g, '/').replace(/\.[jt]sx$/, '').toLowerCase();
+    return relative === wanted || relative.endsWith(`/${wanted}`);
+  });
+}
+
+/**
+ * Colors from design-tokens.json, normalized, including those inside shadows
+ */
+function loadTokenColors(projectDir) {
+  const tokens = projects.readJson(path.join(projectDir, 'references', 'design-tokens.json'));
+  if (!tokens) {
+    throw new Error('references/design-tokens.json is missing or invalid');
+  }
+  const normalized = normalizeTokens(tokens);
+  const colors = new Set();
+  for (const { value } of normalized.color) {
+    const color = normalizeColor(value);
+    if (color) colors.add(color);
+  }
+  for (const { value } of normalized.shadow) {
+    extractColors(value).map(normalizeColor).filter(Boolean).forEach(color => colors.add(color));
+  }
+  return colors;
+}
+
+function testProject(projectDir, window, options) {
+  const prototypeDir = path.join(projectDir, 'prototype');
+  const componentsDir = path.join(projectDir, COMPONENTS_DIR);
+  let files = findComponents(componentsDir);
+  if (options.components.length > 0) {
+    files = files.filter(file => matchesFilter(file, componentsDir, options.components));
+  }
+  if (files.length === 0) {
+    return [];
+  }
+
+  installHooks(prototypeDir);
+  const tokenColors = loadTokenColors(projectDir);
+  const results = [];
+
+  for (const file of files) {
+    const relative = path.relative(componentsDir, file);
+    let fixture;
+    try {
+      fixture = buildFixture(file, { color: [...tokenColors][0] });
+    } catch (e) {
+      results.push({ component: relative, status: 'fail', errors: [`could not read props: ${e.message}`], warnings: [] });
+      continue;
+    }
+    if (!fixture) {
+      // Files without a default function component (helpers, re-exports)
+      continue;
+    }
+
+    const { errors, warnings } = renderComponent(file, fixture.props, { prototypeDir, tokenColors, window });
+
+    // Render again with image props that fail to load; the component must show its fallback
+    const missing = errors.length === 0 && buildFixture(file, { color: [...tokenColors][0], missingImages: true });
+    if (missing && JSON.stringify(missing.props).includes(MISSING_IMAGE)) {
+      const fallback = renderComponent(file, missing.props, { prototypeDir, tokenColors, window, expectFallback: true });
+      errors.push(...fallback.errors.map(message => `with a missing image: ${message}`));
+    }
+
+    results.push({
+      component: relative,
+      status: errors.length ? 'fail' : 'pass',
+      errors,
+      warnings,
+      props: fixture.props
+    });
+  }
+
+  return results;
+}
+
+function printResults(name, results, verbose) {
+  log(`Components: ${name}`, 'title');
+  for (const result of results) {
+    log(result.component, result.status === 'pass' ? 'success' : 'error');
+    result.errors.forEach(message => console.log(`    ${message}`));
+    if (verbose) {
+      result.warnings.forEach(message => console.log(`    warning: ${message}`));
+      if (result.props) {
+        console.log(`    props: ${JSON.stringify(result.props).slice(0, 300)}`);
+      }
+    }
+  }
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  let projectDirs;
+  try {
+    projectDirs = options.projects.length
+      ? options.projects.map(name => projects.resolveProjectDir(name))
+      : projects.listProjects().filter(p => p.hasPrototype).map(p => p.path);
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  const dom = setupDom();
+  const report = [];
+  let failed = false;
+
+  for (const projectDir of projectDirs) {
+    const name = path.basename(projectDir);
+    try {
+      const results = testProject(projectDir, dom.window, options);
+      if (results.length === 0) {
+        continue;
+      }
+      report.push({ project: name, results });
+      if (results.some(r => r.status === 'fail')) {
+        failed = true;
+      }
+      if (!options.json) {
+        printResults(name, results, options.verbose);
+      }
+    } catch (e) {
+      failed = true;
+      report.push({ project: name, error: e.message, results: [] });
+      if (!options.json) {
+        log(`${name}: ${e.message}`, 'error');
+      }
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report.map(p => ({
+      ...p,
+      results: p.results.map(({ props, ...rest }) => rest)
+    })), null, 2));
+  } else if (report.length === 0) {
+    log(options.components.length ? `No component matching ${options.components.join(', ')}` : 'No components found', 'warning');
+  } else {
+    const all = report.flatMap(p => p.results);
+    const passed = all.filter(r => r.status === 'pass').length;
+    console.log('');
+    log(`${passed}/${all.length} components passed`, failed ? 'error' : 'success');
+  }
+
+  dom.window.close();
+  process.exit(failed || report.length === 0 ? 1 : 0);
+}
+
+main();
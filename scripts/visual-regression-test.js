@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Visual regression test
+ *
+ * Starts each project's built prototype, screenshots the routes listed in
+ * references/manifest.json at each viewport, and diffs them against the
+ * captured references/screenshots/* with pixelmatch. Writes an HTML report
+ * to projects/<name>/visual-regression/index.html.
+ *
+ * Usage:
+ *   node scripts/visual-regression-test.js                     # All projects
+ *   node scripts/visual-regression-test.js --project my-app    # One project
+ *   node scripts/visual-regression-test.js --ci                # Exit 1 on any failure
+ *
+ * Options:
+ *   --threshold <percent>       Max mismatching pixels per page (default 5)
+ *   --pixel-threshold <0-1>     Per-pixel color tolerance passed to pixelmatch (default 0.1)
+ *   --viewport <name>           Only run this viewport (repeatable)
+ *   --port <n>                  Port for next start (default 3100)
+ *   --build                     Rebuild the prototype even if a build exists
+ *
+ * Per-project settings can live in projects/<name>/visual-regression.json:
+ *   {
+ *     "threshold": 5,
+ *     "pixelThreshold": 0.1,
+ *     "fullPage": true,
+ *     "waitAfterLoad": 1000,
+ *     "viewports": [{ "name": "desktop", "width": 1920, "height": 1080 }],
+ *     "routes": { "<page name>": "/" },
+ *     "pages": { "<page name>": { "threshold": 10, "skip": false } }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../bin/lib/log');
+const projects = require('../bin/lib/projects');
+const { KNOWN_VIEWPORTS } = projects;
+const { startPrototype } = require('../bin/lib/prototype-server');
+const { compareImages } = require('../bin/lib/image-diff');
+const { writeReport } = require('./lib/visual-report');
+
+const REPORT_DIR = 'visual-regression';
+const CONFIG_FILE = 'visual-regression.json';
+
+const DEFAULTS = {
+  threshold: 5,
+  pixelThreshold: 0.1,
+  fullPage: true,
+  waitAfterLoad: 1000,
+  port: 3100
+};
+
+function parseArgs(args) {
+  const options = { projects: [], viewports: [], ci: false, build: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--project':
+      case '-p':
+        options.projects.push(args[++i]);
+        break;
+      case '--ci':
+        options.ci = true;
+        break;
+      case '--build':
+        options.build = true;
+        break;
+      case '--threshold':
+        options.threshold = Number(args[++i]);
+        break;
+      case '--pixel-threshold':
+        options.pixelThreshold = Number(args[++i]);
+        break;
+      case '--viewport':
+        options.viewports.push(args[++i]);
+        break;
+      case '--port':
+        options.port = Number(args[++i]);
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  for (const key of ['threshold', 'pixelThreshold', 'port']) {
+    if (options[key] !== undefined && isNaN(options[key])) {
+      throw new Error(`--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} must be a number`);
+    }
+  }
+
+  return options;
+}
+
+function loadConfig(projectDir, options) {
+  const file = projects.readJson(path.join(projectDir, CONFIG_FILE)) || {};
+  const config = { ...DEFAULTS, routes: {}, pages: {}, ...file };
+  for (const key of ['threshold', 'pixelThreshold', 'port']) {
+    if (options[key] !== undefined) {
+      config[key] = options[key];
+    }
+  }
+  return config;
+}
+
+/**
+ * Viewports to test: from config, else every viewport name the manifest captured
+ */
+function resolveViewports(manifest, config, only) {
+  let viewports = config.viewports;
+  if (!viewports) {
+    const names = new Set(['desktop']);
+    for (const page of manifest.pages) {
+      (page.captures || []).forEach(c => names.add(c.viewport));
+    }
+    viewports = [...names]
+      .filter(name => {
+        if (!KNOWN_VIEWPORTS[name]) {
+          log(`Viewport "${name}" has no known size; add it to ${CONFIG_FILE}`, 'warning');
+        }
+        return KNOWN_VIEWPORTS[name];
+      })
+      .map(name => ({ name, ...KNOWN_VIEWPORTS[name] }));
+  }
+  return only.length ? viewports.filter(v => only.includes(v.name)) : viewports;
+}
+
+function referenceFor(page, viewport) {
+  const capture = (page.captures || []).find(c => c.viewport === viewport.name);
+  if (capture) {
+    return capture.screenshot;
+  }
+  return viewport.name === 'desktop' ? page.screenshot : null;
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Run visual regression for one project. Returns the list of case results.
+ */
+async function runProject(projectDir, options) {
+  const referencesDir = path.join(projectDir, 'references');
+  const manifest = projects.readJson(path.join(referencesDir, 'manifest.json'));
+  if (!manifest || !Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+    log(`${path.basename(projectDir)}: no captured pages in references/manifest.json, skipping`, 'warning');
+    return null;
+  }
+
+  const config = loadConfig(projectDir, options);
+  const viewports = resolveViewports(manifest, config, options.viewports);
+  const outDir = path.join(projectDir, REPORT_DIR);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const cases = [];
+  for (const page of manifest.pages) {
+    const pageConfig = config.pages[page.name] || {};
+    for (const viewport of viewports) {
+      const reference = referenceFor(page, viewport);
+      const base = {
+        page: page.name,
+        viewport: viewport.name,
+        route: projects.pageRoute(page, config.routes),
+        threshold: pageConfig.threshold !== undefined ? pageConfig.threshold : config.threshold,
+        mismatch: null,
+        reference: null,
+        actual: null,
+        diff: null
+      };
+      if (pageConfig.skip) {
+        cases.push({ ...base, status: 'skipped', message: `skipped in ${CONFIG_FILE}` });
+      } else if (!reference) {
+        cases.push({ ...base, status: 'skipped', message: `no ${viewport.name} reference captured` });
+      } else if (!fs.existsSync(path.join(referencesDir, reference))) {
+        cases.push({ ...base, status: 'error', message: `reference not found: ${reference}` });
+      } else {
+        cases.push({ ...base, status: 'pending', viewportSize: viewport, referenceSource: path.join(referencesDir, reference) });
+      }
+    }
+  }
+
+  cases.filter(c => c.status === 'error').forEach(c => log(`${c.page} @ ${c.viewport}: ${c.message}`, 'error'));
+
+  const pending = cases.filter(c => c.status === 'pending');
+  if (pending.length > 0) {
+    const { chromium } = require('playwright');
+    const server = await startPrototype(path.join(projectDir, 'prototype'), { port: config.port, build: options.build });
+    let browser;
+
+    try {
+      browser = await chromium.launch();
+      for (const c of pending) {
+        const name = `${slug(c.page)}-${slug(c.viewport)}`;
+        const files = {
+          reference: `${name}-reference.png`,
+          actual: `${name}-prototype.png`,
+          diff: `${name}-diff.png`
+        };
+
+        try {
+          const context = await browser.newContext({
+            viewport: { width: c.viewportSize.width, height: c.viewportSize.height }
+          });
+          try {
+            const tab = await context.newPage();
+            await tab.goto(`${server.url}${c.route}`, { waitUntil: 'networkidle' });
+            await tab.waitForTimeout(config.waitAfterLoad);
+            await tab.screenshot({ path: path.join(outDir, files.actual), fullPage: config.fullPage });
+          } finally {
+            await context.close();
+          }
+
+          fs.copyFileSync(c.referenceSource, path.join(outDir, files.reference));
+          const result = await compareImages(
+            path.join(outDir, files.reference),
+            path.join(outDir, files.actual),
+            path.join(outDir, files.diff),
+            { pixelThreshold: config.pixelThreshold }
+          );
+
+          Object.assign(c, files, {
+            mismatch: result.mismatch,
+            status: result.mismatch <= c.threshold ? 'pass' : 'fail',
+            message: result.sizeMatches ? '' : 'reference and prototype sizes differ'
+          });
+        } catch (e) {
+          Object.assign(c, { status: 'error', message: e.message.split('\n')[0] });
+        }
+
+        log(`${c.page} @ ${c.viewport}: ${c.mismatch === null ? c.message : `${c.mismatch}% mismatch`}`,
+          c.status === 'pass' ? 'success' : 'error');
+      }
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+      server.stop();
+    }
+  }
+
+  const results = cases.map(({ viewportSize, referenceSource, ...rest }) => rest);
+  const reportFile = writeReport(outDir, {
+    project: path.basename(projectDir),
+    createdAt: new Date().toISOString(),
+    results
+  });
+  log(`Report: ${path.relative(process.cwd(), reportFile)}`, 'info');
+
+  return results;
+}
+
+async function main() {
+  let options;
+  let projectDirs;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    projectDirs = options.projects.length
+      ? options.projects.map(name => projects.resolveProjectDir(name))
+      : projects.listProjects().filter(p => p.hasPrototype).map(p => p.path);
+  } catch (e) {
+    log(e.message, 'error');
+    process.exit(1);
+  }
+
+  if (projectDirs.length === 0) {
+    log('No projects with a prototype found', 'warning');
+    process.exit(options.ci ? 1 : 0);
+  }
+
+  let failed = false;
+  for (const projectDir of projectDirs) {
+    log(`Visual regression: ${path.basename(projectDir)}`, 'title');
+    try {
+      const results = await runProject(projectDir, options);
+      if (results && results.some(r => r.status === 'fail' || r.status === 'error')) {
+        failed = true;
+      }
+    } catch (e) {
+      log(e.message, 'error');
+      failed = true;
+    }
+  }
+
+  if (failed) {
+    log('Visual differences above threshold', options.ci ? 'error' : 'warning');
+  } else {
+    log('All pages within threshold', 'success');
+  }
+  process.exit(options.ci && failed ? 1 : 0);
+}
+
+main().catch(e => {
+  log(e.message, 'error');
+  process.exit(1);
+});